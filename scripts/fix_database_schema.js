@@ -9,7 +9,326 @@ const { Pool } = require('pg');
 const requiredColumns = [
     { name: 'quality_score', type: 'INTEGER' },
     { name: 'quality_validated', type: 'BOOLEAN', default: 'FALSE' },
-    { name: 'has_validation_issues', type: 'BOOLEAN', default: 'FALSE' }
+    { name: 'has_validation_issues', type: 'BOOLEAN', default: 'FALSE' },
+    { name: 'schema_validation_errors', type: 'JSONB' },
+    { name: 'schema_repair_attempts', type: 'INTEGER', default: '0' },
+    { name: 'llm_chunk_count', type: 'INTEGER' },
+    { name: 'llm_prompt_tokens', type: 'INTEGER' },
+    { name: 'llm_completion_tokens', type: 'INTEGER' },
+    { name: 'llm_model', type: 'TEXT' },
+    { name: 'llm_cost_usd', type: 'NUMERIC(12, 6)' },
+    { name: 'prompt_version', type: 'TEXT' },
+    { name: 'field_provenance', type: 'JSONB' },
+    { name: 'language_tags', type: 'JSONB' },
+    { name: 'raw_content_hash', type: 'TEXT' },
+    { name: 'llm_fallback_count', type: 'INTEGER', default: '0' },
+    { name: 'is_amendment', type: 'BOOLEAN', default: 'FALSE' },
+    { name: 'amendment_type', type: 'TEXT' },
+    { name: 'amendment_number', type: 'INTEGER' },
+    { name: 'parent_source_id', type: 'TEXT' },
+    { name: 'parent_link_method', type: 'TEXT' },
+    { name: 'parent_link_checked_at', type: 'TIMESTAMPTZ' },
+    { name: 'amendments', type: 'JSONB' },
+    { name: 'amendment_count', type: 'INTEGER', default: '0' },
+    { name: 'effective_deadline_date', type: 'DATE' },
+    { name: 'lifecycle_stage', type: 'TEXT' },
+    { name: 'process_id', type: 'TEXT' },
+    { name: 'cluster_id', type: 'TEXT' },
+    { name: 'is_canonical', type: 'BOOLEAN', default: 'TRUE' },
+    { name: 'cluster_members', type: 'JSONB' },
+    { name: 'lot_count', type: 'INTEGER', default: '0' },
+    { name: 'estimated_value_usd', type: 'NUMERIC' },
+    { name: 'estimated_value_eur', type: 'NUMERIC' },
+    { name: 'fx_rate_date', type: 'DATE' }
+];
+
+// Define the supporting tables we need
+const requiredTables = [
+    {
+        // Persistent LLM response cache (used when LLM_CACHE_BACKEND=supabase)
+        name: 'llm_response_cache',
+        definition: `
+            cache_key TEXT PRIMARY KEY,
+            model TEXT,
+            prompt_version TEXT,
+            response JSONB NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            expires_at TIMESTAMPTZ
+        `
+    },
+    {
+        // Jobs submitted to the OpenAI Batch API (LLM_BATCH_MODE=batch-api)
+        name: 'llm_batch_jobs',
+        definition: `
+            batch_id TEXT PRIMARY KEY,
+            provider TEXT NOT NULL,
+            model TEXT,
+            source_table TEXT NOT NULL,
+            status TEXT NOT NULL,
+            tender_ids JSONB NOT NULL,
+            request_count INTEGER NOT NULL,
+            input_file_id TEXT,
+            output_file_id TEXT,
+            error_file_id TEXT,
+            ingested_count INTEGER,
+            failed_count INTEGER,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            completed_at TIMESTAMPTZ,
+            ingested_at TIMESTAMPTZ
+        `
+    },
+    {
+        // Durable queue of tender processing jobs (enqueue, work and requeue commands)
+        name: 'tender_jobs',
+        definition: `
+            id BIGSERIAL PRIMARY KEY,
+            source_table TEXT NOT NULL,
+            source_record_id TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            max_attempts INTEGER NOT NULL DEFAULT 5,
+            last_error TEXT,
+            errors JSONB NOT NULL DEFAULT '[]',
+            run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            locked_by TEXT,
+            locked_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            completed_at TIMESTAMPTZ,
+            UNIQUE (source_table, source_record_id)
+        `
+    },
+    {
+        // Jobs that failed max_attempts times, until they are requeued
+        name: 'tender_job_dead_letters',
+        definition: `
+            job_id BIGINT,
+            source_table TEXT NOT NULL,
+            source_record_id TEXT NOT NULL,
+            attempts INTEGER NOT NULL,
+            last_error TEXT,
+            errors JSONB NOT NULL DEFAULT '[]',
+            enqueued_at TIMESTAMPTZ,
+            failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (source_table, source_record_id)
+        `
+    },
+    {
+        name: 'processing_checkpoints',
+        definition: `
+            run_name TEXT NOT NULL,
+            source_table TEXT NOT NULL,
+            page INTEGER NOT NULL DEFAULT 0,
+            last_key JSONB,
+            processed INTEGER NOT NULL DEFAULT 0,
+            completed BOOLEAN NOT NULL DEFAULT FALSE,
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (run_name, source_table)
+        `
+    },
+    {
+        // Append-only ledger of LLM usage, one row per recorded request or share of a packed request (daily budget)
+        name: 'llm_usage',
+        definition: `
+            id BIGSERIAL PRIMARY KEY,
+            source_table TEXT,
+            llm_model TEXT,
+            requests NUMERIC NOT NULL DEFAULT 1,
+            prompt_tokens INTEGER NOT NULL DEFAULT 0,
+            completion_tokens INTEGER NOT NULL DEFAULT 0,
+            cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+            recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        `
+    },
+    {
+        // Snapshots of every write to unified_tenders (history-diff command)
+        name: 'unified_tenders_history',
+        definition: `
+            id BIGSERIAL PRIMARY KEY,
+            source_table TEXT NOT NULL,
+            source_id TEXT NOT NULL,
+            normalized_method TEXT,
+            prompt_version TEXT,
+            raw_content_hash TEXT,
+            snapshot JSONB NOT NULL,
+            recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        `
+    },
+    {
+        // Notices of one procurement grouped across its stages (planning, tender, award)
+        name: 'procurement_processes',
+        definition: `
+            process_id TEXT PRIMARY KEY,
+            source_table TEXT NOT NULL,
+            reference_number TEXT,
+            title TEXT,
+            buyer TEXT,
+            current_stage TEXT,
+            status TEXT,
+            timeline JSONB NOT NULL DEFAULT '[]',
+            notice_count INTEGER NOT NULL DEFAULT 0,
+            planning_date DATE,
+            tender_date DATE,
+            award_date DATE,
+            awarded_supplier TEXT,
+            award_value NUMERIC,
+            award_currency TEXT,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        `
+    },
+    {
+        // Awards of award notices, keyed by the unified tender they belong to
+        name: 'tender_awards',
+        definition: `
+            id BIGSERIAL PRIMARY KEY,
+            source_table TEXT NOT NULL,
+            source_id TEXT NOT NULL,
+            award_index INTEGER NOT NULL DEFAULT 0,
+            supplier_name TEXT,
+            supplier_country TEXT,
+            award_date DATE,
+            award_value NUMERIC,
+            currency TEXT,
+            lots JSONB,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        `
+    },
+    {
+        // Lots of multi-lot tenders, keyed by the unified tender they belong to
+        name: 'tender_lots',
+        definition: `
+            id BIGSERIAL PRIMARY KEY,
+            source_table TEXT NOT NULL,
+            source_id TEXT NOT NULL,
+            lot_index INTEGER NOT NULL DEFAULT 0,
+            lot_number TEXT NOT NULL,
+            title TEXT,
+            description TEXT,
+            estimated_value NUMERIC,
+            currency TEXT,
+            classification_codes JSONB,
+            deadline_date DATE,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        `
+    },
+    {
+        // Historical exchange rates as units of the currency per euro (ECB reference rates)
+        name: 'fx_rates',
+        definition: `
+            currency TEXT NOT NULL,
+            rate_date DATE NOT NULL,
+            rate_per_eur NUMERIC NOT NULL,
+            source TEXT NOT NULL DEFAULT 'ecb',
+            PRIMARY KEY (currency, rate_date)
+        `
+    }
+];
+
+// Indexes and functions, created after the tables (all statements are idempotent)
+const requiredStatements = [
+    // Bulk upserts of normalized tenders resolve conflicts on the source key. Duplicate rows left by
+    // earlier versions are removed before the index is created, keeping the latest normalization.
+    `DO $$
+     BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'unified_tenders_source_key') THEN
+            DELETE FROM unified_tenders
+            WHERE ctid IN (
+                SELECT ctid
+                FROM (
+                    SELECT ctid, ROW_NUMBER() OVER (
+                        PARTITION BY source_table, source_id
+                        ORDER BY normalized_at DESC NULLS LAST, ctid DESC
+                    ) AS position
+                    FROM unified_tenders
+                ) ranked
+                WHERE position > 1
+            );
+        END IF;
+     END
+     $$`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS unified_tenders_source_key ON unified_tenders (source_table, source_id)`,
+    `CREATE INDEX IF NOT EXISTS tender_jobs_ready_idx ON tender_jobs (status, run_after)`,
+    `CREATE INDEX IF NOT EXISTS unified_tenders_history_tender_idx ON unified_tenders_history (source_table, source_id, recorded_at)`,
+    // Amendment linking looks tenders up by reference number and by parent
+    `CREATE INDEX IF NOT EXISTS unified_tenders_reference_idx ON unified_tenders (source_table, reference_number)`,
+    `CREATE INDEX IF NOT EXISTS unified_tenders_parent_idx ON unified_tenders (source_table, parent_source_id)`,
+    `CREATE INDEX IF NOT EXISTS procurement_processes_buyer_idx ON procurement_processes (source_table, buyer)`,
+    // Duplicate clustering looks tenders of other sources up by country and deadline, and clusters by ID
+    `CREATE INDEX IF NOT EXISTS unified_tenders_country_deadline_idx ON unified_tenders (country, deadline_date)`,
+    `CREATE INDEX IF NOT EXISTS unified_tenders_cluster_idx ON unified_tenders (cluster_id)`,
+    `CREATE INDEX IF NOT EXISTS tender_awards_tender_idx ON tender_awards (source_table, source_id)`,
+    `CREATE INDEX IF NOT EXISTS tender_awards_supplier_idx ON tender_awards (supplier_name)`,
+    // Awards were kept in a JSONB column of unified_tenders before they got their own table
+    `ALTER TABLE unified_tenders DROP COLUMN IF EXISTS awards`,
+    `CREATE INDEX IF NOT EXISTS tender_lots_tender_idx ON tender_lots (source_table, source_id)`,
+    // Values converted to the reporting currencies
+    `ALTER TABLE tender_awards ADD COLUMN IF NOT EXISTS award_value_usd NUMERIC`,
+    `ALTER TABLE tender_awards ADD COLUMN IF NOT EXISTS award_value_eur NUMERIC`,
+    `ALTER TABLE tender_lots ADD COLUMN IF NOT EXISTS estimated_value_usd NUMERIC`,
+    `ALTER TABLE tender_lots ADD COLUMN IF NOT EXISTS estimated_value_eur NUMERIC`,
+    `CREATE INDEX IF NOT EXISTS unified_tenders_value_usd_idx ON unified_tenders (estimated_value_usd)`,
+    // Claim ready jobs for a worker; SKIP LOCKED lets concurrent workers claim disjoint jobs.
+    // Running jobs whose lock is older than the lock timeout belong to a dead worker: they are claimed
+    // again if attempts remain, and moved to the dead letters if the dead worker made their last attempt.
+    `CREATE OR REPLACE FUNCTION claim_tender_jobs(p_worker TEXT, p_limit INTEGER, p_lock_timeout_minutes INTEGER DEFAULT 30)
+     RETURNS SETOF tender_jobs
+     LANGUAGE sql
+     AS $$
+        WITH exhausted AS (
+            DELETE FROM tender_jobs
+            WHERE id IN (
+                SELECT id
+                FROM tender_jobs
+                WHERE status = 'running'
+                  AND locked_at < NOW() - make_interval(mins => p_lock_timeout_minutes)
+                  AND attempts >= max_attempts
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        ), dead_lettered AS (
+            INSERT INTO tender_job_dead_letters (job_id, source_table, source_record_id, attempts, last_error, errors, enqueued_at, failed_at)
+            SELECT id, source_table, source_record_id, attempts, 'Lock expired on the last attempt',
+                   errors || jsonb_build_array(jsonb_build_object('attempt', attempts, 'error', 'Lock expired on the last attempt', 'at', NOW())),
+                   created_at, NOW()
+            FROM exhausted
+            ON CONFLICT (source_table, source_record_id) DO UPDATE
+            SET job_id = EXCLUDED.job_id,
+                attempts = EXCLUDED.attempts,
+                last_error = EXCLUDED.last_error,
+                errors = EXCLUDED.errors,
+                enqueued_at = EXCLUDED.enqueued_at,
+                failed_at = EXCLUDED.failed_at
+        )
+        UPDATE tender_jobs
+        SET status = 'running',
+            locked_by = p_worker,
+            locked_at = NOW(),
+            attempts = attempts + 1,
+            updated_at = NOW()
+        WHERE id IN (
+            SELECT id
+            FROM tender_jobs
+            WHERE (status = 'pending' AND run_after <= NOW())
+               OR (status = 'running' AND locked_at < NOW() - make_interval(mins => p_lock_timeout_minutes) AND attempts < max_attempts)
+            ORDER BY run_after, id
+            LIMIT p_limit
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *;
+     $$`,
+    // Spend of LLM requests since a time, summed per model from the usage ledger (daily budget)
+    `CREATE INDEX IF NOT EXISTS llm_usage_recorded_at_idx ON llm_usage (recorded_at)`,
+    `DROP FUNCTION IF EXISTS llm_spend_by_model(TIMESTAMPTZ)`,
+    `CREATE FUNCTION llm_spend_by_model(p_since TIMESTAMPTZ)
+     RETURNS TABLE (llm_model TEXT, cost_usd NUMERIC, requests NUMERIC)
+     LANGUAGE sql STABLE
+     AS $$
+        SELECT l.llm_model, SUM(l.cost_usd), SUM(l.requests)
+        FROM llm_usage l
+        WHERE l.recorded_at >= p_since
+        GROUP BY l.llm_model;
+     $$`
 ];
 
 async function ensureSchemaUpdated() {
@@ -34,16 +353,11 @@ async function ensureSchemaUpdated() {
             SELECT column_name
             FROM information_schema.columns
             WHERE table_name = 'unified_tenders'
-            AND column_name IN ('quality_score', 'quality_validated', 'has_validation_issues');
-        `);
+            AND column_name = ANY($1);
+        `, [requiredColumns.map(column => column.name)]);
         
         const existingColumns = new Set(existingColumnsResult.rows.map(row => row.column_name));
-        console.log(`Found ${existingColumns.size} of 3 expected quality validation columns`);
-        
-        if (existingColumns.size === 3) {
-            console.log('Schema is already updated with all required columns');
-            return true;
-        }
+        console.log(`Found ${existingColumns.size} of ${requiredColumns.length} expected unified_tenders columns`);
         
         // Add missing columns
         for (const column of requiredColumns) {
@@ -59,6 +373,18 @@ async function ensureSchemaUpdated() {
             }
         }
         
+        // Create missing supporting tables
+        for (const table of requiredTables) {
+            await client.query(`CREATE TABLE IF NOT EXISTS ${table.name} (${table.definition});`);
+            console.log(`Ensured table ${table.name} exists`);
+        }
+        
+        // Create indexes and functions
+        for (const statement of requiredStatements) {
+            await client.query(statement);
+        }
+        console.log(`Ensured ${requiredStatements.length} indexes and functions exist`);
+        
         console.log('Schema update completed successfully');
         return true;
         
@@ -9,12 +9,25 @@ require('dotenv').config();
 // Import required libraries and services
 const { createClient } = require('@supabase/supabase-js');
 const sourceRegistry = require('./services/sourceRegistry');
+const { purgeCache, describeCache } = require('./services/llmCache');
+const { pollBatchJobs, listBatchJobs } = require('./services/llmBatchApi');
+const { evaluateNormalizationNeeds } = require('./services/tenderNormalizer');
 const {
     processTendersFromTable,
     processTendersFromAllSources,
     processNewestTendersFromAllSources,
-    processAllUnprocessedTenders
+    processAllUnprocessedTenders,
+    reprocessOutdatedPrompts,
+    enqueueSourceTenders,
+    processQueuedJobs,
+    requeueDeadJobs
 } = require('./services/processingService');
+const { getQueueStats } = require('./services/jobQueue');
+const { getTenderVersions, diffSnapshots } = require('./services/tenderHistory');
+const { linkUnlinkedAmendments } = require('./services/amendmentLinker');
+const { getProcess } = require('./services/procurementLifecycle');
+const { clusterUnclusteredTenders } = require('./services/duplicateClusterer');
+const { importEcbRates, convertStoredTenders } = require('./services/currencyConverter');
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -54,6 +67,7 @@ async function processTendersFromSource(sourceName) {
         if (results.success) {
             console.log(`Successfully processed ${results.processed} tenders from ${sourceName}`);
             console.log(`Skipped ${results.skipped} tenders`);
+            console.log(`Changes: ${results.new} new, ${results.changed} changed, ${results.unchanged} unchanged`);
             console.log(`Encountered ${results.errors} errors`);
             if (results.fallback) {
                 console.log(`Used fallback normalization for ${results.fallback} tenders`);
@@ -159,15 +173,16 @@ async function runContinuousProcessingWrapper() {
  * Process all unprocessed tenders from all sources with pagination
  * @returns {Promise<void>}
  */
-async function processAllUnprocessed() {
-    console.log('Processing ALL unprocessed tenders from all sources using pagination');
+async function processAllUnprocessed(resume = false) {
+    console.log(`Processing ALL unprocessed tenders from all sources using pagination${resume ? ', resuming the previous run' : ''}`);
     
     try {
         // Process all tenders regardless of last_processed_at status
         const options = {
             filterUnprocessedOnly: false, // Process ALL tenders, not just unprocessed ones
             batchSize: 1000,              // Process in batches of 1000
-            maxTendersPerSource: 0        // No limit per source (process all)
+            maxTendersPerSource: 0,       // No limit per source (process all)
+            resume                        // Continue from the checkpoints of the previous run
         };
         
         const results = await processAllUnprocessedTenders(supabaseAdmin, options);
@@ -179,11 +194,468 @@ async function processAllUnprocessed() {
         console.log(`Total errors encountered: ${results.errors}`);
         console.log(`Total fallback normalizations: ${results.fallback}`);
         console.log(`Total fast normalizations: ${results.fastNormalization}`);
+        console.log(`Total changes: ${results.new} new, ${results.changed} changed, ${results.unchanged} unchanged`);
     } catch (error) {
         console.error(`Error processing all unprocessed tenders:`, error);
     }
 }
 
+/**
+ * Purge the persistent LLM response cache
+ * @param {boolean} expiredOnly - Only remove expired entries
+ * @returns {Promise<number>} Number of removed entries
+ */
+async function purgeLLMCache(expiredOnly) {
+    console.log(`Purging ${expiredOnly ? 'expired' : 'all'} LLM cache entries`);
+    
+    try {
+        const removed = await purgeCache({ expiredOnly });
+        console.log(`Removed ${removed} LLM cache entries`);
+        return removed;
+    } catch (error) {
+        console.error('Error purging LLM cache:', error);
+        return 0;
+    }
+}
+
+/**
+ * Show the contents of the persistent LLM response cache
+ * @returns {Promise<Object|null>} Cache description
+ */
+async function showLLMCacheStats() {
+    try {
+        const description = await describeCache();
+        console.log('\n=== LLM Cache ===');
+        console.log(`Backend: ${description.backend}${description.directory ? ` (${description.directory})` : ''}`);
+        console.log(`Entries: ${description.total}`);
+        console.log(`Expired entries: ${description.expired}`);
+        return description;
+    } catch (error) {
+        console.error('Error reading LLM cache:', error);
+        return null;
+    }
+}
+
+/**
+ * Check pending Batch API jobs and ingest the results of completed ones
+ * @returns {Promise<Object|null>} Poll summary
+ */
+async function pollLLMBatches() {
+    console.log('Polling pending Batch API jobs');
+    
+    try {
+        const summary = await pollBatchJobs(supabaseAdmin);
+        console.log('\n=== Batch API Poll Summary ===');
+        console.log(`Jobs checked: ${summary.checked}`);
+        console.log(`Completed: ${summary.completed}, failed: ${summary.failed}, still pending: ${summary.pending}`);
+        console.log(`Tenders ingested: ${summary.ingested}`);
+        console.log(`Tenders without a usable result: ${summary.ingestFailed}`);
+        return summary;
+    } catch (error) {
+        console.error('Error polling Batch API jobs:', error);
+        return null;
+    }
+}
+
+/**
+ * Show the most recent Batch API jobs
+ * @returns {Promise<Object[]>} Batch job rows
+ */
+async function showLLMBatches() {
+    try {
+        const jobs = await listBatchJobs(supabaseAdmin);
+        console.log('\n=== Batch API Jobs ===');
+        if (jobs.length === 0) {
+            console.log('No batch jobs found');
+        }
+        jobs.forEach(job => {
+            const ingested = job.ingested_at ? `, ingested ${job.ingested_count}, failed ${job.failed_count}` : '';
+            console.log(`${job.batch_id} ${job.source_table}: ${job.status}, ${job.request_count} tenders${ingested} (created ${job.created_at})`);
+        });
+        return jobs;
+    } catch (error) {
+        console.error('Error reading Batch API jobs:', error);
+        return [];
+    }
+}
+
+/**
+ * Reprocess LLM-normalized tenders that were produced by an older prompt version
+ * @param {string} sourceName - Only reprocess tenders of this source (optional)
+ * @param {string} limit - Maximum number of tenders to reprocess (optional)
+ * @returns {Promise<Object|null>} Reprocessing results
+ */
+async function reprocessPromptVersions(sourceName, limit) {
+    if (sourceName && !sourceRegistry.getAdapter(sourceName)) {
+        console.error(`Unknown source: ${sourceName}`);
+        return null;
+    }
+    
+    try {
+        const results = await reprocessOutdatedPrompts(supabaseAdmin, {
+            sourceTable: sourceName || null,
+            limit: parseInt(limit || '500', 10)
+        });
+        
+        console.log('\n=== Prompt Reprocessing Summary ===');
+        console.log(`Outdated tenders found: ${results.found || 0}`);
+        console.log(`Tenders updated: ${results.updated || 0}`);
+        console.log(`Errors: ${results.errors || 0}, fallbacks: ${results.fallback || 0}, fast normalizations: ${results.fastNormalization || 0}`);
+        return results;
+    } catch (error) {
+        console.error('Error reprocessing tenders:', error);
+        return null;
+    }
+}
+
+/**
+ * Show how the routing policy decides the normalization path of a tender
+ * @param {string} sourceName - Name of the source table
+ * @param {string} tenderId - ID of the tender in the source table
+ * @returns {Promise<Object|null>} Routing decision with the evaluated rules
+ */
+async function explainRouting(sourceName, tenderId) {
+    if (!sourceName || !tenderId) {
+        console.error('Usage: explain-routing <source> <id>');
+        return null;
+    }
+    if (!sourceRegistry.getAdapter(sourceName)) {
+        console.error(`Unknown source: ${sourceName}`);
+        return null;
+    }
+    
+    try {
+        const { data: tender, error } = await supabaseAdmin
+            .from(sourceName)
+            .select('*')
+            .eq('id', tenderId)
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        if (!tender) {
+            console.error(`Tender ${tenderId} not found in ${sourceName}`);
+            return null;
+        }
+        
+        const decision = evaluateNormalizationNeeds(tender, sourceName, { explain: true });
+        
+        console.log(`\n=== Routing for ${sourceName} tender ${tenderId} ===`);
+        decision.trace.forEach(entry => {
+            const outcome = entry.matched ? 'MATCHED' : `no match (${entry.failedCondition})`;
+            console.log(`  ${entry.rule} -> ${entry.route}: ${outcome}`);
+        });
+        console.log(`Route: ${decision.route} (rule: ${decision.rule})`);
+        console.log(`Reason: ${decision.reason}`);
+        return decision;
+    } catch (error) {
+        console.error('Error explaining routing:', error);
+        return null;
+    }
+}
+
+/**
+ * Add queue jobs for the tenders of one or all sources
+ * @param {string} sourceName - Only enqueue tenders of this source (optional)
+ * @param {boolean} force - Enqueue all tenders and reset their existing jobs
+ * @returns {Promise<Object|null>} Enqueue results by source
+ */
+async function enqueueTenders(sourceName, force) {
+    if (sourceName && !sourceRegistry.getAdapter(sourceName)) {
+        console.error(`Unknown source: ${sourceName}`);
+        return null;
+    }
+    
+    const results = {};
+    try {
+        const sources = sourceName ? [sourceName] : sourceRegistry.getRegisteredSources();
+        for (const source of sources) {
+            results[source] = await enqueueSourceTenders(supabaseAdmin, source, { force });
+        }
+        return results;
+    } catch (error) {
+        console.error('Error enqueueing tenders:', error);
+        return null;
+    }
+}
+
+/**
+ * Run a queue worker
+ * @param {boolean} continuous - Keep polling for jobs instead of stopping when the queue is empty
+ * @returns {Promise<Object|null>} Worker totals
+ */
+async function runQueueWorker(continuous) {
+    try {
+        return await processQueuedJobs(supabaseAdmin, {
+            workerId: process.env.WORKER_ID || undefined,
+            continuous
+        });
+    } catch (error) {
+        console.error('Error running queue worker:', error);
+        return null;
+    }
+}
+
+/**
+ * Move dead-lettered jobs back into the queue
+ * @param {string} sourceName - Only requeue jobs of this source (optional)
+ * @param {string} limit - Maximum number of jobs to requeue (optional)
+ * @returns {Promise<Object|null>} Requeue results
+ */
+async function requeueJobs(sourceName, limit) {
+    if (sourceName && !sourceRegistry.getAdapter(sourceName)) {
+        console.error(`Unknown source: ${sourceName}`);
+        return null;
+    }
+    
+    try {
+        return await requeueDeadJobs(supabaseAdmin, {
+            sourceTable: sourceName || null,
+            limit: parseInt(limit || '1000', 10)
+        });
+    } catch (error) {
+        console.error('Error requeueing jobs:', error);
+        return null;
+    }
+}
+
+/**
+ * Show the number of jobs in the queue by status
+ * @returns {Promise<Object|null>} Queue counts
+ */
+async function showQueueStatus() {
+    try {
+        const stats = await getQueueStats(supabaseAdmin);
+        console.log('\n=== Job Queue ===');
+        console.log(`Pending: ${stats.pending}`);
+        console.log(`Running: ${stats.running}`);
+        console.log(`Done: ${stats.done}`);
+        console.log(`Dead-lettered: ${stats.dead}`);
+        return stats;
+    } catch (error) {
+        console.error('Error reading queue status:', error);
+        return null;
+    }
+}
+
+/**
+ * Format a field value for the history diff
+ * @param {*} value - The value
+ * @returns {string} The value on one line
+ */
+function formatHistoryValue(value) {
+    if (value === null || value === undefined) {
+        return '(empty)';
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 200 ? `${text.slice(0, 200)}...` : text;
+}
+
+/**
+ * Show the versions of a normalized tender and the field-by-field diff between two of them
+ * @param {string} sourceName - Name of the source table
+ * @param {string} sourceId - Source ID of the tender
+ * @param {string} fromVersion - Older version number (default: the version before toVersion)
+ * @param {string} toVersion - Newer version number (default: the latest version)
+ * @returns {Promise<Object[]|null>} The changed fields
+ */
+async function showTenderHistoryDiff(sourceName, sourceId, fromVersion, toVersion) {
+    if (!sourceName || !sourceId) {
+        console.error('Usage: history-diff <source> <source_id> [from] [to]');
+        return null;
+    }
+    
+    try {
+        const versions = await getTenderVersions(supabaseAdmin, sourceName, sourceId);
+        if (versions.length === 0) {
+            console.error(`No history found for ${sourceName} tender ${sourceId}`);
+            return null;
+        }
+        
+        console.log(`\n=== Versions of ${sourceName} tender ${sourceId} ===`);
+        versions.forEach(version => {
+            console.log(`  ${version.version}: ${version.recorded_at} (${version.normalized_method || 'unknown method'}${version.prompt_version ? `, prompt ${version.prompt_version}` : ''})`);
+        });
+        
+        const to = parseInt(toVersion || String(versions.length), 10);
+        const from = parseInt(fromVersion || String(to - 1), 10);
+        const toEntry = versions.find(version => version.version === to);
+        const fromEntry = versions.find(version => version.version === from);
+        if (!toEntry || (!fromEntry && from !== 0)) {
+            console.error(`Versions must be between 1 and ${versions.length}`);
+            return null;
+        }
+        
+        // Version 0 stands for the state before the first version, so all of its fields show as added
+        const changes = diffSnapshots(fromEntry ? fromEntry.snapshot : {}, toEntry.snapshot);
+        console.log(`\n=== Changes from version ${from} to version ${to} ===`);
+        if (changes.length === 0) {
+            console.log('No fields changed');
+        }
+        changes.forEach(change => {
+            console.log(`  ${change.field}:`);
+            console.log(`    - ${formatHistoryValue(change.from)}`);
+            console.log(`    + ${formatHistoryValue(change.to)}`);
+        });
+        return changes;
+    } catch (error) {
+        console.error('Error reading tender history:', error);
+        return null;
+    }
+}
+
+/**
+ * Link stored amendments that have no parent tender yet
+ * @param {string} sourceName - Only link amendments of this source (optional)
+ * @param {string} limit - Maximum number of amendments to look at (optional)
+ * @returns {Promise<Object|null>} Linking results
+ */
+async function linkAmendments(sourceName, limit) {
+    if (sourceName && !sourceRegistry.getAdapter(sourceName)) {
+        console.error(`Unknown source: ${sourceName}`);
+        return null;
+    }
+    
+    try {
+        const results = await linkUnlinkedAmendments(supabaseAdmin, {
+            sourceTable: sourceName || null,
+            limit: parseInt(limit || '1000', 10)
+        });
+        
+        console.log('\n=== Amendment Linking Summary ===');
+        console.log(`Unlinked amendments checked: ${results.checked}`);
+        console.log(`Amendments linked: ${results.linked}`);
+        console.log(`Parent tenders updated: ${results.parentsUpdated}`);
+        return results;
+    } catch (error) {
+        console.error('Error linking amendments:', error);
+        return null;
+    }
+}
+
+/**
+ * Show the timeline of a procurement process
+ * @param {string} processId - The process ID
+ * @returns {Promise<Object|null>} The process
+ */
+async function showProcessTimeline(processId) {
+    if (!processId) {
+        console.error('Usage: process-timeline <process_id>');
+        return null;
+    }
+    
+    try {
+        const process = await getProcess(supabaseAdmin, processId);
+        if (!process) {
+            console.error(`No procurement process found: ${processId}`);
+            return null;
+        }
+        
+        console.log(`\n=== Procurement process ${process.process_id} ===`);
+        console.log(`Title: ${process.title || '-'}`);
+        console.log(`Buyer: ${process.buyer || '-'}`);
+        console.log(`Stage: ${process.current_stage} (${process.status})`);
+        if (process.awarded_supplier || process.award_value !== null) {
+            console.log(`Awarded to: ${process.awarded_supplier || '-'}${process.award_value !== null ? ` for ${process.award_value}${process.award_currency ? ` ${process.award_currency}` : ''}` : ''}`);
+        }
+        
+        console.log('\n=== Timeline ===');
+        (process.timeline || []).forEach(entry => {
+            console.log(`  ${entry.publication_date || 'undated'}  ${entry.stage.padEnd(8)}  ${entry.source_id}  ${entry.tender_type || ''}${entry.status ? ` (${entry.status})` : ''}`);
+        });
+        return process;
+    } catch (error) {
+        console.error('Error reading procurement process:', error);
+        return null;
+    }
+}
+
+/**
+ * Cluster stored tenders with their duplicates from other sources
+ * @param {string} sourceName - Only look at tenders of this source (optional)
+ * @param {string} limit - Maximum number of tenders to look at (optional)
+ * @returns {Promise<Object|null>} Clustering results
+ */
+async function clusterDuplicateTenders(sourceName, limit) {
+    if (sourceName && !sourceRegistry.getAdapter(sourceName)) {
+        console.error(`Unknown source: ${sourceName}`);
+        return null;
+    }
+    
+    try {
+        const results = await clusterUnclusteredTenders(supabaseAdmin, {
+            sourceTable: sourceName || null,
+            limit: parseInt(limit || '1000', 10)
+        });
+        
+        console.log('\n=== Duplicate Clustering Summary ===');
+        console.log(`Unclustered tenders checked: ${results.checked}`);
+        console.log(`Tenders clustered with duplicates: ${results.clustered}`);
+        console.log(`Tenders without duplicates: ${results.singletons}`);
+        return results;
+    } catch (error) {
+        console.error('Error clustering duplicate tenders:', error);
+        return null;
+    }
+}
+
+/**
+ * Import historical exchange rates from an ECB CSV file
+ * @param {string} filePath - Path of the CSV file
+ * @returns {Promise<Object|null>} Import results
+ */
+async function importFxRates(filePath) {
+    if (!filePath) {
+        console.error('Usage: import-fx-rates <csv_file>');
+        return null;
+    }
+    
+    try {
+        const results = await importEcbRates(supabaseAdmin, filePath);
+        console.log('\n=== Exchange Rate Import Summary ===');
+        console.log(`Rates imported: ${results.imported}`);
+        console.log(`Currencies: ${results.currencies}`);
+        if (results.from) {
+            console.log(`Dates: ${results.from} to ${results.to}`);
+        }
+        return results;
+    } catch (error) {
+        console.error('Error importing exchange rates:', error);
+        return null;
+    }
+}
+
+/**
+ * Convert the values of stored tenders, awards and lots that have no converted value yet
+ * @param {string} sourceName - Only convert tenders of this source (optional)
+ * @param {string} limit - Maximum number of tenders, and of awards and lots, to look at (optional, default: all)
+ * @returns {Promise<Object|null>} Conversion results
+ */
+async function convertStoredValues(sourceName, limit) {
+    if (sourceName && !sourceRegistry.getAdapter(sourceName)) {
+        console.error(`Unknown source: ${sourceName}`);
+        return null;
+    }
+    
+    try {
+        const results = await convertStoredTenders(supabaseAdmin, {
+            sourceTable: sourceName || null,
+            limit: limit ? parseInt(limit, 10) : null
+        });
+        
+        console.log('\n=== Currency Conversion Summary ===');
+        console.log(`Unconverted tenders checked: ${results.checked}`);
+        console.log(`Tenders converted: ${results.converted}`);
+        console.log(`Awards converted: ${results.awards.converted} of ${results.awards.checked}`);
+        console.log(`Lots converted: ${results.lots.converted} of ${results.lots.checked}`);
+        return results;
+    } catch (error) {
+        console.error('Error converting tender values:', error);
+        return null;
+    }
+}
+
 /**
  * Main function to run the application
  */
@@ -213,7 +685,56 @@ async function main() {
             await processAllSourcesRoundRobin();
         } else if (command === 'process-all-unprocessed') {
             // Process ALL unprocessed tenders from all sources using pagination
-            await processAllUnprocessed();
+            await processAllUnprocessed(args.includes('--resume'));
+        } else if (command === 'cache-stats') {
+            // Show the contents of the LLM response cache
+            await showLLMCacheStats();
+        } else if (command === 'cache-purge') {
+            // Remove all (or only expired) LLM response cache entries
+            await purgeLLMCache(args.includes('--expired'));
+        } else if (command === 'batch-poll') {
+            // Check pending Batch API jobs and ingest completed ones
+            await pollLLMBatches();
+        } else if (command === 'batch-status') {
+            // List recent Batch API jobs
+            await showLLMBatches();
+        } else if (command === 'reprocess-prompts') {
+            // Normalize tenders produced by an older prompt version again
+            await reprocessPromptVersions(sourceName, args[2]);
+        } else if (command === 'explain-routing') {
+            // Show which routing rule decides the normalization path of a tender
+            await explainRouting(sourceName, args[2]);
+        } else if (command === 'enqueue') {
+            // Add queue jobs for unprocessed tenders (--force: all tenders, resetting existing jobs)
+            const force = args.includes('--force');
+            await enqueueTenders(sourceName && sourceName !== '--force' ? sourceName : null, force);
+        } else if (command === 'work') {
+            // Process queued jobs until the queue is empty (--continuous: keep polling)
+            await runQueueWorker(args.includes('--continuous'));
+        } else if (command === 'requeue') {
+            // Move dead-lettered jobs back into the queue
+            await requeueJobs(sourceName, args[2]);
+        } else if (command === 'queue-status') {
+            // Show the number of jobs by status
+            await showQueueStatus();
+        } else if (command === 'history-diff') {
+            // Show the field-by-field diff between two versions of a normalized tender
+            await showTenderHistoryDiff(sourceName, args[2], args[3], args[4]);
+        } else if (command === 'link-amendments') {
+            // Link stored amendments and corrigenda to the tenders they amend
+            await linkAmendments(sourceName, args[2]);
+        } else if (command === 'process-timeline') {
+            // Show the notices of a procurement process from planning to award
+            await showProcessTimeline(args[1]);
+        } else if (command === 'cluster-duplicates') {
+            // Cluster stored tenders with the same opportunity published by other sources
+            await clusterDuplicateTenders(sourceName, args[2]);
+        } else if (command === 'import-fx-rates') {
+            // Import historical exchange rates from an ECB CSV file
+            await importFxRates(args[1]);
+        } else if (command === 'convert-values') {
+            // Convert stored tender values to USD and EUR once the rates of their dates are imported
+            await convertStoredValues(sourceName, args[2]);
         } else if (command === 'help' || command === '--help' || command === '-h') {
             // Show usage instructions
             showUsage();
@@ -242,14 +763,83 @@ function showUsage() {
     console.log('  process <source>            - Process tenders from a specific source');
     console.log('  process-all                 - Process tenders from all sources sequentially');
     console.log('  process-round-robin         - Process tenders from all sources in round-robin fashion');
-    console.log('  process-all-unprocessed     - Process ALL unprocessed tenders from all sources (uses pagination)');
+    console.log('  process-all-unprocessed [--resume] - Process ALL unprocessed tenders from all sources (uses pagination; --resume: continue from the checkpoints of the previous run)');
+    console.log('  cache-stats                 - Show the number of cached LLM responses');
+    console.log('  cache-purge [--expired]     - Remove all (or only expired) cached LLM responses');
+    console.log('  batch-poll                  - Check pending Batch API jobs and ingest completed results');
+    console.log('  batch-status                - List recent Batch API jobs');
+    console.log('  reprocess-prompts [source] [limit] - Reprocess LLM-normalized tenders from an older prompt version (default limit: 500)');
+    console.log('  explain-routing <source> <id> - Show how the routing policy decides the normalization path of a tender');
+    console.log('  enqueue [source] [--force]  - Add queue jobs for unprocessed tenders (--force: all tenders, resetting existing jobs)');
+    console.log('  work [--continuous]         - Process queued jobs until the queue is empty (--continuous: keep polling)');
+    console.log('  requeue [source] [limit]    - Move dead-lettered jobs back into the queue (default limit: 1000)');
+    console.log('  queue-status                - Show the number of queued, running, done and dead-lettered jobs');
+    console.log('  history-diff <source> <source_id> [from] [to] - List the versions of a normalized tender and diff two of them (default: the latest two)');
+    console.log('  link-amendments [source] [limit] - Link stored amendments without a parent to the tenders they amend (default limit: 1000)');
+    console.log('  process-timeline <process_id> - Show the stages, notices and award of a procurement process');
+    console.log('  cluster-duplicates [source] [limit] - Cluster stored tenders without a cluster with their duplicates from other sources (default limit: 1000)');
+    console.log('  import-fx-rates <csv_file>  - Import historical exchange rates from an ECB CSV file (eurofxref-hist.csv or a Data Portal export)');
+    console.log('  convert-values [source] [limit] - Convert stored tender, award and lot values without a USD/EUR value using the imported rates (default: all)');
     console.log('  help                        - Show this help message');
     console.log('\nSources:');
     console.log('  ' + sourceRegistry.getRegisteredSources().join(', '));
     console.log('\nEnvironment Variables:');
     console.log('  SUPABASE_URL                - Supabase project URL');
     console.log('  SUPABASE_SERVICE_KEY        - Supabase service role key');
+    console.log('  LLM_PROVIDER                - LLM provider: openai, openrouter, azure, local or stub (default: openai)');
+    console.log('  LLM_MODEL                   - Model override for the active provider (or <PROVIDER>_MODEL, e.g. OPENROUTER_MODEL)');
+    console.log('  LLM_TEMPERATURE, LLM_MAX_TOKENS, LLM_TIMEOUT_MS - Request settings (or <PROVIDER>_TEMPERATURE, ...)');
     console.log('  OPENAI_API_KEY              - OpenAI API key');
+    console.log('  OPENROUTER_API_KEY          - OpenRouter API key');
+    console.log('  AZURE_OPENAI_API_KEY        - Azure OpenAI API key (with AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT)');
+    console.log('  LOCAL_LLM_BASE_URL          - Base URL of a local OpenAI-compatible server (default: http://localhost:8080/v1)');
+    console.log('  LLM_CACHE_BACKEND           - LLM response cache backend: file, supabase or none (default: file)');
+    console.log('  LLM_CACHE_DIR               - Directory for the file cache backend (default: .cache/llm)');
+    console.log('  LLM_CACHE_TTL_HOURS         - Hours before a cached LLM response expires, 0 for never (default: 720)');
+    console.log('  LLM_MAX_REPAIR_ATTEMPTS     - Times invalid LLM output is sent back for repair before falling back (default: 2)');
+    console.log('  LLM_CHUNK_THRESHOLD_CHARS   - Characters of long text above which a tender is normalized in chunks (default: 15000)');
+    console.log('  LLM_CHUNK_TOKENS            - Token budget per chunk for long tenders (default: 3000)');
+    console.log('  LLM_BATCH_MODE              - Batching for all sources: none, pack or batch-api (default: none)');
+    console.log('  LLM_BATCH_SOURCES           - Per-source batching, e.g. wb:pack,ted_eu:batch-api');
+    console.log('  LLM_PACK_SIZE               - Maximum number of tenders packed into one LLM request (default: 5)');
+    console.log('  LLM_PROMPT_VERSION          - Prompt template version for new prompts (default: latest)');
+    console.log('  LLM_PRICE_TABLE             - JSON file with model prices in USD per million tokens, e.g. {"gpt-4o-mini": {"input": 0.15, "output": 0.6}}');
+    console.log('  LLM_RUN_BUDGET_USD          - Switch to fast normalization once a run has spent this much (default: unlimited)');
+    console.log('  LLM_DAILY_BUDGET_USD        - Switch to fast normalization once this much has been spent today (default: unlimited)');
+    console.log('  LLM_CONCURRENCY             - LLM requests running at the same time (default: 5)');
+    console.log('  LLM_TIMEOUT_MAX_EXTENSIONS  - Times a normalization timeout is extended while LLM requests are throttled (default: 5)');
+    console.log('  LLM_FALLBACK_MAX_ATTEMPTS   - Times in a row an unchanged tender is retried after the LLM failed and it fell back (default: 3)');
+    console.log('  LLM_REQUESTS_PER_MINUTE     - Request rate limit of the provider, 0 for none (or <PROVIDER>_REQUESTS_PER_MINUTE, default: 0)');
+    console.log('  LLM_TOKENS_PER_MINUTE       - Token rate limit of the provider, 0 for none (or <PROVIDER>_TOKENS_PER_MINUTE, default: 0)');
+    console.log('  LLM_RATE_LIMIT_RETRIES      - Retries of a request answered with 429, after a back-off (default: 5)');
+    console.log('  PROCESSING_CONCURRENCY      - Tenders normalized at the same time (default: 5)');
+    console.log('  DB_WRITE_CONCURRENCY        - Writes to unified_tenders running at the same time (default: 10)');
+    console.log('  UNIFIED_WRITE_BATCH_SIZE    - Normalized tenders per bulk upsert (default: 200)');
+    console.log('  UNIFIED_WRITE_FLUSH_MS      - Longest wait of a normalized tender before its batch is written (default: 1000)');
+    console.log('  ROUTING_POLICY_PATH         - JSON file with the normalization routing rules (default: config/routing-policy.json)');
+    console.log('  LANGUAGE_MIN_CONFIDENCE     - Confidence a detected language needs to be used for the language column and routing (default: 0.6)');
+    console.log('  LANGUAGE_MIN_LETTERS        - Letters a text needs before its language is detected (default: 10)');
+    console.log('  TRANSLATION_BACKEND         - Translator for non-English fields: llm, mt, glossary or none (default: none)');
+    console.log('  TRANSLATION_MT_URL          - Base URL of a LibreTranslate-compatible translation server for the mt translator (default: http://localhost:5000)');
+    console.log('  TRANSLATION_GLOSSARY_PATH   - JSON file with procurement terms by language (default: config/translation-glossary.json)');
+    console.log('  TRANSLATION_MAX_CHARS       - Fields longer than this are not translated (default: 8000)');
+    console.log('  WORKER_ID                   - Identifier of a queue worker (default: host name and process ID)');
+    console.log('  JOB_CLAIM_SIZE              - Number of jobs a worker claims at a time (default: 10)');
+    console.log('  JOB_MAX_ATTEMPTS            - Attempts before a job is dead-lettered (default: 5)');
+    console.log('  JOB_BACKOFF_BASE_SECONDS    - Delay before the first retry, doubled per attempt (default: 60, at most JOB_BACKOFF_MAX_SECONDS: 3600)');
+    console.log('  JOB_LOCK_TIMEOUT_MINUTES    - Minutes before a running job of an unresponsive worker is claimed again (default: 30)');
+    console.log('  JOB_POLL_INTERVAL_SECONDS   - Seconds a continuous worker waits when no job is ready (default: 30)');
+    console.log('  AMENDMENT_TITLE_SIMILARITY  - Title similarity (0-1) needed to link an amendment to a tender of the same buyer (default: 0.8)');
+    console.log('  PROCESS_TITLE_SIMILARITY    - Title similarity (0-1) needed to add a notice without reference number to a procurement process of the same buyer (default: 0.8)');
+    console.log('  DUPLICATE_CLUSTERING        - Set to false to stop clustering written tenders with their duplicates from other sources');
+    console.log('  DUPLICATE_TITLE_SIMILARITY  - Title similarity (0-1) needed for tenders of different sources to be duplicates (default: 0.85)');
+    console.log('  DUPLICATE_DEADLINE_DAYS     - Largest difference in days between the deadlines of duplicates (default: 3)');
+    console.log('  DUPLICATE_SOURCE_PRIORITY   - Comma-separated sources whose record is preferred as the canonical one');
+    console.log('  FX_MAX_RATE_AGE_DAYS        - Oldest exchange rate (days before a value\'s date) used for conversion (default: 7)');
+    console.log('  FX_RATE_CACHE_MINUTES       - Minutes loaded exchange rates are used before they are read again (default: 60)');
+    console.log('  SOURCE_READ_BATCH_SIZE      - Rows read from a source table per request (default: 1000)');
+    console.log('  CHECKPOINT_BACKEND          - Storage of process-all-unprocessed checkpoints: supabase or apify (default: supabase)');
+    console.log('  CHECKPOINT_KV_STORE         - Apify key-value store for the apify checkpoint backend (default: the store of the run)');
     console.log('  TENDERS_PER_SOURCE          - Number of tenders to process from each source per round (default: 1000)');
     console.log('  PROCESSING_INTERVAL_MINUTES - Minutes to wait between processing rounds (default: 5)');
     
@@ -270,5 +860,21 @@ module.exports = {
     processAllSources,
     processAllSourcesRoundRobin,
     runContinuousProcessingWrapper,
-    processAllUnprocessed
+    processAllUnprocessed,
+    purgeLLMCache,
+    showLLMCacheStats,
+    pollLLMBatches,
+    showLLMBatches,
+    reprocessPromptVersions,
+    explainRouting,
+    enqueueTenders,
+    runQueueWorker,
+    requeueJobs,
+    showQueueStatus,
+    showTenderHistoryDiff,
+    linkAmendments,
+    showProcessTimeline,
+    clusterDuplicateTenders,
+    importFxRates,
+    convertStoredValues
 };
\ No newline at end of file
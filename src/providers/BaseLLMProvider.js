@@ -0,0 +1,307 @@
+/**
+ * BaseLLMProvider.js
+ * Abstract base class for all LLM providers (OpenAI-compatible chat completions)
+ */
+
+const { Actor } = require('apify');
+const fetch = require('node-fetch');
+
+/**
+ * Parse a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null} value - The header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class BaseLLMProvider {
+  /**
+   * Constructor for the base provider
+   * @param {string} name - The provider name used in LLM_PROVIDER
+   * @param {Object} options - Provider options
+   * @param {string} options.envPrefix - Prefix for provider-specific environment variables (e.g. OPENAI)
+   * @param {string[]} options.apiKeyEnvVars - Environment variables that may hold the API key
+   * @param {Object} options.defaults - Default settings (model, temperature, maxTokens, timeoutMs, baseUrl,
+   *   requestsPerMinute, tokensPerMinute)
+   */
+  constructor(name, { envPrefix, apiKeyEnvVars = [], defaults = {} } = {}) {
+    this.name = name;
+    this.envPrefix = envPrefix || name.toUpperCase();
+    this.apiKeyEnvVars = apiKeyEnvVars;
+    this.settings = this.resolveSettings(defaults);
+  }
+
+  /**
+   * Resolve settings from provider-specific env vars, then generic LLM_* env vars, then defaults
+   * @param {Object} defaults - Default settings for this provider
+   * @returns {Object} Resolved settings
+   */
+  resolveSettings(defaults) {
+    const read = (key) => process.env[`${this.envPrefix}_${key}`] || process.env[`LLM_${key}`];
+    const readNumber = (key, fallback) => {
+      const value = read(key);
+      const parsed = value !== undefined ? Number(value) : NaN;
+      return Number.isFinite(parsed) ? parsed : fallback;
+    };
+
+    return {
+      model: read('MODEL') || defaults.model,
+      temperature: readNumber('TEMPERATURE', defaults.temperature ?? 0.2),
+      maxTokens: readNumber('MAX_TOKENS', defaults.maxTokens ?? 8192),
+      timeoutMs: readNumber('TIMEOUT_MS', defaults.timeoutMs ?? 240000),
+      requestsPerMinute: readNumber('REQUESTS_PER_MINUTE', defaults.requestsPerMinute ?? 0),
+      tokensPerMinute: readNumber('TOKENS_PER_MINUTE', defaults.tokensPerMinute ?? 0),
+      baseUrl: process.env[`${this.envPrefix}_BASE_URL`] || defaults.baseUrl,
+      jsonMode: (process.env[`${this.envPrefix}_JSON_MODE`] || String(defaults.jsonMode ?? true)) !== 'false'
+    };
+  }
+
+  /**
+   * Whether this provider needs an API key to be called
+   * @returns {boolean} True if an API key is required
+   */
+  requiresApiKey() {
+    return true;
+  }
+
+  /**
+   * Look up the API key, first in the Apify environment and then in environment variables
+   * @returns {Promise<string|null>} The API key or null if none is configured
+   */
+  async getApiKey() {
+    try {
+      const apifyEnv = await Actor.getEnv();
+      for (const envVar of this.apiKeyEnvVars) {
+        if (apifyEnv && apifyEnv[envVar]) {
+          return apifyEnv[envVar];
+        }
+      }
+    } catch (error) {
+      console.error(`Error retrieving ${this.name} API key from Apify environment:`, error);
+    }
+
+    for (const envVar of this.apiKeyEnvVars) {
+      if (process.env[envVar]) {
+        return process.env[envVar];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the chat completions endpoint URL
+   * @returns {string} The endpoint URL
+   */
+  getEndpoint() {
+    return `${this.settings.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  }
+
+  /**
+   * Build the HTTP headers for a request
+   * @param {string|null} apiKey - The API key
+   * @returns {Object} Request headers
+   */
+  buildHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Build the request body for a prompt
+   * @param {string} prompt - The prompt to send
+   * @param {Object} overrides - Per-call setting overrides
+   * @returns {Object} Request body
+   */
+  buildBody(prompt, overrides = {}) {
+    const settings = { ...this.settings, ...overrides };
+    const body = {
+      model: settings.model,
+      messages: [
+        { role: 'user', content: prompt }
+      ],
+      temperature: settings.temperature,
+      max_tokens: settings.maxTokens
+    };
+
+    if (settings.jsonMode) {
+      body.response_format = { type: "json_object" }; // Explicitly request JSON format
+    }
+
+    return body;
+  }
+
+  /**
+   * Send a prompt to the provider
+   * @param {string} prompt - The prompt to send
+   * @param {Object} overrides - Per-call setting overrides (model, temperature, maxTokens, timeoutMs)
+   * @returns {Promise<Object>} The response in OpenAI chat completion format
+   */
+  async complete(prompt, overrides = {}) {
+    const apiKey = await this.getApiKey();
+    if (!apiKey && this.requiresApiKey()) {
+      throw new Error(`No API key found for LLM provider ${this.name}. Please set one of: ${this.apiKeyEnvVars.join(', ')}.`);
+    }
+
+    const timeoutMs = overrides.timeoutMs || this.settings.timeoutMs;
+
+    // Set a timeout for the fetch request
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(this.getEndpoint(), {
+        method: 'POST',
+        headers: this.buildHeaders(apiKey),
+        body: JSON.stringify(this.buildBody(prompt, overrides)),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Error calling ${this.name} API: ${response.status} ${response.statusText} - ${errorText}`);
+        error.status = response.status;
+        error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        throw error;
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`LLM request to ${this.name} timed out after ${timeoutMs / 1000} seconds`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Whether this provider supports the asynchronous Batch API (OpenAI files and batches endpoints)
+   * @returns {boolean} True if batch jobs can be submitted
+   */
+  supportsBatchApi() {
+    return false;
+  }
+
+  /**
+   * Call another endpoint of the provider API
+   * @param {string} path - Path relative to the base URL (e.g. /batches)
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method (default: GET)
+   * @param {string|Object} options.body - Request body, objects are sent as JSON
+   * @param {Object} options.headers - Headers replacing the default JSON content type
+   * @param {boolean} options.asText - Return the response body as text instead of JSON
+   * @returns {Promise<Object|string>} The response body
+   */
+  async apiRequest(path, { method = 'GET', body, headers, asText = false } = {}) {
+    const apiKey = await this.getApiKey();
+    if (!apiKey && this.requiresApiKey()) {
+      throw new Error(`No API key found for LLM provider ${this.name}. Please set one of: ${this.apiKeyEnvVars.join(', ')}.`);
+    }
+
+    const response = await fetch(`${this.settings.baseUrl.replace(/\/+$/, '')}${path}`, {
+      method,
+      headers: { ...this.buildHeaders(apiKey), ...headers },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Error calling ${this.name} API ${method} ${path}: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    return asText ? response.text() : response.json();
+  }
+
+  /**
+   * Build one line of a Batch API input file
+   * @param {string} customId - Identifier returned with the result
+   * @param {string} prompt - The prompt to send
+   * @param {Object} overrides - Per-call setting overrides
+   * @returns {Object} The batch request line
+   */
+  buildBatchRequest(customId, prompt, overrides = {}) {
+    return {
+      custom_id: customId,
+      method: 'POST',
+      url: '/v1/chat/completions',
+      body: this.buildBody(prompt, overrides)
+    };
+  }
+
+  /**
+   * Upload a JSONL Batch API input file
+   * @param {string} content - The JSONL content
+   * @param {string} filename - File name shown in the provider dashboard
+   * @returns {Promise<Object>} The uploaded file object
+   */
+  async uploadBatchFile(content, filename = 'batch.jsonl') {
+    const boundary = `----tender-batch-${Date.now().toString(16)}`;
+    const body = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="purpose"',
+      '',
+      'batch',
+      `--${boundary}`,
+      `Content-Disposition: form-data; name="file"; filename="${filename}"`,
+      'Content-Type: application/jsonl',
+      '',
+      content,
+      `--${boundary}--`,
+      ''
+    ].join('\r\n');
+
+    return this.apiRequest('/files', {
+      method: 'POST',
+      body,
+      headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }
+    });
+  }
+
+  /**
+   * Create a batch job from an uploaded input file
+   * @param {string} inputFileId - The uploaded file ID
+   * @param {Object} metadata - Metadata stored with the batch
+   * @returns {Promise<Object>} The batch object
+   */
+  async createBatch(inputFileId, metadata = {}) {
+    return this.apiRequest('/batches', {
+      method: 'POST',
+      body: {
+        input_file_id: inputFileId,
+        endpoint: '/v1/chat/completions',
+        completion_window: '24h',
+        metadata
+      }
+    });
+  }
+
+  /**
+   * Get the current state of a batch job
+   * @param {string} batchId - The batch ID
+   * @returns {Promise<Object>} The batch object
+   */
+  async getBatch(batchId) {
+    return this.apiRequest(`/batches/${batchId}`);
+  }
+
+  /**
+   * Download the content of a file (e.g. a batch output file)
+   * @param {string} fileId - The file ID
+   * @returns {Promise<string>} The file content
+   */
+  async getFileContent(fileId) {
+    return this.apiRequest(`/files/${fileId}/content`, { asText: true });
+  }
+}
+
+module.exports = BaseLLMProvider;
@@ -0,0 +1,54 @@
+/**
+ * AzureOpenAIProvider.js
+ * Provider for Azure OpenAI deployments
+ */
+
+const BaseLLMProvider = require('../BaseLLMProvider');
+
+class AzureOpenAIProvider extends BaseLLMProvider {
+  constructor() {
+    super('azure', {
+      envPrefix: 'AZURE_OPENAI',
+      apiKeyEnvVars: ['AZURE_OPENAI_API_KEY'],
+      defaults: {
+        model: 'gpt-4o-mini',
+        baseUrl: process.env.AZURE_OPENAI_ENDPOINT
+      }
+    });
+
+    // Azure routes by deployment name rather than by model
+    this.deployment = process.env.AZURE_OPENAI_DEPLOYMENT || this.settings.model;
+    this.apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+  }
+
+  /**
+   * Build the deployment-specific endpoint URL
+   */
+  getEndpoint() {
+    if (!this.settings.baseUrl) {
+      throw new Error('AZURE_OPENAI_ENDPOINT must be set to use the azure LLM provider');
+    }
+    const baseUrl = this.settings.baseUrl.replace(/\/+$/, '');
+    return `${baseUrl}/openai/deployments/${encodeURIComponent(this.deployment)}/chat/completions?api-version=${this.apiVersion}`;
+  }
+
+  /**
+   * Azure expects the key in the api-key header
+   */
+  buildHeaders(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      'api-key': apiKey
+    };
+  }
+
+  /**
+   * The deployment determines the model, so it is left out of the body
+   */
+  buildBody(prompt, overrides = {}) {
+    const { model, ...body } = super.buildBody(prompt, overrides);
+    return body;
+  }
+}
+
+module.exports = AzureOpenAIProvider;
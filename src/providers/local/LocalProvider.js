@@ -0,0 +1,29 @@
+/**
+ * LocalProvider.js
+ * Provider for local OpenAI-compatible servers such as llama.cpp or Ollama
+ */
+
+const BaseLLMProvider = require('../BaseLLMProvider');
+
+class LocalProvider extends BaseLLMProvider {
+  constructor() {
+    super('local', {
+      envPrefix: 'LOCAL_LLM',
+      apiKeyEnvVars: ['LOCAL_LLM_API_KEY'],
+      defaults: {
+        model: 'llama3.1',
+        baseUrl: 'http://localhost:8080/v1',
+        timeoutMs: 600000
+      }
+    });
+  }
+
+  /**
+   * Local servers usually run without authentication
+   */
+  requiresApiKey() {
+    return false;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,25 @@
+/**
+ * OpenAIProvider.js
+ * Provider for the OpenAI chat completions API
+ */
+
+const BaseLLMProvider = require('../BaseLLMProvider');
+
+class OpenAIProvider extends BaseLLMProvider {
+  constructor() {
+    super('openai', {
+      envPrefix: 'OPENAI',
+      apiKeyEnvVars: ['OPENAI_KEY', 'OPENAI_API_KEY'],
+      defaults: {
+        model: 'gpt-4o-mini',
+        baseUrl: 'https://api.openai.com/v1'
+      }
+    });
+  }
+
+  supportsBatchApi() {
+    return true;
+  }
+}
+
+module.exports = OpenAIProvider;
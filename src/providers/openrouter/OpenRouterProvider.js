@@ -0,0 +1,33 @@
+/**
+ * OpenRouterProvider.js
+ * Provider for the OpenRouter API (OpenAI-compatible)
+ */
+
+const BaseLLMProvider = require('../BaseLLMProvider');
+
+class OpenRouterProvider extends BaseLLMProvider {
+  constructor() {
+    super('openrouter', {
+      envPrefix: 'OPENROUTER',
+      apiKeyEnvVars: ['OPENROUTER_API_KEY'],
+      defaults: {
+        model: 'openai/gpt-4o-mini',
+        baseUrl: 'https://openrouter.ai/api/v1'
+      }
+    });
+  }
+
+  /**
+   * Add the optional OpenRouter attribution headers
+   */
+  buildHeaders(apiKey) {
+    const headers = super.buildHeaders(apiKey);
+    if (process.env.OPENROUTER_REFERER) {
+      headers['HTTP-Referer'] = process.env.OPENROUTER_REFERER;
+    }
+    headers['X-Title'] = process.env.OPENROUTER_TITLE || 'Tender Processing System';
+    return headers;
+  }
+}
+
+module.exports = OpenRouterProvider;
@@ -0,0 +1,156 @@
+/**
+ * StubProvider.js
+ * Deterministic offline provider for tests and CI - never touches the network
+ */
+
+const fs = require('fs');
+const BaseLLMProvider = require('../BaseLLMProvider');
+
+// Raw tender columns the stub copies into the unified fields
+const FIELD_CANDIDATES = {
+  title: ['title', 'opportunity_title', 'notice_title', 'tender_title', 'procurement_title', 'name'],
+  description: ['description', 'notice_details', 'tender_description', 'procurement_description', 'short_description'],
+  country: ['country', 'country_name', 'borrower_country', 'delivery_country', 'location'],
+  organization_name: ['organization_name', 'organization', 'agency', 'borrower', 'contracting_authority'],
+  publication_date: ['publication_date', 'published_date', 'publish_date'],
+  deadline_date: ['deadline_date', 'closing_date', 'response_date', 'submission_deadline'],
+  reference_number: ['reference_number', 'solicitation_number', 'notice_no', 'reference'],
+  status: ['status', 'opportunity_status'],
+  sector: ['sector', 'category'],
+  url: ['url']
+};
+
+// Raw status values mapped to the statuses allowed by the unified tender schema
+const STATUS_MAP = {
+  active: 'Open',
+  open: 'Open',
+  closed: 'Closed',
+  inactive: 'Closed',
+  archived: 'Closed',
+  awarded: 'Awarded',
+  cancelled: 'Canceled',
+  canceled: 'Canceled'
+};
+
+const DATE_FIELDS = ['publication_date', 'deadline_date'];
+
+class StubProvider extends BaseLLMProvider {
+  constructor() {
+    super('stub', {
+      envPrefix: 'STUB_LLM',
+      defaults: {
+        model: 'stub'
+      }
+    });
+  }
+
+  requiresApiKey() {
+    return false;
+  }
+
+  /**
+   * Return a canned response, or one derived from the raw tender data in the prompt
+   * @param {string} prompt - The prompt to answer
+   * @returns {Promise<Object>} The response in OpenAI chat completion format
+   */
+  async complete(prompt) {
+    const content = process.env.STUB_LLM_RESPONSE_FILE
+      ? fs.readFileSync(process.env.STUB_LLM_RESPONSE_FILE, 'utf8')
+      : JSON.stringify(this.buildResponseObject(prompt));
+
+    return {
+      id: 'stub-completion',
+      object: 'chat.completion',
+      model: this.settings.model,
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content },
+          finish_reason: 'stop'
+        }
+      ],
+      usage: {
+        prompt_tokens: Math.ceil(prompt.length / 4),
+        completion_tokens: Math.ceil(content.length / 4),
+        total_tokens: Math.ceil(prompt.length / 4) + Math.ceil(content.length / 4)
+      }
+    };
+  }
+
+  /**
+   * Build the response object for the raw data embedded in the prompt
+   * Packed prompts carry an array of tenders and get one entry per tender_key.
+   * @param {string} prompt - The prompt containing "Raw tender data:"
+   * @returns {Object} The normalized tender fields, or { tenders: [...] } for packed prompts
+   */
+  buildResponseObject(prompt) {
+    const raw = this.extractRawTender(prompt);
+    if (Array.isArray(raw)) {
+      return { tenders: raw.map(item => ({ tender_key: item.tender_key, ...this.buildTenderFields(item) })) };
+    }
+    return this.buildTenderFields(raw);
+  }
+
+  /**
+   * Build normalized tender fields from a raw tender
+   * @param {Object} raw - The raw tender
+   * @returns {Object} The normalized tender fields
+   */
+  buildTenderFields(raw) {
+    const result = {};
+
+    Object.entries(FIELD_CANDIDATES).forEach(([field, candidates]) => {
+      const column = candidates.find(candidate => raw[candidate] !== undefined && raw[candidate] !== null && raw[candidate] !== '');
+      result[field] = column ? this.toSchemaValue(field, raw[column]) : null;
+    });
+
+    result.title_english = result.title;
+    result.description_english = result.description;
+    result.language = 'en';
+    result.document_links = [];
+
+    return result;
+  }
+
+  /**
+   * Convert a raw column value into a value accepted by the unified tender schema
+   * @param {string} field - The unified field name
+   * @param {*} value - The raw value
+   * @returns {string|null} The converted value, or null if it cannot be represented
+   */
+  toSchemaValue(field, value) {
+    const text = typeof value === 'object' ? null : String(value).trim();
+    if (!text) return null;
+
+    if (DATE_FIELDS.includes(field)) {
+      const date = new Date(text);
+      return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+    }
+    if (field === 'status') {
+      return STATUS_MAP[text.toLowerCase()] || null;
+    }
+    if (field === 'url') {
+      return /^https?:\/\/\S+$/i.test(text) ? text : null;
+    }
+    return text;
+  }
+
+  /**
+   * Extract the raw tender JSON that generatePrompt appends to the prompt
+   * @param {string} prompt - The prompt
+   * @returns {Object} The raw tender, or an empty object if none could be parsed
+   */
+  extractRawTender(prompt) {
+    const marker = 'Raw tender data:';
+    const index = prompt.lastIndexOf(marker);
+    if (index === -1) return {};
+
+    try {
+      return JSON.parse(prompt.slice(index + marker.length).trim());
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,425 @@
+/**
+ * amendmentLinker.js
+ * Detection of amendments and corrigenda, and linking them to the tenders they amend
+ *
+ * Amendments are recognized by their raw title ("Amendment 1 to ...", "Corrigendum", "Revised notice ...")
+ * or notice type (Corrigendum, Modification Notice) before title enhancement strips those prefixes.
+ * An amendment is linked to its parent tender of the same source by reference (or solicitation)
+ * number, or else by a close title match among the tenders of the same buyer. The parent record
+ * carries the amendment chain, the number of amendments and the effective deadline - the deadline
+ * set by its most recent amendment that has one.
+ */
+
+const { recordSnapshots } = require('./tenderHistory');
+
+// Configuration options
+const CONFIG = {
+    // Lowest title similarity (0-1) for linking an amendment to a tender of the same buyer
+    titleSimilarity: parseFloat(process.env.AMENDMENT_TITLE_SIMILARITY || '0.8'),
+    // Tenders of the same buyer compared by title
+    titleCandidates: 200
+};
+
+// Title patterns of amendment notices, checked in order
+const AMENDMENT_TITLE_PATTERNS = [
+    { pattern: /^\s*amendment\b\s*(?:no\.?\s*|#\s*)?(\d+)?/i, type: 'amendment' },
+    { pattern: /^\s*(?:corrigendum|erratum)\b\s*(?:no\.?\s*|#\s*)?(\d+)?/i, type: 'corrigendum' },
+    { pattern: /^\s*correction\s+to\b/i, type: 'corrigendum' },
+    { pattern: /^\s*addendum\b\s*(?:no\.?\s*|#\s*)?(\d+)?/i, type: 'addendum' },
+    // "Modification of ..." is often the subject of a new tender, so only numbered modifications count
+    { pattern: /^\s*modification\s*(?:no\.?\s*|#\s*)?(\d+)\b/i, type: 'modification' },
+    { pattern: /^\s*modification\s+to\b/i, type: 'modification' },
+    // "Modified ..." and "Revised ..." also start the titles of new tenders, so they need a number (not a year) or a notice
+    { pattern: /^\s*modified\s*(?:no\.?\s*|#\s*)?(\d{1,3})\b/i, type: 'modification' },
+    { pattern: /^\s*modified\s+(?:(?:to|of)\s+(?:the\s+)?)?(?:(?:tender|procurement|bid|bidding|solicitation)\s+)?(?:notice|invitation|solicitation)\b/i, type: 'modification' },
+    { pattern: /^\s*revised\s*(?:no\.?\s*|#\s*)?(\d{1,3})\b/i, type: 'revision' },
+    { pattern: /^\s*revised\s+(?:(?:to|of)\s+(?:the\s+)?)?(?:(?:tender|procurement|bid|bidding|solicitation)\s+)?(?:notice|invitation|solicitation)\b/i, type: 'revision' },
+    // Trailing markers need a number, or a separator before them ("Supply of IT equipment - Corrigendum")
+    { pattern: /\b(amendment|corrigendum|addendum)\s*(?:no\.?\s*|#\s*)?(\d+)\s*\)?\s*$/i, type: null },
+    { pattern: /[-–:(|]\s*(amendment|corrigendum|addendum)\s*\)?\s*$/i, type: null }
+];
+
+// Notice types of amendment notices
+const AMENDMENT_NOTICE_TYPES = {
+    'corrigendum': 'corrigendum',
+    'modification notice': 'modification'
+};
+
+// Words ignored when titles are compared
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'or', 'for', 'of', 'to', 'in', 'on', 'at', 'by', 'with']);
+
+/**
+ * Detect whether a notice amends another one
+ * @param {string} title - The raw title of the notice
+ * @param {string} tenderType - The notice or tender type
+ * @returns {Object} { is_amendment, amendment_type, amendment_number } for amendments, otherwise an empty object
+ */
+function detectAmendment(title, tenderType) {
+    if (typeof title === 'string') {
+        for (const { pattern, type } of AMENDMENT_TITLE_PATTERNS) {
+            const match = title.match(pattern);
+            if (match) {
+                // The trailing pattern captures the kind of amendment as well as its number
+                const amendmentType = type || match[1].toLowerCase();
+                const number = type ? match[1] : match[2];
+                return {
+                    is_amendment: true,
+                    amendment_type: amendmentType,
+                    amendment_number: number ? parseInt(number, 10) : null
+                };
+            }
+        }
+    }
+
+    const noticeType = typeof tenderType === 'string' ? AMENDMENT_NOTICE_TYPES[tenderType.toLowerCase()] : null;
+    if (noticeType) {
+        return { is_amendment: true, amendment_type: noticeType, amendment_number: null };
+    }
+    return {};
+}
+
+/**
+ * Remove the amendment marker from a title, leaving the title of the amended notice
+ * @param {string} title - The title of an amendment
+ * @returns {string} The title without "Amendment 1 to", "Corrigendum:" and the like
+ */
+function stripAmendmentMarker(title) {
+    let stripped = String(title || '');
+    for (const { pattern } of AMENDMENT_TITLE_PATTERNS) {
+        stripped = stripped.replace(pattern, '');
+    }
+    return stripped.replace(/^[\s:.,;–-]*(?:to\s+)?/i, '').replace(/[\s(:.,;–-]+$/, '');
+}
+
+/**
+ * Split a title into comparable words
+ * @param {string} title - The title
+ * @returns {Set<string>} Lowercase words without stop words
+ */
+function titleWords(title) {
+    return new Set(String(title || '')
+        .toLowerCase()
+        .split(/[^a-z0-9À-ɏ]+/)
+        .filter(word => word && !STOP_WORDS.has(word)));
+}
+
+/**
+ * Similarity of two titles (Dice coefficient of their words)
+ * @param {string} a - A title
+ * @param {string} b - Another title
+ * @returns {number} Similarity between 0 and 1
+ */
+function titleSimilarity(a, b) {
+    const wordsA = titleWords(a);
+    const wordsB = titleWords(b);
+    if (wordsA.size === 0 || wordsB.size === 0) {
+        return 0;
+    }
+    let shared = 0;
+    wordsA.forEach(word => {
+        if (wordsB.has(word)) shared++;
+    });
+    return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Get the buyer column and value a tender is matched by
+ * @param {Object} tender - The unified tender
+ * @returns {Object|null} { field, value } or null if the buyer is unknown
+ */
+function getBuyerKey(tender) {
+    const field = ['organization_id', 'organization_name', 'buyer'].find(name => tender[name]);
+    return field ? { field, value: tender[field] } : null;
+}
+
+/**
+ * Whether a tender can be the parent of an amendment
+ * @param {Object} amendment - The amendment
+ * @param {Object} candidate - The candidate parent
+ * @returns {boolean} True if the candidate is an earlier, non-amendment notice of the same source
+ */
+function isParentCandidate(amendment, candidate) {
+    if (candidate.source_table !== amendment.source_table || String(candidate.source_id) === String(amendment.source_id)) {
+        return false;
+    }
+    if (candidate.is_amendment) {
+        return false;
+    }
+    return !(candidate.publication_date && amendment.publication_date && candidate.publication_date > amendment.publication_date);
+}
+
+/**
+ * Order candidate parents by publication date, oldest first
+ * @param {Object} a - A candidate
+ * @param {Object} b - Another candidate
+ * @returns {number} Sort order
+ */
+function byPublicationDate(a, b) {
+    return String(a.publication_date || '').localeCompare(String(b.publication_date || '')) ||
+        String(a.source_id).localeCompare(String(b.source_id));
+}
+
+/**
+ * Find the tender an amendment amends
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} amendment - The amendment (source_table, source_id, reference_number, title, buyer fields)
+ * @param {Object[]} [batchTenders=[]] - Tenders written together with the amendment, not in the database yet
+ * @returns {Promise<Object|null>} { parent, method } with method 'reference_number' or 'title_match', or null
+ */
+async function findParent(supabaseAdmin, amendment, batchTenders = []) {
+    const columns = 'source_table, source_id, title, title_english, reference_number, publication_date, deadline_date, is_amendment, organization_id, organization_name, buyer';
+
+    if (amendment.reference_number) {
+        const { data, error } = await supabaseAdmin
+            .from('unified_tenders')
+            .select(columns)
+            .eq('source_table', amendment.source_table)
+            .eq('reference_number', amendment.reference_number)
+            .or('is_amendment.is.null,is_amendment.eq.false')
+            .limit(CONFIG.titleCandidates);
+        if (error) {
+            throw new Error(`Error looking up tenders by reference number: ${error.message}`);
+        }
+
+        const matches = [...(data || []), ...batchTenders.filter(tender => tender.reference_number === amendment.reference_number)]
+            .filter(candidate => isParentCandidate(amendment, candidate))
+            .sort(byPublicationDate);
+        if (matches.length > 0) {
+            return { parent: matches[0], method: 'reference_number' };
+        }
+    }
+
+    const buyer = getBuyerKey(amendment);
+    if (!buyer) {
+        return null;
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('unified_tenders')
+        .select(columns)
+        .eq('source_table', amendment.source_table)
+        .eq(buyer.field, buyer.value)
+        .or('is_amendment.is.null,is_amendment.eq.false')
+        .order('publication_date', { ascending: false })
+        .limit(CONFIG.titleCandidates);
+    if (error) {
+        throw new Error(`Error looking up tenders of the same buyer: ${error.message}`);
+    }
+
+    const amendmentTitle = stripAmendmentMarker(amendment.title_english || amendment.title);
+    let best = null;
+    [...(data || []), ...batchTenders.filter(tender => tender[buyer.field] === buyer.value)]
+        .filter(candidate => isParentCandidate(amendment, candidate))
+        .forEach(candidate => {
+            const similarity = titleSimilarity(amendmentTitle, candidate.title_english || candidate.title);
+            if (similarity >= CONFIG.titleSimilarity &&
+                (!best || similarity > best.similarity || (similarity === best.similarity && byPublicationDate(candidate, best.parent) < 0))) {
+                best = { parent: candidate, similarity };
+            }
+        });
+    return best ? { parent: best.parent, method: 'title_match' } : null;
+}
+
+/**
+ * Link the amendments among tenders about to be written to their parent tenders
+ * Sets parent_source_id and parent_link_method on each amendment whose parent is found.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - Normalized tenders about to be written
+ * @returns {Promise<number>} Number of linked amendments
+ */
+async function resolveParents(supabaseAdmin, tenders) {
+    let linked = 0;
+    for (const tender of tenders.filter(t => t.is_amendment)) {
+        try {
+            const match = await findParent(supabaseAdmin, tender, tenders);
+            if (match) {
+                tender.parent_source_id = String(match.parent.source_id);
+                tender.parent_link_method = match.method;
+                linked++;
+            }
+        } catch (error) {
+            console.warn(`Could not link amendment ${tender.source_id} from ${tender.source_table}: ${error.message}`);
+        }
+    }
+    return linked;
+}
+
+/**
+ * Build the amendment chain of a parent tender
+ * @param {Object} parent - The parent tender (deadline_date)
+ * @param {Object[]} amendments - Its amendments
+ * @returns {Object} amendments, amendment_count and effective_deadline_date columns of the parent
+ */
+function buildChain(parent, amendments) {
+    const chain = amendments
+        .map(amendment => ({
+            source_id: String(amendment.source_id),
+            amendment_type: amendment.amendment_type || null,
+            amendment_number: amendment.amendment_number ?? null,
+            title: amendment.title || null,
+            publication_date: amendment.publication_date || null,
+            deadline_date: amendment.deadline_date || null,
+            link_method: amendment.parent_link_method || null
+        }))
+        .sort((a, b) => byPublicationDate(a, b) || (a.amendment_number ?? 0) - (b.amendment_number ?? 0));
+
+    // The most recent amendment that sets a deadline decides the effective deadline
+    let effectiveDeadline = parent.deadline_date || null;
+    chain.forEach(entry => {
+        if (entry.deadline_date) {
+            effectiveDeadline = entry.deadline_date;
+        }
+    });
+
+    return {
+        amendments: chain,
+        amendment_count: chain.length,
+        effective_deadline_date: effectiveDeadline
+    };
+}
+
+/**
+ * Update the amendment chains of parent tenders
+ * Refreshes the parents of written amendments, and written tenders that already have amendments.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - Normalized tenders that were written
+ * @returns {Promise<number>} Number of updated parent tenders
+ */
+async function refreshAmendmentChains(supabaseAdmin, tenders) {
+    // Parent source IDs to refresh by source table
+    const parentIds = {};
+    tenders.forEach(tender => {
+        const parentId = tender.is_amendment ? tender.parent_source_id : tender.source_id;
+        if (parentId !== undefined && parentId !== null) {
+            (parentIds[tender.source_table] = parentIds[tender.source_table] || new Set()).add(String(parentId));
+        }
+    });
+
+    let updated = 0;
+    for (const [sourceTable, ids] of Object.entries(parentIds)) {
+        const { data: amendments, error } = await supabaseAdmin
+            .from('unified_tenders')
+            .select('source_id, parent_source_id, parent_link_method, amendment_type, amendment_number, title, publication_date, deadline_date')
+            .eq('source_table', sourceTable)
+            .in('parent_source_id', [...ids]);
+        if (error) {
+            throw new Error(`Error reading amendments of ${sourceTable} tenders: ${error.message}`);
+        }
+
+        const amendmentsByParent = new Map();
+        (amendments || []).forEach(amendment => {
+            const key = String(amendment.parent_source_id);
+            amendmentsByParent.set(key, [...(amendmentsByParent.get(key) || []), amendment]);
+        });
+        if (amendmentsByParent.size === 0) {
+            continue;
+        }
+
+        const { data: parents, error: parentError } = await supabaseAdmin
+            .from('unified_tenders')
+            .select('source_id, deadline_date')
+            .eq('source_table', sourceTable)
+            .in('source_id', [...amendmentsByParent.keys()]);
+        if (parentError) {
+            throw new Error(`Error reading parent ${sourceTable} tenders: ${parentError.message}`);
+        }
+
+        for (const parent of parents || []) {
+            const { data: written, error: updateError } = await supabaseAdmin
+                .from('unified_tenders')
+                .update(buildChain(parent, amendmentsByParent.get(String(parent.source_id))))
+                .eq('source_table', sourceTable)
+                .eq('source_id', parent.source_id)
+                .select();
+            if (updateError) {
+                console.warn(`Failed to update the amendment chain of ${sourceTable} tender ${parent.source_id}: ${updateError.message}`);
+                continue;
+            }
+            await recordSnapshots(supabaseAdmin, written || []);
+            updated++;
+        }
+    }
+    return updated;
+}
+
+/**
+ * Link stored amendments that have no parent yet, for example because they were written before it
+ * Amendments that still have no parent are stamped with parent_link_checked_at, and the least
+ * recently checked ones are looked at first, so amendments whose parent never arrives do not
+ * keep the others from being checked.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} [options] - Options
+ * @param {string} [options.sourceTable] - Only link amendments of this source
+ * @param {number} [options.limit=1000] - Maximum number of amendments to look at
+ * @returns {Promise<Object>} { checked, linked, parentsUpdated }
+ */
+async function linkUnlinkedAmendments(supabaseAdmin, { sourceTable = null, limit = 1000 } = {}) {
+    let query = supabaseAdmin
+        .from('unified_tenders')
+        .select('source_table, source_id, title, title_english, reference_number, publication_date, deadline_date, is_amendment, amendment_type, amendment_number, organization_id, organization_name, buyer')
+        .eq('is_amendment', true)
+        .is('parent_source_id', null)
+        .order('parent_link_checked_at', { ascending: true, nullsFirst: true })
+        .order('source_table', { ascending: true })
+        .order('source_id', { ascending: true })
+        .limit(limit);
+    if (sourceTable) {
+        query = query.eq('source_table', sourceTable);
+    }
+
+    const { data: amendments, error } = await query;
+    if (error) {
+        throw new Error(`Error reading unlinked amendments: ${error.message}`);
+    }
+
+    const linked = [];
+    const unlinkedIds = {};
+    for (const amendment of amendments || []) {
+        try {
+            const match = await findParent(supabaseAdmin, amendment);
+            if (!match) {
+                (unlinkedIds[amendment.source_table] = unlinkedIds[amendment.source_table] || []).push(String(amendment.source_id));
+                continue;
+            }
+
+            const { data: written, error: updateError } = await supabaseAdmin
+                .from('unified_tenders')
+                .update({ parent_source_id: String(match.parent.source_id), parent_link_method: match.method })
+                .eq('source_table', amendment.source_table)
+                .eq('source_id', amendment.source_id)
+                .select();
+            if (updateError) {
+                throw new Error(updateError.message);
+            }
+            await recordSnapshots(supabaseAdmin, written || []);
+            linked.push({ ...amendment, parent_source_id: String(match.parent.source_id) });
+        } catch (error) {
+            console.warn(`Could not link amendment ${amendment.source_id} from ${amendment.source_table}: ${error.message}`);
+        }
+    }
+
+    // Amendments without a parent go to the back of the line for the next run
+    const checkedAt = new Date().toISOString();
+    for (const [table, ids] of Object.entries(unlinkedIds)) {
+        const { error: stampError } = await supabaseAdmin
+            .from('unified_tenders')
+            .update({ parent_link_checked_at: checkedAt })
+            .eq('source_table', table)
+            .in('source_id', ids);
+        if (stampError) {
+            console.warn(`Failed to record the link check of ${ids.length} ${table} amendments: ${stampError.message}`);
+        }
+    }
+
+    const parentsUpdated = await refreshAmendmentChains(supabaseAdmin, linked);
+    return { checked: (amendments || []).length, linked: linked.length, parentsUpdated };
+}
+
+module.exports = {
+    detectAmendment,
+    titleSimilarity,
+    getBuyerKey,
+    resolveParents,
+    refreshAmendmentChains,
+    linkUnlinkedAmendments
+};
@@ -0,0 +1,247 @@
+/**
+ * batchNormalizer.js
+ * Batched LLM normalization
+ *
+ * Two batching modes can be selected per source:
+ * - pack: several small tenders are packed into one chat request and the response
+ *   carries one result per tender, keyed by tender_key
+ * - batch-api: tenders are submitted through the asynchronous OpenAI Batch API
+ *   (see llmBatchApi.js) and ingested once the batch has completed
+ */
+
+const { validateUnifiedTender } = require('./tenderSchema');
+const { usageFromResponse, mergeUsage, splitUsage } = require('./llmUsageTracker');
+
+const BATCH_MODES = ['none', 'pack', 'batch-api'];
+
+/**
+ * Parse per-source batch modes, e.g. "wb:pack,ted_eu:batch-api"
+ * @param {string} value - The environment variable value
+ * @returns {Object} Map of source name to batch mode
+ */
+function parseSourceModes(value) {
+    const modes = {};
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [source, mode] = entry.split(':').map(part => part.trim());
+        if (!BATCH_MODES.includes(mode)) {
+            console.warn(`Ignoring unknown batch mode "${mode}" for source ${source}`);
+            return;
+        }
+        modes[source] = mode;
+    });
+    return modes;
+}
+
+// Configuration options
+const CONFIG = {
+    // Batch mode for sources without an explicit mode
+    defaultMode: BATCH_MODES.includes(process.env.LLM_BATCH_MODE) ? process.env.LLM_BATCH_MODE : 'none',
+    // Per-source batch modes
+    sourceModes: parseSourceModes(process.env.LLM_BATCH_SOURCES),
+    // Maximum number of tenders packed into one request
+    packSize: parseInt(process.env.LLM_PACK_SIZE || '5', 10),
+    // How long to wait for more tenders before sending an incomplete pack
+    packWindowMs: parseInt(process.env.LLM_PACK_WINDOW_MS || '200', 10),
+    // Tenders with more text than this (in characters) are always sent on their own
+    maxPackedTenderChars: parseInt(process.env.LLM_PACK_MAX_TENDER_CHARS || '4000', 10)
+};
+
+// Statistics for the current process
+const batchStats = {
+    packedRequests: 0,
+    packedTenders: 0,
+    packFallbacks: 0
+};
+
+/**
+ * Get the batch mode configured for a source
+ * @param {string} sourceTable - The source table name
+ * @returns {string} 'none', 'pack' or 'batch-api'
+ */
+function getBatchMode(sourceTable) {
+    return CONFIG.sourceModes[sourceTable] || CONFIG.defaultMode;
+}
+
+/**
+ * Check whether a tender is small enough to share a request with other tenders
+ * @param {Object} tender - The raw tender
+ * @returns {boolean} True if the tender can be packed
+ */
+function isPackable(tender) {
+    return JSON.stringify(tender).length <= CONFIG.maxPackedTenderChars;
+}
+
+/**
+ * Instructions added to the normalization prompt of a pack
+ * @param {number} count - Number of tenders in the pack
+ * @returns {string} The pack instructions
+ */
+function generatePackInstructions(count) {
+    return `The raw tender data below is a JSON array of ${count} separate tenders, each with a tender_key. ` +
+        'Normalize every tender independently. Respond with a single JSON object of the form ' +
+        '{"tenders": [{"tender_key": "...", ...fields}]} containing exactly one entry per tender, ' +
+        'where each entry has its tender_key plus exactly the fields described above. ';
+}
+
+/**
+ * Create a batcher that packs tenders of the same source into shared LLM requests
+ * @param {Object} llm - LLM helpers from the tender normalizer
+ * @param {Function} llm.buildPrompt - (tender, sourceTable, additionalInstructions, sourceInstructions) => prompt
+ * @param {Function} llm.queryLLMWithCache - (prompt) => raw LLM response
+ * @param {Function} llm.parseResponse - (responseText) => parsed JSON object
+ * @param {Function} llm.queryLLMWithValidation - (prompt) => validated LLM result, used for single tenders
+ * @returns {Object} Batcher with a normalize(tender, sourceTable) method
+ */
+function createPackBatcher({ buildPrompt, queryLLMWithCache, parseResponse, queryLLMWithValidation }) {
+    // Pending tenders per source: { items: [{ tender, resolve, reject }], sourceInstructions, timer }
+    const queues = new Map();
+
+    /**
+     * Normalize the tenders of a pack one by one
+     * @param {Object[]} items - Queued items
+     * @param {string} sourceTable - The source table name
+     * @param {string} sourceInstructions - Source-specific prompt additions
+     * @param {Object} usageShare - Share of a failed packed request attributed to each tender
+     */
+    async function normalizeIndividually(items, sourceTable, sourceInstructions, usageShare = null) {
+        for (const item of items) {
+            try {
+                const result = await queryLLMWithValidation(buildPrompt(item.tender, sourceTable, '', sourceInstructions));
+                item.resolve({ ...result, usage: mergeUsage(result.usage, usageShare) });
+            } catch (error) {
+                item.reject(error);
+            }
+        }
+    }
+
+    /**
+     * Send all queued tenders of a source as one packed request
+     * @param {string} sourceTable - The source table name
+     */
+    async function flush(sourceTable) {
+        const queue = queues.get(sourceTable);
+        if (!queue) return;
+        queues.delete(sourceTable);
+        clearTimeout(queue.timer);
+
+        const { items, sourceInstructions } = queue;
+        if (items.length === 1) {
+            await normalizeIndividually(items, sourceTable, sourceInstructions);
+            return;
+        }
+
+        let entries;
+        let usageShare = null;
+        try {
+            const packedTenders = items.map((item, index) => ({ tender_key: String(index + 1), ...item.tender }));
+            const prompt = buildPrompt(packedTenders, sourceTable, generatePackInstructions(items.length), sourceInstructions);
+            const llmResponse = await queryLLMWithCache(prompt);
+            if (llmResponse && !llmResponse.fromCache) {
+                usageShare = splitUsage(usageFromResponse(llmResponse), items.length);
+            }
+            const content = llmResponse && llmResponse.choices && llmResponse.choices.length > 0
+                ? llmResponse.choices[0].message.content
+                : null;
+            const parsed = content ? parseResponse(content) : null;
+            entries = parsed && Array.isArray(parsed.tenders) ? parsed.tenders : [];
+        } catch (error) {
+            console.warn(`Packed LLM request for ${items.length} ${sourceTable} tenders failed: ${error.message}`);
+            entries = [];
+        }
+
+        batchStats.packedRequests++;
+        batchStats.packedTenders += items.length;
+
+        const entriesByKey = new Map(entries.filter(entry => entry && entry.tender_key !== undefined)
+            .map(entry => [String(entry.tender_key), entry]));
+
+        // Tenders missing from the response or with invalid output are retried on their own,
+        // which also gives them the schema repair loop
+        const retries = [];
+        items.forEach((item, index) => {
+            const entry = entriesByKey.get(String(index + 1));
+            if (!entry) {
+                retries.push(item);
+                return;
+            }
+
+            const { tender_key, ...data } = entry;
+            if (validateUnifiedTender(data).valid) {
+                item.resolve({ data, valid: true, empty: false, errors: [], repairAttempts: 0, usage: usageShare, packSize: items.length });
+            } else {
+                retries.push(item);
+            }
+        });
+
+        if (retries.length > 0) {
+            console.warn(`${retries.length} of ${items.length} packed ${sourceTable} tenders had no valid result, normalizing them individually`);
+            batchStats.packFallbacks += retries.length;
+            await normalizeIndividually(retries, sourceTable, sourceInstructions, usageShare);
+        }
+    }
+
+    /**
+     * Flush the queued tenders of a source in the background
+     * A failed flush rejects the tenders of the pack that were not settled yet, so that no caller
+     * waits forever and the failure is not left as an unhandled rejection.
+     * @param {string} sourceTable - The source table name
+     */
+    function startFlush(sourceTable) {
+        const queue = queues.get(sourceTable);
+        flush(sourceTable).catch(error => {
+            console.warn(`Packed normalization of ${sourceTable} tenders failed: ${error.message}`);
+            (queue ? queue.items : []).forEach(item => item.reject(error));
+        });
+    }
+
+    return {
+        /**
+         * Queue a tender for packed normalization
+         * @param {Object} tender - The raw tender
+         * @param {string} sourceTable - The source table name
+         * @param {string} [sourceInstructions=''] - Source-specific prompt additions from the adapter
+         * @returns {Promise<Object>} The validated LLM result for this tender
+         */
+        normalize(tender, sourceTable, sourceInstructions = '') {
+            if (!isPackable(tender)) {
+                return queryLLMWithValidation(buildPrompt(tender, sourceTable, '', sourceInstructions));
+            }
+
+            return new Promise((resolve, reject) => {
+                let queue = queues.get(sourceTable);
+                if (!queue) {
+                    queue = { items: [], sourceInstructions, timer: setTimeout(() => startFlush(sourceTable), CONFIG.packWindowMs) };
+                    queues.set(sourceTable, queue);
+                }
+
+                queue.items.push({ tender, resolve, reject });
+                if (queue.items.length >= CONFIG.packSize) {
+                    startFlush(sourceTable);
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Get the maximum number of tenders packed into one request
+ * @returns {number} The pack size
+ */
+function getPackSize() {
+    return CONFIG.packSize;
+}
+
+/**
+ * Get batching statistics for the current process
+ * @returns {Object} Packed request statistics
+ */
+function getBatchStats() {
+    return { ...batchStats };
+}
+
+module.exports = {
+    getBatchMode,
+    getPackSize,
+    createPackBatcher,
+    getBatchStats
+};
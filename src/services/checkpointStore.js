@@ -0,0 +1,153 @@
+/**
+ * checkpointStore.js
+ * Persistent checkpoints of long-running processing runs
+ *
+ * A checkpoint records, per run and source table, the next page to fetch, the key of the
+ * last processed row and whether the source is finished, so that a restarted run can
+ * continue where the previous one stopped. Checkpoints are kept in the
+ * processing_checkpoints table or in an Apify key-value store.
+ */
+
+// Configuration options
+const CONFIG = {
+    // Storage backend: 'supabase' or 'apify'
+    backend: (process.env.CHECKPOINT_BACKEND || 'supabase').toLowerCase(),
+    // Table for the supabase backend
+    table: process.env.CHECKPOINT_TABLE || 'processing_checkpoints',
+    // Key-value store for the apify backend (the default store of the run when empty)
+    keyValueStore: process.env.CHECKPOINT_KV_STORE || ''
+};
+
+let keyValueStore = null;
+
+/**
+ * Lazily open the key-value store used by the apify backend
+ * @returns {Promise<Object>} Apify key-value store
+ */
+async function getKeyValueStore() {
+    if (!keyValueStore) {
+        const { KeyValueStore } = require('apify');
+        keyValueStore = await KeyValueStore.open(CONFIG.keyValueStore || undefined);
+    }
+    return keyValueStore;
+}
+
+/**
+ * Get the key-value store record holding the checkpoints of a run
+ * @param {string} runName - The run name
+ * @returns {string} The record key
+ */
+function getRecordKey(runName) {
+    return `checkpoints-${runName}`;
+}
+
+/**
+ * Convert a checkpoint table row to a checkpoint
+ * @param {Object} row - The table row
+ * @returns {Object} The checkpoint
+ */
+function fromRow(row) {
+    return {
+        page: row.page || 0,
+        lastKey: row.last_key || null,
+        processed: row.processed || 0,
+        completed: Boolean(row.completed),
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Load the checkpoints of a run
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} runName - The run name
+ * @returns {Promise<Object>} Checkpoints keyed by source table
+ */
+async function loadCheckpoints(supabaseAdmin, runName) {
+    if (CONFIG.backend === 'apify') {
+        const store = await getKeyValueStore();
+        return (await store.getValue(getRecordKey(runName))) || {};
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from(CONFIG.table)
+        .select('*')
+        .eq('run_name', runName);
+
+    if (error) {
+        throw new Error(`Error loading checkpoints of ${runName}: ${error.message}`);
+    }
+
+    const checkpoints = {};
+    (data || []).forEach(row => {
+        checkpoints[row.source_table] = fromRow(row);
+    });
+    return checkpoints;
+}
+
+/**
+ * Save the checkpoint of a source
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} runName - The run name
+ * @param {string} sourceTable - The source table name
+ * @param {Object} checkpoint - The checkpoint
+ * @param {number} checkpoint.page - The next page to fetch
+ * @param {Object} checkpoint.lastKey - Ordering key of the last processed row
+ * @param {number} checkpoint.processed - Rows walked so far
+ * @param {boolean} checkpoint.completed - All rows of the source have been walked
+ */
+async function saveCheckpoint(supabaseAdmin, runName, sourceTable, { page = 0, lastKey = null, processed = 0, completed = false }) {
+    const updatedAt = new Date().toISOString();
+
+    if (CONFIG.backend === 'apify') {
+        const store = await getKeyValueStore();
+        const key = getRecordKey(runName);
+        const checkpoints = (await store.getValue(key)) || {};
+        checkpoints[sourceTable] = { page, lastKey, processed, completed, updatedAt };
+        await store.setValue(key, checkpoints);
+        return;
+    }
+
+    const { error } = await supabaseAdmin
+        .from(CONFIG.table)
+        .upsert({
+            run_name: runName,
+            source_table: sourceTable,
+            page,
+            last_key: lastKey,
+            processed,
+            completed,
+            updated_at: updatedAt
+        }, { onConflict: 'run_name,source_table' });
+
+    if (error) {
+        throw new Error(`Error saving ${sourceTable} checkpoint of ${runName}: ${error.message}`);
+    }
+}
+
+/**
+ * Remove all checkpoints of a run
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} runName - The run name
+ */
+async function clearCheckpoints(supabaseAdmin, runName) {
+    if (CONFIG.backend === 'apify') {
+        const store = await getKeyValueStore();
+        await store.setValue(getRecordKey(runName), null);
+        return;
+    }
+
+    const { error } = await supabaseAdmin
+        .from(CONFIG.table)
+        .delete()
+        .eq('run_name', runName);
+
+    if (error) {
+        throw new Error(`Error clearing checkpoints of ${runName}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    loadCheckpoints,
+    saveCheckpoint,
+    clearCheckpoints
+};
@@ -0,0 +1,332 @@
+/**
+ * chunkedNormalizer.js
+ * Map-reduce normalization for tenders whose text is too long for a single LLM prompt
+ *
+ * Long text fields are split into token-budgeted chunks. Each chunk is normalized on its
+ * own together with the short fields of the tender, and the partial results are merged
+ * into one record using per-field conflict rules.
+ */
+
+const { mergeUsage } = require('./llmUsageTracker');
+
+// Configuration options
+const CONFIG = {
+    // Tenders with more long text than this (in characters) are normalized in chunks
+    thresholdChars: parseInt(process.env.LLM_CHUNK_THRESHOLD_CHARS || '15000', 10),
+    // Token budget for the text of a single chunk
+    chunkTokens: parseInt(process.env.LLM_CHUNK_TOKENS || '3000', 10),
+    // Tokens repeated from the end of the previous chunk so context is not cut mid-sentence
+    overlapTokens: parseInt(process.env.LLM_CHUNK_OVERLAP_TOKENS || '150', 10),
+    // Maximum number of chunks per tender - text beyond this is not sent to the LLM
+    maxChunks: parseInt(process.env.LLM_MAX_CHUNKS || '12', 10),
+    // Fields longer than this (in characters) are treated as long text and chunked
+    longFieldChars: 2000
+};
+
+// Rough characters-per-token ratio used for budgeting
+const CHARS_PER_TOKEN = 4;
+
+// How each field is merged across chunks (fields not listed use 'first')
+const MERGE_RULES = {
+    description: 'original',
+    description_english: 'concat',
+    publication_date: 'earliest',
+    deadline_date: 'latest',
+    estimated_value: 'max',
+    currency: 'paired',
+    status: 'vote',
+    tender_type: 'vote',
+    sector: 'vote',
+    procurement_method: 'vote',
+    language: 'vote',
+    country: 'vote',
+    document_links: 'union'
+};
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - The text
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split a tender into short header fields and long text segments
+ * Objects and arrays too large for the header (e.g. attached notice text) become long text as JSON.
+ * @param {Object} tender - The raw tender
+ * @returns {Object} { header, segments } where segments are { field, text } with description first
+ */
+function splitTenderFields(tender) {
+    const header = {};
+    const segments = [];
+
+    Object.entries(tender).forEach(([field, value]) => {
+        if (value === null || value === undefined || value === '') return;
+
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        if (text.length > CONFIG.longFieldChars) {
+            segments.push({ field, text });
+        } else {
+            header[field] = value;
+        }
+    });
+
+    segments.sort((a, b) => (b.field === 'description') - (a.field === 'description'));
+    return { header, segments };
+}
+
+/**
+ * Check whether a tender has too much text for a single LLM prompt
+ * @param {Object} tender - The raw tender
+ * @returns {boolean} True if the tender should be normalized in chunks
+ */
+function isChunkingRequired(tender) {
+    if (tender.description && tender.description.length > CONFIG.thresholdChars) {
+        return true;
+    }
+    const { segments } = splitTenderFields(tender);
+    return segments.reduce((total, segment) => total + segment.text.length, 0) > CONFIG.thresholdChars;
+}
+
+/**
+ * Split text into chunks that fit a token budget
+ * Splits on paragraph boundaries, then sentences, and only cuts words for oversized sentences.
+ * @param {string} text - The text to split
+ * @param {number} maxTokens - Token budget per chunk
+ * @param {number} overlapTokens - Tokens repeated from the end of the previous chunk
+ * @returns {string[]} The chunks
+ */
+function splitIntoChunks(text, maxTokens = CONFIG.chunkTokens, overlapTokens = CONFIG.overlapTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    const overlapChars = Math.min(overlapTokens * CHARS_PER_TOKEN, Math.floor(maxChars / 2));
+
+    // Break the text into units that each fit the budget, remembering how to join them
+    const units = [];
+    text.split(/\n\s*\n/).forEach(paragraph => {
+        const trimmed = paragraph.trim();
+        if (!trimmed) return;
+
+        if (trimmed.length <= maxChars) {
+            units.push({ text: trimmed, separator: '\n\n' });
+            return;
+        }
+
+        trimmed.split(/(?<=[.!?;])\s+/).forEach((sentence, index) => {
+            for (let start = 0; start < sentence.length; start += maxChars) {
+                const separator = index === 0 && start === 0 ? '\n\n' : ' ';
+                units.push({ text: sentence.slice(start, start + maxChars), separator });
+            }
+        });
+    });
+
+    const chunks = [];
+    let current = '';
+    units.forEach(unit => {
+        if (current && current.length + unit.separator.length + unit.text.length > maxChars) {
+            chunks.push(current);
+
+            // Carry the end of the previous chunk over, starting at a word boundary
+            const tail = overlapChars > 0 ? current.slice(-overlapChars) : '';
+            current = tail.slice(tail.indexOf(' ') + 1);
+            if (current.length + unit.separator.length + unit.text.length > maxChars) {
+                current = '';
+            }
+        }
+        current = current ? `${current}${unit.separator}${unit.text}` : unit.text;
+    });
+    if (current) chunks.push(current);
+
+    return chunks;
+}
+
+/**
+ * Build the per-chunk inputs for a tender
+ * @param {Object} tender - The raw tender
+ * @returns {Object[]} Chunks with index, total, field and the tender object to normalize
+ */
+function buildChunks(tender) {
+    const { header, segments } = splitTenderFields(tender);
+
+    let chunks = [];
+    segments.forEach(segment => {
+        splitIntoChunks(segment.text).forEach(text => {
+            chunks.push({ field: segment.field, tender: { ...header, [segment.field]: text } });
+        });
+    });
+
+    if (chunks.length > CONFIG.maxChunks) {
+        console.warn(`Tender ${tender.id || 'unknown'} needs ${chunks.length} chunks, only the first ${CONFIG.maxChunks} will be normalized`);
+        chunks = chunks.slice(0, CONFIG.maxChunks);
+    }
+
+    return chunks.map((chunk, index) => ({ ...chunk, index: index + 1, total: chunks.length }));
+}
+
+/**
+ * Count the chunks a tender will be split into
+ * @param {Object} tender - The raw tender
+ * @returns {number} The number of chunks
+ */
+function estimateChunkCount(tender) {
+    return Math.max(buildChunks(tender).length, 1);
+}
+
+/**
+ * Instructions added to the normalization prompt of a single chunk
+ * @param {Object} chunk - The chunk from buildChunks
+ * @returns {string} The chunk instructions
+ */
+function generateChunkInstructions(chunk) {
+    return `This tender is too long for a single request, so its long text has been split into ${chunk.total} parts. ` +
+        `This is part ${chunk.index} of ${chunk.total}, taken from the ${chunk.field} field. ` +
+        'Only report values stated in this part or in the other fields shown, and use null for anything else. ' +
+        'For description and description_english, return a concise summary (at most three sentences) of this part only; description_english must be in English. ';
+}
+
+/**
+ * Pick the most frequent value, breaking ties by chunk order
+ * @param {Array} values - Non-null values in chunk order
+ * @returns {*} The winning value
+ */
+function mostFrequent(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return values.reduce((best, value) => (counts.get(value) > counts.get(best) ? value : best), values[0]);
+}
+
+/**
+ * Merge the normalized chunk results into one record
+ * @param {Object[]} results - Valid chunk results ({ index, data }) in chunk order
+ * @param {Object} tender - The raw tender
+ * @returns {Object} { data, conflicts } where conflicts lists fields the chunks disagreed on
+ */
+function mergeChunkResults(results, tender) {
+    const data = {};
+    const conflicts = [];
+    const fields = new Set(results.flatMap(result => Object.keys(result.data)));
+
+    fields.forEach(field => {
+        const values = results
+            .map(result => result.data[field])
+            .filter(value => value !== null && value !== undefined && value !== '');
+        const rule = MERGE_RULES[field] || 'first';
+
+        // The currency is merged together with estimated_value below
+        if (rule === 'paired') return;
+
+        if (values.length === 0) {
+            data[field] = null;
+            return;
+        }
+
+        const distinct = new Set(values.map(value => JSON.stringify(value)));
+        if (distinct.size > 1 && !['original', 'concat', 'union'].includes(rule)) {
+            conflicts.push(field);
+        }
+
+        switch (rule) {
+            case 'original':
+                // The source text is kept as is; the chunk summaries only fill it in when missing
+                data[field] = tender[field] || [...new Set(values)].join('\n\n');
+                break;
+            case 'concat':
+                data[field] = [...new Set(values)].join('\n\n');
+                break;
+            case 'earliest':
+                data[field] = values.reduce((a, b) => (b < a ? b : a));
+                break;
+            case 'latest':
+                data[field] = values.reduce((a, b) => (b > a ? b : a));
+                break;
+            case 'vote':
+                data[field] = mostFrequent(values);
+                break;
+            case 'union': {
+                const seen = new Set();
+                data[field] = values.flat().filter(link => {
+                    if (!link || !link.url || seen.has(link.url)) return false;
+                    seen.add(link.url);
+                    return true;
+                });
+                break;
+            }
+            case 'max': {
+                // Keep the currency reported together with the largest value
+                const best = results
+                    .filter(result => typeof result.data[field] === 'number')
+                    .reduce((a, b) => (b.data[field] > a.data[field] ? b : a));
+                data[field] = best.data[field];
+                break;
+            }
+            default:
+                data[field] = values[0];
+        }
+    });
+
+    // Keep the currency reported together with the chosen estimated value
+    const valueResult = results.find(result => data.estimated_value !== null && result.data.estimated_value === data.estimated_value);
+    data.currency = valueResult
+        ? valueResult.data.currency || null
+        : results.map(result => result.data.currency).find(Boolean) || null;
+
+    return { data, conflicts };
+}
+
+/**
+ * Normalize a long tender chunk by chunk and merge the results
+ * @param {Object} tender - The raw tender
+ * @param {string} sourceTable - The source table name
+ * @param {Object} llm - LLM helpers from the tender normalizer
+ * @param {Function} llm.buildPrompt - (tender, sourceTable, additionalInstructions) => prompt
+ * @param {Function} llm.queryLLMWithValidation - (prompt) => validated LLM result
+ * @returns {Promise<Object>} Result with data, valid, errors, repairAttempts, usage, chunkCount and failedChunks
+ */
+async function normalizeInChunks(tender, sourceTable, { buildPrompt, queryLLMWithValidation }) {
+    const chunks = buildChunks(tender);
+    console.log(`Normalizing ${sourceTable} tender ${tender.id || 'unknown'} in ${chunks.length} chunks`);
+
+    const results = [];
+    const errors = [];
+    let repairAttempts = 0;
+    let usage = null;
+
+    // Chunks are processed one after another to stay within provider rate limits
+    for (const chunk of chunks) {
+        const prompt = buildPrompt(chunk.tender, sourceTable, generateChunkInstructions(chunk));
+        const result = await queryLLMWithValidation(prompt);
+
+        repairAttempts += result.repairAttempts;
+        usage = mergeUsage(usage, result.usage);
+        errors.push(...result.errors.map(error => `chunk ${chunk.index}: ${error}`));
+
+        if (result.valid) {
+            results.push({ index: chunk.index, data: result.data });
+        } else {
+            console.warn(`Chunk ${chunk.index}/${chunk.total} of tender ${tender.id || 'unknown'} could not be normalized`);
+        }
+    }
+
+    const failedChunks = chunks.length - results.length;
+    if (results.length === 0) {
+        return { data: null, valid: false, empty: false, errors, repairAttempts, usage, chunkCount: chunks.length, failedChunks };
+    }
+
+    const { data, conflicts } = mergeChunkResults(results, tender);
+    if (conflicts.length > 0) {
+        console.log(`Resolved conflicting chunk values for: ${conflicts.join(', ')}`);
+    }
+
+    return { data, valid: true, empty: false, errors, repairAttempts, usage, chunkCount: chunks.length, failedChunks };
+}
+
+module.exports = {
+    isChunkingRequired,
+    estimateChunkCount,
+    estimateTokens,
+    splitIntoChunks,
+    buildChunks,
+    mergeChunkResults,
+    normalizeInChunks
+};
@@ -0,0 +1,68 @@
+/**
+ * contentHash.js
+ * Content hashes of raw tenders for change detection
+ *
+ * The hash covers every column of a raw tender except the volatile ones - row bookkeeping
+ * such as timestamps that change without the tender itself changing. It is stored on the
+ * unified tender as raw_content_hash, so a raw tender only needs to be normalized again
+ * when its hash differs from the stored one.
+ */
+
+const crypto = require('crypto');
+
+// Columns of raw tenders that change without the content changing
+const VOLATILE_COLUMNS = [
+    'id',
+    'created_at',
+    'updated_at',
+    'inserted_at',
+    'scraped_at',
+    'fetched_at',
+    'last_processed_at'
+];
+
+/**
+ * Serialize a value with object keys in sorted order
+ * @param {*} value - The value
+ * @returns {string} JSON that does not depend on key order
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Compute the content hash of a raw tender
+ * @param {Object} tender - The raw tender
+ * @param {string[]} [volatileColumns=[]] - Source-specific volatile columns, in addition to the common ones
+ * @returns {string} A sha256 hex digest
+ */
+function computeContentHash(tender, volatileColumns = []) {
+    const ignored = new Set([...VOLATILE_COLUMNS, ...volatileColumns]);
+    const content = {};
+    Object.keys(tender || {}).forEach(column => {
+        if (!ignored.has(column)) {
+            content[column] = tender[column];
+        }
+    });
+
+    return crypto
+        .createHash('sha256')
+        .update(stableStringify(content))
+        .digest('hex');
+}
+
+module.exports = {
+    VOLATILE_COLUMNS,
+    stableStringify,
+    computeContentHash
+};
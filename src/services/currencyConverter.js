@@ -0,0 +1,433 @@
+/**
+ * currencyConverter.js
+ * Offline conversion of tender values to the reporting currencies (USD and EUR)
+ *
+ * Historical exchange rates are kept in the fx_rates table as units of a currency per euro, the
+ * way the European Central Bank publishes its reference rates, and are imported from ECB CSV files.
+ * A value is converted with the rates of its date (the publication date of the tender, or the award
+ * date of an award), falling back to the most recent earlier rate for weekends and holidays. The
+ * original value and currency are kept as they are; the converted values are stored next to them.
+ * Loaded rate series are reloaded after a while, so a running worker picks up rates imported by
+ * another process.
+ */
+
+const fs = require('fs');
+const { recordSnapshots } = require('./tenderHistory');
+
+// Configuration options
+const CONFIG = {
+    // Table holding the exchange rates
+    table: process.env.FX_RATES_TABLE || 'fx_rates',
+    // Oldest rate (in days before the value's date) used when there is no rate on the date itself
+    maxRateAgeDays: parseInt(process.env.FX_MAX_RATE_AGE_DAYS || '7', 10),
+    // Minutes a loaded rate series is used before it is read again
+    rateCacheMinutes: parseInt(process.env.FX_RATE_CACHE_MINUTES || '60', 10),
+    // Tables of awards and lots, whose values are converted as well
+    awardsTable: process.env.TENDER_AWARDS_TABLE || 'tender_awards',
+    lotsTable: process.env.TENDER_LOTS_TABLE || 'tender_lots',
+    // Rates read or written per request
+    pageSize: 1000
+};
+
+// Currencies with a fixed parity to the euro, which the ECB does not publish
+const FIXED_RATES_PER_EUR = {
+    EUR: 1,
+    XOF: 655.957,
+    XAF: 655.957,
+    KMF: 491.96775
+};
+
+// Loaded rate series by currency as { loading, loadedAt }, each series sorted by date
+const rateSeries = new Map();
+
+/**
+ * Parse an ECB exchange rate CSV file
+ * Supports the reference rate files (eurofxref.csv, eurofxref-hist.csv: a Date column and one
+ * column per currency) and ECB Data Portal exports (CURRENCY, TIME_PERIOD and OBS_VALUE columns).
+ * @param {string} text - The CSV text
+ * @returns {Object[]} Rates as { currency, rate_date, rate_per_eur }
+ */
+function parseEcbCsv(text) {
+    const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) {
+        return [];
+    }
+
+    const splitLine = line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+    const header = splitLine(lines[0]);
+    const toDate = value => {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+    };
+    const rates = [];
+
+    const currencyColumn = header.indexOf('CURRENCY');
+    const dateColumn = header.indexOf('TIME_PERIOD');
+    const valueColumn = header.indexOf('OBS_VALUE');
+    if (currencyColumn !== -1 && dateColumn !== -1 && valueColumn !== -1) {
+        lines.slice(1).forEach(line => {
+            const cells = splitLine(line);
+            const rate = parseFloat(cells[valueColumn]);
+            const rateDate = toDate(cells[dateColumn]);
+            if (/^[A-Z]{3}$/.test(cells[currencyColumn]) && rateDate && rate > 0) {
+                rates.push({ currency: cells[currencyColumn], rate_date: rateDate, rate_per_eur: rate });
+            }
+        });
+        return rates;
+    }
+
+    if (header[0] !== 'Date') {
+        throw new Error('Unrecognized ECB CSV format: expected a Date column or CURRENCY, TIME_PERIOD and OBS_VALUE columns');
+    }
+    lines.slice(1).forEach(line => {
+        const cells = splitLine(line);
+        const rateDate = toDate(cells[0]);
+        if (!rateDate) return;
+
+        header.slice(1).forEach((currency, index) => {
+            const rate = parseFloat(cells[index + 1]);
+            // Currencies no longer quoted are N/A
+            if (/^[A-Z]{3}$/.test(currency) && rate > 0) {
+                rates.push({ currency, rate_date: rateDate, rate_per_eur: rate });
+            }
+        });
+    });
+    return rates;
+}
+
+/**
+ * Import the rates of an ECB CSV file into the rate table
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} filePath - Path of the CSV file
+ * @returns {Promise<Object>} { imported, currencies, from, to }
+ */
+async function importEcbRates(supabaseAdmin, filePath) {
+    const rates = parseEcbCsv(await fs.promises.readFile(filePath, 'utf8'));
+
+    for (let i = 0; i < rates.length; i += CONFIG.pageSize) {
+        const { error } = await supabaseAdmin
+            .from(CONFIG.table)
+            .upsert(rates.slice(i, i + CONFIG.pageSize).map(rate => ({ ...rate, source: 'ecb' })), { onConflict: 'currency,rate_date' });
+        if (error) {
+            throw new Error(`Error saving exchange rates: ${error.message}`);
+        }
+    }
+
+    // Imported rates replace the loaded series
+    rateSeries.clear();
+    const dates = rates.map(rate => rate.rate_date).sort();
+    return {
+        imported: rates.length,
+        currencies: new Set(rates.map(rate => rate.currency)).size,
+        from: dates[0] || null,
+        to: dates[dates.length - 1] || null
+    };
+}
+
+/**
+ * Load the rate series of a currency
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} currency - The ISO 4217 currency code
+ * @returns {Promise<Object[]>} Rates as { rate_date, rate_per_eur }, oldest first
+ */
+function loadRateSeries(supabaseAdmin, currency) {
+    const cached = rateSeries.get(currency);
+    if (!cached || Date.now() - cached.loadedAt > CONFIG.rateCacheMinutes * 60 * 1000) {
+        const loading = (async () => {
+            const series = [];
+            for (let from = 0; ; from += CONFIG.pageSize) {
+                const { data, error } = await supabaseAdmin
+                    .from(CONFIG.table)
+                    .select('rate_date, rate_per_eur')
+                    .eq('currency', currency)
+                    .order('rate_date', { ascending: true })
+                    .range(from, from + CONFIG.pageSize - 1);
+                if (error) {
+                    throw new Error(`Error reading ${currency} exchange rates: ${error.message}`);
+                }
+                series.push(...(data || []).map(rate => ({ rate_date: rate.rate_date, rate_per_eur: Number(rate.rate_per_eur) })));
+                if (!data || data.length < CONFIG.pageSize) {
+                    return series;
+                }
+            }
+        })();
+        // A failed load is retried by the next conversion
+        loading.catch(() => {
+            if (rateSeries.get(currency)?.loading === loading) {
+                rateSeries.delete(currency);
+            }
+        });
+        rateSeries.set(currency, { loading, loadedAt: Date.now() });
+    }
+    return rateSeries.get(currency).loading;
+}
+
+/**
+ * Get the rate of a currency on a date
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} currency - The ISO 4217 currency code
+ * @param {string} date - The date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} { rate_per_eur, rate_date }, or null if there is no recent enough rate
+ */
+async function getRate(supabaseAdmin, currency, date) {
+    if (FIXED_RATES_PER_EUR[currency]) {
+        return { rate_per_eur: FIXED_RATES_PER_EUR[currency], rate_date: date };
+    }
+
+    const series = await loadRateSeries(supabaseAdmin, currency);
+    // Latest rate on or before the date
+    let low = 0;
+    let high = series.length - 1;
+    let found = null;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (series[middle].rate_date <= date) {
+            found = series[middle];
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    const ageDays = found ? (new Date(date).getTime() - new Date(found.rate_date).getTime()) / (24 * 60 * 60 * 1000) : Infinity;
+    return ageDays <= CONFIG.maxRateAgeDays ? found : null;
+}
+
+/**
+ * Convert an amount to USD and EUR
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {number} amount - The amount
+ * @param {string} currency - The ISO 4217 currency code of the amount
+ * @param {string} date - The date of the amount (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} { usd, eur, rate_date }, or null if a rate is missing
+ */
+async function convertAmount(supabaseAdmin, amount, currency, date) {
+    if (typeof amount !== 'number' || !isFinite(amount) || !/^[A-Z]{3}$/.test(currency || '') || !date) {
+        return null;
+    }
+
+    const [fromRate, usdRate] = await Promise.all([
+        getRate(supabaseAdmin, currency, date),
+        getRate(supabaseAdmin, 'USD', date)
+    ]);
+    if (!fromRate || !usdRate) {
+        return null;
+    }
+
+    const eur = amount / fromRate.rate_per_eur;
+    const round = value => Math.round(value * 100) / 100;
+    return {
+        usd: round(eur * usdRate.rate_per_eur),
+        eur: round(eur),
+        // The older of the two rates used
+        rate_date: fromRate.rate_date < usdRate.rate_date ? fromRate.rate_date : usdRate.rate_date
+    };
+}
+
+/**
+ * Get the date a tender's values are converted at
+ * @param {Object} tender - The normalized tender
+ * @returns {string} The publication date, or today for tenders without one
+ */
+function getValueDate(tender) {
+    return tender.publication_date || new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Convert the values of normalized tenders to USD and EUR
+ * Sets estimated_value_usd, estimated_value_eur and fx_rate_date on each tender, value_usd and
+ * value_eur on its awards, and estimated_value_usd and estimated_value_eur on its lots.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - Normalized tenders about to be written
+ * @returns {Promise<number>} Number of tenders with a converted estimated value
+ */
+async function convertTenderValues(supabaseAdmin, tenders) {
+    let converted = 0;
+    for (const tender of tenders) {
+        const valueDate = getValueDate(tender);
+
+        if (tender.estimated_value !== null && tender.estimated_value !== undefined) {
+            const result = await convertAmount(supabaseAdmin, tender.estimated_value, tender.currency, valueDate);
+            tender.estimated_value_usd = result ? result.usd : null;
+            tender.estimated_value_eur = result ? result.eur : null;
+            tender.fx_rate_date = result ? result.rate_date : null;
+            if (result) converted++;
+        }
+
+        for (const award of Array.isArray(tender.awards) ? tender.awards : []) {
+            const result = await convertAmount(supabaseAdmin, award.value, award.currency || tender.currency, award.award_date || valueDate);
+            award.value_usd = result ? result.usd : null;
+            award.value_eur = result ? result.eur : null;
+        }
+
+        for (const lot of Array.isArray(tender.lots) ? tender.lots : []) {
+            const result = await convertAmount(supabaseAdmin, lot.estimated_value, lot.currency || tender.currency, valueDate);
+            lot.estimated_value_usd = result ? result.usd : null;
+            lot.estimated_value_eur = result ? result.eur : null;
+        }
+    }
+    return converted;
+}
+
+/**
+ * Read the rows of a query page by page, in the order of a unique key
+ * Every page starts after the last key of the previous one, so rows that stop matching the
+ * query once they are converted do not shift later pages, and rows that cannot be converted
+ * do not keep later rows from being read.
+ * @param {string} label - What is read, for error messages
+ * @param {Function} buildQuery - Returns a fresh query for a page
+ * @param {string[]} keyColumns - The unique key, ['id'] or ['source_table', 'source_id']
+ * @param {number|null} limit - Maximum number of rows to read, null for all
+ * @returns {AsyncGenerator<Object[]>} The pages
+ */
+async function* readPages(label, buildQuery, keyColumns, limit) {
+    const quote = value => JSON.stringify(String(value));
+    let read = 0;
+    let last = null;
+    while (limit === null || read < limit) {
+        let query = buildQuery();
+        keyColumns.forEach(column => {
+            query = query.order(column, { ascending: true });
+        });
+        if (last && keyColumns.length === 1) {
+            query = query.gt(keyColumns[0], last[keyColumns[0]]);
+        } else if (last) {
+            const [outer, inner] = keyColumns;
+            query = query.or(`${outer}.gt.${quote(last[outer])},and(${outer}.eq.${quote(last[outer])},${inner}.gt.${quote(last[inner])})`);
+        }
+        const pageSize = limit === null ? CONFIG.pageSize : Math.min(CONFIG.pageSize, limit - read);
+        const { data, error } = await query.limit(pageSize);
+        if (error) {
+            throw new Error(`Error reading ${label}: ${error.message}`);
+        }
+        if (!data || data.length === 0) {
+            return;
+        }
+        yield data;
+        read += data.length;
+        last = data[data.length - 1];
+        if (data.length < pageSize) {
+            return;
+        }
+    }
+}
+
+/**
+ * Get the publication dates of the tenders that stored awards or lots belong to
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} rows - Award or lot rows (source_table, source_id)
+ * @returns {Promise<Map>} publication_date by source_table and source_id
+ */
+async function getPublicationDates(supabaseAdmin, rows) {
+    const bySource = {};
+    rows.forEach(row => {
+        (bySource[row.source_table] = bySource[row.source_table] || new Set()).add(String(row.source_id));
+    });
+
+    const dates = new Map();
+    for (const [sourceTable, ids] of Object.entries(bySource)) {
+        const { data, error } = await supabaseAdmin
+            .from('unified_tenders')
+            .select('source_table, source_id, publication_date')
+            .eq('source_table', sourceTable)
+            .in('source_id', [...ids]);
+        if (error) {
+            throw new Error(`Error reading the publication dates of ${sourceTable} tenders: ${error.message}`);
+        }
+        (data || []).forEach(tender => dates.set(`${tender.source_table}\u0000${tender.source_id}`, tender.publication_date));
+    }
+    return dates;
+}
+
+/**
+ * Convert the values of stored tenders, awards and lots that have no converted value yet, for example
+ * because they were written before the rates of their date were imported
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} [options] - Options
+ * @param {string} [options.sourceTable] - Only convert values of this source
+ * @param {number} [options.limit] - Maximum number of tenders, and of awards and lots, to look at; all by default
+ * @returns {Promise<Object>} { checked, converted, awards: { checked, converted }, lots: { checked, converted } }
+ */
+async function convertStoredTenders(supabaseAdmin, { sourceTable = null, limit = null } = {}) {
+    const unconverted = (table, columns, valueColumn, convertedColumn) => () => {
+        let query = supabaseAdmin
+            .from(table)
+            .select(columns)
+            .not(valueColumn, 'is', null)
+            .not('currency', 'is', null)
+            .is(convertedColumn, null);
+        return sourceTable ? query.eq('source_table', sourceTable) : query;
+    };
+
+    const results = { checked: 0, converted: 0, awards: { checked: 0, converted: 0 }, lots: { checked: 0, converted: 0 } };
+
+    const tenderPages = readPages(
+        'unconverted tenders',
+        unconverted('unified_tenders', 'source_table, source_id, estimated_value, currency, publication_date', 'estimated_value', 'estimated_value_usd'),
+        ['source_table', 'source_id'],
+        limit
+    );
+    for await (const tenders of tenderPages) {
+        results.checked += tenders.length;
+        for (const tender of tenders) {
+            const result = await convertAmount(supabaseAdmin, Number(tender.estimated_value), tender.currency, getValueDate(tender));
+            if (!result) {
+                continue;
+            }
+
+            const { data: written, error: updateError } = await supabaseAdmin
+                .from('unified_tenders')
+                .update({ estimated_value_usd: result.usd, estimated_value_eur: result.eur, fx_rate_date: result.rate_date })
+                .eq('source_table', tender.source_table)
+                .eq('source_id', tender.source_id)
+                .select();
+            if (updateError) {
+                console.warn(`Failed to save the converted value of ${tender.source_table} tender ${tender.source_id}: ${updateError.message}`);
+                continue;
+            }
+            await recordSnapshots(supabaseAdmin, written || []);
+            results.converted++;
+        }
+    }
+
+    // Awards are converted at their award date, lots at the publication date of their tender
+    const related = [
+        { table: CONFIG.awardsTable, counts: results.awards, valueColumn: 'award_value', dateColumn: 'award_date', targets: ['award_value_usd', 'award_value_eur'] },
+        { table: CONFIG.lotsTable, counts: results.lots, valueColumn: 'estimated_value', dateColumn: null, targets: ['estimated_value_usd', 'estimated_value_eur'] }
+    ];
+    for (const { table, counts, valueColumn, dateColumn, targets } of related) {
+        const columns = ['id', 'source_table', 'source_id', valueColumn, 'currency', dateColumn].filter(Boolean).join(', ');
+        for await (const rows of readPages(`unconverted ${table}`, unconverted(table, columns, valueColumn, targets[0]), ['id'], limit)) {
+            counts.checked += rows.length;
+            const publicationDates = await getPublicationDates(supabaseAdmin, rows);
+            for (const row of rows) {
+                const valueDate = (dateColumn && row[dateColumn]) ||
+                    getValueDate({ publication_date: publicationDates.get(`${row.source_table}\u0000${row.source_id}`) });
+                const result = await convertAmount(supabaseAdmin, Number(row[valueColumn]), row.currency, valueDate);
+                if (!result) {
+                    continue;
+                }
+
+                const { error: updateError } = await supabaseAdmin
+                    .from(table)
+                    .update({ [targets[0]]: result.usd, [targets[1]]: result.eur })
+                    .eq('id', row.id);
+                if (updateError) {
+                    console.warn(`Failed to save the converted value of ${table} row ${row.id}: ${updateError.message}`);
+                    continue;
+                }
+                counts.converted++;
+            }
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    parseEcbCsv,
+    importEcbRates,
+    getRate,
+    convertAmount,
+    convertTenderValues,
+    convertStoredTenders
+};
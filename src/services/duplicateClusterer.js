@@ -0,0 +1,473 @@
+/**
+ * duplicateClusterer.js
+ * Cross-source duplicate detection and clustering of unified tenders
+ *
+ * The same opportunity is often published by several sources, e.g. a World Bank financed tender
+ * in wb, ungm and the borrower's national portal, or an AIIB co-financed project in aiib and adb.
+ * A written tender is compared with the tenders of the other sources: it is a duplicate of one
+ * with the same reference number, or of one in the same country with a close title match and a
+ * deadline within a few days (or, without deadlines, the same buyer). Duplicates share a cluster_id,
+ * one of them is the canonical record, and every member carries the links to all notices of its
+ * cluster, so listings can show each opportunity once by filtering on is_canonical.
+ */
+
+const crypto = require('crypto');
+const { createWorkerPool } = require('../utils/workerPool');
+const { titleSimilarity } = require('./amendmentLinker');
+const { recordSnapshots } = require('./tenderHistory');
+
+// Configuration options
+const CONFIG = {
+    // Whether written tenders are compared with the tenders of other sources
+    enabled: process.env.DUPLICATE_CLUSTERING !== 'false',
+    // Lowest title similarity (0-1) for tenders of different sources to be duplicates
+    titleSimilarity: parseFloat(process.env.DUPLICATE_TITLE_SIMILARITY || '0.85'),
+    // Largest difference in days between the deadlines of duplicates
+    deadlineDays: parseInt(process.env.DUPLICATE_DEADLINE_DAYS || '3', 10),
+    // Lowest similarity (0-1) of buyer names to count as the same buyer
+    buyerSimilarity: 0.5,
+    // Sources whose record is preferred as the canonical one, most preferred first
+    sourcePriority: (process.env.DUPLICATE_SOURCE_PRIORITY || '').split(',').map(name => name.trim()).filter(Boolean),
+    // Tenders of other sources compared with a written tender
+    candidates: 200
+};
+
+// Columns read to compare tenders and pick the canonical record
+const COLUMNS = 'source_table, source_id, title, title_english, reference_number, country, deadline_date, publication_date, ' +
+    'organization_name, organization_name_english, buyer, url, description, estimated_value, lifecycle_stage, is_amendment, ' +
+    'cluster_id, cluster_members';
+
+// Fields counted for the completeness of a record when the canonical record is picked
+const COMPLETENESS_FIELDS = ['description', 'deadline_date', 'publication_date', 'organization_name', 'reference_number', 'estimated_value', 'url', 'country'];
+
+// Shortest normalized reference number that identifies a tender across sources
+const MIN_REFERENCE_LENGTH = 4;
+
+// Cluster updates are read-modify-write, so they run one at a time
+const clusterUpdates = createWorkerPool(1);
+
+/**
+ * Build the key of a unified tender
+ * @param {Object} tender - The unified tender
+ * @returns {string} source_table and source_id
+ */
+function getTenderKey(tender) {
+    return `${tender.source_table}\u0000${tender.source_id}`;
+}
+
+/**
+ * Normalize a reference number for comparison across sources
+ * @param {string} reference - The reference number
+ * @returns {string} Uppercase letters and digits only
+ */
+function normalizeReference(reference) {
+    return String(reference || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Whether two tenders have the same buyer by name
+ * Buyer IDs are source-specific, so names are compared.
+ * @param {Object} a - A tender
+ * @param {Object} b - Another tender
+ * @returns {boolean} True if both buyer names are known and similar
+ */
+function sameBuyer(a, b) {
+    const nameA = a.organization_name_english || a.organization_name || a.buyer;
+    const nameB = b.organization_name_english || b.organization_name || b.buyer;
+    return Boolean(nameA && nameB) && titleSimilarity(nameA, nameB) >= CONFIG.buyerSimilarity;
+}
+
+/**
+ * Difference between two dates in days
+ * @param {string} a - A date
+ * @param {string} b - Another date
+ * @returns {number} The absolute difference in days
+ */
+function daysBetween(a, b) {
+    return Math.abs(new Date(a).getTime() - new Date(b).getTime()) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * Check whether a tender of another source is a duplicate of a tender
+ * @param {Object} tender - The tender
+ * @param {Object} candidate - The tender of another source
+ * @returns {Object|null} { method, similarity } with method 'reference_number' or 'title_match', or null
+ */
+function matchDuplicate(tender, candidate) {
+    if (candidate.source_table === tender.source_table || candidate.is_amendment) {
+        return null;
+    }
+    // A tender notice and the award notice of the same procurement are not duplicates
+    if (tender.lifecycle_stage && candidate.lifecycle_stage && tender.lifecycle_stage !== candidate.lifecycle_stage) {
+        return null;
+    }
+    if (tender.country && candidate.country && String(tender.country).toLowerCase() !== String(candidate.country).toLowerCase()) {
+        return null;
+    }
+
+    const reference = normalizeReference(tender.reference_number);
+    if (reference.length >= MIN_REFERENCE_LENGTH && reference === normalizeReference(candidate.reference_number)) {
+        return { method: 'reference_number', similarity: 1 };
+    }
+
+    if (!tender.country || !candidate.country) {
+        return null;
+    }
+    const similarity = titleSimilarity(tender.title_english || tender.title, candidate.title_english || candidate.title);
+    if (similarity < CONFIG.titleSimilarity) {
+        return null;
+    }
+    const closeDeadlines = tender.deadline_date && candidate.deadline_date
+        ? daysBetween(tender.deadline_date, candidate.deadline_date) <= CONFIG.deadlineDays
+        : sameBuyer(tender, candidate);
+    return closeDeadlines ? { method: 'title_match', similarity } : null;
+}
+
+/**
+ * Get the deadline window a tender's duplicates are looked up in
+ * @param {Object} tender - The unified tender (deadline_date)
+ * @returns {Object|null} { from, to } dates, or null for tenders without a deadline
+ */
+function getDeadlineWindow(tender) {
+    if (!tender.deadline_date) {
+        return null;
+    }
+    const deadline = new Date(tender.deadline_date).getTime();
+    if (isNaN(deadline)) {
+        return null;
+    }
+    const offset = CONFIG.deadlineDays * 24 * 60 * 60 * 1000;
+    return {
+        from: new Date(deadline - offset).toISOString().split('T')[0],
+        to: new Date(deadline + offset).toISOString().split('T')[0]
+    };
+}
+
+/**
+ * Look up the tenders the duplicates of a batch of tenders are searched among
+ * One request covers the reference numbers of the batch and one request covers each of its
+ * countries, within the deadline windows of the batch's tenders of that country.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - The unified tenders
+ * @returns {Promise<Object[]>} The candidate tenders
+ */
+async function findCandidates(supabaseAdmin, tenders) {
+    const candidates = [];
+    // Batches usually come from one source, whose own tenders cannot be duplicates
+    const sourceTables = [...new Set(tenders.map(tender => tender.source_table))];
+    const otherSources = query => sourceTables.length === 1 ? query.neq('source_table', sourceTables[0]) : query;
+
+    const references = [...new Set(tenders
+        .filter(tender => normalizeReference(tender.reference_number).length >= MIN_REFERENCE_LENGTH)
+        .map(tender => tender.reference_number))];
+    if (references.length > 0) {
+        const { data, error } = await otherSources(supabaseAdmin
+            .from('unified_tenders')
+            .select(COLUMNS)
+            .in('reference_number', references))
+            .limit(CONFIG.candidates * references.length);
+        if (error) {
+            throw new Error(`Error looking up tenders by reference number: ${error.message}`);
+        }
+        candidates.push(...(data || []));
+    }
+
+    const byCountry = new Map();
+    tenders.filter(tender => tender.country).forEach(tender => {
+        byCountry.set(tender.country, [...(byCountry.get(tender.country) || []), tender]);
+    });
+    for (const [country, countryTenders] of byCountry) {
+        let query = otherSources(supabaseAdmin
+            .from('unified_tenders')
+            .select(COLUMNS)
+            .eq('country', country));
+        // Tenders without a deadline are compared with tenders of any deadline
+        const windows = countryTenders.map(getDeadlineWindow);
+        if (windows.every(Boolean)) {
+            query = query
+                .gte('deadline_date', windows.map(window => window.from).sort()[0])
+                .lte('deadline_date', windows.map(window => window.to).sort().pop());
+        }
+        const { data, error } = await query
+            .order('publication_date', { ascending: false })
+            .limit(CONFIG.candidates * countryTenders.length);
+        if (error) {
+            throw new Error(`Error looking up tenders of the same country: ${error.message}`);
+        }
+        candidates.push(...(data || []));
+    }
+    return candidates;
+}
+
+/**
+ * Find the duplicates of a tender among the tenders of other sources
+ * @param {Object} tender - The unified tender
+ * @param {Object[]} candidates - Tenders from findCandidates
+ * @returns {Object[]} Matches as { candidate, method, similarity }
+ */
+function findDuplicates(tender, candidates) {
+    const window = getDeadlineWindow(tender);
+    const matches = new Map();
+    candidates.forEach(candidate => {
+        // The candidates of a batch cover the deadline windows of all its tenders; outside the
+        // tender's own window only a tender with its reference number can be a duplicate
+        const inWindow = !window || (candidate.deadline_date >= window.from && candidate.deadline_date <= window.to);
+        if (!inWindow && candidate.reference_number !== tender.reference_number) {
+            return;
+        }
+        const match = matchDuplicate(tender, candidate);
+        const key = getTenderKey(candidate);
+        if (match && (!matches.has(key) || match.similarity > matches.get(key).similarity)) {
+            matches.set(key, { candidate, ...match });
+        }
+    });
+    return [...matches.values()];
+}
+
+/**
+ * Pick the canonical record of a cluster
+ * Preferred sources (DUPLICATE_SOURCE_PRIORITY) come first, then the most complete record,
+ * then the earliest published one.
+ * @param {Object[]} members - The tenders of the cluster
+ * @returns {Object} The canonical tender
+ */
+function pickCanonical(members) {
+    const priority = member => {
+        const index = CONFIG.sourcePriority.indexOf(member.source_table);
+        return index === -1 ? CONFIG.sourcePriority.length : index;
+    };
+    const completeness = member => COMPLETENESS_FIELDS.filter(field => member[field] !== null && member[field] !== undefined && member[field] !== '').length;
+
+    return [...members].sort((a, b) =>
+        priority(a) - priority(b) ||
+        completeness(b) - completeness(a) ||
+        String(a.publication_date || '9999').localeCompare(String(b.publication_date || '9999')) ||
+        getTenderKey(a).localeCompare(getTenderKey(b)))[0];
+}
+
+/**
+ * Add a tender and its duplicates to one cluster
+ * Clusters the duplicates already belong to are merged into the cluster with the lowest ID.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} tender - The unified tender, with its stored cluster_id
+ * @param {Object[]} matches - Its duplicates from findDuplicates
+ * @returns {Promise<Object>} { clusterId, memberKeys } - the cluster and the keys of all its members
+ */
+async function mergeCluster(supabaseAdmin, tender, matches) {
+    const clusterIds = [...new Set([tender, ...matches.map(match => match.candidate)]
+        .map(member => member.cluster_id)
+        .filter(Boolean))].sort();
+
+    const members = new Map();
+    const methods = new Map();
+    if (clusterIds.length > 0) {
+        const { data, error } = await supabaseAdmin
+            .from('unified_tenders')
+            .select(COLUMNS)
+            .in('cluster_id', clusterIds);
+        if (error) {
+            throw new Error(`Error reading tender clusters: ${error.message}`);
+        }
+        (data || []).forEach(member => {
+            members.set(getTenderKey(member), member);
+            (member.cluster_members || []).forEach(entry => {
+                if (entry.match_method) {
+                    methods.set(getTenderKey(entry), entry.match_method);
+                }
+            });
+        });
+    }
+    // Members keep the method they were first linked by; the tender is linked by its strongest match
+    members.set(getTenderKey(tender), tender);
+    if (!methods.has(getTenderKey(tender))) {
+        methods.set(getTenderKey(tender), matches.some(match => match.method === 'reference_number') ? 'reference_number' : 'title_match');
+    }
+    matches.forEach(match => {
+        const key = getTenderKey(match.candidate);
+        members.set(key, members.get(key) || match.candidate);
+        if (!methods.has(key)) {
+            methods.set(key, match.method);
+        }
+    });
+
+    const clusterId = clusterIds[0] || crypto.randomUUID();
+    const canonicalKey = getTenderKey(pickCanonical([...members.values()]));
+    const clusterMembers = [...members.values()]
+        .map(member => ({
+            source_table: member.source_table,
+            source_id: String(member.source_id),
+            url: member.url || null,
+            is_canonical: getTenderKey(member) === canonicalKey,
+            match_method: methods.get(getTenderKey(member)) || null
+        }))
+        .sort((a, b) => b.is_canonical - a.is_canonical || getTenderKey(a).localeCompare(getTenderKey(b)));
+
+    for (const member of members.values()) {
+        const { data: written, error } = await supabaseAdmin
+            .from('unified_tenders')
+            .update({
+                cluster_id: clusterId,
+                is_canonical: getTenderKey(member) === canonicalKey,
+                cluster_members: clusterMembers
+            })
+            .eq('source_table', member.source_table)
+            .eq('source_id', member.source_id)
+            .select();
+        if (error) {
+            console.warn(`Failed to add ${member.source_table} tender ${member.source_id} to cluster ${clusterId}: ${error.message}`);
+            continue;
+        }
+        await recordSnapshots(supabaseAdmin, written || []);
+    }
+    return { clusterId, memberKeys: [...members.keys()] };
+}
+
+/**
+ * Read the stored clusters of tenders
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - The unified tenders
+ * @returns {Promise<Map>} cluster_id by tender key, for the tenders in a cluster
+ */
+async function readClusterIds(supabaseAdmin, tenders) {
+    const bySource = {};
+    tenders.forEach(tender => {
+        (bySource[tender.source_table] = bySource[tender.source_table] || []).push(String(tender.source_id));
+    });
+
+    const clusterIds = new Map();
+    for (const [sourceTable, sourceIds] of Object.entries(bySource)) {
+        const { data, error } = await supabaseAdmin
+            .from('unified_tenders')
+            .select('source_table, source_id, cluster_id')
+            .eq('source_table', sourceTable)
+            .in('source_id', sourceIds)
+            .not('cluster_id', 'is', null);
+        if (error) {
+            throw new Error(`Error reading the clusters of ${sourceTable} tenders: ${error.message}`);
+        }
+        (data || []).forEach(row => clusterIds.set(getTenderKey(row), row.cluster_id));
+    }
+    return clusterIds;
+}
+
+/**
+ * Cluster tenders with their duplicates from other sources
+ * The candidates and stored clusters of the whole batch are read up front; clusters formed while
+ * the batch is clustered are tracked so later tenders of the batch join them.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - The unified tenders
+ * @returns {Promise<Object>} { clustered, singletons } - the number of tenders found to have duplicates,
+ *   and the tenders compared without finding any that are in no cluster
+ */
+async function clusterTenders(supabaseAdmin, tenders) {
+    const candidates = await findCandidates(supabaseAdmin, tenders);
+    const clusterIds = await readClusterIds(supabaseAdmin, tenders);
+    const withCluster = member => ({ ...member, cluster_id: clusterIds.get(getTenderKey(member)) || member.cluster_id || null });
+
+    let clustered = 0;
+    const unmatched = [];
+    for (const tender of tenders) {
+        try {
+            const matches = findDuplicates(tender, candidates);
+            if (matches.length === 0) {
+                unmatched.push(tender);
+                continue;
+            }
+            const { clusterId, memberKeys } = await mergeCluster(
+                supabaseAdmin,
+                withCluster(tender),
+                matches.map(match => ({ ...match, candidate: withCluster(match.candidate) }))
+            );
+            memberKeys.forEach(key => clusterIds.set(key, clusterId));
+            clustered++;
+        } catch (error) {
+            console.warn(`Could not cluster ${tender.source_table} tender ${tender.source_id}: ${error.message}`);
+        }
+    }
+    // Tenders that a later tender of the batch was merged with are not singletons
+    return { clustered, singletons: unmatched.filter(tender => !clusterIds.has(getTenderKey(tender))) };
+}
+
+/**
+ * Cluster written tenders with their duplicates from other sources
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - Normalized tenders that were written
+ * @returns {Promise<number>} Number of tenders found to have duplicates
+ */
+async function clusterDuplicates(supabaseAdmin, tenders) {
+    const candidates = tenders.filter(tender => !tender.is_amendment);
+    if (!CONFIG.enabled || candidates.length === 0) {
+        return 0;
+    }
+
+    return clusterUpdates.run(async () => {
+        try {
+            return (await clusterTenders(supabaseAdmin, candidates)).clustered;
+        } catch (error) {
+            console.warn(`Could not cluster ${candidates.length} tenders: ${error.message}`);
+            return 0;
+        }
+    });
+}
+
+/**
+ * Cluster stored tenders that are not in a cluster yet, for example because their duplicates were written later
+ * Tenders without duplicates become the only member of their own cluster, so they are not read again;
+ * a duplicate written later joins that cluster.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} [options] - Options
+ * @param {string} [options.sourceTable] - Only look at tenders of this source
+ * @param {number} [options.limit=1000] - Maximum number of tenders to look at
+ * @returns {Promise<Object>} { checked, clustered, singletons }
+ */
+async function clusterUnclusteredTenders(supabaseAdmin, { sourceTable = null, limit = 1000 } = {}) {
+    let query = supabaseAdmin
+        .from('unified_tenders')
+        .select(COLUMNS)
+        .is('cluster_id', null)
+        .or('is_amendment.is.null,is_amendment.eq.false')
+        .limit(limit);
+    if (sourceTable) {
+        query = query.eq('source_table', sourceTable);
+    }
+
+    const { data: tenders, error } = await query;
+    if (error) {
+        throw new Error(`Error reading unclustered tenders: ${error.message}`);
+    }
+    if (!tenders || tenders.length === 0) {
+        return { checked: 0, clustered: 0, singletons: 0 };
+    }
+
+    const { clustered, singletons } = await clusterUpdates.run(() => clusterTenders(supabaseAdmin, tenders));
+    let marked = 0;
+    for (const tender of singletons) {
+        const { error: updateError } = await supabaseAdmin
+            .from('unified_tenders')
+            .update({
+                cluster_id: crypto.randomUUID(),
+                is_canonical: true,
+                cluster_members: [{
+                    source_table: tender.source_table,
+                    source_id: String(tender.source_id),
+                    url: tender.url || null,
+                    is_canonical: true,
+                    match_method: null
+                }]
+            })
+            .eq('source_table', tender.source_table)
+            .eq('source_id', tender.source_id)
+            .is('cluster_id', null);
+        if (updateError) {
+            console.warn(`Failed to mark ${tender.source_table} tender ${tender.source_id} as having no duplicates: ${updateError.message}`);
+            continue;
+        }
+        marked++;
+    }
+    return { checked: tenders.length, clustered, singletons: marked };
+}
+
+module.exports = {
+    clusterDuplicates,
+    clusterUnclusteredTenders
+};
@@ -0,0 +1,221 @@
+/**
+ * fieldProvenance.js
+ * Field-level provenance for normalized tenders
+ *
+ * Every normalized tender carries a field_provenance map recording where the value of
+ * each filled field came from and how far it can be trusted, for example:
+ *   { country: { source: 'heuristic', rule: 'country-from-description', confidence: 0.4 } }
+ *
+ * Sources:
+ * - raw: copied from a column of the source record (column names the column)
+ * - adapter: set by the source adapter (method names mapFields or generateUrl)
+ * - llm: returned by the LLM (column is set when the value equals a source column)
+ * - heuristic: derived by a rule of the rule-based normalizer (rule names the rule)
+ * - default: a constant or placeholder (rule names the rule)
+ * - translation: translated from another field (translator and from name them)
+ */
+
+const { UNIFIED_TENDER_SCHEMA } = require('./tenderSchema');
+
+// Normalized fields that provenance is tracked for
+const TRACKED_FIELDS = Object.keys(UNIFIED_TENDER_SCHEMA.properties);
+
+// Confidence of values copied from the source record or set by the adapter
+const RAW_CONFIDENCE = 0.95;
+const ADAPTER_CONFIDENCE = 0.9;
+
+// Confidence of LLM values, with and without a matching source column, and the
+// reduction per schema repair attempt
+const LLM_CONFIDENCE = { matchesColumn: 0.9, derived: 0.75, perRepair: 0.1, minimum: 0.5 };
+
+// Confidence of translated values by translator; the glossary only translates known terms
+const TRANSLATION_CONFIDENCE = { llm: 0.8, mt: 0.75, glossary: 0.3, other: 0.5 };
+
+// Rules of the rule-based normalizer by id, with their source and confidence
+const RULES = {
+    'rule-based-extraction': { source: 'heuristic', confidence: 0.7 },
+    'english-copy': { source: 'heuristic', confidence: 0.85 },
+    'organization-id-lookup': { source: 'heuristic', confidence: 0.8 },
+    'status-from-deadline': { source: 'heuristic', confidence: 0.7 },
+    'buyer-from-description': { source: 'heuristic', confidence: 0.3 },
+    'project-from-description': { source: 'heuristic', confidence: 0.3 },
+    'sector-keywords': { source: 'heuristic', confidence: 0.5 },
+    'country-from-description': { source: 'heuristic', confidence: 0.4 },
+    'country-from-source': { source: 'heuristic', confidence: 0.4 },
+    'reference-from-text': { source: 'heuristic', confidence: 0.5 },
+    'contact-email-from-description': { source: 'heuristic', confidence: 0.6 },
+    'contact-name-from-description': { source: 'heuristic', confidence: 0.3 },
+    'contact-phone-from-description': { source: 'heuristic', confidence: 0.4 },
+    'tender-type-keywords': { source: 'heuristic', confidence: 0.4 },
+    'value-from-description': { source: 'heuristic', confidence: 0.4 },
+    'value-from-lots': { source: 'heuristic', confidence: 0.8 },
+    'language-detection': { source: 'heuristic', confidence: 0.8 },
+    'source-country': { source: 'default', confidence: 0.95 },
+    'source-organization': { source: 'default', confidence: 0.9 },
+    'fallback-title': { source: 'default', confidence: 0.1 },
+    'fallback-description': { source: 'default', confidence: 0.1 },
+    'unknown-placeholder': { source: 'default', confidence: 0 }
+};
+
+/**
+ * Check whether a field value counts as filled
+ * @param {*} value - The value
+ * @returns {boolean} True if the value is not empty
+ */
+function isFilled(value) {
+    if (value === null || value === undefined || value === '') return false;
+    return !Array.isArray(value) || value.length > 0;
+}
+
+/**
+ * Set the provenance entry of a field
+ * @param {Object} record - The normalized tender
+ * @param {string} field - The field name
+ * @param {Object} entry - The provenance entry
+ */
+function setEntry(record, field, entry) {
+    if (!record) return;
+    if (!record.field_provenance) {
+        record.field_provenance = {};
+    }
+    record.field_provenance[field] = entry;
+}
+
+/**
+ * Record that a field was copied from a column of the source record
+ * @param {Object} record - The normalized tender
+ * @param {string} field - The field name
+ * @param {string} column - The source column (dotted for nested values)
+ */
+function recordRaw(record, field, column) {
+    setEntry(record, field, { source: 'raw', column, confidence: RAW_CONFIDENCE });
+}
+
+/**
+ * Record that a field was set by the source adapter
+ * @param {Object} record - The normalized tender
+ * @param {string} field - The field name
+ * @param {string} method - The adapter method (mapFields, generateUrl, extractAwards or extractLots)
+ */
+function recordAdapter(record, field, method) {
+    setEntry(record, field, { source: 'adapter', method, confidence: ADAPTER_CONFIDENCE });
+}
+
+/**
+ * Record that a field was set by a rule of the rule-based normalizer
+ * @param {Object} record - The normalized tender
+ * @param {string} field - The field name
+ * @param {string} ruleId - The rule id (see RULES)
+ */
+function recordRule(record, field, ruleId) {
+    const rule = RULES[ruleId];
+    if (!rule) {
+        throw new Error(`Unknown provenance rule: ${ruleId}`);
+    }
+    setEntry(record, field, { source: rule.source, rule: ruleId, confidence: rule.confidence });
+}
+
+/**
+ * Record that a field was translated from another field
+ * @param {Object} record - The normalized tender
+ * @param {string} field - The English field
+ * @param {string} translator - The translator (llm, mt, glossary or a registered translator)
+ * @param {string} fromField - The field that was translated
+ */
+function recordTranslation(record, field, translator, fromField) {
+    const confidence = TRANSLATION_CONFIDENCE[translator] !== undefined ? TRANSLATION_CONFIDENCE[translator] : TRANSLATION_CONFIDENCE.other;
+    setEntry(record, field, { source: 'translation', translator, from: fromField, confidence });
+}
+
+/**
+ * Find the top-level column of the source record holding a value
+ * Dates match when the column holds the same day in another format.
+ * @param {Object} rawTender - The source record
+ * @param {*} value - The normalized value
+ * @returns {string|null} The column name, or null if no column holds the value
+ */
+function findColumn(rawTender, value) {
+    if (!rawTender || typeof value === 'object') return null;
+
+    const wanted = String(value).trim().toLowerCase();
+    const isDate = /^\d{4}-\d{2}-\d{2}$/.test(wanted);
+
+    for (const [column, rawValue] of Object.entries(rawTender)) {
+        if (!isFilled(rawValue) || typeof rawValue === 'object') continue;
+
+        const candidate = String(rawValue).trim().toLowerCase();
+        if (candidate === wanted) return column;
+
+        if (isDate && !isNaN(new Date(rawValue).getTime()) && new Date(rawValue).toISOString().startsWith(wanted)) {
+            return column;
+        }
+    }
+    return null;
+}
+
+/**
+ * Attribute the filled fields without provenance to the source columns holding their values
+ * Fields whose value is not found in any column are attributed to fallbackRule.
+ * @param {Object} record - The normalized tender
+ * @param {Object} rawTender - The source record
+ * @param {string} fallbackRule - Rule id for values not found in the source record
+ */
+function attributeToRawColumns(record, rawTender, fallbackRule) {
+    TRACKED_FIELDS.forEach(field => {
+        if (!isFilled(record[field]) || (record.field_provenance && record.field_provenance[field])) return;
+
+        const column = findColumn(rawTender, record[field]);
+        if (column) {
+            recordRaw(record, field, column);
+        } else {
+            recordRule(record, field, fallbackRule);
+        }
+    });
+}
+
+/**
+ * Record provenance for the fields of a validated LLM result
+ * @param {Object} record - The normalized tender (the LLM output)
+ * @param {Object} rawTender - The source record
+ * @param {Object} llmResult - The LLM result, for the number of repair attempts
+ */
+function recordLLMOutput(record, rawTender, llmResult) {
+    const penalty = (llmResult.repairAttempts || 0) * LLM_CONFIDENCE.perRepair;
+
+    TRACKED_FIELDS.forEach(field => {
+        if (!isFilled(record[field])) return;
+
+        const column = findColumn(rawTender, record[field]);
+        const confidence = Math.max((column ? LLM_CONFIDENCE.matchesColumn : LLM_CONFIDENCE.derived) - penalty, LLM_CONFIDENCE.minimum);
+        setEntry(record, field, column
+            ? { source: 'llm', column, confidence: Number(confidence.toFixed(2)) }
+            : { source: 'llm', confidence: Number(confidence.toFixed(2)) });
+    });
+}
+
+/**
+ * Remove provenance entries of fields that ended up empty
+ * @param {Object} record - The normalized tender
+ * @returns {Object} The normalized tender
+ */
+function pruneProvenance(record) {
+    if (!record || !record.field_provenance) return record;
+
+    Object.keys(record.field_provenance).forEach(field => {
+        if (!isFilled(record[field])) {
+            delete record.field_provenance[field];
+        }
+    });
+    return record;
+}
+
+module.exports = {
+    RULES,
+    recordRaw,
+    recordAdapter,
+    recordRule,
+    recordTranslation,
+    attributeToRawColumns,
+    recordLLMOutput,
+    pruneProvenance
+};
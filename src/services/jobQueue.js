@@ -0,0 +1,305 @@
+/**
+ * jobQueue.js
+ * Durable queue of tender processing jobs in Postgres
+ *
+ * Every raw tender to process is a row in tender_jobs. Workers claim pending jobs with
+ * the claim_tender_jobs() database function, which locks rows with FOR UPDATE SKIP LOCKED
+ * so that several workers never claim the same job. Failed jobs are retried with
+ * exponential backoff; jobs that fail too often move to tender_job_dead_letters until
+ * they are requeued. Jobs of a worker that died are claimed again once their lock expires,
+ * or dead-lettered by the claim if that worker made their last attempt. A worker only records
+ * the outcome of jobs it still holds the lock of.
+ *
+ * Job statuses: pending -> running -> done, or back to pending for a retry.
+ */
+
+const JOBS_TABLE = 'tender_jobs';
+const DEAD_LETTER_TABLE = 'tender_job_dead_letters';
+
+// Configuration options
+const CONFIG = {
+    // Attempts before a job is moved to the dead-letter table
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+    // Delay before the first retry, doubled for every further attempt
+    backoffBaseSeconds: parseInt(process.env.JOB_BACKOFF_BASE_SECONDS || '60', 10),
+    // Maximum delay between retries
+    backoffMaxSeconds: parseInt(process.env.JOB_BACKOFF_MAX_SECONDS || '3600', 10),
+    // Minutes after which a running job of an unresponsive worker can be claimed again
+    lockTimeoutMinutes: parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES || '30', 10),
+    // Rows written per request when enqueueing
+    enqueueChunkSize: 500
+};
+
+/**
+ * Calculate the delay before the next attempt of a failed job
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+function getBackoffSeconds(attempts) {
+    return Math.min(CONFIG.backoffBaseSeconds * Math.pow(2, Math.max(attempts - 1, 0)), CONFIG.backoffMaxSeconds);
+}
+
+/**
+ * Add jobs for raw tenders of a source
+ * Existing jobs are left alone unless force is set, which resets them to pending.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} sourceTable - The source table name
+ * @param {Array<string|number>} recordIds - IDs of the raw tenders in the source table
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force=false] - Reset existing jobs, including completed ones
+ * @returns {Promise<number>} Number of job rows written
+ */
+async function enqueueJobs(supabaseAdmin, sourceTable, recordIds, { force = false } = {}) {
+    let written = 0;
+    const now = new Date().toISOString();
+
+    for (let i = 0; i < recordIds.length; i += CONFIG.enqueueChunkSize) {
+        const rows = recordIds.slice(i, i + CONFIG.enqueueChunkSize).map(recordId => ({
+            source_table: sourceTable,
+            source_record_id: String(recordId),
+            status: 'pending',
+            attempts: 0,
+            max_attempts: CONFIG.maxAttempts,
+            last_error: null,
+            run_after: now,
+            locked_by: null,
+            locked_at: null,
+            updated_at: now
+        }));
+
+        const { data, error } = await supabaseAdmin
+            .from(JOBS_TABLE)
+            .upsert(rows, { onConflict: 'source_table,source_record_id', ignoreDuplicates: !force })
+            .select('id');
+
+        if (error) {
+            throw new Error(`Error enqueueing ${sourceTable} jobs: ${error.message}`);
+        }
+        written += (data || []).length;
+    }
+
+    return written;
+}
+
+/**
+ * Claim pending jobs whose retry time has come, locking them for this worker
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {number} limit - Maximum number of jobs to claim
+ * @returns {Promise<Object[]>} The claimed jobs, with attempts already incremented
+ */
+async function claimJobs(supabaseAdmin, workerId, limit) {
+    const { data, error } = await supabaseAdmin.rpc('claim_tender_jobs', {
+        p_worker: workerId,
+        p_limit: limit,
+        p_lock_timeout_minutes: CONFIG.lockTimeoutMinutes
+    });
+
+    if (error) {
+        throw new Error(`Error claiming jobs: ${error.message}`);
+    }
+    return data || [];
+}
+
+/**
+ * Mark a claimed job as done
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} job - The claimed job
+ * @returns {Promise<boolean>} False if the lock expired and the job was claimed by another worker
+ */
+async function completeJob(supabaseAdmin, job) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabaseAdmin
+        .from(JOBS_TABLE)
+        .update({ status: 'done', last_error: null, locked_by: null, locked_at: null, completed_at: now, updated_at: now })
+        .eq('id', job.id)
+        .eq('locked_by', job.locked_by)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Error completing job ${job.id}: ${error.message}`);
+    }
+    return (data || []).length > 0;
+}
+
+/**
+ * Move a job to the dead-letter table
+ * The dead letter is written before the job is deleted, so a crash in between only
+ * leaves a running job that the claim dead-letters once its lock expires. If the lock
+ * was lost to another worker, the job is left to that worker and the dead letter removed.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} job - The job
+ * @param {Object[]} errors - Error history of the job
+ * @returns {Promise<boolean>} False if the lock expired and the job was claimed by another worker
+ */
+async function moveToDeadLetter(supabaseAdmin, job, errors) {
+    const { error: insertError } = await supabaseAdmin
+        .from(DEAD_LETTER_TABLE)
+        .upsert({
+            job_id: job.id,
+            source_table: job.source_table,
+            source_record_id: job.source_record_id,
+            attempts: job.attempts,
+            last_error: errors.length > 0 ? errors[errors.length - 1].error : null,
+            errors,
+            enqueued_at: job.created_at,
+            failed_at: new Date().toISOString()
+        }, { onConflict: 'source_table,source_record_id' });
+
+    if (insertError) {
+        throw new Error(`Error dead-lettering job ${job.id}: ${insertError.message}`);
+    }
+
+    const { data: deleted, error: deleteError } = await supabaseAdmin
+        .from(JOBS_TABLE)
+        .delete()
+        .eq('id', job.id)
+        .eq('locked_by', job.locked_by)
+        .select('id');
+
+    if (deleteError) {
+        throw new Error(`Error removing dead-lettered job ${job.id}: ${deleteError.message}`);
+    }
+    if ((deleted || []).length > 0) {
+        return true;
+    }
+
+    const { error: restoreError } = await supabaseAdmin
+        .from(DEAD_LETTER_TABLE)
+        .delete()
+        .eq('source_table', job.source_table)
+        .eq('source_record_id', job.source_record_id)
+        .eq('job_id', job.id);
+
+    if (restoreError) {
+        throw new Error(`Error removing the dead letter of reclaimed job ${job.id}: ${restoreError.message}`);
+    }
+    return false;
+}
+
+/**
+ * Record the failure of a claimed job and schedule a retry or dead-letter it
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} job - The claimed job
+ * @param {string} errorMessage - Why the attempt failed
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.permanent=false] - The job cannot succeed on retry, dead-letter it now
+ * @returns {Promise<string>} 'retry', 'dead', or 'lost' if the lock expired and the job was claimed by another worker
+ */
+async function failJob(supabaseAdmin, job, errorMessage, { permanent = false } = {}) {
+    const errors = [...(job.errors || []), { attempt: job.attempts, error: errorMessage, at: new Date().toISOString() }];
+
+    if (permanent || job.attempts >= (job.max_attempts || CONFIG.maxAttempts)) {
+        return await moveToDeadLetter(supabaseAdmin, job, errors) ? 'dead' : 'lost';
+    }
+
+    const now = Date.now();
+    const { data, error } = await supabaseAdmin
+        .from(JOBS_TABLE)
+        .update({
+            status: 'pending',
+            last_error: errorMessage,
+            errors,
+            run_after: new Date(now + getBackoffSeconds(job.attempts) * 1000).toISOString(),
+            locked_by: null,
+            locked_at: null,
+            updated_at: new Date(now).toISOString()
+        })
+        .eq('id', job.id)
+        .eq('locked_by', job.locked_by)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Error scheduling retry of job ${job.id}: ${error.message}`);
+    }
+    return (data || []).length > 0 ? 'retry' : 'lost';
+}
+
+/**
+ * Move dead-lettered jobs back into the queue with a fresh attempt count
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} [options] - Options
+ * @param {string} [options.sourceTable] - Only requeue jobs of this source
+ * @param {number} [options.limit=1000] - Maximum number of jobs to requeue
+ * @returns {Promise<number>} Number of requeued jobs
+ */
+async function requeueDeadLetters(supabaseAdmin, { sourceTable = null, limit = 1000 } = {}) {
+    let query = supabaseAdmin
+        .from(DEAD_LETTER_TABLE)
+        .select('source_table, source_record_id')
+        .order('failed_at', { ascending: true })
+        .limit(limit);
+
+    if (sourceTable) {
+        query = query.eq('source_table', sourceTable);
+    }
+
+    const { data: deadLetters, error } = await query;
+    if (error) {
+        throw new Error(`Error reading dead-lettered jobs: ${error.message}`);
+    }
+
+    let requeued = 0;
+    const bySource = {};
+    (deadLetters || []).forEach(row => {
+        (bySource[row.source_table] = bySource[row.source_table] || []).push(row.source_record_id);
+    });
+
+    for (const [table, recordIds] of Object.entries(bySource)) {
+        await enqueueJobs(supabaseAdmin, table, recordIds, { force: true });
+
+        const { error: deleteError } = await supabaseAdmin
+            .from(DEAD_LETTER_TABLE)
+            .delete()
+            .eq('source_table', table)
+            .in('source_record_id', recordIds);
+
+        if (deleteError) {
+            throw new Error(`Error removing requeued ${table} dead letters: ${deleteError.message}`);
+        }
+        requeued += recordIds.length;
+    }
+
+    return requeued;
+}
+
+/**
+ * Count jobs by status, and dead-lettered jobs
+ * @param {Object} supabaseAdmin - Supabase client
+ * @returns {Promise<Object>} Counts for pending, running, done and dead
+ */
+async function getQueueStats(supabaseAdmin) {
+    const stats = {};
+
+    for (const status of ['pending', 'running', 'done']) {
+        const { count, error } = await supabaseAdmin
+            .from(JOBS_TABLE)
+            .select('id', { count: 'exact', head: true })
+            .eq('status', status);
+
+        if (error) {
+            throw new Error(`Error counting ${status} jobs: ${error.message}`);
+        }
+        stats[status] = count || 0;
+    }
+
+    const { count, error } = await supabaseAdmin
+        .from(DEAD_LETTER_TABLE)
+        .select('job_id', { count: 'exact', head: true });
+
+    if (error) {
+        throw new Error(`Error counting dead-lettered jobs: ${error.message}`);
+    }
+    stats.dead = count || 0;
+
+    return stats;
+}
+
+module.exports = {
+    enqueueJobs,
+    claimJobs,
+    completeJob,
+    failJob,
+    requeueDeadLetters,
+    getQueueStats
+};
@@ -0,0 +1,271 @@
+/**
+ * languageDetector.js
+ * Offline language identification for tender text
+ *
+ * Languages written in Latin script are identified with character trigram profiles
+ * built from the sample texts below (a naive Bayes model over trigrams, no network
+ * access). Other scripts identify the language directly. Results are ISO 639-1 codes
+ * with a confidence between 0 and 1, which grows with the amount of text.
+ */
+
+// Sample procurement texts the trigram profiles of Latin-script languages are built from
+const SAMPLES = {
+    en: `The government invites sealed bids from eligible bidders for the construction of the
+        rural road and the supply of equipment. This request for proposals is open to all firms
+        that meet the qualification requirements. Bidders should submit their offers before the
+        deadline at the address below. The contract will be awarded to the lowest evaluated bid.
+        Consulting services for the design and supervision of the water supply project, with the
+        support of the ministry of health and the national authority for education. Further
+        information and the bidding documents are available from the procurement office.`,
+    fr: `Le gouvernement invite les soumissionnaires éligibles à présenter des offres sous pli
+        fermé pour la construction de la route rurale et la fourniture des équipements. Cet avis
+        d'appel d'offres est ouvert à toutes les entreprises qui remplissent les conditions de
+        qualification. Les offres doivent être déposées avant la date limite à l'adresse
+        ci-dessous. Le marché sera attribué au soumissionnaire dont l'offre est la moins disante.
+        Services de conseil pour les études et la supervision du projet d'alimentation en eau,
+        avec l'appui du ministère de la santé et de l'agence nationale de l'éducation. Le dossier
+        d'appel d'offres peut être obtenu auprès de la direction des marchés publics.`,
+    es: `El gobierno invita a los licitantes elegibles a presentar ofertas selladas para la
+        construcción del camino rural y el suministro de equipos. Esta solicitud de propuestas
+        está abierta a todas las empresas que cumplan con los requisitos de calificación. Los
+        licitantes deberán presentar sus ofertas antes de la fecha límite en la dirección
+        indicada. El contrato será adjudicado a la oferta evaluada más baja. Servicios de
+        consultoría para el diseño y la supervisión del proyecto de agua potable, con el apoyo
+        del ministerio de salud y de la agencia nacional de educación. Los documentos de
+        licitación están disponibles en la oficina de adquisiciones.`,
+    pt: `O governo convida os licitantes elegíveis a apresentar propostas seladas para a
+        construção da estrada rural e o fornecimento de equipamentos. Este pedido de propostas
+        está aberto a todas as empresas que cumpram os requisitos de qualificação. Os licitantes
+        devem apresentar as suas propostas antes do prazo no endereço indicado abaixo. O contrato
+        será adjudicado à proposta avaliada mais baixa. Serviços de consultoria para o projeto e a
+        supervisão do sistema de abastecimento de água, com o apoio do ministério da saúde e da
+        agência nacional de educação. Os documentos do concurso estão disponíveis no serviço de
+        aquisições.`,
+    de: `Die Regierung fordert geeignete Bieter auf, verschlossene Angebote für den Bau der
+        ländlichen Straße und die Lieferung von Ausrüstung einzureichen. Diese Ausschreibung steht
+        allen Unternehmen offen, die die Eignungsanforderungen erfüllen. Die Bieter sollten ihre
+        Angebote vor Ablauf der Frist an die unten genannte Adresse senden. Der Auftrag wird an das
+        wirtschaftlichste Angebot vergeben. Beratungsleistungen für die Planung und Überwachung des
+        Wasserversorgungsprojekts, mit Unterstützung des Ministeriums für Gesundheit und der
+        nationalen Behörde für Bildung. Die Vergabeunterlagen sind bei der Vergabestelle erhältlich.`,
+    it: `Il governo invita gli offerenti idonei a presentare offerte in busta chiusa per la
+        costruzione della strada rurale e la fornitura delle attrezzature. Questo bando di gara è
+        aperto a tutte le imprese che soddisfano i requisiti di qualificazione. Gli offerenti
+        devono presentare le loro offerte entro il termine all'indirizzo indicato di seguito. Il
+        contratto sarà aggiudicato all'offerta valutata più bassa. Servizi di consulenza per la
+        progettazione e la supervisione del progetto di approvvigionamento idrico, con il sostegno
+        del ministero della salute e dell'agenzia nazionale per l'istruzione. I documenti di gara
+        sono disponibili presso l'ufficio acquisti.`,
+    nl: `De regering nodigt geschikte inschrijvers uit om gesloten inschrijvingen in te dienen
+        voor de aanleg van de landelijke weg en de levering van uitrusting. Deze aanbesteding staat
+        open voor alle ondernemingen die aan de selectiecriteria voldoen. Inschrijvers moeten hun
+        offertes voor de uiterste datum op het onderstaande adres indienen. De opdracht wordt
+        gegund aan de economisch meest voordelige inschrijving. Adviesdiensten voor het ontwerp en
+        het toezicht op het project voor de watervoorziening, met steun van het ministerie van
+        volksgezondheid en de nationale dienst voor onderwijs. De aanbestedingsstukken zijn
+        verkrijgbaar bij de afdeling inkoop.`
+};
+
+// Scripts that identify a language on their own; a variant applies when its letters occur
+const SCRIPTS = [
+    { language: 'ru', pattern: /[\u0400-\u04FF]/g, variant: { language: 'uk', pattern: /[\u0404\u0406\u0407\u0454\u0456\u0457\u0490\u0491]/ } },
+    { language: 'el', pattern: /[\u0370-\u03FF]/g },
+    { language: 'ar', pattern: /[\u0600-\u06FF]/g },
+    { language: 'he', pattern: /[\u0590-\u05FF]/g },
+    { language: 'hi', pattern: /[\u0900-\u097F]/g },
+    { language: 'th', pattern: /[\u0E00-\u0E7F]/g },
+    { language: 'ko', pattern: /[\uAC00-\uD7AF]/g },
+    { language: 'zh', pattern: /[\u3040-\u30FF\u4E00-\u9FFF]/g, variant: { language: 'ja', pattern: /[\u3040-\u30FF]/ } }
+];
+
+// Configuration options
+const CONFIG = {
+    // Latin-script texts with fewer letters than this are not identified
+    minLetters: parseInt(process.env.LANGUAGE_MIN_LETTERS || '10', 10),
+    // Texts in other scripts with fewer letters than this are not identified
+    minScriptLetters: 4,
+    // Detections below this confidence are not used for the language column or routing
+    minConfidence: parseFloat(process.env.LANGUAGE_MIN_CONFIDENCE || '0.6'),
+    // Confidence required for a text to count as strongly identified
+    strongConfidence: 0.9,
+    // Number of trigrams after which the evidence of a text stops growing
+    maxEvidenceTrigrams: 40,
+    // Weight of one trigram as evidence; overlapping trigrams of a word are not independent
+    trigramWeight: 0.25,
+    // Prior odds of English for text without any letter outside ASCII; short English titles
+    // ("Road rehabilitation") carry too little trigram evidence to be identified otherwise
+    asciiEnglishPrior: 4,
+    // Fields of a tender that are tagged individually
+    taggedFields: ['title', 'description', 'organization_name']
+};
+
+/**
+ * Split text into padded character trigrams
+ * @param {string} text - The text
+ * @returns {string[]} Trigrams of the letters and word boundaries of the text
+ */
+function toTrigrams(text) {
+    const words = String(text).toLowerCase().match(/[\p{L}']+/gu) || [];
+    const trigrams = [];
+    words.forEach(word => {
+        const padded = ` ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) {
+            trigrams.push(padded.slice(i, i + 3));
+        }
+    });
+    return trigrams;
+}
+
+/**
+ * Build the trigram profiles of the sample texts
+ * @returns {Object} Profiles by language, with the vocabulary size used for smoothing
+ */
+function buildProfiles() {
+    const profiles = {};
+    const vocabulary = new Set();
+
+    Object.entries(SAMPLES).forEach(([language, sample]) => {
+        const counts = new Map();
+        const trigrams = toTrigrams(sample);
+        trigrams.forEach(trigram => {
+            counts.set(trigram, (counts.get(trigram) || 0) + 1);
+            vocabulary.add(trigram);
+        });
+        profiles[language] = { counts, total: trigrams.length };
+    });
+
+    return { profiles, vocabularySize: vocabulary.size };
+}
+
+const { profiles: PROFILES, vocabularySize: VOCABULARY_SIZE } = buildProfiles();
+
+/**
+ * Identify the language of a text written in a script used by a single language
+ * @param {string} text - The text
+ * @param {number} letterCount - Number of letters in the text
+ * @returns {Object|null} Detection, or null if most letters are Latin
+ */
+function detectScript(text, letterCount) {
+    for (const { language, pattern, variant } of SCRIPTS) {
+        const matches = text.match(pattern);
+        if (matches && matches.length / letterCount >= 0.5) {
+            return {
+                language: variant && variant.pattern.test(text) ? variant.language : language,
+                confidence: Number(Math.min(0.99, 0.7 + letterCount / 50).toFixed(2))
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Identify the language of a text
+ * @param {string} text - The text
+ * @returns {Object|null} { language, confidence } with an ISO 639-1 code, or null if the text is too short
+ */
+function detectLanguage(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const letterCount = (text.match(/\p{L}/gu) || []).length;
+    if (letterCount < CONFIG.minScriptLetters) return null;
+
+    const byScript = detectScript(text, letterCount);
+    if (byScript) return byScript;
+    if (letterCount < CONFIG.minLetters) return null;
+
+    const trigrams = toTrigrams(text);
+    if (trigrams.length === 0) return null;
+
+    // Mean log-likelihood of the trigrams under each profile, with add-one smoothing
+    const scores = Object.entries(PROFILES).map(([language, { counts, total }]) => {
+        const logLikelihood = trigrams.reduce((sum, trigram) =>
+            sum + Math.log(((counts.get(trigram) || 0) + 1) / (total + VOCABULARY_SIZE)), 0);
+        return { language, score: logLikelihood / trigrams.length };
+    });
+
+    // Posterior over the languages, with evidence growing with the length of the text
+    const evidence = Math.min(trigrams.length, CONFIG.maxEvidenceTrigrams) * CONFIG.trigramWeight;
+    const best = Math.max(...scores.map(({ score }) => score));
+    const ascii = !/[^\x00-\x7F]/.test(text);
+    const weights = scores.map(({ language, score }) => ({
+        language,
+        weight: Math.exp((score - best) * evidence) * (ascii && language === 'en' ? CONFIG.asciiEnglishPrior : 1)
+    }));
+    const totalWeight = weights.reduce((sum, { weight }) => sum + weight, 0);
+    const top = weights.reduce((a, b) => (b.weight > a.weight ? b : a));
+
+    return { language: top.language, confidence: Number((top.weight / totalWeight).toFixed(2)) };
+}
+
+/**
+ * Check whether a detection is confident enough to act on
+ * @param {Object|null} detection - Result of detectLanguage
+ * @returns {boolean} True if the confidence reaches LANGUAGE_MIN_CONFIDENCE
+ */
+function isReliable(detection) {
+    return Boolean(detection) && detection.confidence >= CONFIG.minConfidence;
+}
+
+/**
+ * Check whether a text is identified as a language with enough confidence
+ * @param {string} text - The text
+ * @param {string} language - The ISO 639-1 code
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.strong=false] - Require the strong confidence instead of LANGUAGE_MIN_CONFIDENCE
+ * @returns {boolean} True if the text is in the language
+ */
+function isLanguage(text, language, { strong = false } = {}) {
+    const detection = detectLanguage(text);
+    const minConfidence = strong ? CONFIG.strongConfidence : CONFIG.minConfidence;
+    return Boolean(detection) && detection.language === language && detection.confidence >= minConfidence;
+}
+
+/**
+ * Identify the main language of a tender from its tagged fields
+ * @param {Object} tender - The raw or normalized tender
+ * @returns {Object|null} { language, confidence }, or null if the language could not be identified
+ */
+function detectTenderLanguage(tender) {
+    if (!tender) return null;
+
+    const text = CONFIG.taggedFields
+        .map(field => tender[field])
+        .filter(value => typeof value === 'string' && value.trim())
+        .join('\n');
+    const detection = detectLanguage(text);
+    return isReliable(detection) ? detection : null;
+}
+
+/**
+ * Tag the text fields of a normalized tender with their language
+ * Sets language_tags to { field: { language, confidence } } and fills the language
+ * column from the detected main language if it is not set yet.
+ * @param {Object} record - The normalized tender
+ * @returns {boolean} True if the language column was filled by detection
+ */
+function tagLanguages(record) {
+    if (!record) return false;
+
+    const tags = {};
+    CONFIG.taggedFields.forEach(field => {
+        const detection = detectLanguage(record[field]);
+        if (detection) {
+            tags[field] = detection;
+        }
+    });
+    record.language_tags = Object.keys(tags).length > 0 ? tags : null;
+
+    if (record.language) return false;
+
+    const main = detectTenderLanguage(record);
+    record.language = main ? main.language : null;
+    return Boolean(main);
+}
+
+module.exports = {
+    detectLanguage,
+    isReliable,
+    isLanguage,
+    detectTenderLanguage,
+    tagLanguages
+};
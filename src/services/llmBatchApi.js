@@ -0,0 +1,287 @@
+/**
+ * llmBatchApi.js
+ * Asynchronous normalization through the OpenAI Batch API
+ *
+ * Tenders of sources in batch-api mode are written to a JSONL input file and submitted
+ * as a batch job. Jobs are tracked in the llm_batch_jobs table; polling picks up
+ * completed jobs and ingests their results into unified_tenders. Tenders whose result
+ * is missing stay unprocessed and are submitted again on the next run.
+ */
+
+const llmProviderRegistry = require('./llmProviderRegistry');
+const sourceRegistry = require('./sourceRegistry');
+const { generatePrompt, normalizeFromLLMResponse } = require('./tenderNormalizer');
+const { upsertUnifiedTenders } = require('./unifiedTenderWriter');
+
+// Configuration options
+const CONFIG = {
+    // Table tracking submitted batch jobs
+    jobsTable: process.env.LLM_BATCH_JOBS_TABLE || 'llm_batch_jobs',
+    // Maximum number of requests per batch job (the OpenAI limit is 50,000)
+    maxRequestsPerBatch: parseInt(process.env.LLM_BATCH_API_MAX_REQUESTS || '5000', 10)
+};
+
+// Batch statuses after which no results will arrive
+const FAILED_STATUSES = ['failed', 'expired', 'cancelled'];
+
+/**
+ * Get the active LLM provider, making sure it supports the Batch API
+ * @returns {BaseLLMProvider} The provider
+ */
+function getBatchProvider() {
+    const provider = llmProviderRegistry.getActiveProvider();
+    if (!provider.supportsBatchApi()) {
+        throw new Error(`LLM provider ${provider.name} does not support the Batch API`);
+    }
+    return provider;
+}
+
+/**
+ * Build the custom ID identifying a tender in a batch
+ * @param {string} sourceTable - The source table name
+ * @param {Object} tender - The raw tender
+ * @returns {string} The custom ID
+ */
+function buildCustomId(sourceTable, tender) {
+    return `${sourceTable}:${tender.id}`;
+}
+
+/**
+ * Get the IDs of tenders that are part of a batch job that has not been ingested yet
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} sourceTable - The source table name
+ * @returns {Promise<Set<string>>} Tender IDs
+ */
+async function getPendingTenderIds(supabaseAdmin, sourceTable) {
+    const { data, error } = await supabaseAdmin
+        .from(CONFIG.jobsTable)
+        .select('tender_ids')
+        .eq('source_table', sourceTable)
+        .is('ingested_at', null)
+        .not('status', 'in', `(${FAILED_STATUSES.join(',')})`);
+
+    if (error) throw new Error(`Error reading batch jobs: ${error.message}`);
+    return new Set((data || []).flatMap(job => job.tender_ids || []).map(String));
+}
+
+/**
+ * Submit tenders for normalization through the Batch API
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} sourceTable - The source table name
+ * @param {Object[]} tenders - Raw tenders that need LLM normalization
+ * @returns {Promise<Object>} Submission result with submitted, alreadyPending and jobs
+ */
+async function submitBatchJobs(supabaseAdmin, sourceTable, tenders) {
+    const provider = getBatchProvider();
+    const pendingIds = await getPendingTenderIds(supabaseAdmin, sourceTable);
+    const toSubmit = tenders.filter(tender => !pendingIds.has(String(tender.id)));
+
+    if (toSubmit.length < tenders.length) {
+        console.log(`${tenders.length - toSubmit.length} ${sourceTable} tenders are already part of a pending batch job`);
+    }
+
+    const adapter = sourceRegistry.getAdapter(sourceTable);
+    const sourceInstructions = adapter ? adapter.getSourceSpecificPrompt() : '';
+
+    const jobs = [];
+    for (let i = 0; i < toSubmit.length; i += CONFIG.maxRequestsPerBatch) {
+        const slice = toSubmit.slice(i, i + CONFIG.maxRequestsPerBatch);
+        const lines = slice.map(tender =>
+            JSON.stringify(provider.buildBatchRequest(buildCustomId(sourceTable, tender), generatePrompt(tender, sourceTable, '', sourceInstructions)))
+        );
+
+        const file = await provider.uploadBatchFile(lines.join('\n'), `${sourceTable}-${Date.now()}.jsonl`);
+        const batch = await provider.createBatch(file.id, { source_table: sourceTable });
+
+        const job = {
+            batch_id: batch.id,
+            provider: provider.name,
+            model: provider.settings.model,
+            source_table: sourceTable,
+            status: batch.status,
+            tender_ids: slice.map(tender => String(tender.id)),
+            request_count: slice.length,
+            input_file_id: file.id,
+            created_at: new Date().toISOString()
+        };
+
+        const { error } = await supabaseAdmin.from(CONFIG.jobsTable).insert(job);
+        if (error) {
+            throw new Error(`Batch ${batch.id} was submitted but could not be recorded: ${error.message}`);
+        }
+
+        console.log(`Submitted Batch API job ${batch.id} with ${slice.length} ${sourceTable} tenders`);
+        jobs.push(job);
+    }
+
+    return { submitted: toSubmit.length, alreadyPending: tenders.length - toSubmit.length, jobs };
+}
+
+/**
+ * Parse a Batch API output file into chat completion responses by custom ID
+ * @param {string} content - The JSONL output file content
+ * @returns {Map<string, Object>} Successful responses by custom ID
+ */
+function parseBatchOutput(content) {
+    const responses = new Map();
+    content.split('\n').filter(line => line.trim()).forEach(line => {
+        try {
+            const result = JSON.parse(line);
+            if (result.response && result.response.status_code === 200) {
+                // Batch API requests are billed at a discount
+                responses.set(result.custom_id, { ...result.response.body, billing: 'batch' });
+            }
+        } catch (error) {
+            console.warn(`Skipping unreadable batch output line: ${error.message}`);
+        }
+    });
+    return responses;
+}
+
+/**
+ * Ingest the results of a completed batch job into unified_tenders
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} job - The batch job row (with output_file_id)
+ * @returns {Promise<Object>} Ingestion result with ingested and failed counts
+ */
+async function ingestBatchJob(supabaseAdmin, job) {
+    const provider = llmProviderRegistry.getProvider(job.provider);
+    const adapter = sourceRegistry.getAdapter(job.source_table);
+    if (!adapter) {
+        throw new Error(`No adapter registered for ${job.source_table}`);
+    }
+
+    const responses = job.output_file_id
+        ? parseBatchOutput(await provider.getFileContent(job.output_file_id))
+        : new Map();
+
+    const { data: tenders, error: fetchError } = await supabaseAdmin
+        .from(job.source_table)
+        .select('*')
+        .in('id', job.tender_ids);
+
+    if (fetchError) throw new Error(`Error fetching tenders from ${job.source_table}: ${fetchError.message}`);
+
+    // Only mark tenders as processed if the source table tracks it
+    const tableInfo = await supabaseAdmin
+        .from('information_schema.columns')
+        .select('column_name')
+        .eq('table_name', job.source_table)
+        .eq('column_name', 'last_processed_at');
+    const tracksProcessing = Boolean(tableInfo.data && tableInfo.data.length > 0);
+
+    let ingested = 0;
+    let failed = 0;
+    const entries = [];
+    for (const tender of tenders || []) {
+        const llmResponse = responses.get(buildCustomId(job.source_table, tender));
+        if (!llmResponse) {
+            failed++;
+            continue;
+        }
+
+        try {
+            const normalizedTender = await adapter.processTender(tender, (rawTender, sourceTable, sourceInstructions) =>
+                normalizeFromLLMResponse(rawTender, sourceTable, llmResponse, sourceInstructions)
+            );
+            entries.push({ tender: normalizedTender, sourceRecordId: tender.id, markProcessed: tracksProcessing });
+        } catch (error) {
+            console.error(`Error ingesting batch result for ${job.source_table} tender ${tender.id}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    // All normalized tenders of the job are written in one bulk upsert
+    const results = await upsertUnifiedTenders(supabaseAdmin, entries);
+    results.forEach(result => {
+        if (result.success) {
+            ingested++;
+        } else {
+            failed++;
+        }
+    });
+
+    // Tenders that no longer exist in the source table are counted as failed as well
+    failed += job.tender_ids.length - (tenders || []).length;
+
+    await supabaseAdmin
+        .from(CONFIG.jobsTable)
+        .update({ ingested_at: new Date().toISOString(), ingested_count: ingested, failed_count: failed })
+        .eq('batch_id', job.batch_id);
+
+    console.log(`Ingested Batch API job ${job.batch_id}: ${ingested} tenders normalized, ${failed} failed`);
+    return { ingested, failed };
+}
+
+/**
+ * Check the status of all pending batch jobs and ingest the completed ones
+ * @param {Object} supabaseAdmin - Supabase client
+ * @returns {Promise<Object>} Summary with checked, completed, failed, pending, ingested and ingestFailed counts
+ */
+async function pollBatchJobs(supabaseAdmin) {
+    const { data: jobs, error } = await supabaseAdmin
+        .from(CONFIG.jobsTable)
+        .select('*')
+        .is('ingested_at', null)
+        .not('status', 'in', `(${FAILED_STATUSES.join(',')})`)
+        .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Error reading batch jobs: ${error.message}`);
+
+    const summary = { checked: 0, completed: 0, failed: 0, pending: 0, ingested: 0, ingestFailed: 0 };
+    for (const job of jobs || []) {
+        summary.checked++;
+
+        try {
+            const batch = await llmProviderRegistry.getProvider(job.provider).getBatch(job.batch_id);
+            const updates = {
+                status: batch.status,
+                output_file_id: batch.output_file_id || null,
+                error_file_id: batch.error_file_id || null,
+                completed_at: batch.completed_at ? new Date(batch.completed_at * 1000).toISOString() : null
+            };
+            await supabaseAdmin.from(CONFIG.jobsTable).update(updates).eq('batch_id', job.batch_id);
+
+            if (batch.status === 'completed') {
+                summary.completed++;
+                const result = await ingestBatchJob(supabaseAdmin, { ...job, ...updates });
+                summary.ingested += result.ingested;
+                summary.ingestFailed += result.failed;
+            } else if (FAILED_STATUSES.includes(batch.status)) {
+                console.warn(`Batch API job ${job.batch_id} ended with status ${batch.status}, its tenders will be submitted again`);
+                summary.failed++;
+            } else {
+                summary.pending++;
+            }
+        } catch (error) {
+            console.error(`Error polling Batch API job ${job.batch_id}: ${error.message}`);
+            summary.pending++;
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * List recent batch jobs
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {number} limit - Maximum number of jobs to return
+ * @returns {Promise<Object[]>} Batch job rows, newest first
+ */
+async function listBatchJobs(supabaseAdmin, limit = 20) {
+    const { data, error } = await supabaseAdmin
+        .from(CONFIG.jobsTable)
+        .select('batch_id, source_table, status, request_count, ingested_count, failed_count, created_at, completed_at, ingested_at')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) throw new Error(`Error reading batch jobs: ${error.message}`);
+    return data || [];
+}
+
+module.exports = {
+    submitBatchJobs,
+    pollBatchJobs,
+    ingestBatchJob,
+    listBatchJobs
+};
@@ -0,0 +1,306 @@
+/**
+ * llmCache.js
+ * Persistent, content-addressed cache for LLM responses
+ *
+ * Entries are keyed by a hash of the prompt, the model and the prompt version, so
+ * reprocessing an unchanged tender with the same prompt never calls the LLM twice.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+
+// Configuration options
+const CONFIG = {
+    // Storage backend: 'file', 'supabase' or 'none' to disable caching
+    backend: (process.env.LLM_CACHE_BACKEND || 'file').toLowerCase(),
+    // Directory for the file backend
+    directory: process.env.LLM_CACHE_DIR || path.join(process.cwd(), '.cache', 'llm'),
+    // Table for the supabase backend
+    table: process.env.LLM_CACHE_TABLE || 'llm_response_cache',
+    // Time to live in hours (0 means entries never expire)
+    ttlHours: parseFloat(process.env.LLM_CACHE_TTL_HOURS || '720')
+};
+
+// Hit/miss statistics for the current process
+const cacheStats = {
+    hits: 0,
+    misses: 0,
+    writes: 0,
+    expired: 0,
+    errors: 0
+};
+
+let supabaseClient = null;
+
+/**
+ * Lazily create the Supabase client used by the supabase backend
+ * @returns {Object} Supabase client
+ */
+function getSupabaseClient() {
+    if (!supabaseClient) {
+        if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+            throw new Error('SUPABASE_URL and SUPABASE_KEY must be provided for the supabase LLM cache backend');
+        }
+        supabaseClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY, {
+            auth: { autoRefreshToken: false, persistSession: false }
+        });
+    }
+    return supabaseClient;
+}
+
+/**
+ * Whether caching is enabled
+ * @returns {boolean} True unless the backend is 'none'
+ */
+function isCacheEnabled() {
+    return CONFIG.backend !== 'none';
+}
+
+/**
+ * Build the cache key for a prompt
+ * @param {string} prompt - The full prompt sent to the LLM
+ * @param {string} model - The model name
+ * @param {string} promptVersion - The prompt version
+ * @returns {string} A sha256 hex digest
+ */
+function buildCacheKey(prompt, model, promptVersion) {
+    return crypto
+        .createHash('sha256')
+        .update(`${promptVersion}\n${model}\n${prompt}`)
+        .digest('hex');
+}
+
+/**
+ * Get the file path for a cache key (sharded by the first two hex characters)
+ * @param {string} key - The cache key
+ * @returns {string} The file path
+ */
+function getEntryPath(key) {
+    return path.join(CONFIG.directory, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Check whether an entry has expired
+ * @param {Object} entry - The cache entry
+ * @returns {boolean} True if the entry has expired
+ */
+function isExpired(entry) {
+    return Boolean(entry.expires_at) && new Date(entry.expires_at) <= new Date();
+}
+
+/**
+ * Read an entry from the configured backend
+ * @param {string} key - The cache key
+ * @returns {Promise<Object|null>} The entry or null if not found
+ */
+async function readEntry(key) {
+    if (CONFIG.backend === 'supabase') {
+        const { data, error } = await getSupabaseClient()
+            .from(CONFIG.table)
+            .select('cache_key, model, prompt_version, response, created_at, expires_at')
+            .eq('cache_key', key)
+            .maybeSingle();
+        if (error) throw new Error(error.message);
+        return data;
+    }
+
+    try {
+        return JSON.parse(await fs.promises.readFile(getEntryPath(key), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Remove an entry from the configured backend
+ * @param {string} key - The cache key
+ */
+async function deleteEntry(key) {
+    if (CONFIG.backend === 'supabase') {
+        await getSupabaseClient().from(CONFIG.table).delete().eq('cache_key', key);
+        return;
+    }
+    await fs.promises.rm(getEntryPath(key), { force: true });
+}
+
+/**
+ * Look up a cached LLM response
+ * @param {string} key - The cache key from buildCacheKey
+ * @returns {Promise<Object|null>} The cached LLM response or null on a miss
+ */
+async function getCachedResponse(key) {
+    if (!isCacheEnabled()) return null;
+
+    try {
+        const entry = await readEntry(key);
+
+        if (!entry) {
+            cacheStats.misses++;
+            return null;
+        }
+
+        if (isExpired(entry)) {
+            cacheStats.expired++;
+            cacheStats.misses++;
+            await deleteEntry(key);
+            return null;
+        }
+
+        cacheStats.hits++;
+        return entry.response;
+    } catch (error) {
+        // A broken cache must never break normalization
+        cacheStats.errors++;
+        cacheStats.misses++;
+        console.warn(`LLM cache lookup failed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Store an LLM response in the cache
+ * @param {string} key - The cache key from buildCacheKey
+ * @param {Object} response - The LLM response
+ * @param {Object} metadata - Entry metadata
+ * @param {string} metadata.model - The model name
+ * @param {string} metadata.promptVersion - The prompt version
+ */
+async function setCachedResponse(key, response, { model, promptVersion } = {}) {
+    if (!isCacheEnabled()) return;
+
+    const now = new Date();
+    const entry = {
+        cache_key: key,
+        model: model || null,
+        prompt_version: promptVersion || null,
+        response,
+        created_at: now.toISOString(),
+        expires_at: CONFIG.ttlHours > 0 ? new Date(now.getTime() + CONFIG.ttlHours * 3600 * 1000).toISOString() : null
+    };
+
+    try {
+        if (CONFIG.backend === 'supabase') {
+            const { error } = await getSupabaseClient()
+                .from(CONFIG.table)
+                .upsert(entry, { onConflict: 'cache_key' });
+            if (error) throw new Error(error.message);
+        } else {
+            const entryPath = getEntryPath(key);
+            await fs.promises.mkdir(path.dirname(entryPath), { recursive: true });
+            await fs.promises.writeFile(entryPath, JSON.stringify(entry));
+        }
+        cacheStats.writes++;
+    } catch (error) {
+        cacheStats.errors++;
+        console.warn(`LLM cache write failed: ${error.message}`);
+    }
+}
+
+/**
+ * List all entry files of the file backend
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+async function listEntryFiles() {
+    let shards;
+    try {
+        shards = await fs.promises.readdir(CONFIG.directory);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const files = [];
+    for (const shard of shards) {
+        const shardPath = path.join(CONFIG.directory, shard);
+        const stat = await fs.promises.stat(shardPath);
+        if (!stat.isDirectory()) continue;
+        const entries = await fs.promises.readdir(shardPath);
+        entries.filter(name => name.endsWith('.json')).forEach(name => files.push(path.join(shardPath, name)));
+    }
+    return files;
+}
+
+/**
+ * Purge cache entries
+ * @param {Object} options - Purge options
+ * @param {boolean} options.expiredOnly - Only remove expired entries
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function purgeCache({ expiredOnly = false } = {}) {
+    if (CONFIG.backend === 'supabase') {
+        let query = getSupabaseClient().from(CONFIG.table).delete({ count: 'exact' });
+        query = expiredOnly
+            ? query.lte('expires_at', new Date().toISOString())
+            : query.neq('cache_key', '');
+        const { count, error } = await query;
+        if (error) throw new Error(error.message);
+        return count || 0;
+    }
+
+    let removed = 0;
+    for (const file of await listEntryFiles()) {
+        if (expiredOnly) {
+            try {
+                const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+                if (!isExpired(entry)) continue;
+            } catch (error) {
+                // Unreadable entries are purged as well
+            }
+        }
+        await fs.promises.rm(file, { force: true });
+        removed++;
+    }
+    return removed;
+}
+
+/**
+ * Count the entries currently stored in the cache
+ * @returns {Promise<Object>} Entry counts (total and expired)
+ */
+async function describeCache() {
+    if (CONFIG.backend === 'supabase') {
+        const client = getSupabaseClient();
+        const { count: total } = await client.from(CONFIG.table).select('cache_key', { count: 'exact', head: true });
+        const { count: expired } = await client.from(CONFIG.table)
+            .select('cache_key', { count: 'exact', head: true })
+            .lte('expires_at', new Date().toISOString());
+        return { backend: CONFIG.backend, total: total || 0, expired: expired || 0 };
+    }
+
+    const files = await listEntryFiles();
+    let expired = 0;
+    for (const file of files) {
+        try {
+            if (isExpired(JSON.parse(await fs.promises.readFile(file, 'utf8')))) expired++;
+        } catch (error) {
+            expired++;
+        }
+    }
+    return { backend: CONFIG.backend, directory: CONFIG.directory, total: files.length, expired };
+}
+
+/**
+ * Get hit/miss statistics for the current process
+ * @returns {Object} Cache statistics including the hit rate in percent
+ */
+function getCacheStats() {
+    const lookups = cacheStats.hits + cacheStats.misses;
+    return {
+        ...cacheStats,
+        backend: CONFIG.backend,
+        hitRate: lookups > 0 ? Math.round(cacheStats.hits / lookups * 100) : 0
+    };
+}
+
+module.exports = {
+    buildCacheKey,
+    getCachedResponse,
+    setCachedResponse,
+    purgeCache,
+    describeCache,
+    getCacheStats,
+    isCacheEnabled
+};
@@ -0,0 +1,83 @@
+/**
+ * llmProviderRegistry.js
+ * Registry for all LLM providers
+ */
+
+// Import providers
+const OpenAIProvider = require('../providers/openai/OpenAIProvider');
+const OpenRouterProvider = require('../providers/openrouter/OpenRouterProvider');
+const AzureOpenAIProvider = require('../providers/azure/AzureOpenAIProvider');
+const LocalProvider = require('../providers/local/LocalProvider');
+const StubProvider = require('../providers/stub/StubProvider');
+
+// Provider used when LLM_PROVIDER is not set
+const DEFAULT_PROVIDER = 'openai';
+
+/**
+ * Registry for all LLM providers
+ */
+class LLMProviderRegistry {
+  constructor() {
+    this.providerClasses = {};
+    this.instances = {};
+    this.registerDefaults();
+  }
+
+  /**
+   * Register a provider class
+   * @param {string} name - The provider name
+   * @param {Function} ProviderClass - A BaseLLMProvider subclass
+   */
+  register(name, ProviderClass) {
+    this.providerClasses[name] = ProviderClass;
+    delete this.instances[name];
+  }
+
+  /**
+   * Register the built-in providers
+   */
+  registerDefaults() {
+    this.register('openai', OpenAIProvider);
+    this.register('openrouter', OpenRouterProvider);
+    this.register('azure', AzureOpenAIProvider);
+    this.register('local', LocalProvider);
+    this.register('stub', StubProvider);
+  }
+
+  /**
+   * Get a provider instance by name (instances are created lazily so settings come from the current env)
+   * @param {string} name - The provider name
+   * @returns {BaseLLMProvider} The provider
+   */
+  getProvider(name) {
+    const ProviderClass = this.providerClasses[name];
+    if (!ProviderClass) {
+      throw new Error(`Unknown LLM provider: ${name}. Available providers: ${this.getRegisteredProviders().join(', ')}`);
+    }
+
+    if (!this.instances[name]) {
+      this.instances[name] = new ProviderClass();
+    }
+    return this.instances[name];
+  }
+
+  /**
+   * Get the provider selected by the LLM_PROVIDER environment variable
+   * @returns {BaseLLMProvider} The active provider
+   */
+  getActiveProvider() {
+    return this.getProvider((process.env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase());
+  }
+
+  /**
+   * Get a list of all registered providers
+   * @returns {string[]} Array of provider names
+   */
+  getRegisteredProviders() {
+    return Object.keys(this.providerClasses);
+  }
+}
+
+// Create and export a singleton instance
+const llmProviderRegistry = new LLMProviderRegistry();
+module.exports = llmProviderRegistry;
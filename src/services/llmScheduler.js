@@ -0,0 +1,108 @@
+/**
+ * llmScheduler.js
+ * Concurrency and rate limits for LLM requests
+ *
+ * Every chat request goes through a shared worker pool (LLM_CONCURRENCY) and the token-bucket
+ * rate limiter of its provider (<PROVIDER>_REQUESTS_PER_MINUTE and <PROVIDER>_TOKENS_PER_MINUTE,
+ * or the LLM_* equivalents). A 429 response pauses all requests to the provider, halves its
+ * allowed rates until requests succeed again, and the request is retried.
+ */
+
+const { createWorkerPool } = require('../utils/workerPool');
+const { RateLimiter } = require('../utils/rateLimiter');
+const { estimateTokens } = require('./chunkedNormalizer');
+
+// Configuration options
+const CONFIG = {
+    // LLM requests running at the same time
+    concurrency: parseInt(process.env.LLM_CONCURRENCY || '5', 10),
+    // Retries of a request answered with 429 before the error is passed on
+    maxRateLimitRetries: parseInt(process.env.LLM_RATE_LIMIT_RETRIES || '5', 10)
+};
+
+const llmPool = createWorkerPool(CONFIG.concurrency);
+
+// Rate limiters by provider name
+const rateLimiters = new Map();
+
+// Statistics for the current process
+const schedulerStats = {
+    requests: 0,
+    rateLimited: 0,
+    waitedMs: 0
+};
+
+/**
+ * Get the rate limiter of a provider
+ * @param {Object} provider - The LLM provider
+ * @returns {RateLimiter} The provider's rate limiter
+ */
+function getRateLimiter(provider) {
+    if (!rateLimiters.has(provider.name)) {
+        rateLimiters.set(provider.name, new RateLimiter(provider.name, {
+            requestsPerMinute: provider.settings.requestsPerMinute,
+            tokensPerMinute: provider.settings.tokensPerMinute
+        }));
+    }
+    return rateLimiters.get(provider.name);
+}
+
+/**
+ * Send a prompt to a provider within the concurrency and rate limits
+ * @param {Object} provider - The LLM provider
+ * @param {string} prompt - The prompt to send
+ * @param {Object} overrides - Per-call setting overrides
+ * @returns {Promise<Object>} The response in OpenAI chat completion format
+ */
+async function scheduleCompletion(provider, prompt, overrides = {}) {
+    return llmPool.run(async () => {
+        const limiter = getRateLimiter(provider);
+        // Providers count the completion limit against the token rate until the response is known
+        const estimatedTokens = estimateTokens(prompt) + (overrides.maxTokens || provider.settings.maxTokens || 0);
+
+        for (let attempt = 0; ; attempt++) {
+            schedulerStats.waitedMs += await limiter.acquire(estimatedTokens);
+            schedulerStats.requests++;
+
+            try {
+                const llmResponse = await provider.complete(prompt, overrides);
+                const usage = (llmResponse && llmResponse.usage) || {};
+                limiter.settle(estimatedTokens, usage.total_tokens ?? usage.prompt_tokens + usage.completion_tokens);
+                limiter.recordSuccess();
+                return llmResponse;
+            } catch (error) {
+                if (error.status !== 429 || attempt >= CONFIG.maxRateLimitRetries) {
+                    throw error;
+                }
+                schedulerStats.rateLimited++;
+                limiter.backOff(error.retryAfterMs);
+            }
+        }
+    });
+}
+
+/**
+ * Whether LLM requests are currently held back by rate limits or a back-off
+ * @returns {boolean} True if any provider is throttled
+ */
+function isThrottled() {
+    return [...rateLimiters.values()].some(limiter => limiter.isThrottled());
+}
+
+/**
+ * Get scheduler statistics for the current process
+ * @returns {Object} Requests, rate-limited responses, time spent waiting and pool state
+ */
+function getSchedulerStats() {
+    return {
+        ...schedulerStats,
+        active: llmPool.active,
+        pending: llmPool.pending
+    };
+}
+
+module.exports = {
+    scheduleCompletion,
+    isThrottled,
+    getSchedulerStats
+};
@@ -0,0 +1,342 @@
+/**
+ * llmUsageTracker.js
+ * Token and cost accounting for LLM requests, with run and daily budgets
+ *
+ * Usage is taken from the `usage` block of each chat completion, priced with a
+ * configurable price table and aggregated per source for the current run and day.
+ * Every recorded usage is also appended to the llm_usage ledger, from which the spend of the
+ * day is loaded when a run starts.
+ */
+
+const fs = require('fs');
+
+// Default prices in USD per million tokens, matched by model name prefix (longest prefix wins)
+const DEFAULT_PRICES = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'openai/gpt-4o': { input: 2.5, output: 10 },
+    'stub': { input: 0, output: 0 }
+};
+
+/**
+ * Load the price table, merging LLM_PRICE_TABLE (path to a JSON file) over the defaults
+ * @returns {Object} Prices by model name prefix
+ */
+function loadPriceTable() {
+    if (!process.env.LLM_PRICE_TABLE) {
+        return DEFAULT_PRICES;
+    }
+
+    try {
+        return { ...DEFAULT_PRICES, ...JSON.parse(fs.readFileSync(process.env.LLM_PRICE_TABLE, 'utf8')) };
+    } catch (error) {
+        console.warn(`Could not load LLM price table from ${process.env.LLM_PRICE_TABLE}: ${error.message}, using defaults`);
+        return DEFAULT_PRICES;
+    }
+}
+
+// Configuration options
+const CONFIG = {
+    prices: loadPriceTable(),
+    // Maximum spend per run in USD (0 means unlimited)
+    runBudgetUsd: parseFloat(process.env.LLM_RUN_BUDGET_USD || '0'),
+    // Maximum spend per UTC day in USD (0 means unlimited)
+    dailyBudgetUsd: parseFloat(process.env.LLM_DAILY_BUDGET_USD || '0'),
+    // Price multiplier for requests sent through the Batch API
+    batchApiDiscount: 0.5,
+    // Append-only table of recorded usage
+    ledgerTable: 'llm_usage'
+};
+
+/**
+ * Create an empty usage record
+ * @returns {Object} Usage with zero tokens and cost
+ */
+function emptyUsage() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, model: null };
+}
+
+// Usage of the current run and the current UTC day
+let runUsage = { ...emptyUsage(), tenders: 0, bySource: {} };
+let dailyUsage = { date: new Date().toISOString().split('T')[0], costUsd: 0 };
+let budgetWarningShown = false;
+
+// Client the ledger is written with (set by loadDailyUsage), rows waiting to be written and the pending write
+let ledgerClient = null;
+let ledgerRows = [];
+let ledgerWrite = Promise.resolve();
+
+/**
+ * Find the price entry for a model
+ * @param {string} model - The model name
+ * @returns {Object|null} { input, output } in USD per million tokens, or null if unknown
+ */
+function getModelPrice(model) {
+    if (!model) return null;
+    const prefix = Object.keys(CONFIG.prices)
+        .filter(candidate => model.startsWith(candidate))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? CONFIG.prices[prefix] : null;
+}
+
+/**
+ * Estimate the cost of a request
+ * @param {string} model - The model name
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @returns {number} Estimated cost in USD (0 for models missing from the price table)
+ */
+function estimateCost(model, promptTokens, completionTokens) {
+    const price = getModelPrice(model);
+    if (!price) return 0;
+    return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+}
+
+/**
+ * Extract usage from a chat completion response
+ * @param {Object} llmResponse - The response in OpenAI chat completion format
+ * @param {string} fallbackModel - Model to use when the response does not name one
+ * @returns {Object} Usage for this request
+ */
+function usageFromResponse(llmResponse, fallbackModel = null) {
+    const usage = (llmResponse && llmResponse.usage) || {};
+    const model = (llmResponse && llmResponse.model) || fallbackModel;
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const discount = llmResponse && llmResponse.billing === 'batch' ? CONFIG.batchApiDiscount : 1;
+
+    return {
+        requests: 1,
+        promptTokens,
+        completionTokens,
+        costUsd: estimateCost(model, promptTokens, completionTokens) * discount,
+        model
+    };
+}
+
+/**
+ * Add two usage records
+ * @param {Object} a - First usage
+ * @param {Object} b - Second usage
+ * @returns {Object} Combined usage
+ */
+function mergeUsage(a, b) {
+    if (!a) return b || emptyUsage();
+    if (!b) return a;
+    return {
+        requests: a.requests + b.requests,
+        promptTokens: a.promptTokens + b.promptTokens,
+        completionTokens: a.completionTokens + b.completionTokens,
+        costUsd: a.costUsd + b.costUsd,
+        model: b.model || a.model
+    };
+}
+
+/**
+ * Split the usage of a shared request (e.g. a packed request) evenly
+ * @param {Object} usage - The usage of the shared request
+ * @param {number} parts - Number of tenders sharing the request
+ * @returns {Object} Usage attributed to each tender
+ */
+function splitUsage(usage, parts) {
+    return {
+        requests: usage.requests / parts,
+        promptTokens: Math.round(usage.promptTokens / parts),
+        completionTokens: Math.round(usage.completionTokens / parts),
+        costUsd: usage.costUsd / parts,
+        model: usage.model
+    };
+}
+
+/**
+ * Write the rows waiting for the ledger in one insert
+ * A failed insert is logged; the usage is still counted in the run and daily totals.
+ */
+async function writeLedgerRows() {
+    const rows = ledgerRows;
+    ledgerRows = [];
+
+    const { error } = await ledgerClient.from(CONFIG.ledgerTable).insert(rows);
+    if (error) {
+        console.warn(`Failed to record ${rows.length} LLM usage rows: ${error.message}`);
+    }
+}
+
+/**
+ * Append usage to the ledger
+ * Rows recorded while a write is running are written together once it is done.
+ * @param {string} sourceTable - The source table name
+ * @param {Object} usage - The usage
+ */
+function appendToLedger(sourceTable, usage) {
+    if (!ledgerClient) return;
+
+    ledgerRows.push({
+        source_table: sourceTable || null,
+        llm_model: usage.model || null,
+        requests: usage.requests,
+        prompt_tokens: usage.promptTokens,
+        completion_tokens: usage.completionTokens,
+        cost_usd: Number(usage.costUsd.toFixed(6)),
+        recorded_at: new Date().toISOString()
+    });
+    if (ledgerRows.length === 1) {
+        ledgerWrite = ledgerWrite.then(writeLedgerRows);
+    }
+}
+
+/**
+ * Wait until all recorded usage has been written to the ledger
+ * @returns {Promise<void>}
+ */
+function flushUsageLedger() {
+    return ledgerWrite;
+}
+
+/**
+ * Record the LLM usage of a normalized tender in the run and daily totals and in the ledger
+ * @param {string} sourceTable - The source table name
+ * @param {Object} usage - Usage attributed to the tender
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.countTender=true] - Count a tender, false for additional usage of an already counted tender
+ */
+function recordUsage(sourceTable, usage, { countTender = true } = {}) {
+    if (!usage) return;
+
+    const today = new Date().toISOString().split('T')[0];
+    if (dailyUsage.date !== today) {
+        dailyUsage = { date: today, costUsd: 0 };
+    }
+    dailyUsage.costUsd += usage.costUsd;
+    appendToLedger(sourceTable, usage);
+
+    if (!runUsage.bySource[sourceTable]) {
+        runUsage.bySource[sourceTable] = { ...emptyUsage(), tenders: 0 };
+    }
+
+    [runUsage, runUsage.bySource[sourceTable]].forEach(totals => {
+        Object.assign(totals, mergeUsage(totals, usage));
+        if (countTender) {
+            totals.tenders++;
+        }
+    });
+}
+
+/**
+ * Column values describing the LLM usage of a tender
+ * @param {Object} usage - Usage attributed to the tender
+ * @returns {Object} llm_prompt_tokens, llm_completion_tokens, llm_model and llm_cost_usd
+ */
+function toUsageColumns(usage) {
+    return {
+        llm_prompt_tokens: usage ? usage.promptTokens : 0,
+        llm_completion_tokens: usage ? usage.completionTokens : 0,
+        llm_model: usage ? usage.model : null,
+        llm_cost_usd: usage ? Number(usage.costUsd.toFixed(6)) : 0
+    };
+}
+
+/**
+ * Add usage to the LLM usage columns of a tender
+ * @param {Object} record - The normalized tender with toUsageColumns values (or none)
+ * @param {Object} usage - Additional usage attributed to the tender
+ */
+function addUsageColumns(record, usage) {
+    if (!usage) return;
+
+    record.llm_prompt_tokens = (record.llm_prompt_tokens || 0) + usage.promptTokens;
+    record.llm_completion_tokens = (record.llm_completion_tokens || 0) + usage.completionTokens;
+    record.llm_model = record.llm_model || usage.model;
+    record.llm_cost_usd = Number(((Number(record.llm_cost_usd) || 0) + usage.costUsd).toFixed(6));
+}
+
+/**
+ * Start a new run, resetting the run totals
+ */
+function startRun() {
+    runUsage = { ...emptyUsage(), tenders: 0, bySource: {} };
+    budgetWarningShown = false;
+}
+
+/**
+ * Load today's spend from the ledger so the daily budget survives restarts
+ * The spend is summed per model by the llm_spend_by_model() database function rather than
+ * read row by row. Usage recorded from now on is written to the ledger with the same client.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @returns {Promise<number>} Today's spend in USD
+ */
+async function loadDailyUsage(supabaseAdmin) {
+    const today = new Date().toISOString().split('T')[0];
+    let total = 0;
+
+    await flushUsageLedger();
+    ledgerClient = supabaseAdmin;
+
+    try {
+        const { data, error } = await supabaseAdmin.rpc('llm_spend_by_model', { p_since: `${today}T00:00:00Z` });
+        if (error) throw new Error(error.message);
+        (data || []).forEach(row => { total += Number(row.cost_usd) || 0; });
+    } catch (error) {
+        console.warn(`Could not load today's LLM spend: ${error.message}`);
+        return dailyUsage.costUsd;
+    }
+
+    dailyUsage = { date: today, costUsd: total };
+    return total;
+}
+
+/**
+ * Check whether the run or daily budget has been used up
+ * @returns {boolean} True if no more LLM requests should be made
+ */
+function isBudgetExceeded() {
+    const runExceeded = CONFIG.runBudgetUsd > 0 && runUsage.costUsd >= CONFIG.runBudgetUsd;
+    const today = new Date().toISOString().split('T')[0];
+    const dailyExceeded = CONFIG.dailyBudgetUsd > 0 && dailyUsage.date === today && dailyUsage.costUsd >= CONFIG.dailyBudgetUsd;
+
+    if ((runExceeded || dailyExceeded) && !budgetWarningShown) {
+        budgetWarningShown = true;
+        console.warn(runExceeded
+            ? `LLM run budget of $${CONFIG.runBudgetUsd} exceeded ($${runUsage.costUsd.toFixed(4)} spent), switching to fast normalization`
+            : `LLM daily budget of $${CONFIG.dailyBudgetUsd} exceeded ($${dailyUsage.costUsd.toFixed(4)} spent today), switching to fast normalization`);
+    }
+
+    return runExceeded || dailyExceeded;
+}
+
+/**
+ * Get the usage of the current run
+ * @returns {Object} Run totals with per-source breakdown and today's spend
+ */
+function getUsageSummary() {
+    return { ...runUsage, todayCostUsd: dailyUsage.costUsd };
+}
+
+/**
+ * Format a usage record for the processing summaries
+ * @param {Object} usage - Usage totals
+ * @returns {string} Human readable usage
+ */
+function formatUsage(usage) {
+    return `${usage.promptTokens} prompt + ${usage.completionTokens} completion tokens, $${usage.costUsd.toFixed(4)}`;
+}
+
+module.exports = {
+    estimateCost,
+    usageFromResponse,
+    mergeUsage,
+    splitUsage,
+    recordUsage,
+    toUsageColumns,
+    addUsageColumns,
+    startRun,
+    loadDailyUsage,
+    flushUsageLedger,
+    isBudgetExceeded,
+    getUsageSummary,
+    formatUsage
+};
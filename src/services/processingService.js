@@ -4,21 +4,44 @@
  */
 
 // Import required dependencies
+const os = require('os');
 const sourceRegistry = require('./sourceRegistry');
 const { normalizeTender, evaluateNormalizationNeeds } = require('./tenderNormalizer');
+const { getCacheStats } = require('./llmCache');
+const { getBatchMode, getPackSize, getBatchStats } = require('./batchNormalizer');
+const { getTranslationStats } = require('./translationService');
+const { submitBatchJobs } = require('./llmBatchApi');
+const { startRun, loadDailyUsage, flushUsageLedger, getUsageSummary, formatUsage } = require('./llmUsageTracker');
+const { getPromptVersion } = require('./promptTemplates');
+const { enqueueJobs, claimJobs, completeJob, failJob, requeueDeadLetters } = require('./jobQueue');
+const { loadCheckpoints, saveCheckpoint, clearCheckpoints } = require('./checkpointStore');
+const { getTimestampFields, readSourceTable } = require('./sourceTableReader');
+const { isThrottled, getSchedulerStats } = require('./llmScheduler');
+const { upsertUnifiedTenders, createUnifiedTenderWriter } = require('./unifiedTenderWriter');
+const { mapWithConcurrency } = require('../utils/workerPool');
+const { extractNumericValue } = require('../utils/moneyParser');
 
 // Configuration options
 const CONFIG = {
-    // Set to true to use fast normalization for World Bank tenders to improve performance
-    useWbFastNormalization: true,
-    // Set to true to use fast normalization for ADB tenders to prevent timeouts
-    useAdbFastNormalization: true,
-    // Set to true to use fast normalization for AFD tenders to prevent timeouts
-    useAfdFastNormalization: true,
     // Timeout for LLM normalization in milliseconds (default: 20 seconds)
-    llmNormalizationTimeout: 20000
+    llmNormalizationTimeout: 20000,
+    // Times the normalization timeout is restarted while LLM requests are throttled; a hung request
+    // is given up on after this many extensions even if another provider stays throttled
+    maxTimeoutExtensions: parseInt(process.env.LLM_TIMEOUT_MAX_EXTENSIONS || '5', 10),
+    // Normalizations in a row that may fall back from the LLM before an unchanged tender is no longer retried
+    maxLlmFallbacks: parseInt(process.env.LLM_FALLBACK_MAX_ATTEMPTS || '3', 10),
+    // Tenders normalized at the same time by processTendersFromTable
+    tenderConcurrency: parseInt(process.env.PROCESSING_CONCURRENCY || '5', 10),
+    // Number of jobs a queue worker claims at a time
+    jobClaimSize: parseInt(process.env.JOB_CLAIM_SIZE || '10', 10),
+    // Seconds a continuous queue worker waits when no job is ready
+    jobPollIntervalSeconds: parseInt(process.env.JOB_POLL_INTERVAL_SECONDS || '30', 10)
 };
 
+// Methods of rule-based fallbacks for LLM failures that may pass, such as a timeout or an exhausted
+// credit; a tender normalized with one of them is retried with the LLM even if it is unchanged
+const TRANSIENT_FALLBACK_METHODS = ['rule-based-fallback', 'api-credit-issue', 'empty-llm-response'];
+
 // Performance tracking variables
 const performanceStats = {
     totalProcessed: 0,
@@ -30,98 +53,6 @@ const performanceStats = {
     bySource: {}
 };
 
-/**
- * Extract numeric value from a currency string
- * @param {string|number} value - The currency value to parse
- * @returns {number|null} The numeric value or null if invalid
- */
-function extractNumericValue(value) {
-    if (value === null || value === undefined) return null;
-    
-    try {
-        // If already a number, return it
-        if (typeof value === 'number') return value;
-        
-        // Convert to string and clean it up
-        let cleanValue = value.toString()
-            // Remove currency codes (e.g., USD, EUR, LKR)
-            .replace(/[A-Z]{3}\s*/g, '')
-            // Remove currency symbols
-            .replace(/[$€£¥]/g, '')
-            // Remove commas, spaces, and other separators
-            .replace(/[,\s]/g, '')
-            // Remove any trailing currency codes that might remain
-            .replace(/\s*[A-Z]{3}$/g, '')
-            // Remove any remaining non-numeric characters except decimal point and minus sign
-            .replace(/[^\d.-]/g, '')
-            // Trim whitespace
-            .trim();
-            
-        // Handle edge cases
-        if (cleanValue === '' || cleanValue === '.' || cleanValue === '-') {
-            console.warn(`Invalid numeric string after cleaning: "${cleanValue}" from original value: "${value}"`);
-            return null;
-        }
-        
-        // Parse the cleaned value
-        const numericValue = parseFloat(cleanValue);
-        
-        // Ensure we have a valid number
-        if (isNaN(numericValue)) {
-            console.warn(`Could not parse numeric value from: "${value}", cleaned value was: "${cleanValue}"`);
-            return null;
-        }
-        
-        // Ensure the value is reasonable (no extremely large or small numbers)
-        if (!Number.isFinite(numericValue) || Math.abs(numericValue) > 1e15) {
-            console.warn(`Numeric value out of reasonable range: ${numericValue} from: "${value}"`);
-            return null;
-        }
-        
-        return numericValue;
-    } catch (error) {
-        console.warn(`Failed to extract numeric value from: "${value}"`, error);
-        return null;
-    }
-}
-
-/**
- * Determines if fast normalization should be used
- * @param {string} sourceTable - The source table name
- * @param {Object} normalizationNeeds - The evaluated normalization needs
- * @returns {boolean} Whether to use fast normalization
- */
-function shouldUseFastNormalization(sourceTable, normalizationNeeds) {
-    // SAM.gov tenders always use fast normalization
-    if (sourceTable === 'sam_gov') {
-        return true;
-    }
-    
-    // Use fast normalization for World Bank tenders if configured
-    if (sourceTable === 'wb' && CONFIG.useWbFastNormalization) {
-        return true;
-    }
-    
-    // Use fast normalization for ADB tenders if configured
-    if (sourceTable === 'adb' && CONFIG.useAdbFastNormalization) {
-        return true;
-    }
-    
-    // Use fast normalization for AFD tenders if configured
-    if (sourceTable === 'afd_tenders' && CONFIG.useAfdFastNormalization) {
-        return true;
-    }
-
-    // Use fast normalization for English tenders with simple content
-    if (normalizationNeeds.language === 'en') {
-        if (normalizationNeeds.minimalContent || (!normalizationNeeds.complexFields && !normalizationNeeds.needsTranslation)) {
-            return true;
-        }
-    }
-
-    return false;
-}
-
 /**
  * Process tenders from all sources in a round-robin fashion
  * @param {Object} supabaseAdmin - Supabase admin client
@@ -136,6 +67,10 @@ async function processTendersFromAllSources(supabaseAdmin, options = {}) {
     
     console.log(`Starting to process tenders from all sources in round-robin mode${continuous ? ' (continuous)' : ''}${unlimitedProcessing ? ' (unlimited processing)' : ''}`);
     
+    // Start LLM usage accounting for this run
+    startRun();
+    await loadDailyUsage(supabaseAdmin);
+    
     // Get all available source adapters
     const sources = sourceRegistry.getRegisteredSources();
     if (!sources || sources.length === 0) {
@@ -157,6 +92,10 @@ async function processTendersFromAllSources(supabaseAdmin, options = {}) {
         errors: 0,
         fallback: 0,
         fastNormalization: 0,
+        batchSubmitted: 0,
+        new: 0,
+        changed: 0,
+        unchanged: 0,
         bySource: {}
     };
     
@@ -168,7 +107,10 @@ async function processTendersFromAllSources(supabaseAdmin, options = {}) {
             updated: 0,
             errors: 0,
             fallback: 0,
-            fastNormalization: 0
+            fastNormalization: 0,
+            new: 0,
+            changed: 0,
+            unchanged: 0
         };
     }
     
@@ -188,6 +130,9 @@ async function processTendersFromAllSources(supabaseAdmin, options = {}) {
                 totalResults.errors += result.errors || 0;
                 totalResults.fallback += result.fallback || 0;
                 totalResults.fastNormalization += result.fastNormalization || 0;
+                totalResults.new += result.new || 0;
+                totalResults.changed += result.changed || 0;
+                totalResults.unchanged += result.unchanged || 0;
                 
                 // Update source-specific counts
                 totalResults.bySource[sourceTable].processed += result.processed || 0;
@@ -196,6 +141,9 @@ async function processTendersFromAllSources(supabaseAdmin, options = {}) {
                 totalResults.bySource[sourceTable].errors += result.errors || 0;
                 totalResults.bySource[sourceTable].fallback += result.fallback || 0;
                 totalResults.bySource[sourceTable].fastNormalization += result.fastNormalization || 0;
+                totalResults.bySource[sourceTable].new += result.new || 0;
+                totalResults.bySource[sourceTable].changed += result.changed || 0;
+                totalResults.bySource[sourceTable].unchanged += result.unchanged || 0;
                 
                 console.log(`Processed ${result.processed || 0} tenders from ${sourceTable}`);
             } catch (error) {
@@ -226,6 +174,9 @@ async function processTendersFromAllSources(supabaseAdmin, options = {}) {
                 totalResults.errors += result.errors;
                 totalResults.fallback += result.fallback || 0;
                 totalResults.fastNormalization += result.fastNormalization || 0;
+                totalResults.new += result.new || 0;
+                totalResults.changed += result.changed || 0;
+                totalResults.unchanged += result.unchanged || 0;
                 
                 // Update source-specific results
                 totalResults.bySource[sourceTable].processed += result.processed;
@@ -234,6 +185,9 @@ async function processTendersFromAllSources(supabaseAdmin, options = {}) {
                 totalResults.bySource[sourceTable].errors += result.errors;
                 totalResults.bySource[sourceTable].fallback += result.fallback || 0;
                 totalResults.bySource[sourceTable].fastNormalization += result.fastNormalization || 0;
+                totalResults.bySource[sourceTable].new += result.new || 0;
+                totalResults.bySource[sourceTable].changed += result.changed || 0;
+                totalResults.bySource[sourceTable].unchanged += result.unchanged || 0;
                 
                 console.log(`Completed batch from ${sourceTable}:`);
                 console.log(`- Processed: ${result.processed}`);
@@ -241,6 +195,7 @@ async function processTendersFromAllSources(supabaseAdmin, options = {}) {
                 console.log(`- Updated: ${result.updated || 0}`);
                 console.log(`- Errors: ${result.errors}`);
                 console.log(`- Normalization: ${result.fastNormalization || 0} fast, ${result.fallback || 0} fallbacks`);
+                console.log(`- Changes: ${result.new || 0} new, ${result.changed || 0} changed, ${result.unchanged || 0} unchanged`);
                 
                 // If in continuous mode and we've processed nothing from this source, skip it in future rounds
                 if (continuous && result.processed + result.skipped === 0) {
@@ -267,6 +222,7 @@ async function processTendersFromAllSources(supabaseAdmin, options = {}) {
     console.log(`- Total updated: ${totalResults.updated}`);
     console.log(`- Total errors: ${totalResults.errors}`);
     console.log(`- Normalization: ${totalResults.fastNormalization} fast, ${totalResults.fallback} fallbacks`);
+    console.log(`- Changes: ${totalResults.new} new, ${totalResults.changed} changed, ${totalResults.unchanged} unchanged`);
     
     // Per-source summary
     console.log('\n=== Source Breakdowns ===');
@@ -278,8 +234,11 @@ async function processTendersFromAllSources(supabaseAdmin, options = {}) {
         console.log(`- Updated: ${sourceStats.updated}`);
         console.log(`- Errors: ${sourceStats.errors}`);
         console.log(`- Normalization: ${sourceStats.fastNormalization} fast, ${sourceStats.fallback} fallbacks`);
+        console.log(`- Changes: ${sourceStats.new} new, ${sourceStats.changed} changed, ${sourceStats.unchanged} unchanged`);
     }
     
+    await logUsageSummary();
+    
     if (continuous) {
         console.log('\nContinuous processing enabled, will run again after a short delay...');
         // Schedule next run with a delay to prevent hammering the database
@@ -324,372 +283,172 @@ async function processTendersFromTable(supabaseAdmin, tableName, limit = 100, fo
     let updatedCount = 0;
     let attemptCount = 0;
     
-    // Define chunk size and concurrency for batch processing
-    const chunkSize = 25;
-    const concurrency = 5;
+    // Change detection counts: tenders not in unified_tenders yet, and existing tenders whose raw content changed or not
+    let newCount = 0;
+    let changedCount = 0;
+    let unchangedCount = 0;
     
-    // Initialize the existingTenderMap at function scope
-    let existingTenderMap = new Map();
+    // Check if table has timestamp fields for incremental processing
+    const timestampFields = await getTimestampFields(supabaseAdmin, tableName);
     
-    // Initialize timestampFields at function scope
-    let timestampFields = [];
+    // Sources in batch-api mode hand their LLM work to the Batch API instead of normalizing inline;
+    // the results are ingested later by batch-poll
+    const batchMode = getBatchMode(tableName);
+    let batchSubmittedCount = 0;
     
-    // If we have pre-filtered tenders, use those directly instead of querying the database
-    let tendersToProcess = [];
+    // Normalized tenders are written in bulk by the write stage while the workers go on
+    const writer = createUnifiedTenderWriter(supabaseAdmin);
     
-    if (preFilteredTenders) {
-        // Use the pre-filtered tenders provided
-        console.log(`Using ${preFilteredTenders.length} pre-filtered tenders for ${tableName}`);
-        tendersToProcess = preFilteredTenders;
-        
-        // Still need to check which tenders already exist
-        const sourceIds = tendersToProcess.map(tender => adapter.getSourceId(tender)).filter(id => id);
-        if (sourceIds.length > 0) {
-            const { data: existingTenders } = await supabaseAdmin
-                .from('unified_tenders')
-                .select('source_id, updated_at')
-                .eq('source_table', tableName)
-                .in('source_id', sourceIds);
-            
-            existingTenderMap = new Map(existingTenders?.map(t => [t.source_id, t]) || []);
-        }
-        
-        // Check if table has timestamp fields for incremental processing
-        const tableInfo = await supabaseAdmin
-            .from('information_schema.columns')
-            .select('column_name')
-            .eq('table_name', tableName)
-            .in('column_name', ['created_at', 'updated_at', 'last_processed_at']);
-        
-        const hasTimestampFields = tableInfo.data && tableInfo.data.length > 0;
-        timestampFields = hasTimestampFields ? tableInfo.data.map(col => col.column_name) : [];
-        console.log(`Found timestamp fields for table ${tableName}:`, timestampFields);
-    } else {
-    // Check if table has timestamp fields for incremental processing
-    const tableInfo = await supabaseAdmin
-        .from('information_schema.columns')
-        .select('column_name')
-        .eq('table_name', tableName)
-        .in('column_name', ['created_at', 'updated_at', 'last_processed_at']);
-    
-    const hasTimestampFields = tableInfo.data && tableInfo.data.length > 0;
-    timestampFields = hasTimestampFields ? tableInfo.data.map(col => col.column_name) : [];
-    console.log(`Found timestamp fields for table ${tableName}:`, timestampFields);
-    
-        // Get all unprocessed tenders first
-        let queryBatch = supabaseAdmin.from(tableName)
-            .select('*');
-            
-        // Always sort by created_at desc first to prioritize newer tenders
-        if (timestampFields.includes('created_at')) {
-            queryBatch = queryBatch.order('created_at', { ascending: false });
-        } else if (timestampFields.includes('updated_at')) {
-            queryBatch = queryBatch.order('updated_at', { ascending: false });
-        }
+    // Leave out tenders whose raw content is unchanged since they were normalized, unless reprocessing is forced
+    const selectChangedTenders = (tenders, existingTenderMap) => tenders.filter(tender => {
+        const sourceId = adapter.getSourceId(tender);
+        if (!sourceId) return false;
         
-        // Filter for unprocessed tenders
-        if (timestampFields.includes('last_processed_at') && !forceReprocess) {
-            queryBatch = queryBatch.is('last_processed_at', null);
+        const change = detectChange(adapter, tender, existingTenderMap.get(sourceId));
+        if (change === 'new') {
+            newCount++;
+        } else if (change === 'changed') {
+            changedCount++;
+        } else {
+            unchangedCount++;
         }
         
-        // Get all potential tenders first
-        const { data: allTenders, error: fetchError } = await queryBatch;
-        
-        if (fetchError) {
-            console.error(`Error fetching tenders from ${tableName}:`, fetchError);
-            return { success: false, error: fetchError.message };
-        }
+        if (change !== 'unchanged' || forceReprocess) return true;
         
-        if (!allTenders || allTenders.length === 0) {
-            console.log(`No unprocessed tenders found in ${tableName}`);
-            return { success: true, processed: 0, skipped: 0, errors: 0, fallback: 0 };
+        skippedCount++;
+        // Update last_processed_at for skipped tenders
+        if (timestampFields.includes('last_processed_at')) {
+            writer.markProcessed(tableName, tender.id);
         }
+        return false;
+    });
+    
+    // Normalize a batch of raw tenders and update the counters
+    const processBatch = async (tenders, existingTenderMap) => {
+        let tendersToProcess = tenders;
         
-        // Log the date range of tenders being processed
-        if (allTenders.length > 0) {
-            const dateField = timestampFields.includes('created_at') ? 'created_at' : 'updated_at';
-            if (timestampFields.includes(dateField)) {
-                const newestDate = new Date(allTenders[0][dateField]).toISOString();
-                const oldestDate = new Date(allTenders[allTenders.length - 1][dateField]).toISOString();
-                console.log(`Found ${allTenders.length} unprocessed tenders ${dateField} between:`);
-                console.log(`  Newest: ${newestDate}`);
-                console.log(`  Oldest: ${oldestDate}`);
+        if (batchMode === 'batch-api' && tendersToProcess.length > 0) {
+            const llmTenders = [];
+            tendersToProcess = tendersToProcess.filter(tender => {
+                const normalizationNeeds = evaluateNormalizationNeeds(tender, tableName);
+                if (normalizationNeeds.needsLLM && !normalizationNeeds.chunked) {
+                    llmTenders.push(tender);
+                    return false;
+                }
+                return true;
+            });
+            
+            try {
+                const submission = await submitBatchJobs(supabaseAdmin, tableName, llmTenders);
+                batchSubmittedCount += submission.submitted;
+                skippedCount += submission.alreadyPending;
+            } catch (error) {
+                console.error(`Error submitting Batch API job for ${tableName}: ${error.message}, normalizing inline instead`);
+                tendersToProcess = tendersToProcess.concat(llmTenders);
             }
         }
         
-        // Pre-check which tenders already exist
-        const sourceIds = allTenders.map(tender => adapter.getSourceId(tender)).filter(id => id);
-        const { data: existingTenders } = await supabaseAdmin
-            .from('unified_tenders')
-            .select('source_id, updated_at')
-            .eq('source_table', tableName)
-            .in('source_id', sourceIds);
+        // Process tenders with a bounded number of workers; tenders in pack mode need at least
+        // as many workers as the pack size to fill their packs
+        const concurrency = batchMode === 'pack' ? Math.max(CONFIG.tenderConcurrency, getPackSize()) : CONFIG.tenderConcurrency;
+        console.log(`Processing ${tendersToProcess.length} tenders from ${tableName} with ${concurrency} workers`);
         
-        existingTenderMap = new Map(existingTenders?.map(t => [t.source_id, t]) || []);
-        
-        // Filter out existing tenders before processing
-        tendersToProcess = allTenders.filter(tender => {
-            const sourceId = adapter.getSourceId(tender);
-            if (!sourceId) return false;
-
-            const existingTender = existingTenderMap.get(sourceId);
-            if (!existingTender) return true;
-
-            if (forceReprocess) return true;
-
-            // Skip if tender exists and hasn't been updated
-            if (tender.updated_at && existingTender.updated_at) {
-                const tenderDate = new Date(tender.updated_at);
-                const existingDate = new Date(existingTender.updated_at);
-                if (tenderDate <= existingDate) {
-                    skippedCount++;
-                    // Update last_processed_at for skipped tenders
-                    if (timestampFields.includes('last_processed_at')) {
-                        supabaseAdmin
-                            .from(tableName)
-                            .update({ last_processed_at: new Date().toISOString() })
-                            .eq('id', tender.id)
-                            .then(() => {
-                                console.log(`Updated last_processed_at for skipped tender ${sourceId}`);
-                            })
-                            .catch(error => {
-                                console.warn(`Failed to update last_processed_at for skipped tender ${sourceId}:`, error.message);
-                            });
-                    }
-                    return false;
+        const writes = [];
+        await mapWithConcurrency(tendersToProcess, concurrency, async tender => {
+            try {
+                attemptCount++;
+                
+                // Log the tender's creation date if available
+                if (tender.created_at) {
+                    console.log(`Processing tender ${attemptCount} from ${tableName}`);
                 }
-                return true;
+                
+                const normalized = await normalizeSingleTender(adapter, tableName, tender, {
+                    batchMode,
+                    fallbackSourceId: `${tableName}_${attemptCount}`
+                });
+                if (!normalized.success) {
+                    errorCount++;
+                    return;
+                }
+                
+                const entry = buildWriteEntry(tender, normalized, { existingTenderMap, timestampFields });
+                writes.push(writer.write(entry).then(result => {
+                    if (!result.success) {
+                        errorCount++;
+                        return;
+                    }
+                    processedCount++;
+                    if (result.outcome === 'updated') {
+                        updatedCount++;
+                    }
+                }));
+            } catch (error) {
+                console.error(`Error processing tender:`, error);
+                errorCount++;
             }
-
-            skippedCount++;
-            return false;
         });
         
-        console.log(`Found ${tendersToProcess.length} new tenders to process after filtering existing ones`);
-    }
+        // The batch is fully written before the next one is read, so its tenders no longer count as unprocessed
+        await writer.flush();
+        await Promise.all(writes);
+    };
     
-    // Process tenders in chunks with controlled concurrency
-    for (let i = 0; i < tendersToProcess.length; i += chunkSize) {
-        const chunk = tendersToProcess.slice(i, i + chunkSize);
-        console.log(`Processing chunk from ${i} to ${i + chunk.length} of ${tendersToProcess.length}`);
+    if (preFilteredTenders) {
+        // Use the pre-filtered tenders provided
+        console.log(`Using ${preFilteredTenders.length} pre-filtered tenders for ${tableName}`);
+        const existingTenderMap = await getExistingTenderMap(supabaseAdmin, adapter, tableName, preFilteredTenders);
+        const tendersToProcess = selectChangedTenders(preFilteredTenders, existingTenderMap);
+        console.log(`Found ${tendersToProcess.length} new or changed tenders to process`);
+        await processBatch(tendersToProcess, existingTenderMap);
+    } else {
+        // Walk the unprocessed tenders batch by batch, newest first; with a limit, batches are
+        // read until enough tenders have been normalized
+        let foundCount = 0;
+        const tenderBatches = readSourceTable(supabaseAdmin, tableName, {
+            timestampFields,
+            unprocessedOnly: !forceReprocess,
+            batchSize: unlimitedProcessing ? undefined : Math.max(limit, CONFIG.tenderConcurrency)
+        });
         
-        const results = await Promise.all(
-            chunk.map(async (tender, index) => {
-                // Simple concurrency control
-                await new Promise(resolve => setTimeout(resolve, Math.floor(index / concurrency) * 100));
+        try {
+            for await (const { rows: batchTenders } of tenderBatches) {
+                foundCount += batchTenders.length;
                 
-                try {
-                    attemptCount++;
-                    const sourceId = adapter.getSourceId(tender) || `${tableName}_${i + index}`;
-                    
-                    // Log the tender's creation date if available
-                    if (tender.created_at) {
-                        console.log(`Processing tender ${attemptCount}/${tendersToProcess.length} from ${tableName}`);
-                    }
-                    
-                    // Evaluate normalization needs first
-                    console.log(`Evaluating normalization needs for tender from ${tableName}`);
-                    const normalizationNeeds = await evaluateNormalizationNeeds(tender, tableName);
-                    
-                    // Determine normalization method
-                    const useFastNormalization = shouldUseFastNormalization(tableName, normalizationNeeds);
-                    
-                    let normalizationReason = "";
-                    if (tableName === 'sam_gov') {
-                        normalizationReason = "SAM.gov tenders don't require translation or complex normalization";
-                    } else if (tableName === 'wb' && CONFIG.useWbFastNormalization) {
-                        normalizationReason = "World Bank tenders using optimized fast path (configured for performance)";
-                    } else if (tableName === 'adb' && CONFIG.useAdbFastNormalization) {
-                        normalizationReason = "ADB tenders using optimized fast path (configured for performance)";
-                    } else if (tableName === 'afd_tenders' && CONFIG.useAfdFastNormalization) {
-                        normalizationReason = "AFD tenders using optimized fast path (configured for performance)";
-                    } else if (tender.description && tender.description.length > 10000) {
-                        normalizationReason = "Tender description exceeds optimal size for LLM processing, using chunked parsing";
-                    } else if (normalizationNeeds.minimalContent) {
-                        normalizationReason = "Tender has minimal content suitable for fast normalization";
-                    } else if (normalizationNeeds.language === 'en' && !normalizationNeeds.complexFields) {
-                        normalizationReason = "English tender with standard fields suitable for fast normalization";
-                    }
-                    
-                    // Capture all console.log calls during normalization to control messaging
-                    const originalConsoleLog = console.log;
-                    const capturedLogs = [];
-                    let methodUsed = useFastNormalization ? "Fast" : "LLM";
-                    let fallbackUsed = false;
-                    
-                    console.log = (message, ...args) => {
-                        if (typeof message === 'string') {
-                            // Special handling for ADB tenders - ensure consistent messaging
-                            if (tableName === 'adb' && CONFIG.useAdbFastNormalization && message.includes('fallback normalization')) {
-                                // Replace the fallback message with the fast normalization message
-                                originalConsoleLog(`Using fast normalization for tender: ADB tenders using optimized fast path (configured for performance)`);
-                                methodUsed = "Fast";
-                                // Still capture the original message
-                                capturedLogs.push(message);
-                                return;
-                            }
-                            
-                            capturedLogs.push(message);
-                            
-                            // Only allow specific messages to be logged during processing
-                            if (message.includes('fallback normalization')) {
-                                fallbackUsed = true;
-                                methodUsed = "Fallback";
-                            }
-                            
-                            // Let console logs pass through to the terminal
-                            originalConsoleLog(message, ...args);
-                        } else {
-                            originalConsoleLog(message, ...args);
-                        }
-                    };
-                    
-                    // Do not log the intent here to avoid conflicts with the actual method used
-                    
-                    // Use the adapter to process the tender
-                    const startTime = Date.now();
-                    let normalizedTender;
-                    try {
-                        // Add timeout to prevent hanging on LLM normalization
-                        const processTenderPromise = adapter.processTender(tender, normalizeTender, useFastNormalization);
-                        
-                        // Only apply timeout if using LLM normalization (not fast normalization)
-                        if (!useFastNormalization) {
-                            normalizedTender = await promiseWithTimeout(
-                                processTenderPromise,
-                                CONFIG.llmNormalizationTimeout,
-                                'LLM normalization timed out'
-                            );
-                        } else {
-                            normalizedTender = await processTenderPromise;
-                        }
-                    } catch (error) {
-                        console.warn(`Normalization error: ${error.message}, falling back to fast normalization`);
-                        // If normalization fails, try fallback
-                        fallbackUsed = true;
-                        methodUsed = "Fallback";
-                        normalizedTender = await adapter.processTender(tender, normalizeTender, true);
-                    } finally {
-                        // Restore original console
-                        console.log = originalConsoleLog;
-                    }
-                    
-                    const processingTime = Date.now() - startTime;
-                    
-                    // Now we know which method was actually used, so log it clearly
-                    if (fallbackUsed) {
-                        if (tableName === 'sam_gov') {
-                            console.log(`Using fallback normalization for ${tableName} (normally would use fast normalization)`);
-                        } else {
-                            console.log(`Using fallback normalization for ${tableName} due to LLM unavailability`);
-                        }
-                    } else if (methodUsed === "Fast") {
-                        console.log(`Using fast normalization for tender: ${normalizationReason}`);
-                    } else {
-                        console.log(`Using LLM normalization for tender from ${tableName}`);
-                    }
-                    
-                    // Track performance statistics
-                    trackPerformance(tableName, normalizedTender, processingTime);
-                    
-                    // Clean up fields and ensure schema compatibility
-                    const schemaFields = {
-                        estimated_value: true,
-                        award_value: true,
-                        potential_value: true
-                    };
-                    
-                    // Clean up fields
-                    Object.keys(normalizedTender).forEach(key => {
-                        const value = normalizedTender[key];
-                        if (value === '') {
-                            normalizedTender[key] = null;
-                        } else if (schemaFields[key]) {
-                            const numericValue = extractNumericValue(value);
-                            if (numericValue === null && value !== null && value !== undefined) {
-                                console.warn(`Could not extract numeric value for ${key} from: ${value}, setting to null`);
-                            }
-                            normalizedTender[key] = numericValue;
-                        }
-                    });
-                    
-                    // Remove any fields not in schema
-                    if ('contract_value' in normalizedTender) {
-                        delete normalizedTender.contract_value;
-                    }
-                    
-                    // Log normalization completion with timing based on the actual method used
-                    console.log(`${methodUsed} normalization completed in ${(processingTime / 1000).toFixed(3)} seconds`);
-                    
-                    if (normalizedTender.status === 'error') {
-                        console.error(`Error normalizing tender: ${normalizedTender.description}`);
-                        errorCount++;
-                        return { success: false, error: normalizedTender.description };
-                    }
-                    
-                    normalizedTender.source_table = tableName;
-                    normalizedTender.source_id = sourceId;
-                    
-                    try {
-                        // Try to update first if the tender exists
-                        if (existingTenderMap.has(sourceId)) {
-                            const { error: updateError } = await supabaseAdmin
-                                .from('unified_tenders')
-                                .update(normalizedTender)
-                                .eq('source_table', tableName)
-                                .eq('source_id', sourceId);
-
-                            if (!updateError) {
-                                updatedCount++;
-                                processedCount++;
-                                console.log(`Successfully updated tender ${sourceId} from ${tableName}`);
-                                return { success: true };
-                            }
-                        }
-
-                        // If update fails or tender doesn't exist, try insert
-                        const { error: insertError } = await supabaseAdmin
-                            .from('unified_tenders')
-                            .insert(normalizedTender);
-                        
-                        if (insertError) {
-                            if (insertError.code === '23505') { // Unique violation
-                                console.log(`Tender ${sourceId} from ${tableName} already exists, skipping`);
-                                skippedCount++;
-                                return { success: true };
-                            }
-                            console.error(`Error inserting unified tender: ${insertError.message}`);
-                            errorCount++;
-                            return { success: false, error: insertError.message };
-                        }
-
-                        processedCount++;
-                        
-                    if (timestampFields.includes('last_processed_at')) {
-                        await supabaseAdmin
-                            .from(tableName)
-                            .update({ last_processed_at: new Date().toISOString() })
-                            .eq('id', tender.id);
-                    }
-                    
-                    console.log(`Successfully processed tender ${sourceId} from ${tableName}`);
-                    return { success: true };
-                    } catch (error) {
-                        console.error(`Error saving tender: ${error.message}`);
-                        errorCount++;
-                        return { success: false, error: error.message };
-                    }
-                } catch (error) {
-                    console.error(`Error processing tender:`, error);
-                    errorCount++;
-                    return { success: false, error: error.message };
+                // Log the date range of tenders being processed
+                const dateField = timestampFields.includes('created_at') ? 'created_at' : 'updated_at';
+                if (timestampFields.includes(dateField)) {
+                    console.log(`Read ${batchTenders.length} unprocessed tenders ${dateField} between:`);
+                    console.log(`  Newest: ${new Date(batchTenders[0][dateField]).toISOString()}`);
+                    console.log(`  Oldest: ${new Date(batchTenders[batchTenders.length - 1][dateField]).toISOString()}`);
+                }
+                
+                // Pre-check which tenders already exist
+                const existingTenderMap = await getExistingTenderMap(supabaseAdmin, adapter, tableName, batchTenders);
+                
+                // Filter out unchanged tenders before processing
+                let tendersToProcess = selectChangedTenders(batchTenders, existingTenderMap);
+                
+                if (!unlimitedProcessing) {
+                    tendersToProcess = tendersToProcess.slice(0, limit - processedCount);
+                }
+                console.log(`Found ${tendersToProcess.length} new or changed tenders to process`);
+                
+                await processBatch(tendersToProcess, existingTenderMap);
+                
+                if (!unlimitedProcessing && processedCount >= limit) {
+                    console.log(`Reached ${limit} successful normalizations from ${tableName}`);
+                    break;
                 }
-            })
-        );
+            }
+        } catch (error) {
+            console.error(`Error fetching tenders from ${tableName}:`, error);
+            return { success: false, error: error.message };
+        }
         
-        // If we've processed all tenders, break
-        if (i + chunkSize >= tendersToProcess.length) {
-            break;
+        if (foundCount === 0) {
+            console.log(`No unprocessed tenders found in ${tableName}`);
+            return { success: true, processed: 0, skipped: 0, errors: 0, fallback: 0, new: 0, changed: 0, unchanged: 0 };
         }
     }
     
@@ -697,9 +456,13 @@ async function processTendersFromTable(supabaseAdmin, tableName, limit = 100, fo
     console.log(`- Successfully processed: ${processedCount} new tenders`);
     console.log(`- Updated: ${updatedCount} existing tenders`);
     console.log(`- Skipped: ${skippedCount} tenders`);
+    console.log(`- Changes: ${newCount} new, ${changedCount} changed, ${unchangedCount} unchanged`);
     console.log(`- Errors: ${errorCount}`);
     console.log(`- Total attempts: ${attemptCount}`);
     console.log(`- Normalization methods: ${fastNormalizationCount} fast, ${fallbackCount} fallbacks`);
+    if (batchSubmittedCount > 0) {
+        console.log(`- Submitted to the Batch API: ${batchSubmittedCount} tenders`);
+    }
     
             return { 
         success: true,
@@ -709,10 +472,301 @@ async function processTendersFromTable(supabaseAdmin, tableName, limit = 100, fo
         errors: errorCount,
         fallback: fallbackCount,
         fastNormalization: fastNormalizationCount,
-        attempts: attemptCount
+        batchSubmitted: batchSubmittedCount,
+        attempts: attemptCount,
+        new: newCount,
+        changed: changedCount,
+        unchanged: unchangedCount
     };
 }
 
+/**
+ * Look up which raw tenders already exist in unified_tenders
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} adapter - The source adapter
+ * @param {string} tableName - The source table name
+ * @param {Object[]} tenders - The raw tenders
+ * @returns {Promise<Map>} Existing unified tenders (source_id, updated_at, raw_content_hash, normalized_method, llm_fallback_count) by source ID
+ */
+async function getExistingTenderMap(supabaseAdmin, adapter, tableName, tenders) {
+    const sourceIds = tenders.map(tender => adapter.getSourceId(tender)).filter(id => id);
+    if (sourceIds.length === 0) {
+        return new Map();
+    }
+    
+    const { data: existingTenders } = await supabaseAdmin
+        .from('unified_tenders')
+        .select('source_id, updated_at, raw_content_hash, normalized_method, llm_fallback_count')
+        .eq('source_table', tableName)
+        .in('source_id', sourceIds);
+    
+    return new Map(existingTenders?.map(t => [t.source_id, t]) || []);
+}
+
+/**
+ * Check whether a normalization method is a rule-based fallback for an LLM failure that may pass
+ * The routing policy's fallback route and deterministic failures, such as a response that does not
+ * match the schema, are final results and do not count.
+ * @param {string} [method] - The normalized_method of a unified tender
+ * @returns {boolean} True for transient fallbacks
+ */
+function isTransientFallback(method) {
+    return TRANSIENT_FALLBACK_METHODS.includes(method);
+}
+
+/**
+ * Classify a raw tender against its unified tender
+ * Unified tenders normalized before content hashes were stored are compared by updated_at instead.
+ * Unified tenders that fell back from the LLM to rule-based normalization after a transient failure
+ * count as changed, so they are retried with the LLM on the next run, until they have fallen back
+ * maxLlmFallbacks times in a row.
+ * @param {Object} adapter - The source adapter
+ * @param {Object} tender - The raw tender
+ * @param {Object} [existingTender] - The unified tender (updated_at, raw_content_hash, normalized_method, llm_fallback_count), if there is one
+ * @returns {string} 'new', 'changed' or 'unchanged'
+ */
+function detectChange(adapter, tender, existingTender) {
+    if (!existingTender) {
+        return 'new';
+    }
+    if (isTransientFallback(existingTender.normalized_method) && (existingTender.llm_fallback_count || 0) < CONFIG.maxLlmFallbacks) {
+        return 'changed';
+    }
+    if (existingTender.raw_content_hash) {
+        return adapter.getContentHash(tender) === existingTender.raw_content_hash ? 'unchanged' : 'changed';
+    }
+    if (tender.updated_at && existingTender.updated_at && new Date(tender.updated_at) > new Date(existingTender.updated_at)) {
+        return 'changed';
+    }
+    return 'unchanged';
+}
+
+/**
+ * Normalize one raw tender with its source adapter
+ * @param {Object} adapter - The source adapter
+ * @param {string} tableName - The source table name
+ * @param {Object} tender - The raw tender
+ * @param {Object} context - Processing context
+ * @param {string} context.batchMode - Batch mode of the source
+ * @param {string} context.fallbackSourceId - Source ID used when the adapter cannot derive one
+ * @returns {Promise<Object>} { success, normalizedTender, sourceId } or { success: false, error }
+ */
+async function normalizeSingleTender(adapter, tableName, tender, { batchMode, fallbackSourceId }) {
+    try {
+        const sourceId = adapter.getSourceId(tender) || fallbackSourceId;
+        
+        // Evaluate normalization needs first - the routing policy decides the method
+        console.log(`Evaluating normalization needs for tender from ${tableName}`);
+        const normalizationNeeds = evaluateNormalizationNeeds(tender, tableName);
+        const useFastNormalization = !normalizationNeeds.needsLLM;
+        const normalizationReason = normalizationNeeds.reason;
+        
+        // Capture all console.log calls during normalization to control messaging
+        const originalConsoleLog = console.log;
+        const capturedLogs = [];
+        let methodUsed = useFastNormalization ? "Fast" : "LLM";
+        let fallbackUsed = false;
+        
+        console.log = (message, ...args) => {
+            if (typeof message === 'string') {
+                // Fast normalization runs through the rule-based handlers, which log as fallback
+                if (normalizationNeeds.route === 'fast' && message.includes('fallback normalization')) {
+                    // Replace the fallback message with the fast normalization message
+                    originalConsoleLog(`Using fast normalization for tender: ${normalizationReason}`);
+                    methodUsed = "Fast";
+                    // Still capture the original message
+                    capturedLogs.push(message);
+                    return;
+                }
+                
+                capturedLogs.push(message);
+                
+                // Only allow specific messages to be logged during processing
+                if (message.includes('fallback normalization')) {
+                    fallbackUsed = true;
+                    methodUsed = "Fallback";
+                }
+                
+                // Let console logs pass through to the terminal
+                originalConsoleLog(message, ...args);
+            } else {
+                originalConsoleLog(message, ...args);
+            }
+        };
+        
+        // Do not log the intent here to avoid conflicts with the actual method used
+        
+        // Use the adapter to process the tender
+        const startTime = Date.now();
+        let normalizedTender;
+        try {
+            // Add timeout to prevent hanging on LLM normalization
+            const processTenderPromise = adapter.processTender(tender, normalizeTender, useFastNormalization);
+            
+            // Only apply timeout if using LLM normalization (not fast normalization)
+            if (!useFastNormalization) {
+                normalizedTender = await promiseWithTimeout(
+                    processTenderPromise,
+                    // Chunked tenders make one LLM request per chunk and packed requests carry several tenders
+                    CONFIG.llmNormalizationTimeout * (normalizationNeeds.chunkCount || (batchMode === 'pack' ? getPackSize() : 1)),
+                    'LLM normalization timed out',
+                    // Waiting for rate limits or a 429 back-off is not a hung request, up to a point
+                    isThrottled,
+                    CONFIG.maxTimeoutExtensions
+                );
+            } else {
+                normalizedTender = await processTenderPromise;
+            }
+        } catch (error) {
+            console.warn(`Normalization error: ${error.message}, falling back to fast normalization`);
+            // If normalization fails, try fallback
+            fallbackUsed = true;
+            methodUsed = "Fallback";
+            normalizedTender = await adapter.processTender(tender, normalizeTender, true);
+            // Recorded as a fallback rather than fast normalization so the next run retries the LLM
+            if (!useFastNormalization && normalizedTender) {
+                normalizedTender.normalized_method = 'rule-based-fallback';
+            }
+        } finally {
+            // Restore original console
+            console.log = originalConsoleLog;
+        }
+        
+        const processingTime = Date.now() - startTime;
+        
+        // Now we know which method was actually used, so log it clearly
+        if (fallbackUsed) {
+            if (tableName === 'sam_gov') {
+                console.log(`Using fallback normalization for ${tableName} (normally would use fast normalization)`);
+            } else {
+                console.log(`Using fallback normalization for ${tableName} due to LLM unavailability`);
+            }
+        } else if (methodUsed === "Fast") {
+            console.log(`Using fast normalization for tender: ${normalizationReason}`);
+        } else {
+            console.log(`Using LLM normalization for tender from ${tableName}`);
+        }
+        
+        // Track performance statistics
+        trackPerformance(tableName, normalizedTender, processingTime);
+        
+        // Clean up fields and ensure schema compatibility
+        const schemaFields = {
+            estimated_value: true,
+            award_value: true,
+            potential_value: true
+        };
+        
+        // Clean up fields
+        Object.keys(normalizedTender).forEach(key => {
+            const value = normalizedTender[key];
+            if (value === '') {
+                normalizedTender[key] = null;
+            } else if (schemaFields[key]) {
+                const numericValue = extractNumericValue(value);
+                if (numericValue === null && value !== null && value !== undefined) {
+                    console.warn(`Could not extract numeric value for ${key} from: ${value}, setting to null`);
+                }
+                normalizedTender[key] = numericValue;
+            }
+        });
+        
+        // Remove any fields not in schema; contract values of award notices are kept in their awards
+        if ('contract_value' in normalizedTender) {
+            delete normalizedTender.contract_value;
+        }
+        
+        // Log normalization completion with timing based on the actual method used
+        console.log(`${methodUsed} normalization completed in ${(processingTime / 1000).toFixed(3)} seconds`);
+        
+        if (normalizedTender.status === 'error') {
+            console.error(`Error normalizing tender: ${normalizedTender.description}`);
+            return { success: false, error: normalizedTender.description };
+        }
+        
+        normalizedTender.source_table = tableName;
+        normalizedTender.source_id = sourceId;
+        
+        return { success: true, normalizedTender, sourceId };
+    } catch (error) {
+        console.error(`Error processing tender:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Build the write-stage entry of a normalized tender
+ * The transient LLM fallbacks of a tender are counted while they follow one another, so that
+ * detectChange stops retrying it after maxLlmFallbacks; any other normalization resets the count.
+ * @param {Object} tender - The raw tender
+ * @param {Object} normalized - Result of normalizeSingleTender
+ * @param {Object} context - Processing context
+ * @param {Map} context.existingTenderMap - Unified tenders of this source that already exist, by source ID
+ * @param {string[]} context.timestampFields - Timestamp columns of the source table
+ * @returns {Object} Entry for the unified tender writer
+ */
+function buildWriteEntry(tender, normalized, { existingTenderMap, timestampFields }) {
+    const existingTender = existingTenderMap.get(normalized.sourceId);
+    const previousFallbacks = existingTender && isTransientFallback(existingTender.normalized_method)
+        ? existingTender.llm_fallback_count || 0
+        : 0;
+    normalized.normalizedTender.llm_fallback_count = isTransientFallback(normalized.normalizedTender.normalized_method)
+        ? previousFallbacks + 1
+        : 0;
+    
+    return {
+        tender: normalized.normalizedTender,
+        sourceRecordId: tender.id,
+        markProcessed: timestampFields.includes('last_processed_at'),
+        existing: existingTenderMap.has(normalized.sourceId)
+    };
+}
+
+/**
+ * Normalize one raw tender with its source adapter and save it to unified_tenders
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} adapter - The source adapter
+ * @param {string} tableName - The source table name
+ * @param {Object} tender - The raw tender
+ * @param {Object} context - Processing context
+ * @param {Map} context.existingTenderMap - Unified tenders of this source that already exist, by source ID
+ * @param {string[]} context.timestampFields - Timestamp columns of the source table
+ * @param {string} context.batchMode - Batch mode of the source
+ * @param {string} context.fallbackSourceId - Source ID used when the adapter cannot derive one
+ * @param {Object} [context.writer] - Buffered unified tender writer; without one the tender is written immediately
+ * @returns {Promise<Object>} { success, outcome: 'inserted' | 'updated' } or { success: false, error }
+ */
+async function processSingleTender(supabaseAdmin, adapter, tableName, tender, context) {
+    const normalized = await normalizeSingleTender(adapter, tableName, tender, context);
+    if (!normalized.success) {
+        return normalized;
+    }
+    
+    const entry = buildWriteEntry(tender, normalized, context);
+    const result = context.writer
+        ? await context.writer.write(entry)
+        : (await upsertUnifiedTenders(supabaseAdmin, [entry]))[0];
+    
+    if (result.success) {
+        console.log(`Successfully ${result.outcome} tender ${normalized.sourceId} from ${tableName}`);
+    }
+    return result;
+}
+
+/**
+ * Logs LLM token usage and estimated cost for the current run, overall and per source,
+ * once the usage has been written to the ledger
+ */
+async function logUsageSummary() {
+    await flushUsageLedger();
+    const usage = getUsageSummary();
+    console.log('\n=== LLM Usage ===');
+    console.log(`Run total: ${formatUsage(usage)} across ${usage.tenders} tenders (today: $${usage.todayCostUsd.toFixed(4)})`);
+    Object.entries(usage.bySource).forEach(([sourceTable, sourceUsage]) => {
+        console.log(`  ${sourceTable}: ${formatUsage(sourceUsage)} across ${sourceUsage.tenders} tenders`);
+    });
+}
+
 /**
  * Tracks performance statistics for tender normalization
  * @param {string} sourceTable - The source table
@@ -741,7 +795,7 @@ function trackPerformance(sourceTable, normalizedTender, processingTime) {
         performanceStats.bySource[sourceTable].processingTimes.push(processingTime);
         
         // Track normalization method
-        if (normalizedTender.normalized_method === 'llm') {
+        if (String(normalizedTender.normalized_method).startsWith('llm')) {
             performanceStats.llmUsed++;
             performanceStats.bySource[sourceTable].llmUsed++;
         } else if (normalizedTender.normalized_method === 'rule-based-fast') {
@@ -784,6 +838,15 @@ function logPerformanceStats() {
         console.log(`  - Fast: ${performanceStats.fastNormalization} (${fastPct}%)`);
         console.log(`  - Fallback: ${performanceStats.fallbackNormalization} (${fallbackPct}%)`);
         
+        // LLM response cache effectiveness
+        const cacheStats = getCacheStats();
+        console.log(`LLM cache (${cacheStats.backend}): ${cacheStats.hits} hits, ${cacheStats.misses} misses (${cacheStats.hitRate}% hit rate)`);
+        
+        const batchStats = getBatchStats();
+        if (batchStats.packedRequests > 0) {
+            console.log(`Packed LLM requests: ${batchStats.packedTenders} tenders in ${batchStats.packedRequests} requests (${batchStats.packFallbacks} retried individually)`);
+        }
+        
         // Reset temporary counters but keep running totals
         performanceStats.processingTimes = [];
         Object.keys(performanceStats.bySource).forEach(source => {
@@ -808,6 +871,10 @@ async function processNewestTendersFromAllSources(supabaseAdmin, options = {}) {
     
     console.log(`Starting to process newest tenders from all sources${sinceDate ? ` since ${sinceDate}` : ''}${continuous ? ' (continuous)' : ''}`);
     
+    // Start LLM usage accounting for this run
+    startRun();
+    await loadDailyUsage(supabaseAdmin);
+    
     // Get all available source adapters
     const sources = sourceRegistry.getRegisteredSources();
     if (!sources || sources.length === 0) {
@@ -829,6 +896,9 @@ async function processNewestTendersFromAllSources(supabaseAdmin, options = {}) {
         errors: 0,
         fallback: 0,
         fastNormalization: 0,
+        new: 0,
+        changed: 0,
+        unchanged: 0,
         bySource: {}
     };
     
@@ -840,7 +910,10 @@ async function processNewestTendersFromAllSources(supabaseAdmin, options = {}) {
             updated: 0,
             errors: 0,
             fallback: 0,
-            fastNormalization: 0
+            fastNormalization: 0,
+            new: 0,
+            changed: 0,
+            unchanged: 0
         };
     }
     
@@ -849,96 +922,66 @@ async function processNewestTendersFromAllSources(supabaseAdmin, options = {}) {
         console.log(`\n=== Processing source: ${sourceTable} ===\n`);
         
         try {
-            // Get timestamp fields for this table
-            const { data: tableInfo } = await supabaseAdmin
-                .from('information_schema.columns')
-                .select('column_name')
-                .eq('table_name', sourceTable)
-                .in('column_name', ['created_at', 'updated_at']);
-            
-            const timestampFields = tableInfo.map(col => col.column_name);
-            
-            // Prepare query for this source
-            let query = supabaseAdmin.from(sourceTable)
-                .select('*')
-                .limit(tendersPerSource);
-            
-            // Apply date filter if provided
-            if (sinceDate && timestampFields.length > 0) {
-                const dateField = timestampFields.includes('updated_at') ? 'updated_at' : 'created_at';
-                if (timestampFields.includes(dateField)) {
-                    query = query.gte(dateField, sinceDate);
-                    console.log(`Filtering ${sourceTable} tenders by ${dateField} >= ${sinceDate}`);
-                }
+            // Get adapter for this source
+            const adapter = sourceRegistry.getAdapter(sourceTable);
+            if (!adapter) {
+                console.error(`No adapter available for ${sourceTable}`);
+                continue;
             }
             
-            // Sort by timestamp (newest first)
-            if (timestampFields.includes('created_at')) {
-                query = query.order('created_at', { ascending: false });
-            } else if (timestampFields.includes('updated_at')) {
-                query = query.order('updated_at', { ascending: false });
+            if (sinceDate) {
+                console.log(`Filtering ${sourceTable} tenders by updated_at (or created_at) >= ${sinceDate}`);
             }
             
-            // Fetch tenders
-            const { data: newestTenders, error } = await query;
+            // Read the newest tenders in batches, newest first
+            const newestBatches = readSourceTable(supabaseAdmin, sourceTable, {
+                since: sinceDate,
+                limit: tendersPerSource
+            });
             
-            if (error) {
-                console.error(`Error fetching newest tenders from ${sourceTable}:`, error);
-                totalResults.success = false;
-                totalResults.errors++;
-                continue;
+            let foundCount = 0;
+            for await (const { rows: newestTenders } of newestBatches) {
+                foundCount += newestTenders.length;
+                console.log(`Found ${newestTenders.length} newest tenders from ${sourceTable}`);
+                
+                // Process tenders with the existing function; tenders whose content did not change are skipped
+                const result = await processTendersFromTable(
+                    supabaseAdmin, 
+                    sourceTable, 
+                    tendersPerSource, 
+                    false, // Only renormalize new and changed tenders
+                    newestTenders // Pass the pre-filtered tenders
+                );
+                
+                // Update total counts
+                totalResults.processed += result.processed || 0;
+                totalResults.skipped += result.skipped || 0;
+                totalResults.updated += result.updated || 0;
+                totalResults.errors += result.errors || 0;
+                totalResults.fallback += result.fallback || 0;
+                totalResults.fastNormalization += result.fastNormalization || 0;
+                totalResults.new += result.new || 0;
+                totalResults.changed += result.changed || 0;
+                totalResults.unchanged += result.unchanged || 0;
+                
+                // Update source-specific counts
+                totalResults.bySource[sourceTable].processed += result.processed || 0;
+                totalResults.bySource[sourceTable].skipped += result.skipped || 0;
+                totalResults.bySource[sourceTable].updated += result.updated || 0;
+                totalResults.bySource[sourceTable].errors += result.errors || 0;
+                totalResults.bySource[sourceTable].fallback += result.fallback || 0;
+                totalResults.bySource[sourceTable].fastNormalization += result.fastNormalization || 0;
+                totalResults.bySource[sourceTable].new += result.new || 0;
+                totalResults.bySource[sourceTable].changed += result.changed || 0;
+                totalResults.bySource[sourceTable].unchanged += result.unchanged || 0;
             }
             
-            if (!newestTenders || newestTenders.length === 0) {
+            if (foundCount === 0) {
                 console.log(`No new tenders found in ${sourceTable}`);
                 continue;
             }
             
-            console.log(`Found ${newestTenders.length} newest tenders from ${sourceTable}`);
-            
-            // Process these tenders
-            const adapter = sourceRegistry.getAdapter(sourceTable);
-            if (!adapter) {
-                console.error(`No adapter available for ${sourceTable}`);
-                continue;
-            }
-            
-            // Pre-check which tenders already exist
-            const sourceIds = newestTenders.map(tender => adapter.getSourceId(tender)).filter(id => id);
-            const { data: existingTenders } = await supabaseAdmin
-                .from('unified_tenders')
-                .select('source_id, updated_at')
-                .eq('source_table', sourceTable)
-                .in('source_id', sourceIds);
-                
-            const existingTenderMap = new Map(existingTenders?.map(t => [t.source_id, t]) || []);
-            
-            // Process tenders with the existing function, forcing reprocessing for already existing tenders
-            const result = await processTendersFromTable(
-                supabaseAdmin, 
-                sourceTable, 
-                tendersPerSource, 
-                true, // Force reprocessing to ensure newest data is captured
-                newestTenders // Pass the pre-filtered tenders
-            );
-            
-            // Update total counts
-            totalResults.processed += result.processed || 0;
-            totalResults.skipped += result.skipped || 0;
-            totalResults.updated += result.updated || 0;
-            totalResults.errors += result.errors || 0;
-            totalResults.fallback += result.fallback || 0;
-            totalResults.fastNormalization += result.fastNormalization || 0;
-            
-            // Update source-specific counts
-            totalResults.bySource[sourceTable].processed += result.processed || 0;
-            totalResults.bySource[sourceTable].skipped += result.skipped || 0;
-            totalResults.bySource[sourceTable].updated += result.updated || 0;
-            totalResults.bySource[sourceTable].errors += result.errors || 0;
-            totalResults.bySource[sourceTable].fallback += result.fallback || 0;
-            totalResults.bySource[sourceTable].fastNormalization += result.fastNormalization || 0;
-            
-            console.log(`Processed ${result.processed || 0} newest tenders from ${sourceTable}`);
+            console.log(`Processed ${totalResults.bySource[sourceTable].processed} newest tenders from ${sourceTable}`);
         } catch (error) {
             console.error(`Error processing ${sourceTable}:`, error);
             totalResults.success = false;
@@ -956,6 +999,7 @@ async function processNewestTendersFromAllSources(supabaseAdmin, options = {}) {
     console.log(`- Total updated: ${totalResults.updated}`);
     console.log(`- Total errors: ${totalResults.errors}`);
     console.log(`- Normalization: ${totalResults.fastNormalization} fast, ${totalResults.fallback} fallbacks`);
+    console.log(`- Changes: ${totalResults.new} new, ${totalResults.changed} changed, ${totalResults.unchanged} unchanged`);
     
     // Per-source summary
     console.log('\n=== Source Breakdowns ===');
@@ -967,8 +1011,11 @@ async function processNewestTendersFromAllSources(supabaseAdmin, options = {}) {
         console.log(`- Updated: ${sourceStats.updated}`);
         console.log(`- Errors: ${sourceStats.errors}`);
         console.log(`- Normalization: ${sourceStats.fastNormalization} fast, ${sourceStats.fallback} fallbacks`);
+        console.log(`- Changes: ${sourceStats.new} new, ${sourceStats.changed} changed, ${sourceStats.unchanged} unchanged`);
     }
     
+    await logUsageSummary();
+    
     if (continuous) {
         console.log('\nContinuous processing enabled, will run again after a short delay...');
         // Schedule next run with a delay to prevent hammering the database
@@ -985,14 +1032,23 @@ async function processNewestTendersFromAllSources(supabaseAdmin, options = {}) {
  * @param {Promise} promise - The promise to add a timeout to
  * @param {number} timeoutMs - Timeout in milliseconds
  * @param {string} errorMessage - Error message to throw on timeout
+ * @param {Function} [extendWhile] - () => boolean; while true when the timeout expires, it is restarted
+ * @param {number} [maxExtensions=Infinity] - Maximum number of restarts
  * @returns {Promise} A new promise with a timeout
  */
-function promiseWithTimeout(promise, timeoutMs, errorMessage) {
+function promiseWithTimeout(promise, timeoutMs, errorMessage, extendWhile = null, maxExtensions = Infinity) {
     let timeoutId;
+    let extensions = 0;
     const timeoutPromise = new Promise((_, reject) => {
-        timeoutId = setTimeout(() => {
+        const expire = () => {
+            if (extendWhile && extensions < maxExtensions && extendWhile()) {
+                extensions++;
+                timeoutId = setTimeout(expire, timeoutMs);
+                return;
+            }
             reject(new Error(errorMessage));
-        }, timeoutMs);
+        };
+        timeoutId = setTimeout(expire, timeoutMs);
     });
 
     return Promise.race([
@@ -1011,19 +1067,25 @@ function promiseWithTimeout(promise, timeoutMs, errorMessage) {
  * @param {boolean} options.filterUnprocessedOnly - Set to false to process ALL tenders regardless of last_processed_at
  * @param {number} options.batchSize - Default batch size
  * @param {number} options.maxTendersPerSource - Maximum tenders to process per source (0 means no limit)
+ * @param {boolean} options.resume - Continue from the checkpoints of the previous run instead of starting over
  * @returns {Promise<Object>} Processing results
  */
 async function processAllUnprocessedTenders(supabaseAdmin, options = {}) {
     console.log('Starting to process ALL tenders from all sources');
     
+    // Start LLM usage accounting for this run
+    startRun();
+    await loadDailyUsage(supabaseAdmin);
+    
     // Options with defaults
     const { 
         filterUnprocessedOnly = false, // Set to false to process ALL tenders regardless of last_processed_at
         batchSize = 1000,              // Default batch size
-        maxTendersPerSource = 0        // 0 means no limit
+        maxTendersPerSource = 0,       // 0 means no limit
+        resume = false                 // Continue from the checkpoints of the previous run
     } = options;
     
-    console.log(`Processing options: filterUnprocessedOnly=${filterUnprocessedOnly}, batchSize=${batchSize}, maxTendersPerSource=${maxTendersPerSource || 'unlimited'}`);
+    console.log(`Processing options: filterUnprocessedOnly=${filterUnprocessedOnly}, batchSize=${batchSize}, maxTendersPerSource=${maxTendersPerSource || 'unlimited'}, resume=${resume}`);
     
     // Get all available source adapters
     const sources = sourceRegistry.getRegisteredSources();
@@ -1037,6 +1099,16 @@ async function processAllUnprocessedTenders(supabaseAdmin, options = {}) {
     
     console.log(`Found ${sources.length} sources: ${sources.join(', ')}`);
     
+    // Checkpoints of the previous run are kept when resuming and dropped otherwise
+    const runName = 'process-all-unprocessed';
+    let checkpoints = {};
+    if (resume) {
+        checkpoints = await loadCheckpoints(supabaseAdmin, runName);
+        console.log(`Loaded checkpoints for ${Object.keys(checkpoints).length} sources`);
+    } else {
+        await clearCheckpoints(supabaseAdmin, runName);
+    }
+    
     // Define processing parameters
     const totalResults = {
         success: true,
@@ -1046,11 +1118,21 @@ async function processAllUnprocessedTenders(supabaseAdmin, options = {}) {
         errors: 0,
         fallback: 0,
         fastNormalization: 0,
+        batchSubmitted: 0,
+        new: 0,
+        changed: 0,
+        unchanged: 0,
         bySource: {}
     };
     
     // Process each source sequentially with pagination
     for (const sourceTable of sources) {
+        const checkpoint = checkpoints[sourceTable];
+        if (checkpoint && checkpoint.completed) {
+            console.log(`Skipping ${sourceTable}: completed by the previous run (${checkpoint.processed} tenders)`);
+            continue;
+        }
+        
         console.log(`\n=== Processing ALL tenders from source: ${sourceTable} ===\n`);
         
         // Initialize source results
@@ -1060,26 +1142,28 @@ async function processAllUnprocessedTenders(supabaseAdmin, options = {}) {
             updated: 0,
             errors: 0,
             fallback: 0,
-            fastNormalization: 0
+            fastNormalization: 0,
+            batchSubmitted: 0,
+            new: 0,
+            changed: 0,
+            unchanged: 0
         };
         
         try {
             // Check if table has timestamp fields for incremental processing
-            const tableInfo = await supabaseAdmin
-                .from('information_schema.columns')
-                .select('column_name')
-                .eq('table_name', sourceTable)
-                .in('column_name', ['created_at', 'updated_at', 'last_processed_at']);
-            
-            const hasTimestampFields = tableInfo.data && tableInfo.data.length > 0;
-            const timestampFields = hasTimestampFields ? tableInfo.data.map(col => col.column_name) : [];
-            console.log(`Found timestamp fields for table ${sourceTable}:`, timestampFields);
+            const timestampFields = await getTimestampFields(supabaseAdmin, sourceTable);
             
-            // Pagination settings
-            const pageSize = batchSize;
-            let processedCount = 0;
-            let moreToProcess = true;
-            let page = 0;
+            // A resumed walk continues after the last row of the previous run
+            let processedCount = checkpoint ? checkpoint.processed : 0;
+            let page = checkpoint ? checkpoint.page : 0;
+            let lastKey = checkpoint ? checkpoint.lastKey : null;
+            if (checkpoint) {
+                console.log(`Resuming ${sourceTable} at page ${page + 1} (${processedCount} tenders walked by the previous run)`);
+            }
+            if (maxTendersPerSource > 0 && processedCount >= maxTendersPerSource) {
+                console.log(`Already walked ${processedCount} tenders from ${sourceTable}, the per-source maximum`);
+                continue;
+            }
             
             // Get adapter for this source
             const adapter = sourceRegistry.getAdapter(sourceTable);
@@ -1089,57 +1173,26 @@ async function processAllUnprocessedTenders(supabaseAdmin, options = {}) {
                 continue;
             }
             
+            // Filter for unprocessed tenders only if option is enabled
+            if (filterUnprocessedOnly && timestampFields.includes('last_processed_at')) {
+                console.log(`Filtering for unprocessed tenders only (where last_processed_at is null)`);
+            } else {
+                console.log(`Processing ALL tenders regardless of last_processed_at status`);
+            }
+            
+            const pages = readSourceTable(supabaseAdmin, sourceTable, {
+                batchSize,
+                timestampFields,
+                unprocessedOnly: filterUnprocessedOnly,
+                startAfter: lastKey,
+                limit: maxTendersPerSource > 0 ? maxTendersPerSource - processedCount : 0
+            });
+            
             // Process all tenders in pages
-            while (moreToProcess && (maxTendersPerSource <= 0 || processedCount < maxTendersPerSource)) {
-                console.log(`Processing page ${page + 1} (tenders ${page * pageSize} to ${(page + 1) * pageSize - 1}) from ${sourceTable}`);
-                
-                // Build query for this page
-                let queryBatch = supabaseAdmin.from(sourceTable)
-                    .select('*')
-                    .range(page * pageSize, (page + 1) * pageSize - 1);
-                
-                // Always sort by created_at desc first to prioritize newer tenders
-                if (timestampFields.includes('created_at')) {
-                    queryBatch = queryBatch.order('created_at', { ascending: false });
-                } else if (timestampFields.includes('updated_at')) {
-                    queryBatch = queryBatch.order('updated_at', { ascending: false });
-                }
-                
-                // Filter for unprocessed tenders only if option is enabled
-                if (filterUnprocessedOnly && timestampFields.includes('last_processed_at')) {
-                    queryBatch = queryBatch.is('last_processed_at', null);
-                    console.log(`Filtering for unprocessed tenders only (where last_processed_at is null)`);
-                } else {
-                    console.log(`Processing ALL tenders regardless of last_processed_at status`);
-                }
-                
-                // Get tenders for this page
-                const { data: pageTenders, error: fetchError } = await queryBatch;
-                
-                if (fetchError) {
-                    console.error(`Error fetching tenders from ${sourceTable}:`, fetchError);
-                    totalResults.errors++;
-                    break;
-                }
-                
-                if (!pageTenders || pageTenders.length === 0) {
-                    console.log(`No more tenders found in ${sourceTable}`);
-                    moreToProcess = false;
-                    break;
-                }
-                
+            let completed = true;
+            for await (const { rows: pageTenders, lastKey: pageKey } of pages) {
                 console.log(`Found ${pageTenders.length} tenders in page ${page + 1} from ${sourceTable}`);
                 
-                // Pre-check which tenders already exist
-                const sourceIds = pageTenders.map(tender => adapter.getSourceId(tender)).filter(id => id);
-                const { data: existingTenders } = await supabaseAdmin
-                    .from('unified_tenders')
-                    .select('source_id, updated_at')
-                    .eq('source_table', sourceTable)
-                    .in('source_id', sourceIds);
-                
-                const existingTenderMap = new Map(existingTenders?.map(t => [t.source_id, t]) || []);
-                
                 // Process all tenders in this page
                 const pageResults = await processTendersFromTable(
                     supabaseAdmin, 
@@ -1149,40 +1202,53 @@ async function processAllUnprocessedTenders(supabaseAdmin, options = {}) {
                     pageTenders // Use pre-filtered tenders
                 );
                 
-                // Update counters
-                if (pageResults.success) {
-                    totalResults.bySource[sourceTable].processed += pageResults.processed || 0;
-                    totalResults.bySource[sourceTable].skipped += pageResults.skipped || 0;
-                    totalResults.bySource[sourceTable].updated += pageResults.updated || 0;
-                    totalResults.bySource[sourceTable].errors += pageResults.errors || 0;
-                    totalResults.bySource[sourceTable].fallback += pageResults.fallback || 0;
-                    totalResults.bySource[sourceTable].fastNormalization += pageResults.fastNormalization || 0;
-                    
-                    totalResults.processed += pageResults.processed || 0;
-                    totalResults.skipped += pageResults.skipped || 0;
-                    totalResults.updated += pageResults.updated || 0;
-                    totalResults.errors += pageResults.errors || 0;
-                    totalResults.fallback += pageResults.fallback || 0;
-                    totalResults.fastNormalization += pageResults.fastNormalization || 0;
-                    
-                    // Check if we processed anything in this page
-                    if (pageResults.processed === 0 && pageResults.updated === 0) {
-                        // If all tenders were skipped or errored, move to next page
-                        console.log(`No tenders were processed in this page, moving to next page`);
-                    }
-                    
-                    // Continue to next page if we got a full page of results
-                    if (pageTenders.length === pageSize) {
-                        page++;
-                    } else {
-                        moreToProcess = false;
-                    }
-                } else {
+                if (!pageResults.success) {
                     console.error(`Error processing tenders from ${sourceTable}:`, pageResults.error);
                     totalResults.errors++;
-                    moreToProcess = false;
+                    completed = false;
+                    break;
                 }
                 
+                // Update counters
+                totalResults.bySource[sourceTable].processed += pageResults.processed || 0;
+                totalResults.bySource[sourceTable].skipped += pageResults.skipped || 0;
+                totalResults.bySource[sourceTable].updated += pageResults.updated || 0;
+                totalResults.bySource[sourceTable].errors += pageResults.errors || 0;
+                totalResults.bySource[sourceTable].fallback += pageResults.fallback || 0;
+                totalResults.bySource[sourceTable].fastNormalization += pageResults.fastNormalization || 0;
+                totalResults.bySource[sourceTable].new += pageResults.new || 0;
+                totalResults.bySource[sourceTable].changed += pageResults.changed || 0;
+                totalResults.bySource[sourceTable].unchanged += pageResults.unchanged || 0;
+                totalResults.bySource[sourceTable].batchSubmitted += pageResults.batchSubmitted || 0;
+                
+                totalResults.processed += pageResults.processed || 0;
+                totalResults.skipped += pageResults.skipped || 0;
+                totalResults.updated += pageResults.updated || 0;
+                totalResults.errors += pageResults.errors || 0;
+                totalResults.fallback += pageResults.fallback || 0;
+                totalResults.fastNormalization += pageResults.fastNormalization || 0;
+                totalResults.new += pageResults.new || 0;
+                totalResults.changed += pageResults.changed || 0;
+                totalResults.unchanged += pageResults.unchanged || 0;
+                totalResults.batchSubmitted += pageResults.batchSubmitted || 0;
+                
+                // Check if we processed anything in this page
+                if (pageResults.processed === 0 && pageResults.updated === 0) {
+                    // If all tenders were skipped or errored, move to next page
+                    console.log(`No tenders were processed in this page, moving to next page`);
+                }
+                
+                // Remember where to continue if the run is interrupted
+                page++;
+                processedCount += pageTenders.length;
+                lastKey = pageKey;
+                await saveCheckpoint(supabaseAdmin, runName, sourceTable, {
+                    page,
+                    lastKey,
+                    processed: processedCount,
+                    completed: false
+                });
+                
                 // Log progress after each page
                 console.log(`\n=== Progress for ${sourceTable} ===`);
                 console.log(`- Processed: ${totalResults.bySource[sourceTable].processed} tenders`);
@@ -1193,10 +1259,22 @@ async function processAllUnprocessedTenders(supabaseAdmin, options = {}) {
                 console.log(`- Fast normalizations: ${totalResults.bySource[sourceTable].fastNormalization} tenders\n`);
             }
             
+            // A walk stopped by the per-source maximum is continued by the next resumed run
+            if (completed && (maxTendersPerSource <= 0 || processedCount < maxTendersPerSource)) {
+                console.log(`No more tenders found in ${sourceTable}`);
+                await saveCheckpoint(supabaseAdmin, runName, sourceTable, {
+                    page,
+                    lastKey,
+                    processed: processedCount,
+                    completed: true
+                });
+            }
+            
             console.log(`\n=== Completed processing ALL tenders from source: ${sourceTable} ===`);
             console.log(`- Total processed: ${totalResults.bySource[sourceTable].processed} tenders`);
             console.log(`- Total updated: ${totalResults.bySource[sourceTable].updated} tenders`);
             console.log(`- Total skipped: ${totalResults.bySource[sourceTable].skipped} tenders`);
+            console.log(`- Changes: ${totalResults.bySource[sourceTable].new} new, ${totalResults.bySource[sourceTable].changed} changed, ${totalResults.bySource[sourceTable].unchanged} unchanged`);
             console.log(`- Total errors: ${totalResults.bySource[sourceTable].errors} tenders\n`);
             
         } catch (error) {
@@ -1214,15 +1292,286 @@ async function processAllUnprocessedTenders(supabaseAdmin, options = {}) {
     console.log(`Total errors encountered: ${totalResults.errors}`);
     console.log(`Total fallback normalizations: ${totalResults.fallback}`);
     console.log(`Total fast normalizations: ${totalResults.fastNormalization}`);
+    console.log(`Total changes: ${totalResults.new} new, ${totalResults.changed} changed, ${totalResults.unchanged} unchanged`);
+    console.log(`Total tenders submitted to the Batch API: ${totalResults.batchSubmitted}`);
+    
+    const cacheStats = getCacheStats();
+    console.log(`LLM cache (${cacheStats.backend}): ${cacheStats.hits} hits, ${cacheStats.misses} misses (${cacheStats.hitRate}% hit rate)`);
+    
+    const batchStats = getBatchStats();
+    if (batchStats.packedRequests > 0) {
+        console.log(`Packed LLM requests: ${batchStats.packedTenders} tenders in ${batchStats.packedRequests} requests (${batchStats.packFallbacks} retried individually)`);
+    }
+    
+    const schedulerStats = getSchedulerStats();
+    if (schedulerStats.rateLimited > 0 || schedulerStats.waitedMs > 0) {
+        console.log(`LLM rate limiting: ${schedulerStats.rateLimited} rate-limited responses, ${(schedulerStats.waitedMs / 1000).toFixed(1)} seconds waited for capacity`);
+    }
+    
+    const translationStats = getTranslationStats();
+    if (translationStats.fields > 0 || translationStats.errors > 0) {
+        const byTranslator = Object.entries(translationStats.byTranslator).map(([name, count]) => `${name}: ${count}`).join(', ');
+        console.log(`Translated fields: ${translationStats.fields} (${byTranslator}), ${translationStats.errors} translation errors`);
+    }
+    
+    await logUsageSummary();
     
     return totalResults;
 }
 
+/**
+ * Reprocess LLM-normalized tenders that were produced by an older prompt version
+ * The raw tenders are taken from original_data and normalized again with the active prompt templates.
+ * @param {Object} supabaseAdmin - Supabase admin client
+ * @param {Object} options - Reprocessing options
+ * @param {string} options.sourceTable - Only reprocess tenders of this source
+ * @param {number} options.limit - Maximum number of tenders to reprocess
+ * @returns {Promise<Object>} Reprocessing results
+ */
+async function reprocessOutdatedPrompts(supabaseAdmin, options = {}) {
+    const { sourceTable = null, limit = 500 } = options;
+    const promptVersion = getPromptVersion();
+    console.log(`Reprocessing tenders normalized with a prompt version other than ${promptVersion}${sourceTable ? ` from ${sourceTable}` : ''}`);
+    
+    // Start LLM usage accounting for this run
+    startRun();
+    await loadDailyUsage(supabaseAdmin);
+    
+    let query = supabaseAdmin
+        .from('unified_tenders')
+        .select('source_table, source_id, prompt_version, original_data')
+        .like('normalized_method', 'llm%')
+        .or(`prompt_version.is.null,prompt_version.neq.${promptVersion}`)
+        .order('normalized_at', { ascending: true })
+        .limit(limit);
+    
+    if (sourceTable) {
+        query = query.eq('source_table', sourceTable);
+    }
+    
+    const { data: outdated, error } = await query;
+    if (error) {
+        console.error('Error fetching outdated tenders:', error);
+        return { success: false, error: error.message };
+    }
+    
+    const totalResults = { processed: 0, updated: 0, errors: 0, fallback: 0, fastNormalization: 0, missingOriginal: 0, new: 0, changed: 0, unchanged: 0 };
+    
+    // Group the raw tenders by source so each source goes through its own adapter
+    const tendersBySource = {};
+    (outdated || []).forEach(row => {
+        if (!row.original_data) {
+            totalResults.missingOriginal++;
+            return;
+        }
+        (tendersBySource[row.source_table] = tendersBySource[row.source_table] || []).push(row.original_data);
+    });
+    
+    for (const [table, tenders] of Object.entries(tendersBySource)) {
+        console.log(`Reprocessing ${tenders.length} ${table} tenders`);
+        const result = await processTendersFromTable(supabaseAdmin, table, 0, true, tenders);
+        
+        totalResults.processed += result.processed || 0;
+        totalResults.updated += result.updated || 0;
+        totalResults.errors += result.errors || 0;
+        totalResults.fallback += result.fallback || 0;
+        totalResults.fastNormalization += result.fastNormalization || 0;
+        totalResults.new += result.new || 0;
+        totalResults.changed += result.changed || 0;
+        totalResults.unchanged += result.unchanged || 0;
+    }
+    
+    if (totalResults.missingOriginal > 0) {
+        console.warn(`${totalResults.missingOriginal} outdated tenders have no original_data and cannot be reprocessed`);
+    }
+    
+    await logUsageSummary();
+    
+    return { success: true, found: (outdated || []).length, ...totalResults };
+}
+
+/**
+ * Add a queue job for every raw tender of a source that still needs processing
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} sourceTable - The source table name
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force=false] - Enqueue all tenders and reset their existing jobs
+ * @returns {Promise<Object>} { found, enqueued }
+ */
+async function enqueueSourceTenders(supabaseAdmin, sourceTable, { force = false } = {}) {
+    const recordIds = [];
+    
+    // Without force, tenders already processed from the source table are left out
+    const batches = readSourceTable(supabaseAdmin, sourceTable, {
+        columns: 'id',
+        orderField: null,
+        ascending: true,
+        unprocessedOnly: !force
+    });
+    
+    for await (const { rows } of batches) {
+        rows.forEach(row => recordIds.push(row.id));
+    }
+    
+    const enqueued = await enqueueJobs(supabaseAdmin, sourceTable, recordIds, { force });
+    console.log(`Enqueued ${enqueued} of ${recordIds.length} ${sourceTable} tenders${force ? ' (existing jobs reset)' : ''}`);
+    return { found: recordIds.length, enqueued };
+}
+
+/**
+ * Process the claimed jobs of one source and record their outcome in the queue
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} sourceTable - The source table name
+ * @param {Object[]} jobs - Claimed jobs of this source
+ * @param {Object} totals - Worker totals to update (done, retried, dead, lost)
+ */
+async function processSourceJobs(supabaseAdmin, sourceTable, jobs, totals) {
+    // Record the outcome of a job; a failure to update the queue leaves the job locked until it expires
+    const settle = async (job, result, permanent = false) => {
+        try {
+            if (result.success) {
+                if (await completeJob(supabaseAdmin, job)) {
+                    totals.done++;
+                } else {
+                    totals.lost++;
+                    console.warn(`Job ${job.id} (${sourceTable} ${job.source_record_id}) was claimed by another worker after its lock expired`);
+                }
+            } else {
+                const outcome = await failJob(supabaseAdmin, job, result.error || 'Unknown error', { permanent });
+                if (outcome === 'lost') {
+                    totals.lost++;
+                    console.warn(`Job ${job.id} (${sourceTable} ${job.source_record_id}) was claimed by another worker after its lock expired`);
+                    return;
+                }
+                totals[outcome === 'dead' ? 'dead' : 'retried']++;
+                console.warn(`Job ${job.id} (${sourceTable} ${job.source_record_id}) failed on attempt ${job.attempts}: ${result.error}${outcome === 'dead' ? ', moved to dead letters' : ', will retry'}`);
+            }
+        } catch (error) {
+            console.error(error.message);
+        }
+    };
+    
+    const adapter = sourceRegistry.getAdapter(sourceTable);
+    if (!adapter) {
+        for (const job of jobs) {
+            await settle(job, { success: false, error: `No adapter registered for ${sourceTable}` }, true);
+        }
+        return;
+    }
+    
+    const { data: tenders, error } = await supabaseAdmin
+        .from(sourceTable)
+        .select('*')
+        .in('id', jobs.map(job => job.source_record_id));
+    
+    if (error) {
+        for (const job of jobs) {
+            await settle(job, { success: false, error: `Error fetching tender: ${error.message}` });
+        }
+        return;
+    }
+    
+    const tendersById = new Map((tenders || []).map(tender => [String(tender.id), tender]));
+    
+    // Pre-check which tenders already exist; the claimed tenders are written in one bulk upsert
+    const context = {
+        existingTenderMap: await getExistingTenderMap(supabaseAdmin, adapter, sourceTable, tenders || []),
+        timestampFields: await getTimestampFields(supabaseAdmin, sourceTable),
+        batchMode: getBatchMode(sourceTable),
+        writer: createUnifiedTenderWriter(supabaseAdmin, { batchSize: Math.max(tendersById.size, 1) })
+    };
+    
+    await Promise.all(jobs.map(async job => {
+        const tender = tendersById.get(String(job.source_record_id));
+        if (!tender) {
+            await settle(job, { success: false, error: `Tender ${job.source_record_id} not found in ${sourceTable}` }, true);
+            return;
+        }
+        
+        const result = await processSingleTender(supabaseAdmin, adapter, sourceTable, tender, {
+            ...context,
+            fallbackSourceId: `${sourceTable}_${job.source_record_id}`
+        });
+        await settle(job, result);
+    }));
+    await context.writer.flush();
+}
+
+/**
+ * Work through the job queue: claim jobs, process them and record the outcome
+ * Several workers can run at once; each job is claimed by exactly one of them.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} options - Worker options
+ * @param {string} options.workerId - Identifier of this worker (default: host name and process ID)
+ * @param {boolean} options.continuous - Keep polling for jobs instead of stopping when the queue is empty
+ * @param {number} options.maxJobs - Stop after this many jobs (0 means no limit)
+ * @returns {Promise<Object>} Worker totals
+ */
+async function processQueuedJobs(supabaseAdmin, options = {}) {
+    const { workerId = `${os.hostname()}-${process.pid}`, continuous = false, maxJobs = 0 } = options;
+    const totals = { success: true, claimed: 0, done: 0, retried: 0, dead: 0, lost: 0 };
+    
+    console.log(`Starting queue worker ${workerId}${continuous ? ' (continuous)' : ''}`);
+    
+    // Start LLM usage accounting for this run
+    startRun();
+    await loadDailyUsage(supabaseAdmin);
+    
+    while (maxJobs <= 0 || totals.claimed < maxJobs) {
+        const claimSize = maxJobs > 0 ? Math.min(CONFIG.jobClaimSize, maxJobs - totals.claimed) : CONFIG.jobClaimSize;
+        const jobs = await claimJobs(supabaseAdmin, workerId, claimSize);
+        
+        if (jobs.length === 0) {
+            if (!continuous) break;
+            await new Promise(resolve => setTimeout(resolve, CONFIG.jobPollIntervalSeconds * 1000));
+            continue;
+        }
+        
+        totals.claimed += jobs.length;
+        console.log(`Worker ${workerId} claimed ${jobs.length} jobs`);
+        
+        const jobsBySource = {};
+        jobs.forEach(job => {
+            (jobsBySource[job.source_table] = jobsBySource[job.source_table] || []).push(job);
+        });
+        
+        for (const [sourceTable, sourceJobs] of Object.entries(jobsBySource)) {
+            await processSourceJobs(supabaseAdmin, sourceTable, sourceJobs, totals);
+        }
+    }
+    
+    console.log(`\n=== Queue Worker ${workerId} ===`);
+    console.log(`Jobs claimed: ${totals.claimed}, done: ${totals.done}, retried later: ${totals.retried}, dead-lettered: ${totals.dead}, lost to other workers: ${totals.lost}`);
+    await logUsageSummary();
+    
+    return totals;
+}
+
+/**
+ * Move dead-lettered jobs back into the queue
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} options - Options
+ * @param {string} options.sourceTable - Only requeue jobs of this source
+ * @param {number} options.limit - Maximum number of jobs to requeue
+ * @returns {Promise<Object>} { requeued }
+ */
+async function requeueDeadJobs(supabaseAdmin, options = {}) {
+    const requeued = await requeueDeadLetters(supabaseAdmin, options);
+    console.log(`Requeued ${requeued} dead-lettered jobs${options.sourceTable ? ` from ${options.sourceTable}` : ''}`);
+    return { requeued };
+}
+
 module.exports = {
     processTendersFromTable,
     processTendersFromAllSources,
     processNewestTendersFromAllSources,
     processAllUnprocessedTenders,
+    reprocessOutdatedPrompts,
+    enqueueSourceTenders,
+    processQueuedJobs,
+    requeueDeadJobs,
     runContinuousProcessing: processNewestTendersFromAllSources, // Alias for backward compatibility 
-    promiseWithTimeout
+    promiseWithTimeout,
+    detectChange,
+    buildWriteEntry
 };
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * procurementLifecycle.js
+ * Procurement processes grouping the notices of one procurement across its stages
+ *
+ * Sources publish separate notices for the stages of a procurement, e.g. presolicitation,
+ * solicitation and award on SAM.gov, or prior information notice, contract notice and
+ * contract award notice on TED. Each notice gets a lifecycle stage from its standard tender
+ * type (see the adapters' type mappings) and is assigned to a procurement process of its
+ * source: by reference (or solicitation) number, else by a close title match with an open
+ * process of the same buyer, else a new process. The procurement_processes table holds the
+ * timeline of each process, its current stage and status, and the awarded supplier and
+ * award value once an award notice arrives.
+ */
+
+const { createWorkerPool } = require('../utils/workerPool');
+const { titleSimilarity, getBuyerKey } = require('./amendmentLinker');
+
+// Configuration options
+const CONFIG = {
+    // Table holding the procurement processes
+    table: process.env.PROCUREMENT_PROCESS_TABLE || 'procurement_processes',
+    // Lowest title similarity (0-1) for adding a notice without reference number to a process of the same buyer
+    titleSimilarity: parseFloat(process.env.PROCESS_TITLE_SIMILARITY || '0.8'),
+    // Processes of the same buyer compared by title
+    titleCandidates: 200
+};
+
+// Lifecycle stages in procurement order
+const STAGES = ['planning', 'tender', 'award'];
+
+// Lifecycle stage by standard tender type; amendments and other notice types have no stage
+const STAGE_BY_TENDER_TYPE = {
+    'prior information notice': 'planning',
+    'request for information': 'planning',
+    'tender': 'tender',
+    'request for proposal': 'tender',
+    'request for quotation': 'tender',
+    'request for qualification': 'tender',
+    'invitation to bid': 'tender',
+    'expression of interest': 'tender',
+    'request for eoi': 'tender',
+    'pre-qualification': 'tender',
+    'design contest': 'tender',
+    'contract award': 'award',
+    'intent to award': 'award',
+    'results of contest': 'award',
+    'direct contract': 'award'
+};
+
+// Status of a process by its latest stage
+const STATUS_BY_STAGE = {
+    planning: 'planned',
+    tender: 'tendering',
+    award: 'awarded'
+};
+
+// Process updates are read-modify-write, so they run one at a time
+const processUpdates = createWorkerPool(1);
+
+/**
+ * Get the lifecycle stage of a notice
+ * @param {string} tenderType - The standard tender type
+ * @returns {string|null} 'planning', 'tender', 'award', or null for other notice types
+ */
+function getLifecycleStage(tenderType) {
+    return typeof tenderType === 'string' ? STAGE_BY_TENDER_TYPE[tenderType.toLowerCase()] || null : null;
+}
+
+/**
+ * Build the process ID of a notice from its reference number or its own source ID
+ * @param {Object} tender - The unified tender
+ * @returns {string} The process ID
+ */
+function buildProcessId(tender) {
+    return tender.reference_number
+        ? `${tender.source_table}:ref:${tender.reference_number}`
+        : `${tender.source_table}:notice:${tender.source_id}`;
+}
+
+/**
+ * Find an open process of the same buyer whose title matches a notice without reference number
+ * Only processes that have not reached the notice's stage yet are considered, so that a
+ * repeated procurement with the same title starts a new process.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} tender - The unified tender
+ * @returns {Promise<string|null>} The process ID, or null
+ */
+async function findProcessByTitle(supabaseAdmin, tender) {
+    const buyer = getBuyerKey(tender);
+    if (!buyer) {
+        return null;
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from(CONFIG.table)
+        .select('process_id, title, current_stage, timeline')
+        .eq('source_table', tender.source_table)
+        .eq('buyer', buyer.value)
+        .order('updated_at', { ascending: false })
+        .limit(CONFIG.titleCandidates);
+    if (error) {
+        throw new Error(`Error looking up procurement processes: ${error.message}`);
+    }
+
+    const stageIndex = STAGES.indexOf(tender.lifecycle_stage);
+    let best = null;
+    (data || []).forEach(process => {
+        const ownNotice = (process.timeline || []).some(entry => String(entry.source_id) === String(tender.source_id));
+        if (!ownNotice && STAGES.indexOf(process.current_stage) >= stageIndex) {
+            return;
+        }
+        const similarity = ownNotice ? 1 : titleSimilarity(tender.title_english || tender.title, process.title);
+        if (similarity >= CONFIG.titleSimilarity && (!best || similarity > best.similarity)) {
+            best = { processId: process.process_id, similarity };
+        }
+    });
+    return best ? best.processId : null;
+}
+
+/**
+ * Assign the notices among tenders about to be written to procurement processes
+ * Sets process_id on each notice with a lifecycle stage; amendments belong to the process of their parent.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - Normalized tenders about to be written
+ */
+async function assignProcesses(supabaseAdmin, tenders) {
+    for (const tender of tenders) {
+        if (!tender.lifecycle_stage || tender.is_amendment) {
+            continue;
+        }
+        try {
+            tender.process_id = (!tender.reference_number && await findProcessByTitle(supabaseAdmin, tender)) || buildProcessId(tender);
+        } catch (error) {
+            console.warn(`Could not assign ${tender.source_table} tender ${tender.source_id} to a procurement process: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Combine the awards of the award notices of a process
+ * @param {Object[]} awards - Awards of all award notices
+ * @returns {Object} awarded_supplier, award_value and award_currency columns
+ */
+function summarizeAwards(awards) {
+    const suppliers = [...new Set(awards.map(award => award.supplier_name).filter(Boolean))];
+    const values = awards.filter(award => typeof award.value === 'number');
+    const currencies = [...new Set(values.map(award => award.currency).filter(Boolean))];
+
+    return {
+        awarded_supplier: suppliers.length > 0 ? suppliers.join('; ') : null,
+        // Values in different currencies cannot be added up
+        award_value: values.length > 0 && currencies.length <= 1 ? values.reduce((sum, award) => sum + award.value, 0) : null,
+        award_currency: currencies.length === 1 ? currencies[0] : null
+    };
+}
+
+/**
+ * Derive the columns of a process from its timeline
+ * @param {Object[]} timeline - Notices of the process
+ * @returns {Object} The derived process columns
+ */
+function deriveProcess(timeline) {
+    const sorted = [...timeline].sort((a, b) =>
+        String(a.publication_date || '').localeCompare(String(b.publication_date || '')) ||
+        STAGES.indexOf(a.stage) - STAGES.indexOf(b.stage));
+    const latestStage = STAGES.filter(stage => sorted.some(entry => entry.stage === stage)).pop();
+    const firstDate = stage => (sorted.find(entry => entry.stage === stage && entry.publication_date) || {}).publication_date || null;
+    const awardNotices = sorted.filter(entry => entry.stage === 'award');
+    const canceled = sorted.some(entry => entry.status === 'Canceled');
+
+    return {
+        timeline: sorted,
+        notice_count: sorted.length,
+        current_stage: latestStage,
+        status: latestStage !== 'award' && canceled ? 'canceled' : STATUS_BY_STAGE[latestStage],
+        planning_date: firstDate('planning'),
+        tender_date: firstDate('tender'),
+        award_date: firstDate('award'),
+        ...summarizeAwards(awardNotices.flatMap(entry => entry.awards || []))
+    };
+}
+
+/**
+ * Add written notices to their procurement processes
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - Normalized tenders that were written
+ * @returns {Promise<number>} Number of updated processes
+ */
+async function updateProcesses(supabaseAdmin, tenders) {
+    const noticesByProcess = new Map();
+    tenders.filter(tender => tender.process_id && tender.lifecycle_stage).forEach(tender => {
+        noticesByProcess.set(tender.process_id, [...(noticesByProcess.get(tender.process_id) || []), tender]);
+    });
+    if (noticesByProcess.size === 0) {
+        return 0;
+    }
+
+    return processUpdates.run(async () => {
+        const { data: existing, error } = await supabaseAdmin
+            .from(CONFIG.table)
+            .select('process_id, reference_number, title, buyer, timeline, created_at')
+            .in('process_id', [...noticesByProcess.keys()]);
+        if (error) {
+            throw new Error(`Error reading procurement processes: ${error.message}`);
+        }
+        const existingById = new Map((existing || []).map(process => [process.process_id, process]));
+
+        const now = new Date().toISOString();
+        const rows = [...noticesByProcess.entries()].map(([processId, notices]) => {
+            const current = existingById.get(processId);
+            // A notice written again replaces its earlier timeline entry
+            const noticeIds = new Set(notices.map(notice => String(notice.source_id)));
+            const timeline = ((current && current.timeline) || [])
+                .filter(entry => !noticeIds.has(String(entry.source_id)))
+                .concat(notices.map(notice => ({
+                    stage: notice.lifecycle_stage,
+                    tender_type: notice.tender_type || null,
+                    source_id: String(notice.source_id),
+                    title: notice.title || null,
+                    status: notice.status || null,
+                    publication_date: notice.publication_date || null,
+                    deadline_date: notice.deadline_date || null,
+                    awards: notice.awards || null
+                })));
+
+            // The first notice of a process gives it its title and buyer
+            const first = notices[0];
+            const buyer = getBuyerKey(first);
+            return {
+                process_id: processId,
+                source_table: first.source_table,
+                reference_number: (current && current.reference_number) || first.reference_number || null,
+                title: (current && current.title) || first.title_english || first.title || null,
+                buyer: (current && current.buyer) || (buyer ? buyer.value : null),
+                ...deriveProcess(timeline),
+                created_at: (current && current.created_at) || now,
+                updated_at: now
+            };
+        });
+
+        const { error: upsertError } = await supabaseAdmin
+            .from(CONFIG.table)
+            .upsert(rows, { onConflict: 'process_id' });
+        if (upsertError) {
+            throw new Error(`Error saving procurement processes: ${upsertError.message}`);
+        }
+        return rows.length;
+    });
+}
+
+/**
+ * Get a procurement process
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} processId - The process ID
+ * @returns {Promise<Object|null>} The process, or null if it does not exist
+ */
+async function getProcess(supabaseAdmin, processId) {
+    const { data, error } = await supabaseAdmin
+        .from(CONFIG.table)
+        .select('*')
+        .eq('process_id', processId)
+        .limit(1);
+    if (error) {
+        throw new Error(`Error reading procurement process ${processId}: ${error.message}`);
+    }
+    return data && data.length > 0 ? data[0] : null;
+}
+
+module.exports = {
+    getLifecycleStage,
+    assignProcesses,
+    updateProcesses,
+    getProcess
+};
@@ -0,0 +1,187 @@
+/**
+ * promptTemplates.js
+ * Versioned prompt templates for LLM normalization
+ *
+ * A template is plain text with {{placeholders}}. The normalization prompt is the base
+ * template of a version with the source partial (the adapter's getSourceSpecificPrompt())
+ * filled in. Released versions must not be edited: add a new version instead, so that
+ * unified tenders record which prompt produced them and can be reprocessed.
+ */
+
+// Prompt templates by version, oldest first
+const PROMPT_TEMPLATES = {
+    '3': {
+        normalize: `You are an expert procurement data analyst tasked with extracting and normalizing tender information.
+Given the raw tender data below, please extract the following structured information.
+If the information is not available, use null for that field.
+Normalize dates to YYYY-MM-DD format.
+Normalize all text fields to use proper capitalization and remove any redundant spacing, prefixes, or unwanted patterns.
+Fields with a list of allowed values must use exactly one of those values, or null.
+estimated_value must be a JSON number (no currency symbols, separators or words such as "million").
+
+The response should be a single JSON object with exactly the following fields:
+{{schema}}
+
+For document_links, each item should have the structure: {"title": "Document title", "url": "Document URL"}
+{{sourceInstructions}}
+{{additionalInstructions}}
+Raw tender data:
+{{tenderData}}`,
+
+        repair: `Your previous response did not match the required JSON schema.
+
+Validation errors:
+{{errors}}
+
+Your previous response:
+{{previousResponse}}
+
+Return a corrected single JSON object that fixes every validation error and follows the original instructions below.
+
+Original instructions:
+{{originalPrompt}}`
+    },
+    '4': {
+        normalize: `You are an expert procurement data analyst tasked with extracting and normalizing tender information.
+Given the raw tender data below, please extract the following structured information.
+If the information is not available, use null for that field.
+Normalize dates to YYYY-MM-DD format.
+Normalize all text fields to use proper capitalization and remove any redundant spacing, prefixes, or unwanted patterns.
+Fields with a list of allowed values must use exactly one of those values, or null.
+estimated_value must be a JSON number (no currency symbols, separators or words such as "million").
+
+The response should be a single JSON object with exactly the following fields:
+{{schema}}
+
+For document_links, each item should have the structure: {"title": "Document title", "url": "Document URL"}
+For awards, list each awarded contract of a contract award notice with its supplier, supplier country, award date, value, currency and lots; use null for other notices.
+{{sourceInstructions}}
+{{additionalInstructions}}
+Raw tender data:
+{{tenderData}}`,
+
+        repair: `Your previous response did not match the required JSON schema.
+
+Validation errors:
+{{errors}}
+
+Your previous response:
+{{previousResponse}}
+
+Return a corrected single JSON object that fixes every validation error and follows the original instructions below.
+
+Original instructions:
+{{originalPrompt}}`
+    },
+    '5': {
+        normalize: `You are an expert procurement data analyst tasked with extracting and normalizing tender information.
+Given the raw tender data below, please extract the following structured information.
+If the information is not available, use null for that field.
+Normalize dates to YYYY-MM-DD format.
+Normalize all text fields to use proper capitalization and remove any redundant spacing, prefixes, or unwanted patterns.
+Fields with a list of allowed values must use exactly one of those values, or null.
+estimated_value must be a JSON number (no currency symbols, separators or words such as "million").
+
+The response should be a single JSON object with exactly the following fields:
+{{schema}}
+
+For document_links, each item should have the structure: {"title": "Document title", "url": "Document URL"}
+For awards, list each awarded contract of a contract award notice with its supplier, supplier country, award date, value, currency and lots; use null for other notices.
+For lots, list each lot of a tender divided into lots with its own number, title, description, estimated value, currency, classification codes and deadline; use null for tenders without lots.
+{{sourceInstructions}}
+{{additionalInstructions}}
+Raw tender data:
+{{tenderData}}`,
+
+        repair: `Your previous response did not match the required JSON schema.
+
+Validation errors:
+{{errors}}
+
+Your previous response:
+{{previousResponse}}
+
+Return a corrected single JSON object that fixes every validation error and follows the original instructions below.
+
+Original instructions:
+{{originalPrompt}}`
+    }
+};
+
+const VERSIONS = Object.keys(PROMPT_TEMPLATES);
+
+// Configuration options
+const CONFIG = {
+    // Template version used for new prompts (pin an older version with LLM_PROMPT_VERSION)
+    activeVersion: VERSIONS.includes(process.env.LLM_PROMPT_VERSION)
+        ? process.env.LLM_PROMPT_VERSION
+        : VERSIONS[VERSIONS.length - 1]
+};
+
+if (process.env.LLM_PROMPT_VERSION && process.env.LLM_PROMPT_VERSION !== CONFIG.activeVersion) {
+    console.warn(`Unknown prompt version "${process.env.LLM_PROMPT_VERSION}", using version ${CONFIG.activeVersion}`);
+}
+
+/**
+ * Get the version of the templates used for new prompts
+ * @returns {string} The active prompt version
+ */
+function getPromptVersion() {
+    return CONFIG.activeVersion;
+}
+
+/**
+ * Get all released prompt versions
+ * @returns {string[]} Versions, oldest first
+ */
+function getPromptVersions() {
+    return [...VERSIONS];
+}
+
+/**
+ * Remove the common indentation of a multi-line partial, as written in the adapters
+ * @param {string} text - The partial text
+ * @returns {string} The dedented, trimmed text
+ */
+function dedent(text) {
+    const lines = (text || '').replace(/^\n+|\s+$/g, '').split('\n');
+    const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+    return lines.map(line => line.slice(Number.isFinite(indent) ? indent : 0)).join('\n');
+}
+
+/**
+ * Render a template of the active version
+ * @param {string} name - The template name (normalize or repair)
+ * @param {Object} values - Values for the placeholders
+ * @returns {string} The rendered prompt
+ */
+function renderTemplate(name, values) {
+    const template = PROMPT_TEMPLATES[CONFIG.activeVersion][name];
+    if (!template) {
+        throw new Error(`Prompt version ${CONFIG.activeVersion} has no ${name} template`);
+    }
+
+    return template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => {
+        if (!(key in values)) {
+            throw new Error(`Missing value for ${placeholder} in the ${name} prompt template`);
+        }
+        return values[key];
+    });
+}
+
+/**
+ * Format a source partial for inclusion in the normalization prompt
+ * @param {string} sourceInstructions - The adapter's source-specific prompt additions
+ * @returns {string} The partial, surrounded by blank lines, or an empty string
+ */
+function formatSourcePartial(sourceInstructions) {
+    const partial = dedent(sourceInstructions);
+    return partial ? `\n${partial}\n` : '';
+}
+
+module.exports = {
+    getPromptVersion,
+    getPromptVersions,
+    renderTemplate,
+    formatSourcePartial
+};
@@ -0,0 +1,213 @@
+/**
+ * routingPolicy.js
+ * Configurable routing between LLM, fast and fallback normalization
+ *
+ * The policy is an ordered list of rules loaded from config/routing-policy.json (or
+ * ROUTING_POLICY_PATH). The first rule whose conditions all match decides the route;
+ * if none matches, defaultRoute is used. Conditions of a rule:
+ * - sources: [names] - the tender comes from one of these sources
+ * - language: [codes] - the tender's language field is one of these codes
+ * - detectedLanguage: [codes] - the language detected from title, description and
+ *   organization name is one of these codes
+ * - stronglyEnglish: [fields] - every field is strongly identified as English
+ * - englishWords: [fields] - every field is identified as English
+ * - hasAll: [fields] / missingAny: [fields] - all fields are filled / any field is empty
+ * - missingCount: { fields, min, max } - number of empty fields among fields
+ * - minLength / maxLength: { field: length } - text length bounds (inclusive)
+ * - chunkingRequired: boolean - the tender is too long for a single prompt
+ * - budgetExceeded: boolean - the run or daily LLM budget is used up
+ * - hoursUtc: [from, to] - the current UTC hour is in [from, to), wrapping past midnight
+ * - anyOf: [conditions] - at least one of the condition objects matches
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isChunkingRequired, estimateChunkCount } = require('./chunkedNormalizer');
+const { isBudgetExceeded } = require('./llmUsageTracker');
+const { isLanguage, detectTenderLanguage } = require('./languageDetector');
+
+// Configuration options
+const CONFIG = {
+    policyPath: process.env.ROUTING_POLICY_PATH || path.join(__dirname, '..', '..', 'config', 'routing-policy.json')
+};
+
+const ROUTES = ['llm', 'fast', 'fallback'];
+
+/**
+ * Check whether a field value is empty
+ * @param {*} value - The value
+ * @returns {boolean} True if the value is missing or blank
+ */
+function isEmpty(value) {
+    return !value || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Get the length of a text field
+ * @param {*} value - The value
+ * @returns {number} The length, 0 for empty values
+ */
+function textLength(value) {
+    return value ? String(value).length : 0;
+}
+
+// Condition evaluators by name: (tender, expected, context) => boolean
+const CONDITIONS = {
+    sources: (tender, sources, context) => sources.includes(context.sourceTable),
+    language: (tender, codes) => Boolean(tender.language) && codes.includes(String(tender.language).toLowerCase()),
+    detectedLanguage: (tender, codes, context) => {
+        const detection = context.detectLanguage();
+        return Boolean(detection) && codes.includes(detection.language);
+    },
+    stronglyEnglish: (tender, fields) => fields.every(field => isLanguage(tender[field], 'en', { strong: true })),
+    englishWords: (tender, fields) => fields.every(field => isLanguage(tender[field], 'en')),
+    hasAll: (tender, fields) => fields.every(field => !isEmpty(tender[field])),
+    missingAny: (tender, fields) => fields.some(field => isEmpty(tender[field])),
+    missingCount: (tender, { fields, min = 0, max = Infinity }) => {
+        const missing = fields.filter(field => isEmpty(tender[field])).length;
+        return missing >= min && missing <= max;
+    },
+    minLength: (tender, lengths) => Object.entries(lengths).every(([field, length]) => textLength(tender[field]) >= length),
+    maxLength: (tender, lengths) => Object.entries(lengths).every(([field, length]) => textLength(tender[field]) <= length),
+    chunkingRequired: (tender, expected) => isChunkingRequired(tender) === expected,
+    budgetExceeded: (tender, expected) => isBudgetExceeded() === expected,
+    hoursUtc: (tender, [from, to], context) => {
+        const hour = context.now.getUTCHours();
+        return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+    },
+    anyOf: (tender, alternatives, context) => alternatives.some(conditions => !findFailedCondition(tender, conditions, context))
+};
+
+/**
+ * Find the first condition of a rule that does not match
+ * @param {Object} tender - The raw tender
+ * @param {Object} conditions - The rule conditions
+ * @param {Object} context - Evaluation context
+ * @returns {string|null} The name of the failed condition, or null if all conditions match
+ */
+function findFailedCondition(tender, conditions, context) {
+    for (const [name, expected] of Object.entries(conditions || {})) {
+        if (!CONDITIONS[name](tender, expected, context)) {
+            return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate the conditions of a rule
+ * @param {Object} conditions - The rule conditions
+ * @param {string} ruleId - The rule id, used in error messages
+ */
+function validateConditions(conditions, ruleId) {
+    Object.entries(conditions || {}).forEach(([name, expected]) => {
+        if (!CONDITIONS[name]) {
+            throw new Error(`Routing rule ${ruleId} uses unknown condition "${name}"`);
+        }
+        if (name === 'anyOf') {
+            if (!Array.isArray(expected)) {
+                throw new Error(`Routing rule ${ruleId}: anyOf must be a list of conditions`);
+            }
+            expected.forEach(alternative => validateConditions(alternative, ruleId));
+        }
+    });
+}
+
+/**
+ * Load and validate a routing policy file
+ * @param {string} policyPath - Path of the policy JSON file
+ * @returns {Object} The routing policy
+ */
+function loadPolicy(policyPath = CONFIG.policyPath) {
+    const policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+
+    if (!ROUTES.includes(policy.defaultRoute)) {
+        throw new Error(`Routing policy ${policyPath} has an invalid defaultRoute "${policy.defaultRoute}"`);
+    }
+    if (!Array.isArray(policy.rules)) {
+        throw new Error(`Routing policy ${policyPath} has no rules list`);
+    }
+
+    const ids = new Set();
+    policy.rules.forEach((rule, index) => {
+        if (!rule.id || ids.has(rule.id)) {
+            throw new Error(`Routing rule #${index + 1} needs a unique id`);
+        }
+        if (!ROUTES.includes(rule.route)) {
+            throw new Error(`Routing rule ${rule.id} has an invalid route "${rule.route}"`);
+        }
+        ids.add(rule.id);
+        validateConditions(rule.when, rule.id);
+    });
+
+    return policy;
+}
+
+// The policy is loaded on first use
+let activePolicy = null;
+
+/**
+ * Get the active routing policy
+ * @returns {Object} The routing policy
+ */
+function getPolicy() {
+    if (!activePolicy) {
+        activePolicy = loadPolicy();
+        console.log(`Loaded routing policy with ${activePolicy.rules.length} rules from ${CONFIG.policyPath}`);
+    }
+    return activePolicy;
+}
+
+/**
+ * Decide how a tender is normalized
+ * @param {Object} tender - The raw tender
+ * @param {string} sourceTable - The source table name
+ * @param {Object} options - Routing options
+ * @param {boolean} options.explain - Include the evaluation of every rule up to the deciding one
+ * @param {Date} options.now - The current time, for hoursUtc conditions
+ * @returns {Object} Decision with route, rule, reason, needsLLM, chunked, chunkCount (and trace when explaining)
+ */
+function routeTender(tender, sourceTable, { explain = false, now = new Date() } = {}) {
+    const policy = getPolicy();
+
+    // The tender language is detected once, when a rule first asks for it
+    let detection;
+    const detectLanguage = () => {
+        if (detection === undefined) {
+            detection = detectTenderLanguage(tender);
+        }
+        return detection;
+    };
+    const context = { sourceTable, detectLanguage, now };
+    const trace = [];
+
+    let decision = { route: policy.defaultRoute, rule: 'default', reason: 'Default processing path' };
+    for (const rule of policy.rules) {
+        const failed = findFailedCondition(tender, rule.when, context);
+        if (explain) {
+            trace.push({ rule: rule.id, route: rule.route, matched: !failed, failedCondition: failed });
+        }
+        if (!failed) {
+            decision = { route: rule.route, rule: rule.id, reason: rule.reason || `Routing rule ${rule.id}` };
+            break;
+        }
+    }
+
+    // LLM-routed tenders too long for a single prompt are normalized chunk by chunk
+    decision.needsLLM = decision.route === 'llm';
+    if (decision.needsLLM && isChunkingRequired(tender)) {
+        decision.chunked = true;
+        decision.chunkCount = estimateChunkCount(tender);
+        decision.reason = `${decision.reason} (${decision.chunkCount} chunks)`;
+    }
+
+    if (explain) {
+        decision.trace = trace;
+    }
+    return decision;
+}
+
+module.exports = {
+    loadPolicy,
+    routeTender
+};
@@ -0,0 +1,153 @@
+/**
+ * sourceTableReader.js
+ * Streaming reader over raw source tables
+ *
+ * Source tables are walked in batches by a stable key - the created_at (or updated_at)
+ * timestamp with the row id as tie-breaker - instead of by offset. Every batch starts
+ * strictly after the last row of the previous one, so rows inserted or marked as processed
+ * while a table is walked neither shift later batches nor cause rows to be read twice,
+ * and only one batch is held in memory at a time.
+ */
+
+// Configuration options
+const CONFIG = {
+    // Rows fetched per request
+    batchSize: parseInt(process.env.SOURCE_READ_BATCH_SIZE || '1000', 10)
+};
+
+/**
+ * Get the timestamp columns of a source table used for incremental processing
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} tableName - The source table name
+ * @returns {Promise<string[]>} The existing columns among created_at, updated_at and last_processed_at
+ */
+async function getTimestampFields(supabaseAdmin, tableName) {
+    const tableInfo = await supabaseAdmin
+        .from('information_schema.columns')
+        .select('column_name')
+        .eq('table_name', tableName)
+        .in('column_name', ['created_at', 'updated_at', 'last_processed_at']);
+
+    const hasTimestampFields = tableInfo.data && tableInfo.data.length > 0;
+    const timestampFields = hasTimestampFields ? tableInfo.data.map(col => col.column_name) : [];
+    console.log(`Found timestamp fields for table ${tableName}:`, timestampFields);
+    return timestampFields;
+}
+
+/**
+ * Quote a value for use inside a PostgREST logical filter
+ * @param {*} value - The value
+ * @returns {string} The double-quoted value
+ */
+function quoteFilterValue(value) {
+    return JSON.stringify(String(value));
+}
+
+/**
+ * Restrict a query to the rows after a key in walking order
+ * Rows with an empty ordering column come last, ordered by id.
+ * @param {Object} query - Supabase query
+ * @param {string|null} orderField - Timestamp column the table is walked by, null to walk by id only
+ * @param {boolean} ascending - Walking direction
+ * @param {Object} key - Key of the last row read
+ * @returns {Object} The restricted query
+ */
+function applyKeyFilter(query, orderField, ascending, key) {
+    const idOperator = ascending ? 'gt' : 'lt';
+    const id = quoteFilterValue(key.id);
+
+    if (!orderField) {
+        return query.filter('id', idOperator, key.id);
+    }
+    if (key[orderField] === null || key[orderField] === undefined) {
+        return query.is(orderField, null).filter('id', idOperator, key.id);
+    }
+
+    const value = quoteFilterValue(key[orderField]);
+    return query.or(`${orderField}.${idOperator}.${value},and(${orderField}.eq.${value},id.${idOperator}.${id}),${orderField}.is.null`);
+}
+
+/**
+ * Walk a source table in batches
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} tableName - The source table name
+ * @param {Object} [options] - Reading options
+ * @param {string} [options.columns='*'] - Columns to select
+ * @param {number} [options.batchSize] - Rows per batch (default: SOURCE_READ_BATCH_SIZE)
+ * @param {string|null} [options.orderField] - Timestamp column to walk by; defaults to created_at or
+ *   updated_at when the table has one, null walks by id only
+ * @param {boolean} [options.ascending=false] - Walk oldest first instead of newest first
+ * @param {boolean} [options.unprocessedOnly=false] - Only rows whose last_processed_at is empty
+ * @param {string} [options.since] - Only rows whose updated_at (or created_at) is at or after this date
+ * @param {Object} [options.startAfter] - Key of the last row read by an earlier walk, to continue after it
+ * @param {number} [options.limit=0] - Maximum number of rows to read (0 means no limit)
+ * @param {string[]} [options.timestampFields] - Timestamp columns of the table, looked up when omitted
+ * @yields {Object} { rows, lastKey } - A batch and the key of its last row
+ */
+async function* readSourceTable(supabaseAdmin, tableName, options = {}) {
+    const {
+        columns = '*',
+        batchSize = CONFIG.batchSize,
+        ascending = false,
+        unprocessedOnly = false,
+        since = null,
+        startAfter = null,
+        limit = 0
+    } = options;
+    const timestampFields = options.timestampFields || await getTimestampFields(supabaseAdmin, tableName);
+    const orderField = options.orderField !== undefined
+        ? options.orderField
+        : ['created_at', 'updated_at'].find(field => timestampFields.includes(field)) || null;
+    const sinceField = ['updated_at', 'created_at'].find(field => timestampFields.includes(field));
+
+    // The key columns are always selected so that the walk can continue after each batch
+    let selectColumns = columns;
+    if (columns !== '*') {
+        const keyColumns = orderField ? ['id', orderField] : ['id'];
+        selectColumns = [...new Set([...columns.split(',').map(column => column.trim()), ...keyColumns])].join(', ');
+    }
+
+    let key = startAfter && startAfter.id !== undefined && startAfter.id !== null ? startAfter : null;
+    let read = 0;
+
+    while (limit <= 0 || read < limit) {
+        const size = limit > 0 ? Math.min(batchSize, limit - read) : batchSize;
+        let query = supabaseAdmin.from(tableName).select(selectColumns);
+
+        if (unprocessedOnly && timestampFields.includes('last_processed_at')) {
+            query = query.is('last_processed_at', null);
+        }
+        if (since && sinceField) {
+            query = query.gte(sinceField, since);
+        }
+        if (key) {
+            query = applyKeyFilter(query, orderField, ascending, key);
+        }
+        if (orderField) {
+            query = query.order(orderField, { ascending, nullsFirst: false });
+        }
+        query = query.order('id', { ascending }).limit(size);
+
+        const { data: rows, error } = await query;
+        if (error) {
+            throw new Error(`Error reading ${tableName}: ${error.message}`);
+        }
+        if (!rows || rows.length === 0) {
+            return;
+        }
+
+        const lastRow = rows[rows.length - 1];
+        key = orderField ? { id: lastRow.id, [orderField]: lastRow[orderField] } : { id: lastRow.id };
+        read += rows.length;
+        yield { rows, lastKey: key };
+
+        if (rows.length < size) {
+            return;
+        }
+    }
+}
+
+module.exports = {
+    getTimestampFields,
+    readSourceTable
+};
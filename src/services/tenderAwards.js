@@ -0,0 +1,118 @@
+/**
+ * tenderAwards.js
+ * Awards of award notices, stored in a table related to the unified tenders
+ *
+ * An award notice lists one award per awarded contract: the supplier and its country, the award
+ * date, the award value and currency, and the lots the award covers. Awards come from the award
+ * columns of the source (see the adapters' extractAwards) or are extracted by the LLM. They are
+ * carried on the normalized tender as `awards` and written to the tender_awards table, keyed by
+ * the source_table and source_id of the unified tender, replacing its earlier awards.
+ */
+
+// Configuration options
+const CONFIG = {
+    // Table holding the awards
+    table: process.env.TENDER_AWARDS_TABLE || 'tender_awards'
+};
+
+/**
+ * Bring an award into the stored shape
+ * @param {Object} award - An award from an adapter or the LLM
+ * @returns {Object|null} { supplier_name, supplier_country, award_date, value, currency, lots, value_usd, value_eur }, or null if it has no supplier and no value
+ */
+function normalizeAward(award) {
+    if (!award || typeof award !== 'object') {
+        return null;
+    }
+
+    const supplierName = typeof award.supplier_name === 'string' && award.supplier_name.trim() ? award.supplier_name.trim() : null;
+    const value = typeof award.value === 'number' && isFinite(award.value) ? award.value : null;
+    if (!supplierName && value === null) {
+        return null;
+    }
+
+    const currency = typeof award.currency === 'string' ? award.currency.trim().toUpperCase() : '';
+    const awardDate = typeof award.award_date === 'string' ? award.award_date.slice(0, 10) : '';
+    return {
+        supplier_name: supplierName,
+        supplier_country: award.supplier_country || null,
+        award_date: /^\d{4}-\d{2}-\d{2}$/.test(awardDate) ? awardDate : null,
+        value,
+        currency: /^[A-Z]{3}$/.test(currency) ? currency : null,
+        lots: Array.isArray(award.lots) && award.lots.length > 0 ? award.lots.map(String) : null,
+        // Converted values, see currencyConverter
+        value_usd: typeof award.value_usd === 'number' ? award.value_usd : null,
+        value_eur: typeof award.value_eur === 'number' ? award.value_eur : null
+    };
+}
+
+/**
+ * Bring the awards of a normalized tender into the stored shape
+ * @param {Object[]} awards - Awards from an adapter or the LLM
+ * @returns {Object[]} The valid awards
+ */
+function normalizeAwards(awards) {
+    return (Array.isArray(awards) ? awards : []).map(normalizeAward).filter(Boolean);
+}
+
+/**
+ * Replace the stored awards of written tenders
+ * Only tenders that carry awards are touched. A failed write is logged and does not fail the
+ * writes of the tenders themselves.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - The normalized tenders as written to unified_tenders
+ * @returns {Promise<number>} Number of stored awards
+ */
+async function saveAwards(supabaseAdmin, tenders) {
+    const withAwards = tenders.filter(tender => Array.isArray(tender.awards));
+    if (withAwards.length === 0) {
+        return 0;
+    }
+
+    let saved = 0;
+    const bySource = {};
+    withAwards.forEach(tender => {
+        (bySource[tender.source_table] = bySource[tender.source_table] || []).push(tender);
+    });
+    for (const [sourceTable, sourceTenders] of Object.entries(bySource)) {
+        const { error: deleteError } = await supabaseAdmin
+            .from(CONFIG.table)
+            .delete()
+            .eq('source_table', sourceTable)
+            .in('source_id', sourceTenders.map(tender => String(tender.source_id)));
+        if (deleteError) {
+            console.warn(`Failed to replace the awards of ${sourceTenders.length} ${sourceTable} tenders: ${deleteError.message}`);
+            continue;
+        }
+
+        const rows = sourceTenders.flatMap(tender => normalizeAwards(tender.awards).map((award, index) => ({
+            source_table: sourceTable,
+            source_id: String(tender.source_id),
+            award_index: index,
+            supplier_name: award.supplier_name,
+            supplier_country: award.supplier_country,
+            award_date: award.award_date,
+            award_value: award.value,
+            currency: award.currency,
+            award_value_usd: award.value_usd,
+            award_value_eur: award.value_eur,
+            lots: award.lots
+        })));
+        if (rows.length === 0) {
+            continue;
+        }
+
+        const { error } = await supabaseAdmin.from(CONFIG.table).insert(rows);
+        if (error) {
+            console.warn(`Failed to save ${rows.length} awards of ${sourceTable} tenders: ${error.message}`);
+            continue;
+        }
+        saved += rows.length;
+    }
+    return saved;
+}
+
+module.exports = {
+    normalizeAwards,
+    saveAwards
+};
@@ -0,0 +1,115 @@
+/**
+ * tenderHistory.js
+ * Version history of normalized tenders
+ *
+ * Every write to unified_tenders appends a snapshot of the written tender to the
+ * unified_tenders_history table, together with the normalization method and prompt version
+ * that produced it. Versions of a tender are numbered from 1 in the order they were recorded
+ * and can be compared field by field; fields that change with every normalization, such as
+ * the normalization time and token counts, are left out of the comparison unless asked for.
+ */
+
+const { stableStringify } = require('./contentHash');
+
+// Configuration options
+const CONFIG = {
+    // Table holding the snapshots
+    table: process.env.TENDER_HISTORY_TABLE || 'unified_tenders_history'
+};
+
+// Fields of a normalized tender left out of snapshots; the raw record is kept on the unified tender
+const EXCLUDED_FIELDS = ['original_data'];
+
+// Fields that differ between any two normalizations of the same tender
+const VOLATILE_FIELDS = ['normalized_at', 'normalized_by', 'processing_time_ms', 'llm_prompt_tokens', 'llm_completion_tokens', 'llm_cost_usd'];
+
+/**
+ * Build the snapshot of a normalized tender
+ * @param {Object} tender - The normalized tender
+ * @returns {Object} The tender without excluded fields
+ */
+function toSnapshot(tender) {
+    const snapshot = { ...tender };
+    EXCLUDED_FIELDS.forEach(field => delete snapshot[field]);
+    return snapshot;
+}
+
+/**
+ * Append snapshots of written tenders to the history
+ * A failed insert is logged and does not fail the writes the snapshots belong to.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - The normalized tenders as written to unified_tenders
+ * @returns {Promise<number>} Number of recorded snapshots
+ */
+async function recordSnapshots(supabaseAdmin, tenders) {
+    if (tenders.length === 0) {
+        return 0;
+    }
+
+    const recordedAt = new Date().toISOString();
+    const rows = tenders.map(tender => ({
+        source_table: tender.source_table,
+        source_id: String(tender.source_id),
+        normalized_method: tender.normalized_method || null,
+        prompt_version: tender.prompt_version || null,
+        raw_content_hash: tender.raw_content_hash || null,
+        snapshot: toSnapshot(tender),
+        recorded_at: recordedAt
+    }));
+
+    const { error } = await supabaseAdmin.from(CONFIG.table).insert(rows);
+    if (error) {
+        console.warn(`Failed to record history of ${rows.length} unified tenders: ${error.message}`);
+        return 0;
+    }
+    return rows.length;
+}
+
+/**
+ * Get all versions of a tender, oldest first
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} sourceTable - The source table name
+ * @param {string} sourceId - The source ID of the tender
+ * @returns {Promise<Object[]>} History rows with their version number
+ */
+async function getTenderVersions(supabaseAdmin, sourceTable, sourceId) {
+    const { data, error } = await supabaseAdmin
+        .from(CONFIG.table)
+        .select('id, normalized_method, prompt_version, raw_content_hash, snapshot, recorded_at')
+        .eq('source_table', sourceTable)
+        .eq('source_id', String(sourceId))
+        .order('recorded_at', { ascending: true })
+        .order('id', { ascending: true });
+
+    if (error) {
+        throw new Error(`Error reading history of ${sourceTable} tender ${sourceId}: ${error.message}`);
+    }
+    return (data || []).map((row, index) => ({ version: index + 1, ...row }));
+}
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} from - The older snapshot
+ * @param {Object} to - The newer snapshot
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeVolatile=false] - Also compare the fields that change with every normalization
+ * @returns {Object[]} Changed fields as { field, from, to }, sorted by field name
+ */
+function diffSnapshots(from, to, { includeVolatile = false } = {}) {
+    const fields = [...new Set([...Object.keys(from || {}), ...Object.keys(to || {})])]
+        .filter(field => includeVolatile || !VOLATILE_FIELDS.includes(field))
+        .sort();
+    return fields
+        .map(field => ({
+            field,
+            from: from && from[field] !== undefined ? from[field] : null,
+            to: to && to[field] !== undefined ? to[field] : null
+        }))
+        .filter(change => stableStringify(change.from) !== stableStringify(change.to));
+}
+
+module.exports = {
+    recordSnapshots,
+    getTenderVersions,
+    diffSnapshots
+};
@@ -0,0 +1,144 @@
+/**
+ * tenderLots.js
+ * Lots of multi-lot tenders, stored in a table related to the unified tenders
+ *
+ * Large tenders are split into lots with their own number, title, description, estimated value,
+ * classification codes (such as CPV) and deadline. Lots come from the lot columns of the source
+ * (see the adapters' extractLots) or are extracted by the LLM. They are carried on the normalized
+ * tender as `lots` and written to the tender_lots table, keyed by the source_table and source_id
+ * of the unified tender, replacing its earlier lots. A tender without an estimated value of its
+ * own gets the sum of its lot values.
+ */
+
+// Configuration options
+const CONFIG = {
+    // Table holding the lots
+    table: process.env.TENDER_LOTS_TABLE || 'tender_lots'
+};
+
+/**
+ * Bring a lot into the stored shape
+ * @param {Object} lot - A lot from an adapter or the LLM
+ * @param {number} index - Position of the lot in the notice
+ * @returns {Object|null} { lot_number, title, description, estimated_value, currency, classification_codes, deadline_date, estimated_value_usd, estimated_value_eur }, or null if it has no number and no title
+ */
+function normalizeLot(lot, index) {
+    if (!lot || typeof lot !== 'object') {
+        return null;
+    }
+
+    const title = typeof lot.title === 'string' && lot.title.trim() ? lot.title.trim() : null;
+    const lotNumber = lot.lot_number !== null && lot.lot_number !== undefined && String(lot.lot_number).trim()
+        ? String(lot.lot_number).trim()
+        : null;
+    if (!title && !lotNumber) {
+        return null;
+    }
+
+    const currency = typeof lot.currency === 'string' ? lot.currency.trim().toUpperCase() : '';
+    const deadline = typeof lot.deadline_date === 'string' ? lot.deadline_date.slice(0, 10) : '';
+    return {
+        lot_number: lotNumber || String(index + 1),
+        title,
+        description: typeof lot.description === 'string' && lot.description.trim() ? lot.description.trim() : null,
+        estimated_value: typeof lot.estimated_value === 'number' && isFinite(lot.estimated_value) ? lot.estimated_value : null,
+        currency: /^[A-Z]{3}$/.test(currency) ? currency : null,
+        classification_codes: Array.isArray(lot.classification_codes) && lot.classification_codes.length > 0
+            ? [...new Set(lot.classification_codes.map(String))]
+            : null,
+        deadline_date: /^\d{4}-\d{2}-\d{2}$/.test(deadline) ? deadline : null,
+        // Converted values, see currencyConverter
+        estimated_value_usd: typeof lot.estimated_value_usd === 'number' ? lot.estimated_value_usd : null,
+        estimated_value_eur: typeof lot.estimated_value_eur === 'number' ? lot.estimated_value_eur : null
+    };
+}
+
+/**
+ * Bring the lots of a normalized tender into the stored shape
+ * @param {Object[]} lots - Lots from an adapter or the LLM
+ * @returns {Object[]} The valid lots
+ */
+function normalizeLots(lots) {
+    return (Array.isArray(lots) ? lots : []).map(normalizeLot).filter(Boolean);
+}
+
+/**
+ * Derive tender-level values from the lots of a tender
+ * The lot values are only added up when every lot has one and they share a currency.
+ * @param {Object} tender - The normalized tender with normalized lots
+ * @returns {Object} lot_count, and estimated_value and currency when they can be derived
+ */
+function deriveFromLots(tender) {
+    const lots = tender.lots || [];
+    const derived = { lot_count: lots.length };
+    if (lots.length === 0 || lots.some(lot => lot.estimated_value === null)) {
+        return derived;
+    }
+
+    const currencies = [...new Set(lots.map(lot => lot.currency || tender.currency).filter(Boolean))];
+    if (currencies.length > 1 || (tender.currency && currencies.length === 1 && currencies[0] !== tender.currency)) {
+        return derived;
+    }
+
+    derived.estimated_value = lots.reduce((sum, lot) => sum + lot.estimated_value, 0);
+    if (currencies.length === 1) {
+        derived.currency = currencies[0];
+    }
+    return derived;
+}
+
+/**
+ * Replace the stored lots of written tenders
+ * Only tenders that carry lots are touched. A failed write is logged and does not fail the
+ * writes of the tenders themselves.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} tenders - The normalized tenders as written to unified_tenders
+ * @returns {Promise<number>} Number of stored lots
+ */
+async function saveLots(supabaseAdmin, tenders) {
+    const withLots = tenders.filter(tender => Array.isArray(tender.lots));
+    if (withLots.length === 0) {
+        return 0;
+    }
+
+    let saved = 0;
+    const bySource = {};
+    withLots.forEach(tender => {
+        (bySource[tender.source_table] = bySource[tender.source_table] || []).push(tender);
+    });
+    for (const [sourceTable, sourceTenders] of Object.entries(bySource)) {
+        const { error: deleteError } = await supabaseAdmin
+            .from(CONFIG.table)
+            .delete()
+            .eq('source_table', sourceTable)
+            .in('source_id', sourceTenders.map(tender => String(tender.source_id)));
+        if (deleteError) {
+            console.warn(`Failed to replace the lots of ${sourceTenders.length} ${sourceTable} tenders: ${deleteError.message}`);
+            continue;
+        }
+
+        const rows = sourceTenders.flatMap(tender => normalizeLots(tender.lots).map((lot, index) => ({
+            source_table: sourceTable,
+            source_id: String(tender.source_id),
+            lot_index: index,
+            ...lot
+        })));
+        if (rows.length === 0) {
+            continue;
+        }
+
+        const { error } = await supabaseAdmin.from(CONFIG.table).insert(rows);
+        if (error) {
+            console.warn(`Failed to save ${rows.length} lots of ${sourceTable} tenders: ${error.message}`);
+            continue;
+        }
+        saved += rows.length;
+    }
+    return saved;
+}
+
+module.exports = {
+    normalizeLots,
+    deriveFromLots,
+    saveLots
+};
@@ -3,8 +3,24 @@
  * Service for normalizing tender data using LLM
  */
 
-const { Actor } = require('apify');
-const fetch = require('node-fetch');
+const llmProviderRegistry = require('./llmProviderRegistry');
+const { buildCacheKey, getCachedResponse, setCachedResponse } = require('./llmCache');
+const { validateUnifiedTender, describeSchemaForPrompt } = require('./tenderSchema');
+const { normalizeInChunks } = require('./chunkedNormalizer');
+const { getBatchMode, createPackBatcher } = require('./batchNormalizer');
+const { usageFromResponse, mergeUsage, recordUsage, toUsageColumns } = require('./llmUsageTracker');
+const { getPromptVersion, renderTemplate, formatSourcePartial } = require('./promptTemplates');
+const { recordRaw, recordRule, attributeToRawColumns, recordLLMOutput } = require('./fieldProvenance');
+const { routeTender } = require('./routingPolicy');
+const { isLanguage } = require('./languageDetector');
+const { scheduleCompletion } = require('./llmScheduler');
+const { parseMoney, extractNumericValue } = require('../utils/moneyParser');
+
+// Configuration options
+const CONFIG = {
+    // Number of times the LLM is re-prompted with schema validation errors before falling back
+    maxRepairAttempts: parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS || '2', 10)
+};
 
 // Performance tracking statistics
 const performanceStats = {
@@ -240,75 +256,125 @@ function logNormalizationStats(phase, before, after, note = '') {
 }
 
 /**
- * Queries the LLM service with the provided prompt
+ * Queries the configured LLM provider with the provided prompt
+ * The provider is selected with LLM_PROVIDER (openai, openrouter, azure, local, stub); requests
+ * share the LLM worker pool and the provider's rate limits, and are retried after 429 responses.
  * @param {string} prompt - The prompt to send to the LLM
- * @returns {Promise<Object>} The LLM response
+ * @returns {Promise<Object>} The LLM response in OpenAI chat completion format
  */
 async function queryLLM(prompt) {
-    // Try to get API keys from Apify first, then environment variables
-    let openaiApiKey;
-    
+    const provider = llmProviderRegistry.getActiveProvider();
+    return scheduleCompletion(provider, prompt);
+}
+
+/**
+ * Check whether an LLM response contains an answer
+ * @param {Object} llmResponse - The LLM response
+ * @returns {boolean} True if the response has at least one choice
+ */
+function hasAnswer(llmResponse) {
+    return Boolean(llmResponse && llmResponse.choices && llmResponse.choices.length > 0);
+}
+
+/**
+ * Validate the answer of an LLM response against the unified tender schema
+ * @param {Object} llmResponse - The LLM response, with an answer
+ * @returns {Object} { data, errors } with the parsed tender (null if it cannot be parsed) and the validation errors
+ */
+function validateLLMAnswer(llmResponse) {
     try {
-        const apifyEnv = await Actor.getEnv();
-        if (apifyEnv && apifyEnv.OPENAI_KEY) {
-            openaiApiKey = apifyEnv.OPENAI_KEY;
-            console.log('Using OpenAI API key from Apify Key-Value store');
-        }
+        const data = parseJSONFromLLMResponse(llmResponse.choices[0].message.content);
+        return { data, errors: validateUnifiedTender(data).errors };
     } catch (error) {
-        console.error('Error retrieving OpenAI API key from Apify Key-Value store:', error);
+        return { data: null, errors: ['$: response is not a valid JSON object'] };
     }
+}
+
+/**
+ * Queries the LLM, consulting the persistent response cache first
+ * Only usable responses are cached, so a failed or invalid answer is asked for again next time;
+ * a cached response that is not usable (e.g. stored before the check existed) is ignored.
+ * @param {string} prompt - The prompt to send to the LLM
+ * @param {Function} [isUsable=hasAnswer] - (llmResponse) => whether the response may be cached
+ * @returns {Promise<Object>} The LLM response in OpenAI chat completion format (with fromCache set on cache hits)
+ */
+async function queryLLMWithCache(prompt, isUsable = hasAnswer) {
+    const model = llmProviderRegistry.getActiveProvider().settings.model;
+    const promptVersion = getPromptVersion();
+    const cacheKey = buildCacheKey(prompt, model, promptVersion);
     
-    // Fall back to environment variables if Apify didn't provide a key
-    if (!openaiApiKey) {
-        openaiApiKey = process.env.OPENAI_KEY || process.env.OPENAI_API_KEY;
-        console.log('Using OpenAI API key from environment variables');
+    const cachedResponse = await getCachedResponse(cacheKey);
+    if (cachedResponse && isUsable(cachedResponse)) {
+        console.log(`Using cached LLM response (${cacheKey.substring(0, 12)})`);
+        return { ...cachedResponse, fromCache: true };
     }
     
-    if (!openaiApiKey) {
-        throw new Error('No OpenAI API key found. Please set OPENAI_KEY in environment variables or Apify Key-Value store.');
-    }
+    const llmResponse = await queryLLM(prompt);
     
-    // Set a timeout for the fetch request
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 240000); // 4 minute timeout (increased from 2 minutes)
+    if (isUsable(llmResponse)) {
+        await setCachedResponse(cacheKey, llmResponse, { model, promptVersion });
+    }
     
-    try {
-        // Prepare the request to OpenAI API
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${openaiApiKey}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini', // Using gpt-4o-mini as explicitly requested
-                messages: [
-                    { role: 'user', content: prompt }
-                ],
-                temperature: 0.2,
-                max_tokens: 8192,
-                response_format: { type: "json_object" } // Explicitly request JSON format
-            }),
-            signal: controller.signal
-        });
+    return llmResponse;
+}
+
+/**
+ * Queries the LLM and validates its output against the unified tender schema.
+ * Invalid output is sent back to the LLM together with the validation errors,
+ * up to CONFIG.maxRepairAttempts times.
+ * @param {string} prompt - The normalization prompt
+ * @param {Object} [initialResponse=null] - A response already obtained for the prompt (e.g. from the Batch API)
+ * @returns {Promise<Object>} Result with data, valid, empty, errors (from all failed attempts), repairAttempts and usage
+ */
+async function queryLLMWithValidation(prompt, initialResponse = null) {
+    const errorHistory = [];
+    const model = llmProviderRegistry.getActiveProvider().settings.model;
+    let currentPrompt = prompt;
+    let usage = null;
+    
+    for (let attempt = 0; attempt <= CONFIG.maxRepairAttempts; attempt++) {
+        // Only valid answers are cached; the validation of the returned response is kept for below
+        let validation = null;
+        const isValidAnswer = response => {
+            validation = hasAnswer(response) ? validateLLMAnswer(response) : null;
+            return Boolean(validation) && validation.errors.length === 0;
+        };
+        const llmResponse = attempt === 0 && initialResponse
+            ? initialResponse
+            : await queryLLMWithCache(currentPrompt, isValidAnswer);
         
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Error calling OpenAI API: ${response.status} ${response.statusText} - ${errorText}`);
+        // Cached responses cost nothing
+        if (llmResponse && !llmResponse.fromCache) {
+            usage = mergeUsage(usage, usageFromResponse(llmResponse, model));
         }
         
-        const data = await response.json();
-        return data;
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            throw new Error('LLM request timed out after 4 minutes');
+        if (!hasAnswer(llmResponse)) {
+            return { data: null, valid: false, empty: true, errors: errorHistory, repairAttempts: attempt, usage };
+        }
+        
+        const responseText = llmResponse.choices[0].message.content;
+        const { data, errors } = validation || validateLLMAnswer(llmResponse);
+        
+        if (errors.length === 0) {
+            return { data, valid: true, empty: false, errors: errorHistory, repairAttempts: attempt, usage };
         }
-        throw error;
-    } finally {
-        clearTimeout(timeoutId);
+        
+        console.warn(`LLM output failed schema validation (attempt ${attempt + 1}/${CONFIG.maxRepairAttempts + 1}): ${errors.length} errors`);
+        errorHistory.push(...errors.map(error => `attempt ${attempt + 1}: ${error}`));
+        currentPrompt = generateRepairPrompt(prompt, responseText, errors);
     }
+    
+    return { data: null, valid: false, empty: false, errors: errorHistory, repairAttempts: CONFIG.maxRepairAttempts, usage };
 }
 
+// Packs small tenders of sources configured for LLM_BATCH_MODE=pack into shared requests
+const packBatcher = createPackBatcher({
+    buildPrompt: generatePrompt,
+    queryLLMWithCache,
+    parseResponse: parseJSONFromLLMResponse,
+    queryLLMWithValidation
+});
+
 /**
  * Parses the LLM response to extract the JSON object
  * @param {string} responseText - The text response from the LLM
@@ -508,6 +574,7 @@ function enhanceTenderTitles(normalizedData) {
     let titleEnglish = normalizedData.title_english || '';
     
     // 1. Remove common prefix patterns that don't add value
+    // (amendment prefixes are detected on the raw title by the source adapter before they are removed here)
     const prefixPatterns = [
         /^FORECAST\s*[IVX]*\s*-+\s*/i,   // FORECAST II -
         /^[LR]\s*-+\s*/i,                // L -- or R --
@@ -726,6 +793,7 @@ function enhanceTenderTitles(normalizedData) {
     } else if (isEnglishText(title)) {
         // If the main title is English and we don't have a separate English title, copy it
         normalizedData.title_english = title;
+        recordRule(normalizedData, 'title_english', 'english-copy');
     }
     
     // Log changes for a sample of tenders using the improved logging
@@ -753,12 +821,14 @@ function fillMissingFields(normalizedData) {
     if (normalizedData.title && !normalizedData.title_english && isEnglishText(normalizedData.title)) {
         normalizedData.title_english = normalizedData.title;
         fieldsFilledByFunction.push('title_english');
+        recordRule(normalizedData, 'title_english', 'english-copy');
     }
     
     // 2. If we have description but no description_english and the description is in English
     if (normalizedData.description && !normalizedData.description_english && isEnglishText(normalizedData.description)) {
         normalizedData.description_english = normalizedData.description;
         fieldsFilledByFunction.push('description_english');
+        recordRule(normalizedData, 'description_english', 'english-copy');
     }
     
     // 3. If organization_name is missing but we have organization_id
@@ -783,6 +853,9 @@ function fillMissingFields(normalizedData) {
             
             normalizedData.organization_name_english = orgIdMap[normalizedData.organization_id];
             fieldsFilledByFunction.push('organization_name_english');
+            
+            recordRule(normalizedData, 'organization_name', 'organization-id-lookup');
+            recordRule(normalizedData, 'organization_name_english', 'organization-id-lookup');
         }
     }
     
@@ -791,6 +864,7 @@ function fillMissingFields(normalizedData) {
         isEnglishText(normalizedData.organization_name)) {
         normalizedData.organization_name_english = normalizedData.organization_name;
         fieldsFilledByFunction.push('organization_name_english');
+        recordRule(normalizedData, 'organization_name_english', 'english-copy');
     }
     
     // 5. If status is missing but we have deadline_date
@@ -799,6 +873,7 @@ function fillMissingFields(normalizedData) {
         const now = new Date();
         normalizedData.status = deadlineDate > now ? 'Open' : 'Closed';
         fieldsFilledByFunction.push('status');
+        recordRule(normalizedData, 'status', 'status-from-deadline');
     }
     
     // 6. Extract buyer from description if missing
@@ -814,10 +889,12 @@ function fillMissingFields(normalizedData) {
             if (match && match[1] && match[1].length > 3 && match[1].length < 100) {
                 normalizedData.buyer = match[1].trim();
                 fieldsFilledByFunction.push('buyer');
+                recordRule(normalizedData, 'buyer', 'buyer-from-description');
                 
                 if (isEnglishText(normalizedData.buyer)) {
                     normalizedData.buyer_english = normalizedData.buyer;
                     fieldsFilledByFunction.push('buyer_english');
+                    recordRule(normalizedData, 'buyer_english', 'buyer-from-description');
                 }
                 break;
             }
@@ -843,8 +920,10 @@ function fillMissingFields(normalizedData) {
             const match = normalizedData.description.match(pattern);
             if (match && match[1] && match[1].length > 3 && match[1].length < 100) {
                 normalizedData.project_name = match[1].trim();
+                recordRule(normalizedData, 'project_name', 'project-from-description');
                 if (isEnglishText(normalizedData.project_name)) {
                     normalizedData.project_name_english = normalizedData.project_name;
+                    recordRule(normalizedData, 'project_name_english', 'project-from-description');
                 }
                 break;
             }
@@ -905,6 +984,7 @@ function fillMissingFields(normalizedData) {
         // Only set sector if we have a reasonable confidence (at least 2 mentions or 1 in title)
         if (highestCount >= 2) {
             normalizedData.sector = bestSector;
+            recordRule(normalizedData, 'sector', 'sector-keywords');
         }
     }
     
@@ -941,6 +1021,7 @@ function fillMissingFields(normalizedData) {
         const match = normalizedData.description.match(countriesPattern);
         if (match && match[1]) {
             normalizedData.country = match[1];
+            recordRule(normalizedData, 'country', 'country-from-description');
         }
     }
     
@@ -965,6 +1046,7 @@ function fillMissingFields(normalizedData) {
                 const match = normalizedData.title.match(pattern);
                 if (match && match[1]) {
                     normalizedData.reference_number = match[1];
+                    recordRule(normalizedData, 'reference_number', 'reference-from-text');
                     break;
                 }
             }
@@ -976,6 +1058,7 @@ function fillMissingFields(normalizedData) {
                 const match = normalizedData.description.match(pattern);
                 if (match && match[1]) {
                     normalizedData.reference_number = match[1];
+                    recordRule(normalizedData, 'reference_number', 'reference-from-text');
                     break;
                 }
             }
@@ -990,6 +1073,7 @@ function fillMissingFields(normalizedData) {
             const emailMatches = normalizedData.description.match(emailRegex);
             if (emailMatches && emailMatches.length > 0) {
                 normalizedData.contact_email = emailMatches[0];
+                recordRule(normalizedData, 'contact_email', 'contact-email-from-description');
             }
         }
         
@@ -1006,6 +1090,7 @@ function fillMissingFields(normalizedData) {
                 const match = normalizedData.description.match(pattern);
                 if (match && match[1] && match[1].length > 3 && match[1].length < 50) {
                     normalizedData.contact_name = match[1].trim();
+                    recordRule(normalizedData, 'contact_name', 'contact-name-from-description');
                     break;
                 }
             }
@@ -1022,9 +1107,11 @@ function fillMissingFields(normalizedData) {
                 const match = normalizedData.description.match(pattern);
                 if (match && match[1] && match[1].length > 6) {
                     normalizedData.contact_phone = match[1].trim();
+                    recordRule(normalizedData, 'contact_phone', 'contact-phone-from-description');
                     break;
                 } else if (match && match[0] && match[0].length > 6) {
                     normalizedData.contact_phone = match[0].trim();
+                    recordRule(normalizedData, 'contact_phone', 'contact-phone-from-description');
                     break;
                 }
             }
@@ -1077,49 +1164,29 @@ function fillMissingFields(normalizedData) {
         
         if (bestMatch) {
             normalizedData.tender_type = bestMatch;
+            recordRule(normalizedData, 'tender_type', 'tender-type-keywords');
         }
     }
     
     // 14. Extract or estimate value and currency if missing
     if (!normalizedData.estimated_value && normalizedData.description) {
         const moneyPatterns = [
-            /(?:budget|value|amount|contract value|estimated value|cost|price)[\s:]*(?:is|of|:)?\s*(?:USD|EUR|GBP|Rs\.?|₹|£|€|\$)?\s*([0-9,.]+)\s*(?:million|m|billion|b)?\s*(?:USD|EUR|GBP|Rs\.?|₹|£|€|\$)?/i,
-            /(?:USD|EUR|GBP|Rs\.?|₹|£|€|\$)\s*([0-9,.]+)\s*(?:million|m|billion|b)?/i
+            /(?:budget|value|amount|contract value|estimated value|cost|price)[\s:]*(?:(?:is|of|at|between|from|approx\.?|approximately|about|around)\s*)*(?:USD|EUR|GBP|Rs\.?|₹|£|€|\$)?\s*([0-9,.]+(?:\s*(?:-|–|to|and)\s*[0-9,.]+)?)\s*(?:million|mio\.?|mn|m|billion|bn|b|thousand|k)?\b\s*(?:USD|EUR|GBP|Rs\.?|₹|£|€|\$)?/i,
+            /(?:USD|EUR|GBP|Rs\.?|₹|£|€|\$)\s*([0-9,.]+(?:\s*(?:-|–|to)\s*[0-9,.]+)?)\s*(?:million|mio\.?|mn|m|billion|bn|b|thousand|k)?\b/i
         ];
         
         for (const pattern of moneyPatterns) {
             const match = normalizedData.description.match(pattern);
-            if (match && match[1]) {
-                let value = match[1].replace(/,/g, '');
-                let multiplier = 1;
+            const money = match && match[1] ? parseMoney(match[0]) : null;
+            if (money) {
+                normalizedData.estimated_value = money.amount;
+                recordRule(normalizedData, 'estimated_value', 'value-from-description');
                 
-                // Check for million/billion
-                if (match[0].toLowerCase().includes('million') || match[0].toLowerCase().includes('m')) {
-                    multiplier = 1000000;
-                } else if (match[0].toLowerCase().includes('billion') || match[0].toLowerCase().includes('b')) {
-                    multiplier = 1000000000;
+                if (money.currency) {
+                    normalizedData.currency = money.currency;
+                    recordRule(normalizedData, 'currency', 'value-from-description');
                 }
                 
-                normalizedData.estimated_value = parseFloat(value) * multiplier;
-                
-                // Try to extract currency
-                const currencySymbols = {
-                    '$': 'USD',
-                    '€': 'EUR',
-                    '£': 'GBP',
-                    '₹': 'INR',
-                    'Rs': 'INR',
-                    'USD': 'USD',
-                    'EUR': 'EUR',
-                    'GBP': 'GBP'
-                };
-                
-                Object.entries(currencySymbols).forEach(([symbol, currency]) => {
-                    if (match[0].includes(symbol)) {
-                        normalizedData.currency = currency;
-                    }
-                });
-                
                 break;
             }
         }
@@ -1266,45 +1333,6 @@ function extractTenderStatus(tenderData, sourceTable) {
     return null;
 }
 
-/**
- * Extracts a numeric value from various input formats
- * @param {*} value - The value to extract a number from
- * @returns {number|null} - The extracted number or null if extraction fails
- */
-function extractNumericValue(value) {
-    if (value === null || value === undefined) {
-        return null;
-    }
-    
-    // If it's already a number, return it directly
-    if (typeof value === 'number') {
-        return value;
-    }
-    
-    // If it's a string, try to extract a numeric value
-    if (typeof value === 'string') {
-        // Remove non-numeric characters except decimal point and parse
-        const numericString = value.replace(/[^0-9.]/g, '');
-        const parsed = parseFloat(numericString);
-        
-        if (!isNaN(parsed)) {
-            return parsed;
-        }
-    }
-    
-    // If it's an object with a numeric property, attempt to use that
-    if (typeof value === 'object') {
-        if (value.value && !isNaN(parseFloat(value.value))) {
-            return parseFloat(value.value);
-        }
-        if (value.amount && !isNaN(parseFloat(value.amount))) {
-            return parseFloat(value.amount);
-        }
-    }
-    
-    return null;
-}
-
 /**
  * Rule-based tender normalization that works without LLM
  * This is used as a fallback when the LLM service is unavailable
@@ -1342,7 +1370,7 @@ function fallbackNormalizeTender(tenderData, sourceTable) {
         url: tenderData.url || tenderData.noticeUrl || tenderData.tenderUrl || null,
         // Handle document links with consideration for different formats
         document_links: extractDocumentLinks(tenderData),
-        language: tenderData.language || 'en',  // Default to English
+        language: tenderData.language || null,  // Detected from the text when not provided
         notice_id: tenderData.notice_id || tenderData.noticeId || tenderData.id || null,
         reference_number: tenderData.reference_number || tenderData.referenceNumber || tenderData.solicitation_number || null,
         procurement_method: tenderData.procurement_method || tenderData.procurementMethod || null,
@@ -1351,16 +1379,21 @@ function fallbackNormalizeTender(tenderData, sourceTable) {
         source_id: tenderData.id || tenderData.tender_id || tenderData.notice_id || null,
     };
     
+    // Record which source columns the values were taken from
+    attributeToRawColumns(normalizedTender, tenderData, 'rule-based-extraction');
+    
     // Handle source-specific formatting
     switch (sourceTable) {
         case 'sam_gov':
             // For SAM.gov tenders, ALWAYS set country to UNITED STATES
             normalizedTender.country = 'UNITED STATES';
+            recordRule(normalizedTender, 'country', 'source-country');
             
             if (tenderData.original_data) {
                 // Extract organization name if needed
                 if (!normalizedTender.organization_name && tenderData.original_data.org_key) {
                     normalizedTender.organization_name = `Organization ID: ${tenderData.original_data.org_key}`;
+                    recordRule(normalizedTender, 'organization_name', 'rule-based-extraction');
                 }
                 
                 // Extract contacts
@@ -1372,17 +1405,23 @@ function fallbackNormalizeTender(tenderData, sourceTable) {
                         normalizedTender.contact_name = primaryContact.full_name || normalizedTender.contact_name;
                         normalizedTender.contact_email = primaryContact.email || normalizedTender.contact_email;
                         normalizedTender.contact_phone = primaryContact.phone || normalizedTender.contact_phone;
+                        
+                        if (primaryContact.full_name) recordRaw(normalizedTender, 'contact_name', 'original_data.contacts');
+                        if (primaryContact.email) recordRaw(normalizedTender, 'contact_email', 'original_data.contacts');
+                        if (primaryContact.phone) recordRaw(normalizedTender, 'contact_phone', 'original_data.contacts');
                     }
                 }
                 
                 // Extract tender type
                 if (!normalizedTender.tender_type && tenderData.original_data.opportunity_type) {
                     normalizedTender.tender_type = tenderData.original_data.opportunity_type;
+                    recordRaw(normalizedTender, 'tender_type', 'original_data.opportunity_type');
                 }
                 
                 // Extract reference number
                 if (!normalizedTender.reference_number && tenderData.original_data.solicitation_number) {
                     normalizedTender.reference_number = tenderData.original_data.solicitation_number;
+                    recordRaw(normalizedTender, 'reference_number', 'original_data.solicitation_number');
                 }
             }
             break;
@@ -1391,9 +1430,11 @@ function fallbackNormalizeTender(tenderData, sourceTable) {
             // For World Bank tenders, add specific handling
             if (!normalizedTender.organization_name) {
                 normalizedTender.organization_name = 'World Bank';
+                recordRule(normalizedTender, 'organization_name', 'source-organization');
             }
             if (!normalizedTender.organization_name_english) {
                 normalizedTender.organization_name_english = 'World Bank';
+                recordRule(normalizedTender, 'organization_name_english', 'source-organization');
             }
             break;
             
@@ -1401,9 +1442,11 @@ function fallbackNormalizeTender(tenderData, sourceTable) {
             // For Asian Development Bank tenders, add specific handling
             if (!normalizedTender.organization_name) {
                 normalizedTender.organization_name = 'Asian Development Bank';
+                recordRule(normalizedTender, 'organization_name', 'source-organization');
             }
             if (!normalizedTender.organization_name_english) {
                 normalizedTender.organization_name_english = 'Asian Development Bank';
+                recordRule(normalizedTender, 'organization_name_english', 'source-organization');
             }
             break;
     }
@@ -1429,200 +1472,15 @@ function fallbackNormalizeTender(tenderData, sourceTable) {
  * Determines if a tender requires LLM-based normalization or can use faster parsing methods
  * @param {Object} tender - The tender data to evaluate
  * @param {string} sourceTable - The source table name
- * @returns {Object} Decision object with needsLLM boolean and reason string
+ * @param {Object} [options={}] - Routing options (explain: include the evaluation of each policy rule)
+ * @returns {Object} Decision object with route, rule, needsLLM boolean and reason string
  */
-function evaluateNormalizationNeeds(tender, sourceTable) {
-    // Save initial evaluation to help with debugging
-    const initialEvaluation = { needsLLM: true, reason: 'Default evaluation' };
-    
-    // Always check for critical fields first
-    const criticalFields = ['title', 'description', 'country'];
-    const missingCriticalFields = criticalFields.filter(field => 
-        !tender[field] || tender[field].trim() === ''
-    );
-    
-    if (missingCriticalFields.length > 0) {
-        return { 
-            needsLLM: true, 
-            reason: `Missing critical fields: ${missingCriticalFields.join(', ')}` 
-        };
-    }
-
-    // FAST PATH FOR SPECIFIC SOURCES
-    // These are source-specific optimizations where we know the data structure well
-    
-    // For World Bank tenders
-    if (sourceTable === 'wb') {
-        // Only skip LLM if all critical fields are present and in English
-        if (tender.title && tender.description && tender.country && 
-            isStronglyEnglish(tender.title) && isStronglyEnglish(tender.description)) {
-            return { needsLLM: false, reason: 'World Bank tender with complete English data' };
-        }
-    }
-    
-    // For ADB tenders
-    if (sourceTable === 'adb') {
-        // Only skip LLM if all critical fields are present and in English
-        if (tender.title && tender.description && tender.country && 
-            isStronglyEnglish(tender.title) && isStronglyEnglish(tender.description)) {
-            return { needsLLM: false, reason: 'ADB tender with complete English data' };
-        }
-    }
-    
-    // For AFD tenders
-    if (sourceTable === 'afd_tenders') {
-        // AFD tenders are in French, so we should only skip LLM if we have
-        // both French and English fields already
-        if (tender.title && tender.title_english && 
-            tender.description && tender.description_english &&
-            tender.country) {
-            return { needsLLM: false, reason: 'AFD tender with both French and English data' };
-        }
-    }
-    
-    // For SAM.gov tenders
-    if (sourceTable === 'sam_gov') {
-        // SAM.gov tenders are in English by default, we can skip LLM
-        // but only if all critical fields are present
-        if (tender.title && tender.description && tender.country) {
-            return { needsLLM: false, reason: 'SAM.gov tender with complete data' };
-        }
-    }
-    
-    // For UN tenders
-    if (sourceTable === 'un_tenders') {
-        // UN tenders are typically in English
-        // but only skip if all critical fields are present
-        if (tender.title && tender.description && tender.country && 
-            isStronglyEnglish(tender.title) && isStronglyEnglish(tender.description)) {
-            return { needsLLM: false, reason: 'UN tender with complete English data' };
-        }
-    }
-    
-    // For DGMarket tenders
-    if (sourceTable === 'dgmarket') {
-        // Only skip if we have English data for critical fields
-        if (tender.title && tender.description && tender.country &&
-            isStronglyEnglish(tender.title) && isStronglyEnglish(tender.description)) {
-            return { needsLLM: false, reason: 'DGMarket tender with complete English data' };
-        }
-    }
-    
-    // Initialize with default assumption that LLM is needed
-    const result = {
-        needsLLM: true,
-        reason: "Default processing path"
-    };
-
-    // Fast path for World Bank tenders - immediately return without further checks
-    if (sourceTable === "wb") {
-        result.needsLLM = false;
-        result.reason = "World Bank tenders use fast normalization for performance";
-        return result;
-    }
-    
-    // Fast path for ADB tenders - immediately return without further checks
-    if (sourceTable === "adb") {
-        result.needsLLM = false;
-        result.reason = "ADB tenders use fast normalization to prevent timeouts";
-        return result;
-    }
-    
-    // Fast path for AFD tenders - immediately return without further checks
-    if (sourceTable === "afd_tenders") {
-        result.needsLLM = false;
-        result.reason = "AFD tenders use fast normalization to prevent timeouts";
-        return result;
-    }
-
-    // 1. Source-based rules - expand to cover more sources
-    if (sourceTable === "sam_gov") {
-        // SAM.gov tenders are in English and well-structured
-        result.needsLLM = false;
-        result.reason = "SAM.gov tenders don't require translation or complex normalization";
-    } 
-    else if (sourceTable === "un_procurement") {
-        // UN tenders are in English and have consistent structure
-        result.needsLLM = false;
-        result.reason = "UN tenders are in English with consistent structure";
-    }
-    else if (sourceTable === "dgmarket" && tender.language === "en") {
-        // English DGMarket tenders can use fast processing
-        result.needsLLM = false;
-        result.reason = "English DGMarket tenders can use direct parsing";
-    }
-    else if (sourceTable === "iadb") {
-        // IADB tenders are typically in English/Spanish with consistent structure
-        if (tender.language === "en" || (tender.project_name && isEnglishText(tender.project_name))) {
-            result.needsLLM = false;
-            result.reason = "English IADB tenders can use direct parsing";
-        }
-    }
-    else if (sourceTable === "ted") {
-        // TED tenders often have standardized multilingual format
-        // If the tender already has both the original and English fields, use fast processing
-        if ((tender.title && tender.title_english) || 
-            (tender.title && isEnglishText(tender.title))) {
-            result.needsLLM = false;
-            result.reason = "TED tender with English content can use direct parsing";
-        }
-    }
-
-    // 2. Completeness-based rules - if the tender already has most critical fields filled
-    if (result.needsLLM) {  // Only check if not already decided
-        const missingFields = checkForMissingCriticalFields(tender);
-        
-        // If tender has most important fields already, skip LLM
-        if (missingFields.length <= 2) {
-            // Tender is nearly complete, just do basic normalization
-            result.needsLLM = false;
-            result.reason = `Tender already has most critical fields (missing only ${missingFields.length})`;
-        }
-        // If tender has many fields missing but is in English, still consider direct parsing
-        else if (missingFields.length > 2 && missingFields.length <= 5 && 
-                (tender.language === 'en' || 
-                 (tender.title && isEnglishText(tender.title)) || 
-                 (tender.description && isEnglishText(tender.description)))) {
-            result.needsLLM = false;
-            result.reason = "English tender with some missing fields can use direct parsing";
-        }
-    }
-
-    // 3. Language-detection enhancement - skip LLM for any English content regardless of source
-    // Note: We explicitly set needsLLM to false here
-    if (result.needsLLM && (  // Only check if not already decided
-        tender.language === 'en' || 
-        (tender.title && isStronglyEnglish(tender.title)) || 
-        (tender.description && tender.description.length > 100 && isStronglyEnglish(tender.description))
-    )) {
-        result.needsLLM = false;
-        result.reason = "Content is strongly identified as English, using direct parsing";
-    }
-
-    // 4. Size-based rules - retained from the original function
-    if (tender.description && tender.description.length < 150 && tender.title && tender.title.length < 50) {
-        result.needsLLM = false;
-        result.reason = "Tender content is minimal, using direct parsing";
-    }
-    
-    // Very large tenders might exceed token limits and should use specialized handling
-    if (tender.description && tender.description.length > 15000) {
-        result.needsLLM = false;
-        result.reason = "Tender description exceeds optimal size for LLM processing, using chunked parsing";
-    }
-
-    // 5. Field quality assessment - check if we have high-quality fields already
-    if (result.needsLLM && tender.title && tender.description && 
-        tender.title.length > 10 && tender.description.length > 100) {
-        // Has good title and description, check other key fields
-        if ((tender.publication_date || tender.deadline_date) && tender.status) {
-            result.needsLLM = false;
-            result.reason = "Tender has high-quality core fields already, using direct parsing";
-        }
-    }
+function evaluateNormalizationNeeds(tender, sourceTable, options = {}) {
+    // The first matching rule of the routing policy decides the normalization route
+    const result = routeTender(tender, sourceTable, options);
 
     // Performance tracking
-    if (!result.needsLLM) {
+    if (!result.needsLLM && !options.explain) {
         // Track the percentage of tenders skipping LLM processing
         try {
             // This code just increments counters in memory - could be replaced with a proper metrics system
@@ -1663,96 +1521,21 @@ function evaluateNormalizationNeeds(tender, sourceTable) {
 
 /**
  * Determines if text is strongly identified as English
- * This is a more stringent check than just hasEnglishWords
+ * This is a more stringent check than isEnglishText
  * @param {string} text - The text to evaluate
  * @returns {boolean} True if the text is strongly identified as English
  */
 function isStronglyEnglish(text) {
-    if (!text) return false;
-    
-    // Convert to string if not already
-    text = String(text);
-    
-    // Too short to determine
-    if (text.length < 10) return false;
-    
-    // Check for common English words (more extensive list than hasEnglishWords)
-    const commonEnglishWords = [
-        'the', 'and', 'for', 'that', 'this', 'with', 'from', 'have', 'has', 'not',
-        'are', 'were', 'was', 'will', 'would', 'should', 'could', 'been', 'being',
-        'their', 'there', 'they', 'them', 'these', 'those', 'then', 'than', 'such',
-        'some', 'what', 'when', 'where', 'which', 'while', 'about', 'after', 'before',
-        'during', 'under', 'over', 'within', 'through', 'between'
-    ];
-    
-    // Count how many common English words appear in the text
-    const words = text.toLowerCase().match(/\b[a-z]+\b/g) || [];
-    
-    if (words.length < 5) return false; // Too few words to make a determination
-    
-    let englishWordCount = 0;
-    for (const word of words) {
-        if (commonEnglishWords.includes(word)) {
-            englishWordCount++;
-        }
-    }
-    
-    // Calculate percentage of common English words
-    const englishPercentage = (englishWordCount / words.length) * 100;
-    
-    // Check for non-Latin characters
-    const nonLatinPattern = /[^\x00-\x7F\s]/;
-    const hasNonLatinChars = nonLatinPattern.test(text);
-    
-    // If there are non-Latin characters, be more strict about English classification
-    if (hasNonLatinChars) {
-        return englishPercentage > 15; // Higher threshold for mixed text
-    }
-    
-    // For Latin-only text, use a lower threshold
-    return englishPercentage > 8;
+    return isLanguage(text, 'en', { strong: true });
 }
 
 /**
- * Checks if a tender is missing any critical fields that would require normalization
- * @param {Object} tender - The tender to check
- * @returns {Array} Array of missing field names
- */
-function checkForMissingCriticalFields(tender) {
-    const criticalFields = [
-        'title', 
-        'description', 
-        'publication_date', 
-        'deadline_date', 
-        'status',
-        'tender_type',
-        'estimated_value'
-    ];
-    
-    return criticalFields.filter(field => !tender[field]);
-}
-
-/**
- * Basic detection of English text
+ * Detection of English text
  * @param {string} text - The text to analyze
- * @returns {boolean} Whether the text appears to be in English
+ * @returns {boolean} Whether the text is identified as English
  */
 function isEnglishText(text) {
-    if (!text || typeof text !== 'string') return false;
-    
-    // Simple heuristic: check for common English words
-    const englishWords = ['the', 'and', 'for', 'this', 'that', 'with', 'from'];
-    const textLower = text.toLowerCase();
-    let englishWordCount = 0;
-    
-    englishWords.forEach(word => {
-        const pattern = new RegExp(`\\b${word}\\b`, 'g');
-        const matches = textLower.match(pattern);
-        if (matches) englishWordCount += matches.length;
-    });
-    
-    // If we find several common English words, it's likely English
-    return englishWordCount >= 3;
+    return isLanguage(text, 'en');
 }
 
 /**
@@ -1805,7 +1588,7 @@ async function fastNormalizeTender(tenderData, sourceTable) {
         contact_address: null,
         url: null,
         document_links: [],
-        language: 'en', // Default assumption
+        language: null, // Detected from the text when not provided
         notice_id: null,
         reference_number: null,
         procurement_method: null
@@ -1843,6 +1626,9 @@ async function fastNormalizeTender(tenderData, sourceTable) {
     else if (tenderData.link) normalized.url = tenderData.link;
     else if (tenderData.web_link) normalized.url = tenderData.web_link;
     
+    // Record which source columns the values were taken from
+    attributeToRawColumns(normalized, tenderData, 'rule-based-extraction');
+    
     // Infer status from dates if not explicitly provided
     inferStatusFromDates(normalized);
     
@@ -1905,78 +1691,13 @@ function extractDate(source, target, targetField, sourceFields) {
 function extractMoney(source, target, sourceFields) {
     for (const field of sourceFields) {
         if (source[field]) {
-            // Check if the field is already an object with value and currency
-            if (typeof source[field] === 'object' && source[field].value) {
-                target.estimated_value = parseFloat(source[field].value);
-                if (source[field].currency) {
-                    target.currency = source[field].currency.toUpperCase();
-                }
-                return;
-            }
-            
-            // If it's a string, try to extract numeric value and currency
-            if (typeof source[field] === 'string') {
-                const moneyString = source[field].trim();
-                
-                // First try to extract the numeric value - handle both formats
-                const valueMatch = moneyString.match(/[\d,]+(\.\d+)?/);
-                if (valueMatch) {
-                    // Remove commas and convert to number
-                    const numericValue = parseFloat(valueMatch[0].replace(/,/g, ''));
-                    if (!isNaN(numericValue)) {
-                        target.estimated_value = numericValue;
-                    }
-                }
-                
-                // Then look for currency codes or symbols
-                const currencyRegex = /(\$|€|£|[A-Z]{3})\s*|\s*(\$|€|£|[A-Z]{3})/i;
-                const currencyMatch = moneyString.match(currencyRegex);
-                
-                if (currencyMatch) {
-                    const symbol = (currencyMatch[1] || currencyMatch[2]).toUpperCase();
-                    const currencyMap = {
-                        '$': 'USD',
-                        '€': 'EUR',
-                        '£': 'GBP',
-                        'USD': 'USD',
-                        'EUR': 'EUR',
-                        'GBP': 'GBP',
-                        'JPY': 'JPY',
-                        'CHF': 'CHF',
-                        'MXN': 'MXN',
-                        'LKR': 'LKR',
-                        'PHP': 'PHP',
-                        'XOF': 'XOF',
-                        'INR': 'INR',
-                        'BDT': 'BDT',
-                        'PKR': 'PKR',
-                        'NPR': 'NPR',
-                        'IDR': 'IDR',
-                        'THB': 'THB',
-                        'VND': 'VND',
-                        'CNY': 'CNY',
-                        'KRW': 'KRW',
-                        'AUD': 'AUD',
-                        'NZD': 'NZD',
-                        'CAD': 'CAD',
-                        // Add more currency mappings as needed
-                    };
-                    target.currency = currencyMap[symbol] || symbol;
-                }
-                
-                // Ensure we have a valid numeric value
-                if (target.estimated_value === undefined || isNaN(target.estimated_value)) {
-                    target.estimated_value = null;
-                }
-                
-                return;
-            }
-            
-            // If it's just a number, use it directly
-            if (typeof source[field] === 'number') {
-                target.estimated_value = source[field];
-                return;
+            // Objects with value and currency, strings such as "EUR 1.234.567,89" or "USD 2.5 million", and numbers
+            const money = parseMoney(source[field]);
+            target.estimated_value = money ? money.amount : null;
+            if (money && money.currency) {
+                target.currency = money.currency;
             }
+            return;
         }
     }
 }
@@ -2062,6 +1783,7 @@ function inferStatusFromDates(tender) {
         const now = new Date();
         const deadline = new Date(tender.deadline_date);
         tender.status = deadline > now ? 'Open' : 'Closed';
+        recordRule(tender, 'status', 'status-from-deadline');
     }
 }
 
@@ -2126,9 +1848,10 @@ function prepareForDatabaseInsertion(tender) {
  * Enhanced normalizeTender function with selective LLM usage
  * @param {Object} tender - The tender data to normalize
  * @param {string} sourceTable - The source table name 
+ * @param {string} [sourceInstructions=''] - Source-specific prompt additions from the adapter
  * @returns {Promise<Object>} Normalized tender data
  */
-async function normalizeTender(tender, sourceTable) {
+async function normalizeTender(tender, sourceTable, sourceInstructions = '') {
     console.log(`Evaluating normalization needs for tender from ${sourceTable}`);
     const startTime = Date.now();
     
@@ -2157,12 +1880,17 @@ async function normalizeTender(tender, sourceTable) {
     }
     
     try {
-        // Skip LLM for certain tenders - but only if they meet our stricter criteria
+        // The routing policy decides between LLM, fast and fallback normalization
         const evaluation = evaluateNormalizationNeeds(tender, sourceTable);
         
+        if (evaluation.route === 'fallback') {
+            console.log(`Using fallback normalization for tender: ${evaluation.reason}`);
+            return fallbackWithMetadata(tender, sourceTable, 'fallback', startTime);
+        }
+        
         if (!evaluation.needsLLM) {
             console.log(`Using fast normalization for tender: ${evaluation.reason}`);
-            const normalizedData = fastNormalizeTender(tender, sourceTable);
+            const normalizedData = await fastNormalizeTender(tender, sourceTable);
             
             const endTime = Date.now();
             console.log(`Fast normalization completed in ${(endTime - startTime) / 1000} seconds`);
@@ -2227,80 +1955,24 @@ async function normalizeTender(tender, sourceTable) {
         
         console.log(`Using LLM normalization for tender: ${evaluation.reason}`);
         
-        // Generate a prompt for the LLM
-        const prompt = generatePrompt(tender, sourceTable);
-        
-        // Query the LLM
-        const llmResponse = await queryLLM(prompt);
-        
-        if (!llmResponse || !llmResponse.choices || llmResponse.choices.length === 0) {
-            console.warn('LLM returned empty response, falling back to rule-based normalization');
-            return fallbackWithMetadata(tender, sourceTable, 'empty-llm-response', startTime);
-        }
-        
-        // Extract the LLM response text
-        const responseText = llmResponse.choices[0].message.content;
-        
-        // Parse the JSON from the LLM response
-        const normalizedData = parseJSONFromLLMResponse(responseText);
-        
-        if (!normalizedData) {
-            console.warn('Failed to parse JSON from LLM response, falling back to rule-based normalization');
-            return fallbackWithMetadata(tender, sourceTable, 'json-parse-failure', startTime);
-        }
-        
-        // Enhance the normalized data with better titles and fill missing fields
-        const enhancedData = enhanceTenderTitles(normalizedData);
-        const fullyEnhancedData = fillMissingFields(enhancedData);
-        
-        // Add metadata
-        fullyEnhancedData.normalized_at = new Date().toISOString();
-        fullyEnhancedData.normalized_method = 'llm';
-        fullyEnhancedData.source_table = sourceTable;
-        
-        const endTime = Date.now();
-        fullyEnhancedData.processing_time_ms = endTime - startTime;
-        
-        console.log(`LLM normalization completed in ${(endTime - startTime) / 1000} seconds`);
-        
-        // Quality check before returning
-        const validationResult = validateTenderQuality(fullyEnhancedData);
-        logTenderValidation(fullyEnhancedData, validationResult);
-        
-        // Add validation metadata to the tender
-        fullyEnhancedData.quality_score = validationResult.qualityScore;
-        fullyEnhancedData.quality_validated = true;
-        fullyEnhancedData.has_validation_issues = !validationResult.isValid || validationResult.minorIssues.length > 0;
-        
-        // Whether we used LLM, fast, or fallback normalization, log final results for sample tenders
-        if (tenderProcessingCounter % 50 === 0) {
-            // Get the result, whether it's enhancedData, normalizedData, or result from fallback
-            let finalResult = fullyEnhancedData;
-            
-            const originalFilled = Object.values(originalTender).filter(v => v !== null && v !== undefined && v !== '').length;
-            const finalFilled = Object.values(finalResult).filter(v => v !== null && v !== undefined && v !== '').length;
-            const totalFields = Object.keys(finalResult).length;
-            
-            console.log(`\n--- FINAL RESULT - ${finalResult.normalized_method || 'unknown'} - ${(finalResult.processing_time_ms || 0)/1000}s ---`);
-            console.log(`Completeness: ${originalFilled}/${totalFields} → ${finalFilled}/${totalFields} fields`);
-            console.log(`Improvement: +${finalFilled - originalFilled} fields (${((finalFilled-originalFilled)/totalFields*100).toFixed(2)}%)`);
-            console.log(`Quality Score: ${finalResult.quality_score || 'Not evaluated'}`);
-            
-            // Show just a few key field changes to avoid log flooding
-            const keyFields = ['title', 'description', 'status', 'sector'];
-            keyFields.forEach(field => {
-                const before = originalTender[field];
-                const after = finalResult[field];
-                
-                if (before !== after && after) {
-                    const beforeStr = before ? (before.substring(0, 40) + (before.length > 40 ? '...' : '')) : '(empty)';
-                    const afterStr = after.substring(0, 40) + (after.length > 40 ? '...' : '');
-                    console.log(`${field}: "${beforeStr}" → "${afterStr}"`);
-                }
-            });
+        // Query the LLM and validate its output, re-prompting with the validation errors if needed.
+        // Tenders too long for one prompt are normalized chunk by chunk and merged, and small
+        // tenders of sources in pack mode share a request with other tenders.
+        let llmResult;
+        let method = 'llm';
+        if (evaluation.chunked) {
+            const buildPrompt = (chunkTender, chunkSource, additionalInstructions) =>
+                generatePrompt(chunkTender, chunkSource, additionalInstructions, sourceInstructions);
+            llmResult = await normalizeInChunks(tender, sourceTable, { buildPrompt, queryLLMWithValidation });
+            method = 'llm-chunked';
+        } else if (getBatchMode(sourceTable) === 'pack') {
+            llmResult = await packBatcher.normalize(tender, sourceTable, sourceInstructions);
+            method = llmResult.packSize ? 'llm-packed' : 'llm';
+        } else {
+            llmResult = await queryLLMWithValidation(generatePrompt(tender, sourceTable, '', sourceInstructions));
         }
         
-        return fullyEnhancedData;
+        return finalizeLLMNormalization(tender, sourceTable, llmResult, { startTime, originalTender, method });
     } catch (error) {
         console.error(`Error normalizing tender: ${error.message}`);
         
@@ -2320,6 +1992,123 @@ async function normalizeTender(tender, sourceTable) {
     }
 }
 
+/**
+ * Normalizes a tender from an LLM response obtained outside normalizeTender (e.g. a Batch API result)
+ * Invalid output goes through the usual schema repair loop.
+ * @param {Object} tender - The raw tender data
+ * @param {string} sourceTable - The source table name
+ * @param {Object} llmResponse - The chat completion response for generatePrompt(tender, sourceTable, '', sourceInstructions)
+ * @param {string} [sourceInstructions=''] - Source-specific prompt additions from the adapter
+ * @param {string} [method='llm-batch-api'] - The normalization method to record
+ * @returns {Promise<Object>} Normalized tender data
+ */
+async function normalizeFromLLMResponse(tender, sourceTable, llmResponse, sourceInstructions = '', method = 'llm-batch-api') {
+    const startTime = Date.now();
+    const originalTender = JSON.parse(JSON.stringify(tender));
+    
+    try {
+        const llmResult = await queryLLMWithValidation(generatePrompt(tender, sourceTable, '', sourceInstructions), llmResponse);
+        return finalizeLLMNormalization(tender, sourceTable, llmResult, { startTime, originalTender, method });
+    } catch (error) {
+        console.error(`Error normalizing tender from LLM response: ${error.message}`);
+        return fallbackWithMetadata(tender, sourceTable, `error: ${error.message}`, startTime);
+    }
+}
+
+/**
+ * Turns a validated LLM result into the final normalized tender
+ * Falls back to rule-based normalization when the LLM gave no usable output.
+ * @param {Object} tender - The raw tender data
+ * @param {string} sourceTable - The source table name
+ * @param {Object} llmResult - Result of queryLLMWithValidation, normalizeInChunks or a batch request
+ * @param {Object} options - Finalization options
+ * @param {number} options.startTime - When normalization of this tender started
+ * @param {Object} options.originalTender - Copy of the tender before normalization, for logging
+ * @param {string} options.method - The normalization method to record (default: 'llm')
+ * @returns {Object} Normalized tender data
+ */
+function finalizeLLMNormalization(tender, sourceTable, llmResult, { startTime = Date.now(), originalTender = tender, method = 'llm' } = {}) {
+    // Tokens are spent whether or not the output was usable
+    recordUsage(sourceTable, llmResult.usage);
+    
+    if (llmResult.empty) {
+        console.warn('LLM returned empty response, falling back to rule-based normalization');
+        return Object.assign(
+            fallbackWithMetadata(tender, sourceTable, 'empty-llm-response', startTime),
+            toUsageColumns(llmResult.usage)
+        );
+    }
+    
+    if (!llmResult.valid) {
+        console.warn(`LLM output still invalid after ${llmResult.repairAttempts} repair attempts, falling back to rule-based normalization`);
+        const fallbackTender = fallbackWithMetadata(tender, sourceTable, 'schema-validation-failure', startTime);
+        fallbackTender.schema_validation_errors = llmResult.errors;
+        fallbackTender.schema_repair_attempts = llmResult.repairAttempts;
+        return Object.assign(fallbackTender, toUsageColumns(llmResult.usage));
+    }
+    
+    const normalizedData = llmResult.data;
+    recordLLMOutput(normalizedData, tender, llmResult);
+    
+    // Enhance the normalized data with better titles and fill missing fields
+    const enhancedData = enhanceTenderTitles(normalizedData);
+    const fullyEnhancedData = fillMissingFields(enhancedData);
+    
+    // Add metadata
+    fullyEnhancedData.normalized_at = new Date().toISOString();
+    fullyEnhancedData.normalized_method = method;
+    fullyEnhancedData.source_table = sourceTable;
+    fullyEnhancedData.prompt_version = getPromptVersion();
+    fullyEnhancedData.llm_chunk_count = llmResult.chunkCount || null;
+    fullyEnhancedData.schema_validation_errors = llmResult.errors.length > 0 ? llmResult.errors : null;
+    fullyEnhancedData.schema_repair_attempts = llmResult.repairAttempts;
+    Object.assign(fullyEnhancedData, toUsageColumns(llmResult.usage));
+    
+    const endTime = Date.now();
+    fullyEnhancedData.processing_time_ms = endTime - startTime;
+    
+    console.log(`LLM normalization completed in ${(endTime - startTime) / 1000} seconds`);
+    
+    // Quality check before returning
+    const validationResult = validateTenderQuality(fullyEnhancedData);
+    logTenderValidation(fullyEnhancedData, validationResult);
+    
+    // Add validation metadata to the tender
+    fullyEnhancedData.quality_score = validationResult.qualityScore;
+    fullyEnhancedData.quality_validated = true;
+    fullyEnhancedData.has_validation_issues = !validationResult.isValid || validationResult.minorIssues.length > 0;
+    
+    // Whether we used LLM, fast, or fallback normalization, log final results for sample tenders
+    if (tenderProcessingCounter % 50 === 0) {
+        // Get the result, whether it's enhancedData, normalizedData, or result from fallback
+        let finalResult = fullyEnhancedData;
+        
+        const originalFilled = Object.values(originalTender).filter(v => v !== null && v !== undefined && v !== '').length;
+        const finalFilled = Object.values(finalResult).filter(v => v !== null && v !== undefined && v !== '').length;
+        const totalFields = Object.keys(finalResult).length;
+        
+        console.log(`\n--- FINAL RESULT - ${finalResult.normalized_method || 'unknown'} - ${(finalResult.processing_time_ms || 0)/1000}s ---`);
+        console.log(`Completeness: ${originalFilled}/${totalFields} → ${finalFilled}/${totalFields} fields`);
+        console.log(`Improvement: +${finalFilled - originalFilled} fields (${((finalFilled-originalFilled)/totalFields*100).toFixed(2)}%)`);
+        console.log(`Quality Score: ${finalResult.quality_score || 'Not evaluated'}`);
+        
+        // Show just a few key field changes to avoid log flooding
+        const keyFields = ['title', 'description', 'status', 'sector'];
+        keyFields.forEach(field => {
+            const before = originalTender[field];
+            const after = finalResult[field];
+            
+            if (before !== after && after) {
+                const beforeStr = before ? (before.substring(0, 40) + (before.length > 40 ? '...' : '')) : '(empty)';
+                const afterStr = after.substring(0, 40) + (after.length > 40 ? '...' : '');
+                console.log(`${field}: "${beforeStr}" → "${afterStr}"`);
+            }
+        });
+    }
+    
+    return fullyEnhancedData;
+}
+
 /**
  * Fallback normalization with additional metadata
  * @param {Object} tender - The tender data to normalize
@@ -2357,18 +2146,21 @@ function fallbackWithMetadata(tender, sourceTable, method = 'fallback', startTim
             console.warn(`Critical field missing: title is null or empty for ${sourceTable}:${tender.id || 'unknown'}. Using fallback title.`);
             // Create a fallback title from available data
             result.title = generateFallbackTitle(result, sourceTable);
+            recordRule(result, 'title', 'fallback-title');
         }
         
         if (!result.description || result.description.trim() === '') {
             console.warn(`Critical field missing: description is null or empty for ${sourceTable}:${tender.id || 'unknown'}. Using fallback description.`);
             // Create a fallback description from available data
             result.description = generateFallbackDescription(result, sourceTable);
+            recordRule(result, 'description', 'fallback-description');
         }
         
         if (!result.country || result.country.trim() === '') {
             console.warn(`Critical field missing: country is null or empty for ${sourceTable}:${tender.id || 'unknown'}. Attempting to determine country.`);
             // Try to determine country from available data
             result.country = determineCountryFromSource(result, sourceTable) || 'Unknown';
+            recordRule(result, 'country', result.country === 'Unknown' ? 'unknown-placeholder' : 'country-from-source');
         }
         
     } catch (error) {
@@ -2443,65 +2235,35 @@ function fallbackWithMetadata(tender, sourceTable, method = 'fallback', startTim
 }
 
 /**
- * Generates a prompt for the LLM based on tender data
+ * Generates a prompt for the LLM based on tender data, using the active prompt template version
  * @param {Object} tender - The tender data
  * @param {string} sourceTable - The source table name
+ * @param {string} [additionalInstructions=''] - Extra instructions placed before the raw data
+ * @param {string} [sourceInstructions=''] - Source-specific prompt additions from the adapter
  * @returns {string} The prompt for the LLM
  */
-function generatePrompt(tender, sourceTable) {
-    // Common fields to extract
-    const fields = [
-        "title", "title_english", "description", "description_english", "tender_type", 
-        "status", "publication_date", "deadline_date", "country", "city", 
-        "organization_name", "organization_name_english", "organization_id", 
-        "buyer", "buyer_english", "project_name", "project_name_english", 
-        "project_id", "project_number", "sector", "estimated_value", "currency",
-        "contact_name", "contact_email", "contact_phone", "contact_address",
-        "url", "document_links", "language", "notice_id", "reference_number",
-        "procurement_method"
-    ];
-    
-    // Create a JSON schema for the response
-    const fieldDefinitions = fields.map(field => {
-        return `    "${field}": "The ${field.replace(/_/g, ' ')} of the tender"`;
-    }).join(',\n');
-    
-    // Special handling for document_links which should be an array
-    const schemaStr = `{
-${fieldDefinitions.replace('"document_links": "The document links of the tender"', '"document_links": ["Array of document URLs, each with title and url properties"]')}
-}`;
-    
-    // Base prompt structure
-    let prompt = `You are an expert procurement data analyst tasked with extracting and normalizing tender information.
-Given the raw tender data below, please extract the following structured information.
-If the information is not available, use null for that field. 
-Normalize dates to YYYY-MM-DD format.
-Normalize all text fields to use proper capitalization and remove any redundant spacing, prefixes, or unwanted patterns.
-
-The response should be a single JSON object with the following structure:
-${schemaStr}
-
-For document_links, each item should have the structure: {"title": "Document title", "url": "Document URL"}
-
-`;
+function generatePrompt(tender, sourceTable, additionalInstructions = '', sourceInstructions = '') {
+    return renderTemplate('normalize', {
+        schema: describeSchemaForPrompt(),
+        sourceInstructions: formatSourcePartial(sourceInstructions),
+        additionalInstructions,
+        tenderData: JSON.stringify(tender, null, 2)
+    });
+}
 
-    // Add source-specific instructions
-    if (sourceTable === 'sam_gov') {
-        prompt += 'This is a tender from SAM.gov (US Government). ';
-        prompt += 'For SAM.gov tenders, the country is "UNITED STATES". ';
-        prompt += 'The organization_name can be found in either organizationName or agency fields. ';
-        prompt += 'The status should be mapped from opportunity_status: active → Open, inactive/archived → Closed, awarded → Awarded, canceled → Canceled. ';
-    } else if (sourceTable === 'ted') {
-        prompt += 'This is a tender from TED (Tenders Electronic Daily, European Union). ';
-        prompt += 'For TED tenders, infer the status based on the deadline_date compared to current date. ';
-    } else if (sourceTable === 'un_procurement') {
-        prompt += 'This is a tender from United Nations Procurement. ';
-        prompt += 'For UN tenders, the organization is typically the specific UN agency if mentioned, otherwise "United Nations". ';
-    }
-    
-    prompt += `\nRaw tender data:\n${JSON.stringify(tender, null, 2)}`;
-    
-    return prompt;
+/**
+ * Generates a prompt asking the LLM to correct output that failed schema validation
+ * @param {string} originalPrompt - The original normalization prompt
+ * @param {string} previousResponse - The invalid response text
+ * @param {string[]} errors - The validation errors
+ * @returns {string} The repair prompt
+ */
+function generateRepairPrompt(originalPrompt, previousResponse, errors) {
+    return renderTemplate('repair', {
+        errors: errors.map(error => `- ${error}`).join('\n'),
+        previousResponse,
+        originalPrompt
+    });
 }
 
 /**
@@ -2896,6 +2658,9 @@ function handleDatabaseError(error, tender) {
 
 module.exports = {
     normalizeTender,
+    normalizeFromLLMResponse,
+    evaluateNormalizationNeeds,
+    generatePrompt,
     enhanceTenderTitles,
     fillMissingFields,
     validateTenderQuality,
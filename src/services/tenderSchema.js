@@ -0,0 +1,274 @@
+/**
+ * tenderSchema.js
+ * JSON schema for the unified tender produced by the LLM, and a validator for it
+ */
+
+// Allowed values for the status field
+const TENDER_STATUSES = ['Open', 'Closed', 'Awarded', 'Canceled'];
+
+// Allowed values for the tender_type field (the standard types used by the source adapters)
+const TENDER_TYPES = [
+    'Tender',
+    'Request for Proposal',
+    'Request for Quotation',
+    'Request for Information',
+    'Request for Qualification',
+    'Invitation to Bid',
+    'Expression of Interest',
+    'Pre-Qualification',
+    'Prior Information Notice',
+    'Contract Award',
+    'Intent to Award',
+    'Modification Notice',
+    'Corrigendum',
+    'Design Contest',
+    'Results of Contest',
+    'Voluntary Ex Ante Notice',
+    'Framework Agreement',
+    'Direct Contract',
+    'Special Notice',
+    'Sale',
+    'Buyer Profile',
+    'Qualification System'
+];
+
+/**
+ * Nullable string property
+ * @param {string} description - Description shown to the LLM
+ * @param {Object} extra - Additional schema keywords
+ * @returns {Object} Property schema
+ */
+function nullableString(description, extra = {}) {
+    return { type: ['string', 'null'], description, ...extra };
+}
+
+// Schema of the unified tender object requested from the LLM
+const UNIFIED_TENDER_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'UnifiedTender',
+    type: 'object',
+    additionalProperties: false,
+    required: ['title', 'description'],
+    properties: {
+        title: nullableString('The title of the tender in its original language'),
+        title_english: nullableString('The title of the tender in English'),
+        description: nullableString('The description of the tender in its original language'),
+        description_english: nullableString('The description of the tender in English'),
+        tender_type: nullableString('The tender type', { enum: [...TENDER_TYPES, null] }),
+        status: nullableString('The tender status', { enum: [...TENDER_STATUSES, null] }),
+        publication_date: nullableString('The publication date', { format: 'date' }),
+        deadline_date: nullableString('The submission deadline', { format: 'date' }),
+        country: nullableString('The country where the work is performed'),
+        city: nullableString('The city where the work is performed'),
+        organization_name: nullableString('The name of the issuing organization'),
+        organization_name_english: nullableString('The name of the issuing organization in English'),
+        organization_id: nullableString('The identifier of the issuing organization'),
+        buyer: nullableString('The buyer or procuring entity'),
+        buyer_english: nullableString('The buyer or procuring entity in English'),
+        project_name: nullableString('The name of the related project'),
+        project_name_english: nullableString('The name of the related project in English'),
+        project_id: nullableString('The identifier of the related project'),
+        project_number: nullableString('The number of the related project'),
+        sector: nullableString('The industry sector'),
+        estimated_value: { type: ['number', 'null'], minimum: 0, description: 'The estimated value as a plain number without currency or separators' },
+        currency: nullableString('The ISO 4217 currency code of estimated_value', { pattern: '^[A-Z]{3}$' }),
+        contact_name: nullableString('The name of the contact person'),
+        contact_email: nullableString('The email address of the contact person', { format: 'email' }),
+        contact_phone: nullableString('The phone number of the contact person'),
+        contact_address: nullableString('The postal address of the contact person'),
+        url: nullableString('The URL of the tender notice', { format: 'uri' }),
+        document_links: {
+            type: ['array', 'null'],
+            description: 'Tender documents',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['url'],
+                properties: {
+                    title: nullableString('The document title'),
+                    url: { type: 'string', format: 'uri', description: 'The document URL' }
+                }
+            }
+        },
+        language: nullableString('The ISO 639-1 code of the original language', { pattern: '^[a-z]{2}$' }),
+        awards: {
+            type: ['array', 'null'],
+            description: 'The awarded contracts of a contract award notice',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['supplier_name'],
+                properties: {
+                    supplier_name: { type: 'string', description: 'The name of the awarded supplier' },
+                    supplier_country: nullableString('The country of the awarded supplier'),
+                    award_date: nullableString('The award or contract signature date', { format: 'date' }),
+                    value: { type: ['number', 'null'], minimum: 0, description: 'The award value as a plain number without currency or separators' },
+                    currency: nullableString('The ISO 4217 currency code of value', { pattern: '^[A-Z]{3}$' }),
+                    lots: { type: ['array', 'null'], description: 'The lot numbers the award covers', items: { type: 'string' } }
+                }
+            }
+        },
+        lots: {
+            type: ['array', 'null'],
+            description: 'The lots of a tender divided into lots',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['lot_number'],
+                properties: {
+                    lot_number: { type: 'string', description: 'The number of the lot' },
+                    title: nullableString('The title of the lot'),
+                    description: nullableString('The description of the lot'),
+                    estimated_value: { type: ['number', 'null'], minimum: 0, description: 'The estimated value of the lot as a plain number without currency or separators' },
+                    currency: nullableString('The ISO 4217 currency code of estimated_value', { pattern: '^[A-Z]{3}$' }),
+                    classification_codes: { type: ['array', 'null'], description: 'Classification codes of the lot, such as CPV codes', items: { type: 'string' } },
+                    deadline_date: nullableString('The submission deadline of the lot', { format: 'date' })
+                }
+            }
+        },
+        notice_id: nullableString('The identifier of the notice'),
+        reference_number: nullableString('The reference or solicitation number'),
+        procurement_method: nullableString('The procurement method')
+    }
+};
+
+// Validators for the supported string formats
+const FORMAT_CHECKS = {
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime()),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: value => /^https?:\/\/\S+$/i.test(value)
+};
+
+// Human readable descriptions of the supported formats
+const FORMAT_DESCRIPTIONS = {
+    date: 'an ISO date (YYYY-MM-DD)',
+    email: 'an email address',
+    uri: 'an absolute http(s) URL'
+};
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - The value
+ * @returns {string} The JSON type name
+ */
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a (subset of) JSON schema
+ * Supports type, enum, pattern, format, minimum, required, properties, additionalProperties and items
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema
+ * @param {string} path - Path of the value, used in error messages
+ * @param {string[]} errors - Collected error messages
+ * @returns {string[]} The collected error messages
+ */
+function validateValue(value, schema, path, errors) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actualType = jsonType(value);
+    const typeMatches = !schema.type || types.includes(actualType) || (actualType === 'integer' && types.includes('number'));
+
+    if (!typeMatches) {
+        errors.push(`${path}: must be of type ${types.join(' or ')} (got ${actualType} ${JSON.stringify(value)})`);
+        return errors;
+    }
+
+    if (value === null) {
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        const allowed = schema.enum.filter(option => option !== null).join(', ');
+        errors.push(`${path}: must be one of ${allowed} (got ${JSON.stringify(value)})`);
+    }
+
+    if (actualType === 'string') {
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path}: must match pattern ${schema.pattern} (got ${JSON.stringify(value)})`);
+        }
+        if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+            errors.push(`${path}: must be ${FORMAT_DESCRIPTIONS[schema.format]} (got ${JSON.stringify(value)})`);
+        }
+    }
+
+    if ((actualType === 'number' || actualType === 'integer') && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be >= ${schema.minimum} (got ${value})`);
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${path}.${key}: is required`);
+            }
+        });
+
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            const propertySchema = schema.properties && schema.properties[key];
+            if (propertySchema) {
+                validateValue(propertyValue, propertySchema, `${path}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: is not an allowed property`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate an LLM-normalized tender against the unified tender schema
+ * @param {Object} data - The parsed LLM output
+ * @returns {Object} Validation result with valid boolean and errors array
+ */
+function validateUnifiedTender(data) {
+    const errors = validateValue(data, UNIFIED_TENDER_SCHEMA, '$', []);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Describe the schema fields for use in an LLM prompt
+ * @returns {string} A JSON-like object listing each field with its expected content
+ */
+function describeSchemaForPrompt() {
+    const lines = Object.entries(UNIFIED_TENDER_SCHEMA.properties).map(([field, schema]) => {
+        let description = schema.description;
+
+        if (schema.enum) {
+            description += ` - one of: ${schema.enum.filter(option => option !== null).join(', ')}`;
+        } else if (schema.format) {
+            description += ` - ${FORMAT_DESCRIPTIONS[schema.format]}`;
+        }
+
+        if (field === 'document_links') {
+            return `    "${field}": [{"title": "Document title", "url": "Document URL"}]`;
+        }
+        if (field === 'lots') {
+            return `    "${field}": [{"lot_number": "1", "title": "Lot title", "description": "Lot description", "estimated_value": 0, "currency": "ISO 4217 code", "classification_codes": ["CPV code"], "deadline_date": "YYYY-MM-DD"}]`;
+        }
+        if (field === 'awards') {
+            return `    "${field}": [{"supplier_name": "Supplier", "supplier_country": "Country", "award_date": "YYYY-MM-DD", "value": 0, "currency": "ISO 4217 code", "lots": ["Lot number"]}]`;
+        }
+        if (schema.type.includes('number')) {
+            return `    "${field}": "${description} (number)"`;
+        }
+        return `    "${field}": "${description}"`;
+    });
+
+    return `{\n${lines.join(',\n')}\n}`;
+}
+
+module.exports = {
+    UNIFIED_TENDER_SCHEMA,
+    TENDER_STATUSES,
+    TENDER_TYPES,
+    validateUnifiedTender,
+    describeSchemaForPrompt
+};
@@ -0,0 +1,353 @@
+/**
+ * translationService.js
+ * Translation of non-English tender fields into their *_english counterparts
+ *
+ * Runs after normalization: every text field whose detected language is not English and
+ * whose English field is still empty is translated by the configured translator:
+ * - llm: the active LLM provider, with the glossary terms found in the text as instructions
+ * - mt: a local machine translation server with a LibreTranslate-compatible /translate endpoint
+ * - glossary: only the procurement terms of the glossary are replaced, and the result is only
+ *   kept when it reads as English as a whole
+ * - none: no translation (the default)
+ * The procurement glossary (config/translation-glossary.json) is applied by every translator.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const llmProviderRegistry = require('./llmProviderRegistry');
+const { buildCacheKey, getCachedResponse, setCachedResponse } = require('./llmCache');
+const { usageFromResponse, mergeUsage, recordUsage, addUsageColumns, isBudgetExceeded } = require('./llmUsageTracker');
+const { detectLanguage, isReliable, isLanguage } = require('./languageDetector');
+const { recordTranslation } = require('./fieldProvenance');
+const { scheduleCompletion } = require('./llmScheduler');
+
+// Configuration options
+const CONFIG = {
+    // Translator: llm, mt, glossary or none
+    translator: (process.env.TRANSLATION_BACKEND || 'none').toLowerCase(),
+    // Base URL of the machine translation server for the mt translator
+    mtUrl: process.env.TRANSLATION_MT_URL || 'http://localhost:5000',
+    // Timeout of one machine translation request
+    mtTimeoutMs: parseInt(process.env.TRANSLATION_MT_TIMEOUT_MS || '60000', 10),
+    // Glossary of procurement terms by source language
+    glossaryPath: process.env.TRANSLATION_GLOSSARY_PATH || path.join(__dirname, '..', '..', 'config', 'translation-glossary.json'),
+    // Fields with more characters than this are not translated
+    maxChars: parseInt(process.env.TRANSLATION_MAX_CHARS || '8000', 10)
+};
+
+// Text fields and the English fields their translations are stored in
+const TRANSLATED_FIELDS = {
+    title: 'title_english',
+    description: 'description_english',
+    organization_name: 'organization_name_english',
+    buyer: 'buyer_english',
+    project_name: 'project_name_english'
+};
+
+// Language names used in the LLM prompt
+const LANGUAGE_NAMES = {
+    fr: 'French', es: 'Spanish', pt: 'Portuguese', de: 'German', it: 'Italian', nl: 'Dutch',
+    ru: 'Russian', uk: 'Ukrainian', el: 'Greek', ar: 'Arabic', he: 'Hebrew', hi: 'Hindi',
+    th: 'Thai', ko: 'Korean', ja: 'Japanese', zh: 'Chinese'
+};
+
+// Version of the translation prompt, part of the LLM cache key
+const TRANSLATION_PROMPT_VERSION = 'translate-1';
+
+// Statistics for the current process
+const translationStats = {
+    fields: 0,
+    byTranslator: {},
+    errors: 0
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Load the glossary, longest terms first so that they win over the terms they contain
+ * @returns {Object} Map of language code to [{ term, translation, pattern }]
+ */
+function loadGlossary() {
+    try {
+        const glossary = JSON.parse(fs.readFileSync(CONFIG.glossaryPath, 'utf8'));
+        const entries = {};
+        Object.entries(glossary).forEach(([language, terms]) => {
+            entries[language] = Object.entries(terms)
+                .sort(([a], [b]) => b.length - a.length)
+                .map(([term, translation]) => ({
+                    term,
+                    translation,
+                    // Whole words only, case-insensitive, typographic apostrophes included
+                    pattern: new RegExp(`(?<![\\p{L}])${escapeRegExp(term).replace(/'/g, "['’]")}(?![\\p{L}])`, 'giu')
+                }));
+        });
+        return entries;
+    } catch (error) {
+        console.warn(`Could not load translation glossary from ${CONFIG.glossaryPath}: ${error.message}`);
+        return {};
+    }
+}
+
+const GLOSSARY = loadGlossary();
+
+/**
+ * Find the glossary terms that occur in texts
+ * @param {string[]} texts - The texts
+ * @param {string} language - The language of the texts
+ * @returns {Object[]} Matching glossary entries
+ */
+function findGlossaryTerms(texts, language) {
+    return (GLOSSARY[language] || []).filter(({ pattern }) => texts.some(text => {
+        pattern.lastIndex = 0;
+        return pattern.test(text);
+    }));
+}
+
+/**
+ * Replace the glossary terms in a text with their English translation
+ * @param {string} text - The text
+ * @param {string} language - The language of the text
+ * @returns {string} The text with glossary terms replaced
+ */
+function applyGlossary(text, language) {
+    return (GLOSSARY[language] || []).reduce((result, { translation, pattern }) =>
+        result.replace(pattern, match => (match[0] === match[0].toUpperCase()
+            ? translation.charAt(0).toUpperCase() + translation.slice(1)
+            : translation)), text);
+}
+
+/**
+ * Translate with the glossary only
+ * Texts without any glossary term are left untranslated, and so are texts in which words outside
+ * the glossary remain ("Supply de matériel informatique"): a half-translated text would fill the
+ * English field and keep a full translation from ever replacing it.
+ * @param {Object} texts - Map of field to text
+ * @param {string} language - The source language
+ * @returns {Promise<Object>} { translations, usage }
+ */
+async function translateWithGlossary(texts, language) {
+    const translations = {};
+    Object.entries(texts).forEach(([field, text]) => {
+        const translated = applyGlossary(text, language);
+        if (translated !== text && isLanguage(translated, 'en')) {
+            translations[field] = translated;
+        }
+    });
+    return { translations, usage: null };
+}
+
+/**
+ * Translate with the active LLM provider, all fields of a tender in one request
+ * @param {Object} texts - Map of field to text
+ * @param {string} language - The source language
+ * @returns {Promise<Object>} { translations, usage }
+ */
+async function translateWithLLM(texts, language) {
+    const terms = findGlossaryTerms(Object.values(texts), language);
+    const glossaryInstructions = terms.length > 0
+        ? `\nTranslate these procurement terms exactly as given:\n${terms.map(({ term, translation }) => `- "${term}" -> "${translation}"`).join('\n')}\n`
+        : '';
+    const prompt = `Translate the values of the JSON object below from ${LANGUAGE_NAMES[language] || language} to English.
+Keep names of people, places and organizations that have no established English name, and keep numbers, dates and reference codes unchanged.
+${glossaryInstructions}
+Respond with a single JSON object with the same keys and the English translations as values.
+
+${JSON.stringify(texts, null, 2)}`;
+
+    const provider = llmProviderRegistry.getActiveProvider();
+    const model = provider.settings.model;
+    const cacheKey = buildCacheKey(prompt, model, TRANSLATION_PROMPT_VERSION);
+
+    let llmResponse = await getCachedResponse(cacheKey);
+    let usage = null;
+    if (!llmResponse) {
+        llmResponse = await scheduleCompletion(provider, prompt);
+        usage = usageFromResponse(llmResponse, model);
+        if (llmResponse && llmResponse.choices && llmResponse.choices.length > 0) {
+            await setCachedResponse(cacheKey, llmResponse, { model, promptVersion: TRANSLATION_PROMPT_VERSION });
+        }
+    }
+
+    const content = llmResponse && llmResponse.choices && llmResponse.choices.length > 0
+        ? llmResponse.choices[0].message.content
+        : '';
+    const jsonText = (content.match(/```(?:json)?\s*([\s\S]*?)\s*```/) || [null, content])[1];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error('LLM translation is not a valid JSON object');
+    }
+
+    const translations = {};
+    Object.keys(texts).forEach(field => {
+        if (typeof parsed[field] === 'string' && parsed[field].trim()) {
+            translations[field] = parsed[field].trim();
+        }
+    });
+    return { translations, usage };
+}
+
+/**
+ * Translate with a LibreTranslate-compatible machine translation server
+ * Glossary terms are replaced before translation, so the server passes them through.
+ * @param {Object} texts - Map of field to text
+ * @param {string} language - The source language
+ * @returns {Promise<Object>} { translations, usage }
+ */
+async function translateWithMT(texts, language) {
+    const translations = {};
+
+    for (const [field, text] of Object.entries(texts)) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), CONFIG.mtTimeoutMs);
+        try {
+            const response = await fetch(`${CONFIG.mtUrl.replace(/\/+$/, '')}/translate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ q: applyGlossary(text, language), source: language, target: 'en', format: 'text' }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Error calling translation server: ${response.status} ${response.statusText} - ${errorText}`);
+            }
+
+            const { translatedText } = await response.json();
+            if (translatedText && translatedText.trim()) {
+                translations[field] = translatedText.trim();
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Translation request timed out after ${CONFIG.mtTimeoutMs / 1000} seconds`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    return { translations, usage: null };
+}
+
+// Translators by name: (texts, language) => { translations, usage }
+const TRANSLATORS = {
+    llm: translateWithLLM,
+    mt: translateWithMT,
+    glossary: translateWithGlossary
+};
+
+/**
+ * Register an additional translator
+ * @param {string} name - The translator name, selectable with TRANSLATION_BACKEND
+ * @param {Function} translate - (texts, language) => Promise<{ translations, usage }>
+ */
+function registerTranslator(name, translate) {
+    TRANSLATORS[name] = translate;
+}
+
+/**
+ * Get the translator to use for the next tender
+ * @returns {string|null} The translator name, or null if translation is disabled
+ */
+function getActiveTranslator() {
+    if (CONFIG.translator === 'none') return null;
+    if (!TRANSLATORS[CONFIG.translator]) {
+        console.warn(`Unknown translator "${CONFIG.translator}", using the glossary`);
+        return 'glossary';
+    }
+
+    // Once the LLM budget is used up, only the glossary is applied
+    if (CONFIG.translator === 'llm' && isBudgetExceeded()) {
+        return 'glossary';
+    }
+    return CONFIG.translator;
+}
+
+/**
+ * Collect the fields of a tender that need a translation, grouped by language
+ * @param {Object} record - The normalized tender
+ * @returns {Object} Map of language code to { field: text }
+ */
+function collectUntranslatedFields(record) {
+    const byLanguage = {};
+
+    Object.entries(TRANSLATED_FIELDS).forEach(([field, englishField]) => {
+        const text = record[field];
+        if (typeof text !== 'string' || !text.trim() || record[englishField] || text.length > CONFIG.maxChars) return;
+
+        const detection = (record.language_tags && record.language_tags[field]) || detectLanguage(text);
+        if (!isReliable(detection) || detection.language === 'en') return;
+
+        byLanguage[detection.language] = byLanguage[detection.language] || {};
+        byLanguage[detection.language][field] = text;
+    });
+
+    return byLanguage;
+}
+
+/**
+ * Translate the non-English text fields of a normalized tender into their English fields
+ * Translation failures are logged and leave the English fields empty.
+ * @param {Object} record - The normalized tender (language_tags set by the language detector)
+ * @param {string} sourceTable - The source table name, for LLM usage accounting
+ * @returns {Promise<string[]>} The English fields that were filled
+ */
+async function translateTender(record, sourceTable) {
+    const translator = getActiveTranslator();
+    if (!record || !translator) return [];
+
+    const filled = [];
+    let usage = null;
+
+    for (const [language, texts] of Object.entries(collectUntranslatedFields(record))) {
+        try {
+            const result = await TRANSLATORS[translator](texts, language);
+            usage = mergeUsage(usage, result.usage);
+
+            Object.entries(result.translations).forEach(([field, translation]) => {
+                const englishField = TRANSLATED_FIELDS[field];
+                record[englishField] = translation;
+                recordTranslation(record, englishField, translator, field);
+                filled.push(englishField);
+            });
+        } catch (error) {
+            translationStats.errors++;
+            console.warn(`Could not translate ${Object.keys(texts).join(', ')} from ${language} with the ${translator} translator: ${error.message}`);
+        }
+    }
+
+    if (usage) {
+        recordUsage(sourceTable, usage, { countTender: false });
+        addUsageColumns(record, usage);
+    }
+
+    translationStats.fields += filled.length;
+    translationStats.byTranslator[translator] = (translationStats.byTranslator[translator] || 0) + filled.length;
+    return filled;
+}
+
+/**
+ * Get translation statistics for the current process
+ * @returns {Object} Number of translated fields, by translator, and errors
+ */
+function getTranslationStats() {
+    return { ...translationStats, byTranslator: { ...translationStats.byTranslator } };
+}
+
+module.exports = {
+    applyGlossary,
+    registerTranslator,
+    translateTender,
+    getTranslationStats
+};
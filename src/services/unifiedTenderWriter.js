@@ -0,0 +1,299 @@
+/**
+ * unifiedTenderWriter.js
+ * Bulk write stage for normalized tenders
+ *
+ * Normalized tenders are upserted into unified_tenders in batches on (source_table, source_id),
+ * and the raw tenders they came from are marked with one last_processed_at update per batch.
+ * When a batch upsert fails, its rows are written one by one so that every row gets its own
+ * result and one bad row does not fail the others. Every written row is also appended to the
+ * version history, amendments are linked to the tenders they amend, notices are added to
+ * their procurement processes, and tenders are clustered with their duplicates from other sources.
+ * Values are converted to USD and EUR before they are written. The awards of award notices and
+ * the lots of multi-lot tenders are stored in their own tables rather than on the unified row.
+ */
+
+const { createWorkerPool } = require('../utils/workerPool');
+const { recordSnapshots } = require('./tenderHistory');
+const { resolveParents, refreshAmendmentChains } = require('./amendmentLinker');
+const { assignProcesses, updateProcesses } = require('./procurementLifecycle');
+const { clusterDuplicates } = require('./duplicateClusterer');
+const { saveAwards } = require('./tenderAwards');
+const { saveLots } = require('./tenderLots');
+const { convertTenderValues } = require('./currencyConverter');
+
+// Configuration options
+const CONFIG = {
+    // Normalized tenders buffered before the writer flushes
+    batchSize: parseInt(process.env.UNIFIED_WRITE_BATCH_SIZE || '200', 10),
+    // Longest time a buffered tender waits for its batch to fill
+    flushIntervalMs: parseInt(process.env.UNIFIED_WRITE_FLUSH_MS || '1000', 10),
+    // Writes to the database running at the same time
+    dbWriteConcurrency: parseInt(process.env.DB_WRITE_CONCURRENCY || '10', 10),
+    // Row IDs per last_processed_at update request
+    markChunkSize: 500
+};
+
+// Fields of a normalized tender stored in related tables instead of unified_tenders
+const RELATED_FIELDS = ['awards', 'lots'];
+
+// Columns maintained by the stages after the write (amendment chains and duplicate clusters),
+// never written from a normalized tender
+const STAGE_COLUMNS = ['amendments', 'amendment_count', 'effective_deadline_date', 'cluster_id', 'is_canonical', 'cluster_members'];
+
+// Shared by all writers of the process, so that concurrent flushes together stay within the limit
+const dbWritePool = createWorkerPool(CONFIG.dbWriteConcurrency);
+
+/**
+ * Build the key of a unified tender
+ * @param {Object} tender - The normalized tender
+ * @returns {string} source_table and source_id
+ */
+function getTenderKey(tender) {
+    return `${tender.source_table}\u0000${tender.source_id}`;
+}
+
+/**
+ * Build the unified_tenders row of a normalized tender
+ * @param {Object} tender - The normalized tender
+ * @returns {Object} The tender without the fields stored in related tables or maintained by later stages
+ */
+function toRow(tender) {
+    const row = { ...tender };
+    [...RELATED_FIELDS, ...STAGE_COLUMNS].forEach(field => delete row[field]);
+    return row;
+}
+
+/**
+ * Upsert rows, one request per column set
+ * A bulk upsert writes the same columns for every row, and a column missing from one row would
+ * be written as null over the value stored for it. Rows are therefore grouped by their columns,
+ * so that a column a normalized tender has no value for keeps its stored value.
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} rows - The normalized tenders
+ * @returns {Promise<Object|null>} The error of the first failed upsert, or null
+ */
+async function upsertRows(supabaseAdmin, rows) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const columns = Object.keys(row).sort().join(',');
+        groups.set(columns, [...(groups.get(columns) || []), row]);
+    });
+
+    for (const group of groups.values()) {
+        const { error } = await supabaseAdmin
+            .from('unified_tenders')
+            .upsert(group, { onConflict: 'source_table,source_id' });
+        if (error) {
+            return error;
+        }
+    }
+    return null;
+}
+
+/**
+ * Set last_processed_at on raw tenders
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {string} sourceTable - The source table name
+ * @param {Array<string|number>} recordIds - IDs of the raw tenders
+ */
+async function markProcessed(supabaseAdmin, sourceTable, recordIds) {
+    const processedAt = new Date().toISOString();
+
+    for (let i = 0; i < recordIds.length; i += CONFIG.markChunkSize) {
+        const { error } = await supabaseAdmin
+            .from(sourceTable)
+            .update({ last_processed_at: processedAt })
+            .in('id', recordIds.slice(i, i + CONFIG.markChunkSize));
+
+        if (error) {
+            console.warn(`Failed to update last_processed_at for ${sourceTable} tenders: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Write normalized tenders to unified_tenders
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object[]} entries - Tenders to write
+ * @param {Object} entries[].tender - The normalized tender, with source_table and source_id set
+ * @param {string|number} [entries[].sourceRecordId] - ID of the raw tender in its source table
+ * @param {boolean} [entries[].markProcessed=false] - Set last_processed_at on the raw tender once written
+ * @param {boolean} [entries[].existing=false] - The tender was already in unified_tenders
+ * @returns {Promise<Object[]>} One result per entry: { success, outcome: 'inserted'|'updated' } or { success: false, error }
+ */
+async function upsertUnifiedTenders(supabaseAdmin, entries) {
+    if (entries.length === 0) {
+        return [];
+    }
+
+    // A batch may not touch the same row twice; the last version of a tender wins
+    const latest = new Map();
+    entries.forEach(entry => latest.set(getTenderKey(entry.tender), entry));
+    const uniqueEntries = [...latest.values()];
+
+    // Amendments and processes are linked before the tenders are written, so that the links are part of their rows
+    await resolveParents(supabaseAdmin, uniqueEntries.map(entry => entry.tender));
+    await assignProcesses(supabaseAdmin, uniqueEntries.map(entry => entry.tender));
+
+    try {
+        await convertTenderValues(supabaseAdmin, uniqueEntries.map(entry => entry.tender));
+    } catch (error) {
+        console.warn(`Failed to convert tender values: ${error.message}`);
+    }
+
+    const results = new Map();
+    const batchError = await upsertRows(supabaseAdmin, uniqueEntries.map(entry => toRow(entry.tender)));
+
+    if (!batchError) {
+        uniqueEntries.forEach(entry => results.set(entry, null));
+    } else {
+        console.warn(`Bulk upsert of ${uniqueEntries.length} unified tenders failed (${batchError.message}), writing them one by one`);
+        for (const entry of uniqueEntries) {
+            const rowError = await upsertRows(supabaseAdmin, [toRow(entry.tender)]);
+            if (rowError) {
+                console.error(`Error saving unified tender ${entry.tender.source_id} from ${entry.tender.source_table}: ${rowError.message}`);
+            }
+            results.set(entry, rowError);
+        }
+    }
+
+    const writtenEntries = uniqueEntries.filter(entry => !results.get(entry));
+    await recordSnapshots(supabaseAdmin, writtenEntries.map(entry => entry.tender));
+    await saveAwards(supabaseAdmin, writtenEntries.map(entry => entry.tender));
+    await saveLots(supabaseAdmin, writtenEntries.map(entry => entry.tender));
+
+    try {
+        await refreshAmendmentChains(supabaseAdmin, writtenEntries.map(entry => entry.tender));
+    } catch (error) {
+        console.warn(`Failed to update amendment chains: ${error.message}`);
+    }
+
+    try {
+        await updateProcesses(supabaseAdmin, writtenEntries.map(entry => entry.tender));
+    } catch (error) {
+        console.warn(`Failed to update procurement processes: ${error.message}`);
+    }
+
+    try {
+        await clusterDuplicates(supabaseAdmin, writtenEntries.map(entry => entry.tender));
+    } catch (error) {
+        console.warn(`Failed to cluster duplicate tenders: ${error.message}`);
+    }
+
+    // Mark the raw tenders of the written rows as processed, one update per source table
+    const processedIds = {};
+    writtenEntries.forEach(entry => {
+        if (entry.markProcessed && entry.sourceRecordId !== undefined && entry.sourceRecordId !== null) {
+            (processedIds[entry.tender.source_table] = processedIds[entry.tender.source_table] || []).push(entry.sourceRecordId);
+        }
+    });
+    for (const [sourceTable, recordIds] of Object.entries(processedIds)) {
+        await markProcessed(supabaseAdmin, sourceTable, recordIds);
+    }
+
+    return entries.map(entry => {
+        const error = results.get(latest.get(getTenderKey(entry.tender)));
+        if (error) {
+            return { success: false, error: error.message };
+        }
+        return { success: true, outcome: entry.existing ? 'updated' : 'inserted' };
+    });
+}
+
+/**
+ * Create a buffered writer
+ * Tenders are written when the buffer holds batchSize tenders, when a tender has waited
+ * flushIntervalMs, and on flush().
+ * @param {Object} supabaseAdmin - Supabase client
+ * @param {Object} [options] - Writer options
+ * @param {number} [options.batchSize] - Tenders per bulk upsert (default: UNIFIED_WRITE_BATCH_SIZE)
+ * @param {number} [options.flushIntervalMs] - Longest wait of a buffered tender (default: UNIFIED_WRITE_FLUSH_MS)
+ * @returns {Object} Writer with write(entry), markProcessed(sourceTable, recordId) and flush()
+ */
+function createUnifiedTenderWriter(supabaseAdmin, { batchSize = CONFIG.batchSize, flushIntervalMs = CONFIG.flushIntervalMs } = {}) {
+    let buffer = [];
+    let processedBuffer = {};
+    let timer = null;
+    const inFlight = new Set();
+
+    const track = (promise) => {
+        inFlight.add(promise);
+        promise.finally(() => inFlight.delete(promise));
+        return promise;
+    };
+
+    const flushBuffered = () => {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+
+        const pending = buffer;
+        const processed = processedBuffer;
+        buffer = [];
+        processedBuffer = {};
+
+        if (pending.length > 0) {
+            track(dbWritePool.run(() => upsertUnifiedTenders(supabaseAdmin, pending.map(item => item.entry)))
+                .then(
+                    results => pending.forEach((item, index) => item.resolve(results[index])),
+                    error => pending.forEach(item => item.resolve({ success: false, error: error.message }))
+                ));
+        }
+        for (const [sourceTable, recordIds] of Object.entries(processed)) {
+            track(dbWritePool.run(() => markProcessed(supabaseAdmin, sourceTable, recordIds))
+                .catch(error => console.warn(`Failed to update last_processed_at for ${sourceTable} tenders: ${error.message}`)));
+        }
+    };
+
+    const scheduleFlush = () => {
+        if (!timer) {
+            timer = setTimeout(flushBuffered, flushIntervalMs);
+        }
+    };
+
+    return {
+        /**
+         * Buffer a normalized tender
+         * @param {Object} entry - Tender to write, as for upsertUnifiedTenders
+         * @returns {Promise<Object>} The write result once the tender's batch has been written
+         */
+        write(entry) {
+            return new Promise(resolve => {
+                buffer.push({ entry, resolve });
+                if (buffer.length >= batchSize) {
+                    flushBuffered();
+                } else {
+                    scheduleFlush();
+                }
+            });
+        },
+
+        /**
+         * Buffer a last_processed_at update for a raw tender that was not rewritten
+         * @param {string} sourceTable - The source table name
+         * @param {string|number} recordId - ID of the raw tender
+         */
+        markProcessed(sourceTable, recordId) {
+            (processedBuffer[sourceTable] = processedBuffer[sourceTable] || []).push(recordId);
+            scheduleFlush();
+        },
+
+        /**
+         * Write everything buffered and wait for all writes of this writer
+         * @returns {Promise<void>}
+         */
+        async flush() {
+            flushBuffered();
+            while (inFlight.size > 0) {
+                await Promise.all([...inFlight]);
+            }
+        }
+    };
+}
+
+module.exports = {
+    upsertUnifiedTenders,
+    markProcessed,
+    createUnifiedTenderWriter
+};
@@ -3,6 +3,16 @@
  * Abstract base class for all tender source adapters
  */
 
+const { recordAdapter, recordRule, pruneProvenance } = require('../services/fieldProvenance');
+const { tagLanguages } = require('../services/languageDetector');
+const { translateTender } = require('../services/translationService');
+const { computeContentHash } = require('../services/contentHash');
+const { detectAmendment } = require('../services/amendmentLinker');
+const { getLifecycleStage } = require('../services/procurementLifecycle');
+const { normalizeAwards } = require('../services/tenderAwards');
+const { normalizeLots, deriveFromLots } = require('../services/tenderLots');
+const { extractNumericValue } = require('../utils/moneyParser');
+
 class BaseSourceAdapter {
   /**
    * Constructor for the base adapter
@@ -47,6 +57,101 @@ class BaseSourceAdapter {
     return '';
   }
   
+  /**
+   * Get columns of this source that change without the tender content changing
+   * Volatile columns common to all sources (timestamps, row id) are always ignored.
+   * @returns {string[]} Column names left out of the content hash
+   */
+  getVolatileColumns() {
+    return [];
+  }
+  
+  /**
+   * Compute the content hash of a raw tender, used to detect changed tenders
+   * @param {Object} tender - The tender data from the source table
+   * @returns {string} The content hash
+   */
+  getContentHash(tender) {
+    return computeContentHash(tender, this.getVolatileColumns());
+  }
+  
+  /**
+   * Extract the awards of an award notice
+   * Reads the award columns common to the sources; adapters with other columns override it.
+   * @param {Object} tender - The tender data from the source table
+   * @returns {Object[]} Awards as { supplier_name, supplier_country, award_date, value, currency, lots }
+   */
+  extractAwards(tender) {
+    const supplierName = tender.awardee_name || tender.awardee || tender.awarded_supplier ||
+      tender.supplier_name || tender.winner_name || tender.contractor_name || null;
+    const value = extractNumericValue(tender.award_amount ?? tender.award_value ?? tender.awarded_value ?? null);
+    if (!supplierName && value === null) {
+      return [];
+    }
+    
+    return [{
+      supplier_name: supplierName,
+      supplier_country: tender.supplier_country || tender.awardee_country || tender.winner_country || null,
+      // Left as published; normalizeAward keeps it only if it is a date
+      award_date: tender.award_date || null,
+      value,
+      currency: tender.award_currency || tender.currency || null,
+      lots: null
+    }];
+  }
+  
+  /**
+   * Extract the lots of a multi-lot tender
+   * Reads a lots array with the lot attributes common to the sources; adapters with other columns override it.
+   * @param {Object} tender - The tender data from the source table
+   * @returns {Object[]} Lots as { lot_number, title, description, estimated_value, currency, classification_codes, deadline_date }
+   */
+  extractLots(tender) {
+    let lots = tender.lots;
+    if (typeof lots === 'string') {
+      try {
+        lots = JSON.parse(lots);
+      } catch (error) {
+        lots = null;
+      }
+    }
+    if (!Array.isArray(lots)) {
+      return [];
+    }
+    
+    return lots.filter(lot => lot && typeof lot === 'object').map((lot, index) => {
+      const codes = lot.classification_codes || lot.cpv_codes || lot.cpv_code || null;
+      return {
+        lot_number: lot.lot_number ?? lot.lot_id ?? lot.number ?? String(index + 1),
+        title: lot.title || lot.name || null,
+        description: lot.description || null,
+        estimated_value: extractNumericValue(lot.estimated_value ?? lot.estimated_cost ?? null),
+        currency: lot.currency || tender.currency || null,
+        classification_codes: codes ? [].concat(codes) : null,
+        // Left as published; normalizeLots keeps it only if it is a date
+        deadline_date: lot.deadline_date || lot.submission_deadline || null
+      };
+    });
+  }
+  
+  /**
+   * Run the award or lot extraction of a tender
+   * Source columns that cannot be read are logged and leave the tender without awards or lots
+   * from the source, rather than failing the tender.
+   * @param {Object} tender - The tender data from the source table
+   * @param {string} kind - 'awards' or 'lots'
+   * @param {Function} extract - The extraction, e.g. () => this.extractLots(tender)
+   * @returns {Object[]} The extracted awards or lots
+   */
+  extractRelated(tender, kind, extract) {
+    try {
+      return extract();
+    } catch (error) {
+      console.warn(`Could not extract the ${kind} of ${this.sourceName} tender ${this.getSourceId(tender)}: ${error.message}`);
+      return [];
+    }
+  }
+  
   /**
    * Process a tender using this adapter
    * @param {Object} tender - The tender data from the source table
@@ -55,6 +160,7 @@ class BaseSourceAdapter {
    */
   async processTender(tender, normalizeTenderWithLLM) {
     const sourceId = this.getSourceId(tender);
+    const contentHash = this.getContentHash(tender);
     const mappedFields = this.mapFields(tender);
     
     // Process with LLM
@@ -68,60 +174,72 @@ class BaseSourceAdapter {
     Object.entries(mappedFields).forEach(([key, value]) => {
       if (!normalizedData[key] && value !== null && value !== undefined) {
         normalizedData[key] = value;
+        recordAdapter(normalizedData, key, 'mapFields');
       }
     });
     
     // Apply source-specific URL generation if needed
     if (!normalizedData.url) {
       normalizedData.url = this.generateUrl(tender);
+      recordAdapter(normalizedData, 'url', 'generateUrl');
+    }
+    
+    // Amendments are recognized from the raw title, as title enhancement strips prefixes like "Amendment 1 to"
+    Object.assign(normalizedData, detectAmendment(mappedFields.title, mappedFields.tender_type || normalizedData.tender_type));
+    
+    // Stage of the notice in its procurement process
+    normalizedData.lifecycle_stage = getLifecycleStage(mappedFields.tender_type || normalizedData.tender_type);
+    
+    // Awards come from the award columns of award notices, else from the LLM
+    const sourceAwards = normalizedData.lifecycle_stage === 'award' ? normalizeAwards(this.extractRelated(tender, 'awards', () => this.extractAwards(tender))) : [];
+    if (sourceAwards.length > 0) {
+      normalizedData.awards = sourceAwards;
+      recordAdapter(normalizedData, 'awards', 'extractAwards');
+    } else if (normalizedData.awards !== undefined) {
+      normalizedData.awards = normalizeAwards(normalizedData.awards);
+    }
+    
+    // Lots come from the lot columns of the source, else from the LLM
+    const sourceLots = normalizeLots(this.extractRelated(tender, 'lots', () => this.extractLots(tender)));
+    if (sourceLots.length > 0) {
+      normalizedData.lots = sourceLots;
+      recordAdapter(normalizedData, 'lots', 'extractLots');
+    } else if (normalizedData.lots !== undefined) {
+      normalizedData.lots = normalizeLots(normalizedData.lots);
+    }
+    if (normalizedData.lots) {
+      // A tender without a value of its own is worth the sum of its lots
+      const derived = deriveFromLots(normalizedData);
+      normalizedData.lot_count = derived.lot_count;
+      if (!normalizedData.estimated_value && derived.estimated_value !== undefined) {
+        normalizedData.estimated_value = derived.estimated_value;
+        recordRule(normalizedData, 'estimated_value', 'value-from-lots');
+        if (derived.currency && !normalizedData.currency) {
+          normalizedData.currency = derived.currency;
+          recordRule(normalizedData, 'currency', 'value-from-lots');
+        }
+      }
+    }
+    
+    // Tag the language of the text fields and detect the language if it is not known
+    if (tagLanguages(normalizedData)) {
+      recordRule(normalizedData, 'language', 'language-detection');
     }
     
+    // Translate non-English text fields that have no English version yet
+    await translateTender(normalizedData, this.sourceName);
+    
+    // Drop provenance of fields that ended up empty
+    pruneProvenance(normalizedData);
+    
     // Ensure source metadata is set
     normalizedData.source_table = this.sourceName;
     normalizedData.source_id = sourceId;
     normalizedData.original_data = tender;
+    normalizedData.raw_content_hash = contentHash;
     
     return normalizedData;
   }
-
-  /**
-   * Extract numeric value from currency string
-   * @param {string|number} value - The currency value to parse
-   * @returns {number|null} The extracted numeric value or null if invalid
-   */
-  extractNumericValue(value) {
-    if (value === null || value === undefined) return null;
-    
-    try {
-      // If already a number, return it
-      if (typeof value === 'number') return value;
-      
-      // Convert to string and clean it up
-      let cleanValue = value.toString()
-        // Remove currency codes (e.g., USD, EUR, LKR)
-        .replace(/[A-Z]{3}\s*/g, '')
-        // Remove currency symbols
-        .replace(/[$€£¥]/g, '')
-        // Remove commas and spaces
-        .replace(/[,\s]/g, '')
-        // Trim whitespace
-        .trim();
-        
-      // Parse the cleaned value
-      const numericValue = parseFloat(cleanValue);
-      
-      // Ensure we have a valid number
-      if (isNaN(numericValue)) {
-        console.warn(`Could not parse numeric value from: ${value}`);
-        return null;
-      }
-      
-      return numericValue;
-    } catch (error) {
-      console.warn(`Failed to extract numeric value from: ${value}`, error);
-      return null;
-    }
-  }
 }
 
 module.exports = BaseSourceAdapter;
\ No newline at end of file
@@ -31,7 +31,7 @@ class AdbAdapter extends BaseSourceAdapter {
       organization_id: tender.borrower || tender.agency,
       country: tender.country,
       status: this.mapStatus(tender.status),
-      tender_type: tender.procurement_type || "Tender",
+      tender_type: /contract award/i.test(tender.notice_type || '') ? "Contract Award" : (tender.procurement_type || "Tender"),
       sector: tender.sector || tender.category
     };
   }
@@ -78,6 +78,7 @@ class AdbAdapter extends BaseSourceAdapter {
     6. Generate standard URL format for ADB notices.
     7. Always look for 'estimated_value', 'contract_value', or similar fields for financial information.
     8. Pay attention to 'project_number' or 'project_id' fields for reference information.
+    9. For contract award notices (notice_type "Contract Award"), take the awards from the awarded contractors in 'notice_details': contractor name, country and contract amount.
     `;
   }
 }
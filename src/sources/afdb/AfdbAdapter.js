@@ -129,6 +129,7 @@ class AfdbAdapter extends BaseSourceAdapter {
     6. Extract financial information from 'estimated_cost', 'contract_value', or similar fields.
     7. Look for project information in 'project_name', 'project_id', or related fields.
     8. Watch for multilingual entries - prioritize English but retain information in other languages if useful.
+    9. Tenders divided into lots ("lot", "lots") - list every lot with its own estimated cost and deadline.
     `;
   }
 }
@@ -4,6 +4,7 @@
  */
 
 const BaseSourceAdapter = require('../BaseSourceAdapter');
+const { extractNumericValue } = require('../../utils/moneyParser');
 
 class SamGovAdapter extends BaseSourceAdapter {
   constructor() {
@@ -33,11 +34,40 @@ class SamGovAdapter extends BaseSourceAdapter {
       status: this.mapStatus(tender.opportunity_status),
       tender_type: this.mapOpportunityType(tender.opportunity_type),
       sector: this.inferSectorFromNAICS(tender.naics_code),
-      estimated_value: this.extractNumericValue(tender.estimated_value || tender.potential_award_amount || tender.award_amount),
-      contract_value: this.extractNumericValue(tender.contract_value || tender.award_amount || tender.potential_award_amount)
+      estimated_value: extractNumericValue(tender.estimated_value || tender.potential_award_amount || tender.award_amount),
+      contract_value: extractNumericValue(tender.contract_value || tender.award_amount || tender.potential_award_amount)
     };
   }
   
+  /**
+   * Extract the awards of a SAM.gov award notice
+   * Award notices carry an award object (amount, date, awardee with location); other rows use the common award columns.
+   */
+  extractAwards(tender) {
+    let award = tender.award;
+    if (typeof award === 'string') {
+      try {
+        award = JSON.parse(award);
+      } catch (error) {
+        award = null;
+      }
+    }
+    if (!award || typeof award !== 'object') {
+      return super.extractAwards(tender);
+    }
+    
+    const awardee = award.awardee || {};
+    const country = awardee.location?.country;
+    return [{
+      supplier_name: awardee.name || null,
+      supplier_country: (country && (country.name || country.code)) || null,
+      award_date: award.date || null,
+      value: extractNumericValue(award.amount ?? tender.award_amount ?? null),
+      currency: 'USD',
+      lots: null
+    }];
+  }
+  
   /**
    * Generate standard URL for SAM.gov tenders
    */
@@ -112,10 +142,11 @@ class SamGovAdapter extends BaseSourceAdapter {
    */
   getSourceSpecificPrompt() {
     return `
-    SPECIFIC INSTRUCTIONS FOR SAM.GOV DATA:
-    1. For 'place_of_performance' JSON field - extract country, state, city, and zip code information.
-    2. For 'contacts' JSON array - identify primary contact if possible and extract all details.
-    3. Map opportunity types to standard tender types:
+    SPECIFIC INSTRUCTIONS FOR SAM.GOV DATA (US GOVERNMENT):
+    1. The country is "UNITED STATES". The organization name can be found in either 'organizationName' or 'agency'.
+    2. For 'place_of_performance' JSON field - extract country, state, city, and zip code information.
+    3. For 'contacts' JSON array - identify primary contact if possible and extract all details.
+    4. Map opportunity types to standard tender types:
        - "solicitation" → "Tender"
        - "presolicitation" → "Prior Information Notice" 
        - "award" → "Contract Award"
@@ -123,13 +154,13 @@ class SamGovAdapter extends BaseSourceAdapter {
        - "sources_sought" → "Request for Information"
        - "special_notice" → "Special Notice"
        - "combined_synopsis_solicitation" → "Request for Proposal"
-    4. Map opportunity statuses to standard statuses:
+    5. Map opportunity statuses to standard statuses:
        - "active" → "Open"
        - "inactive" → "Closed"
        - "archived" → "Closed"
        - "awarded" → "Awarded"
        - "canceled" → "Canceled"
-    5. For NAICS codes, include the industry sector in the 'sector' field:
+    6. For NAICS codes, include the industry sector in the 'sector' field:
        - Codes starting with "541" → "Information Technology"
        - Codes starting with "236", "237", "238" → "Construction"
        - Codes starting with "31", "32", "33" → "Manufacturing"
@@ -139,9 +170,9 @@ class SamGovAdapter extends BaseSourceAdapter {
        - Codes starting with "48" → "Transportation"
        - Codes starting with "22" → "Utilities"
        - Codes starting with "11" → "Agriculture"
-    6. Handle set-aside types like "Small Business", "8(a) Sole Source", etc. and include in description.
-    7. Generate standard URL format: https://sam.gov/opp/{opportunity_id}/view
-    8. Always look for 'potential_award_amount' or similar fields for financial information.
+    7. Handle set-aside types like "Small Business", "8(a) Sole Source", etc. and include in description.
+    8. Generate standard URL format: https://sam.gov/opp/{opportunity_id}/view
+    9. Always look for 'potential_award_amount' or similar fields for financial information.
     `;
   }
 }
@@ -4,6 +4,7 @@
  */
 
 const BaseSourceAdapter = require('../BaseSourceAdapter');
+const { extractNumericValue } = require('../../utils/moneyParser');
 
 class TedEuAdapter extends BaseSourceAdapter {
   constructor() {
@@ -36,6 +37,36 @@ class TedEuAdapter extends BaseSourceAdapter {
     };
   }
   
+  /**
+   * Extract the awards of a TED contract award notice
+   * Award notices list their results per lot; lots won by the same winner form one award.
+   */
+  extractAwards(tender) {
+    const lots = Array.isArray(tender.lots) ? tender.lots : [];
+    const awards = new Map();
+    lots.forEach(lot => {
+      const winner = lot.winner_name || lot.winner || lot.contractor_name;
+      if (!winner) return;
+      
+      const award = awards.get(winner) || {
+        supplier_name: winner,
+        supplier_country: lot.winner_country || null,
+        award_date: lot.award_date || lot.contract_conclusion_date || null,
+        value: null,
+        currency: lot.currency || tender.currency || null,
+        lots: []
+      };
+      const value = extractNumericValue(lot.awarded_value ?? lot.value ?? null);
+      if (value !== null) {
+        award.value = (award.value || 0) + value;
+      }
+      award.lots.push(String(lot.lot_number || lot.lot_id || lot.title || award.lots.length + 1));
+      awards.set(winner, award);
+    });
+    
+    return awards.size > 0 ? [...awards.values()] : super.extractAwards(tender);
+  }
+  
   /**
    * Generate standard URL for TED EU tenders
    */
@@ -109,6 +140,8 @@ class TedEuAdapter extends BaseSourceAdapter {
     6. Extract financial information from 'value', 'estimated_value', or similar fields, being careful about currency conversion.
     7. Pay special attention to NUTS codes for location information beyond country level.
     8. Generate standard URL format using document_id: https://ted.europa.eu/udl?uri=TED:NOTICE:{document_id}:TEXT:EN:HTML
+    9. For contract award notices, take the awards from the results of each lot (winner, winner country, awarded value).
+    10. For tenders divided into lots, list every lot with its own estimated value, CPV codes and deadline.
     `;
   }
 }
@@ -31,7 +31,7 @@ class WbAdapter extends BaseSourceAdapter {
       organization_id: tender.borrower || tender.organization,
       country: tender.country || tender.borrower_country,
       status: this.mapStatus(tender.status),
-      tender_type: tender.procurement_method || "Tender",
+      tender_type: /contract award/i.test(tender.notice_type || '') ? "Contract Award" : (tender.procurement_method || "Tender"),
       sector: tender.sector
     };
   }
@@ -75,6 +75,8 @@ class WbAdapter extends BaseSourceAdapter {
     5. For 'notice_details' - extract as much structured information as possible.
     6. Generate standard URL format: https://projects.worldbank.org/en/projects-operations/procurement/notice/{notice_no}
     7. Always look for 'estimated_value' or similar fields for financial information.
+    8. For contract award notices (notice_type "Contract Award"), take the awards from the awarded bidders in 'notice_details': bidder name, country and signed contract price.
+    9. Bidding documents often divide the works or goods into lots; list every lot described in 'notice_details' with its own estimated value and deadline.
     `;
   }
 }
@@ -0,0 +1,279 @@
+/**
+ * moneyParser.js
+ * Parsing of money amounts written in different locales
+ *
+ * Amounts are found anywhere in a string together with their currency (an ISO 4217 code, a
+ * symbol or a currency word before or after the number). Anglo ("1,234,567.89") and European
+ * ("1.234.567,89", "1 234 567,89", "1'234'567.89") separators are told apart, scale words
+ * ("2.5 million", "3 bn", "1,2 Mio.", "12,5 mill.", "4 millones", "2 milliards") are applied, and ranges
+ * ("between 1 and 2 million", "USD 10,000 - 20,000") and estimates ("approx. EUR 50,000") are
+ * recognized. Years ("Budget 2024: 1,000,000") and the numbers of lots, items and the like
+ * ("Lot 3 - 50 000 EUR") are not taken for amounts when the string has other numbers.
+ */
+
+// ISO 4217 currency codes known to the runtime
+const CURRENCY_CODES = new Set(typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('currency') : []);
+
+// Currency symbols and words, longest first so that "US$" wins over "$"
+const CURRENCY_SYMBOLS = [
+    ['US$', 'USD'], ['A$', 'AUD'], ['C$', 'CAD'], ['NZ$', 'NZD'], ['R$', 'BRL'], ['HK$', 'HKD'], ['S$', 'SGD'],
+    ['FCFA', 'XOF'], ['F CFA', 'XOF'], ['Rs.', 'INR'], ['Rs', 'INR'],
+    ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₱', 'PHP'], ['₦', 'NGN'],
+    ['₩', 'KRW'], ['₫', 'VND'], ['฿', 'THB'], ['₺', 'TRY'], ['₴', 'UAH'], ['₽', 'RUB'], ['৳', 'BDT']
+];
+const CURRENCY_WORDS = [
+    [/\beuros?\b/i, 'EUR'],
+    [/\b(?:us\s+)?dollars?\b/i, 'USD'],
+    [/\bpounds?\s+sterling\b/i, 'GBP'],
+    [/\bfrancs?\s+cfa\b/i, 'XOF']
+];
+
+// Scale words following a number, longest first; the lookahead keeps "m" from matching "meters"
+const SCALE_WORDS = [
+    [/^\s*(?:mil\s+millones|milliards?|mrd\.?|bn|b|billions?|bilh(?:õ|o)es|bilh(?:ã|a)o)(?![a-z])/i, 1e9],
+    [/^\s*(?:millions?|millones|mill(?:ó|o)n|millionen|milh(?:õ|o)es|milh(?:ã|a)o|mio\.?|mill\.?|mn|m)(?![a-z²2])/i, 1e6],
+    [/^\s*(?:thousands?|mil|tsd\.?|k)(?![a-z])/i, 1e3]
+];
+
+// Words marking an estimated amount
+const ESTIMATE_PATTERN = /(?:\b(?:approx(?:imately|\.)?|about|around|estimated|est\.|circa|ca\.|roughly|environ|aproximadamente|estimad[oa]|estim(?:é|e)e?|etwa|ungef(?:ä|a)hr|rund)|~|≈)/i;
+
+// Numbers with space or apostrophe thousand separators, or with dot and comma separators
+// The lookahead keeps a lot number from being grouped with the amount after it ("Lot 2 15000 EUR")
+const NUMBER_PATTERN = /\d{1,3}(?:[ \u00a0\u202f']\d{3})+(?!\d)(?:[.,]\d+)?|\d+(?:[.,]\d+)*/g;
+
+// Words joining the two ends of a range; "and" only after "between" ("between 1 and 2 million")
+const RANGE_JOIN_PATTERN = /^\s*(?:-|–|—|to|a|à|bis)\s*$/i;
+const BETWEEN_JOIN_PATTERN = /^\s*(?:and|y|et|und)\s*$/i;
+const BETWEEN_PATTERN = /\b(?:between|entre|zwischen)\b/i;
+
+// Labels whose following number is not an amount ("Lot 3", "Item No. 2", "Phase 1")
+const LABEL_PATTERN = /(?:\b(?:lots?|lote|los|items?|no|nr|n°|phase|package|section|part|tranche)\.?|#)\s*(?:no\.?\s*|#\s*)?$/i;
+
+// Four-digit numbers read as years
+const YEAR_PATTERN = /^(?:19|20)\d{2}$/;
+
+// Lowest ratio of the lower to the upper end of a range whose currency is written at one end only
+const MIN_RANGE_RATIO = 0.001;
+
+/**
+ * Parse a number token
+ * The last separator is the decimal separator when both a dot and a comma occur. A single
+ * separator followed by exactly three digits is a thousand separator ("1,234", "1.234"),
+ * otherwise it is the decimal separator ("2.5", "0,750").
+ * @param {string} token - The digits and separators
+ * @returns {number} The number
+ */
+function parseNumberToken(token) {
+    const compact = token.replace(/[ \u00a0\u202f']/g, '');
+    const lastDot = compact.lastIndexOf('.');
+    const lastComma = compact.lastIndexOf(',');
+
+    let decimalSeparator = null;
+    if (lastDot !== -1 && lastComma !== -1) {
+        decimalSeparator = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+        const separator = lastDot !== -1 ? '.' : ',';
+        const parts = compact.split(separator);
+        const grouped = parts.length > 2 || (parts[1].length === 3 && parts[0] !== '0');
+        decimalSeparator = grouped ? null : separator;
+    }
+
+    const groupSeparator = decimalSeparator === '.' ? ',' : decimalSeparator === ',' ? '.' : /[.,]/;
+    const digits = compact.split(groupSeparator).join('');
+    return parseFloat(decimalSeparator === ',' ? digits.replace(',', '.') : digits);
+}
+
+/**
+ * Find the currency markers of a money string
+ * @param {string} text - The money string
+ * @returns {Object[]} Markers as { currency, start, end }
+ */
+function findCurrencies(text) {
+    const markers = [];
+    let match;
+    const codePattern = /\b[A-Z]{3}\b/g;
+    while ((match = codePattern.exec(text)) !== null) {
+        if (CURRENCY_CODES.has(match[0])) {
+            markers.push({ currency: match[0], start: match.index, end: match.index + 3 });
+        }
+    }
+
+    // Symbols are not looked for inside longer symbols found before them ("$" in "US$")
+    const covered = [];
+    for (const [symbol, currency] of CURRENCY_SYMBOLS) {
+        for (let index = text.indexOf(symbol); index !== -1; index = text.indexOf(symbol, index + symbol.length)) {
+            if (!covered.some(range => index >= range.start && index < range.end)) {
+                covered.push({ start: index, end: index + symbol.length });
+                markers.push({ currency, start: index, end: index + symbol.length });
+            }
+        }
+    }
+
+    for (const [pattern, currency] of CURRENCY_WORDS) {
+        const wordMatch = text.match(pattern);
+        if (wordMatch) {
+            markers.push({ currency, start: wordMatch.index, end: wordMatch.index + wordMatch[0].length });
+        }
+    }
+    return markers;
+}
+
+/**
+ * Find the numbers of a money string with the scale word following each
+ * @param {string} text - The money string
+ * @returns {Object[]} Numbers as { value, scale, start, end }
+ */
+function findNumbers(text) {
+    const numbers = [];
+    let match;
+    NUMBER_PATTERN.lastIndex = 0;
+    while ((match = NUMBER_PATTERN.exec(text)) !== null) {
+        const rest = text.slice(match.index + match[0].length);
+        let scale = null;
+        let end = match.index + match[0].length;
+        for (const [pattern, multiplier] of SCALE_WORDS) {
+            const scaleMatch = rest.match(pattern);
+            if (scaleMatch) {
+                scale = multiplier;
+                end += scaleMatch[0].length;
+                break;
+            }
+        }
+        numbers.push({ value: parseNumberToken(match[0]), scale, start: match.index, end });
+    }
+    return numbers;
+}
+
+/**
+ * Check whether a number is written right next to a currency marker ("EUR 2000", "2000 €")
+ * @param {string} text - The money string
+ * @param {Object} number - A number from findNumbers
+ * @param {Object[]} markers - Currency markers from findCurrencies
+ * @returns {boolean} True if only whitespace separates the number from a marker
+ */
+function isNextToCurrency(text, number, markers) {
+    return markers.some(marker =>
+        /^\s*$/.test(marker.end <= number.start ? text.slice(marker.end, number.start) : text.slice(number.end, marker.start)));
+}
+
+/**
+ * Leave out the numbers of a money string that are not amounts
+ * Years count as amounts only right next to a currency ("EUR 2000"). When no number is left,
+ * all numbers are kept, so that a bare "2024" is still an amount.
+ * @param {string} text - The money string
+ * @param {Object[]} numbers - Its numbers from findNumbers
+ * @param {Object[]} markers - Its currency markers from findCurrencies
+ * @returns {Object[]} The numbers that can be amounts
+ */
+function findAmounts(text, numbers, markers) {
+    const amounts = numbers.filter(number => {
+        if (LABEL_PATTERN.test(text.slice(0, number.start))) {
+            return false;
+        }
+        const token = text.slice(number.start, number.end);
+        return !(YEAR_PATTERN.test(token) && !isNextToCurrency(text, number, markers));
+    });
+    return amounts.length > 0 ? amounts : numbers;
+}
+
+/**
+ * Parse a money amount
+ * @param {string|number|Object} value - A money string, a number, or an object with value or amount and currency
+ * @returns {Object|null} { amount, currency, isRange, isEstimate, min, max }, or null if there is no amount.
+ *   The amount of a range is its upper end.
+ */
+function parseMoney(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? { amount: value, currency: null, isRange: false, isEstimate: false, min: value, max: value } : null;
+    }
+    if (typeof value === 'object') {
+        const parsed = parseMoney(value.value ?? value.amount ?? null);
+        if (parsed && typeof value.currency === 'string' && CURRENCY_CODES.has(value.currency.toUpperCase())) {
+            parsed.currency = value.currency.toUpperCase();
+        }
+        return parsed;
+    }
+
+    const text = String(value);
+    const markers = findCurrencies(text);
+    const numbers = findAmounts(text, findNumbers(text), markers);
+    if (numbers.length === 0) {
+        return null;
+    }
+    // The currency is the marker nearest to a number (so that words such as "ALL" or "TOP" in
+    // capitals are not taken for currency codes), and the amount is the number nearest to it,
+    // preferring the number after the marker ("Lot 1 EUR 100 000") and a number next to only one
+    // marker ("TOP 10 USD 5000")
+    const isAmbiguous = number => markers.filter(marker => isNextToCurrency(text, number, [marker])).length > 1;
+    const distance = (number, marker) => 2 * Math.max(0, marker.start - number.end, number.start - marker.end)
+        + (number.start >= marker.end ? 0 : 1)
+        + (isAmbiguous(number) ? 2 : 0);
+    let found = null;
+    let index = 0;
+    markers.forEach(marker => {
+        numbers.forEach((number, i) => {
+            if (!found || distance(number, marker) < distance(numbers[index], found)) {
+                found = marker;
+                index = i;
+            }
+        });
+    });
+
+    // Two numbers joined by a dash or "to"/"and" form a range; a scale word after the second applies to both
+    let first = numbers[index];
+    let second = null;
+    const next = numbers[index + 1];
+    const previous = numbers[index - 1];
+    const joins = (from, to) => {
+        // Currency markers between the ends are ignored ("USD 1 - USD 2")
+        const join = text.slice(from.end, to.start).replace(/[^\s\p{L}\-–—]|\b[A-Z]{3}\b/gu, '');
+        return RANGE_JOIN_PATTERN.test(join) || (BETWEEN_JOIN_PATTERN.test(join) && BETWEEN_PATTERN.test(text.slice(0, from.start)));
+    };
+    if (next && joins(first, next)) {
+        second = next;
+    } else if (previous && joins(previous, first)) {
+        second = first;
+        first = previous;
+    }
+
+    const scaled = (number, fallbackScale) => number.value * (number.scale || fallbackScale || 1);
+    // With the currency at one end only, ends of very different size are a stray number and the amount ("3 - 50 000 EUR")
+    const oneEndNextToCurrency = second && isNextToCurrency(text, first, markers) !== isNextToCurrency(text, second, markers);
+    if (oneEndNextToCurrency && Math.min(scaled(first, second.scale), scaled(second)) < MIN_RANGE_RATIO * Math.max(scaled(first, second.scale), scaled(second))) {
+        first = numbers[index];
+        second = null;
+    }
+    const max = second ? scaled(second) : scaled(first);
+    const min = second ? scaled(first, second.scale) : max;
+    if (!Number.isFinite(max) || max > 1e15) {
+        return null;
+    }
+
+    return {
+        amount: Math.max(min, max),
+        currency: found ? found.currency : null,
+        isRange: Boolean(second) && min !== max,
+        isEstimate: ESTIMATE_PATTERN.test(text),
+        min: Math.min(min, max),
+        max: Math.max(min, max)
+    };
+}
+
+/**
+ * Extract the numeric amount of a money value
+ * @param {string|number|Object} value - A money string, a number, or an object with value or amount
+ * @returns {number|null} The amount, or null if there is none
+ */
+function extractNumericValue(value) {
+    const parsed = parseMoney(value);
+    return parsed ? parsed.amount : null;
+}
+
+module.exports = {
+    parseMoney,
+    extractNumericValue
+};
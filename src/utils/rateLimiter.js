@@ -0,0 +1,151 @@
+/**
+ * rateLimiter.js
+ * Token-bucket rate limiting with adaptive back-off
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class TokenBucket {
+  /**
+   * Constructor for a bucket refilled continuously over a minute
+   * @param {number} perMinute - Capacity, refilled once per minute
+   */
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.available = perMinute;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Add the tokens refilled since the last update
+   * @param {number} rateFactor - Fraction of the nominal refill rate currently allowed
+   */
+  refill(rateFactor) {
+    const now = Date.now();
+    this.available = Math.min(this.capacity, this.available + (now - this.updatedAt) * rateFactor * this.capacity / 60000);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Time until an amount is available
+   * @param {number} amount - Tokens needed
+   * @param {number} rateFactor - Fraction of the nominal refill rate currently allowed
+   * @returns {number} Milliseconds to wait, 0 if the amount is available now
+   */
+  waitTime(amount, rateFactor) {
+    const missing = Math.min(amount, this.capacity) - this.available;
+    return missing <= 0 ? 0 : Math.ceil(missing * 60000 / (this.capacity * rateFactor));
+  }
+
+  /**
+   * Take tokens; the balance may become negative when actual use exceeded an estimate
+   * @param {number} amount - Tokens to take
+   */
+  take(amount) {
+    this.available -= amount;
+  }
+}
+
+class RateLimiter {
+  /**
+   * Constructor for a rate limiter
+   * @param {string} name - Name used in log messages
+   * @param {Object} options - Limits (0 means unlimited)
+   * @param {number} options.requestsPerMinute - Requests per minute
+   * @param {number} options.tokensPerMinute - Tokens per minute
+   * @param {number} options.backoffBaseMs - First back-off after a rate-limit response without Retry-After
+   * @param {number} options.backoffMaxMs - Maximum back-off
+   * @param {number} options.minRateFactor - Lowest fraction of the configured rates after repeated back-offs
+   */
+  constructor(name, { requestsPerMinute = 0, tokensPerMinute = 0, backoffBaseMs = 2000, backoffMaxMs = 60000, minRateFactor = 0.1 } = {}) {
+    this.name = name;
+    this.requests = requestsPerMinute > 0 ? new TokenBucket(requestsPerMinute) : null;
+    this.tokens = tokensPerMinute > 0 ? new TokenBucket(tokensPerMinute) : null;
+    this.backoffBaseMs = backoffBaseMs;
+    this.backoffMaxMs = backoffMaxMs;
+    this.minRateFactor = minRateFactor;
+    this.rateFactor = 1;
+    this.pausedUntil = 0;
+    this.consecutiveBackoffs = 0;
+    this.waiting = 0;
+  }
+
+  /**
+   * Whether requests are currently held back by the limits or a back-off
+   * @returns {boolean} True if a caller is waiting or requests are paused
+   */
+  isThrottled() {
+    return this.waiting > 0 || Date.now() < this.pausedUntil;
+  }
+
+  /**
+   * Wait until a request with an estimated token count may be sent, and reserve it
+   * @param {number} estimatedTokens - Tokens the request is expected to use
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  async acquire(estimatedTokens = 0) {
+    const startedAt = Date.now();
+    this.waiting++;
+    try {
+      for (;;) {
+        if (this.requests) this.requests.refill(this.rateFactor);
+        if (this.tokens) this.tokens.refill(this.rateFactor);
+
+        const wait = Math.max(
+          this.pausedUntil - Date.now(),
+          this.requests ? this.requests.waitTime(1, this.rateFactor) : 0,
+          this.tokens ? this.tokens.waitTime(estimatedTokens, this.rateFactor) : 0
+        );
+        if (wait <= 0) {
+          if (this.requests) this.requests.take(1);
+          if (this.tokens) this.tokens.take(estimatedTokens);
+          return Date.now() - startedAt;
+        }
+        await sleep(wait);
+      }
+    } finally {
+      this.waiting--;
+    }
+  }
+
+  /**
+   * Correct the token reservation of a request once its actual usage is known
+   * @param {number} estimatedTokens - Tokens reserved by acquire
+   * @param {number} actualTokens - Tokens the request used
+   */
+  settle(estimatedTokens, actualTokens) {
+    if (this.tokens && Number.isFinite(actualTokens)) {
+      this.tokens.take(actualTokens - estimatedTokens);
+    }
+  }
+
+  /**
+   * Record a successful request, slowly restoring the configured rates
+   */
+  recordSuccess() {
+    this.consecutiveBackoffs = 0;
+    this.rateFactor = Math.min(1, this.rateFactor * 1.1);
+  }
+
+  /**
+   * Pause all requests after a rate-limit response and lower the allowed rates
+   * @param {number|null} retryAfterMs - Delay requested by the server, if any
+   * @returns {number} The pause in milliseconds
+   */
+  backOff(retryAfterMs = null) {
+    this.consecutiveBackoffs++;
+    this.rateFactor = Math.max(this.minRateFactor, this.rateFactor / 2);
+
+    const delay = retryAfterMs > 0
+      ? retryAfterMs
+      : Math.min(this.backoffBaseMs * Math.pow(2, this.consecutiveBackoffs - 1), this.backoffMaxMs);
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+    console.warn(`Rate limited by ${this.name}, pausing requests for ${(delay / 1000).toFixed(1)} seconds (rate at ${Math.round(this.rateFactor * 100)}%)`);
+    return delay;
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimiter
+};
@@ -0,0 +1,69 @@
+/**
+ * workerPool.js
+ * Bounded-concurrency worker pools
+ *
+ * A pool runs at most `concurrency` tasks at a time; further tasks wait in FIFO order
+ * until a running task settles.
+ */
+
+/**
+ * Create a worker pool
+ * @param {number} concurrency - Maximum number of tasks running at the same time
+ * @returns {Object} Pool with run(task), and active and pending counts
+ */
+function createWorkerPool(concurrency) {
+    const limit = Math.max(1, concurrency || 1);
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        while (active < limit && queue.length > 0) {
+            const { task, resolve, reject } = queue.shift();
+            active++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    next();
+                });
+        }
+    };
+
+    return {
+        /**
+         * Run a task once a worker is free
+         * @param {Function} task - () => value or promise
+         * @returns {Promise<*>} The result of the task
+         */
+        run(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, resolve, reject });
+                next();
+            });
+        },
+        get active() {
+            return active;
+        },
+        get pending() {
+            return queue.length;
+        }
+    };
+}
+
+/**
+ * Map items with at most `concurrency` calls of fn running at the same time
+ * @param {Array} items - The items
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {Function} fn - (item, index) => value or promise
+ * @returns {Promise<Array>} The results in item order
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+    const pool = createWorkerPool(concurrency);
+    return Promise.all(items.map((item, index) => pool.run(() => fn(item, index))));
+}
+
+module.exports = {
+    createWorkerPool,
+    mapWithConcurrency
+};
@@ -0,0 +1,54 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { detectAmendment, linkUnlinkedAmendments } = require('../src/services/amendmentLinker');
+
+describe('detectAmendment', () => {
+    test.each([
+        ['Amendment No. 2 to Construction of rural roads', 'amendment', 2],
+        ['Corrigendum: Supply of medical equipment', 'corrigendum', null],
+        ['Addendum #3 - Office furniture', 'addendum', 3],
+        ['Modification No. 1 to Road works', 'modification', 1],
+        ['Modified notice: Supply of vehicles', 'modification', null],
+        ['Revised 2 - Bridge rehabilitation', 'revision', 2],
+        ['Revised Tender Notice for bridge rehabilitation', 'revision', null],
+        ['Road works (Amendment No. 2)', 'amendment', 2],
+        ['Supply of IT equipment - Corrigendum', 'corrigendum', null]
+    ])('recognizes "%s"', (title, type, number) => {
+        expect(detectAmendment(title)).toEqual({ is_amendment: true, amendment_type: type, amendment_number: number });
+    });
+
+    test.each([
+        'Revised Master Plan for Urban Water',
+        'Modified Atmosphere Packaging Equipment',
+        'Revised 2024 budget framework',
+        'Modification of the water treatment plant',
+        'Legal advice on contract amendment'
+    ])('does not take the new tender "%s" for an amendment', title => {
+        expect(detectAmendment(title)).toEqual({});
+    });
+
+    test('recognizes amendment notice types', () => {
+        expect(detectAmendment('Road works', 'Corrigendum')).toEqual({ is_amendment: true, amendment_type: 'corrigendum', amendment_number: null });
+        expect(detectAmendment('Road works', 'Contract Notice')).toEqual({});
+    });
+});
+
+describe('linkUnlinkedAmendments', () => {
+    test('links amendments by reference number and moves the others to the back of the line', async () => {
+        const supabase = createFakeSupabase({
+            unified_tenders: [
+                { id: 1, source_table: 'wb', source_id: 'a1', title: 'Corrigendum: Lost tender', reference_number: 'X-1', is_amendment: true, parent_source_id: null, parent_link_checked_at: null },
+                { id: 2, source_table: 'wb', source_id: 'a2', title: 'Corrigendum: Road works', reference_number: 'R-1', is_amendment: true, parent_source_id: null, parent_link_checked_at: null },
+                { id: 3, source_table: 'wb', source_id: 'p1', title: 'Road works', reference_number: 'R-1', is_amendment: false, deadline_date: '2025-03-01' }
+            ],
+            unified_tenders_history: []
+        });
+
+        expect(await linkUnlinkedAmendments(supabase, { limit: 1 })).toMatchObject({ checked: 1, linked: 0 });
+        const lost = supabase.tables.unified_tenders.find(row => row.source_id === 'a1');
+        expect(lost.parent_link_checked_at).toEqual(expect.any(String));
+
+        expect(await linkUnlinkedAmendments(supabase, { limit: 1 })).toEqual({ checked: 1, linked: 1, parentsUpdated: 1 });
+        expect(supabase.tables.unified_tenders.find(row => row.source_id === 'a2')).toMatchObject({ parent_source_id: 'p1', parent_link_method: 'reference_number' });
+        expect(supabase.tables.unified_tenders.find(row => row.source_id === 'p1').amendment_count).toBe(1);
+    });
+});
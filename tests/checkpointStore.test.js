@@ -0,0 +1,112 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+describe('checkpointStore', () => {
+    afterEach(() => {
+        delete process.env.CHECKPOINT_BACKEND;
+        jest.resetModules();
+        jest.restoreAllMocks();
+    });
+
+    test('saves, loads and clears the checkpoints of a run in the table', async () => {
+        const { loadCheckpoints, saveCheckpoint, clearCheckpoints } = require('../src/services/checkpointStore');
+        const supabase = createFakeSupabase({
+            processing_checkpoints: [{ run_name: 'other-run', source_table: 'wb', page: 1, completed: false }]
+        });
+
+        await saveCheckpoint(supabase, 'run', 'wb', { page: 2, lastKey: { id: 40 }, processed: 200 });
+        await saveCheckpoint(supabase, 'run', 'wb', { page: 3, lastKey: { id: 20 }, processed: 300, completed: true });
+        await saveCheckpoint(supabase, 'run', 'ungm', { page: 1, lastKey: { id: 7 }, processed: 100 });
+
+        const checkpoints = await loadCheckpoints(supabase, 'run');
+        expect(Object.keys(checkpoints).sort()).toEqual(['ungm', 'wb']);
+        expect(checkpoints.wb).toMatchObject({ page: 3, lastKey: { id: 20 }, processed: 300, completed: true });
+        expect(checkpoints.ungm).toMatchObject({ page: 1, lastKey: { id: 7 }, processed: 100, completed: false });
+
+        await clearCheckpoints(supabase, 'run');
+        expect(await loadCheckpoints(supabase, 'run')).toEqual({});
+        expect(supabase.tables.processing_checkpoints).toHaveLength(1);
+    });
+
+    test('keeps the checkpoints of a run in one key-value store record with the apify backend', async () => {
+        process.env.CHECKPOINT_BACKEND = 'apify';
+        const records = {};
+        jest.doMock('apify', () => ({
+            KeyValueStore: {
+                open: async () => ({
+                    getValue: async key => records[key] || null,
+                    setValue: async (key, value) => { records[key] = value; }
+                })
+            }
+        }));
+        const { loadCheckpoints, saveCheckpoint, clearCheckpoints } = require('../src/services/checkpointStore');
+
+        await saveCheckpoint(null, 'run', 'wb', { page: 2, lastKey: { id: 40 }, processed: 200, completed: true });
+
+        expect(Object.keys(records)).toEqual(['checkpoints-run']);
+        expect((await loadCheckpoints(null, 'run')).wb).toMatchObject({ page: 2, lastKey: { id: 40 }, processed: 200, completed: true });
+
+        await clearCheckpoints(null, 'run');
+        expect(await loadCheckpoints(null, 'run')).toEqual({});
+    });
+
+    test('reports failed table writes', async () => {
+        const { saveCheckpoint } = require('../src/services/checkpointStore');
+        const supabase = createFakeSupabase({});
+        supabase.from = () => ({ upsert: async () => ({ error: { message: 'permission denied' } }) });
+
+        await expect(saveCheckpoint(supabase, 'run', 'wb', { page: 1 })).rejects.toThrow('Error saving wb checkpoint of run: permission denied');
+    });
+});
+
+describe('processAllUnprocessedTenders checkpoints', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('skips sources the previous run completed when resuming', async () => {
+        const { processAllUnprocessedTenders } = require('../src/services/processingService');
+        const sourceRegistry = require('../src/services/sourceRegistry');
+        jest.spyOn(sourceRegistry, 'getRegisteredSources').mockReturnValue(['wb', 'ungm']);
+
+        const supabase = createFakeSupabase({
+            'information_schema.columns': [],
+            processing_checkpoints: [
+                { run_name: 'process-all-unprocessed', source_table: 'wb', page: 4, processed: 400, completed: true }
+            ],
+            wb: [{ id: 1, title: 'Road works' }],
+            ungm: []
+        });
+
+        const results = await processAllUnprocessedTenders(supabase, { resume: true });
+
+        expect(results.bySource).not.toHaveProperty('wb');
+        expect(results.bySource).toHaveProperty('ungm');
+        expect(supabase.calls.some(call => call.table === 'wb')).toBe(false);
+
+        const ungm = supabase.tables.processing_checkpoints.find(row => row.source_table === 'ungm');
+        expect(ungm).toMatchObject({ run_name: 'process-all-unprocessed', completed: true });
+    });
+
+    test('starts over without resume', async () => {
+        const { processAllUnprocessedTenders } = require('../src/services/processingService');
+        const sourceRegistry = require('../src/services/sourceRegistry');
+        jest.spyOn(sourceRegistry, 'getRegisteredSources').mockReturnValue(['ungm']);
+
+        const supabase = createFakeSupabase({
+            'information_schema.columns': [],
+            processing_checkpoints: [
+                { run_name: 'process-all-unprocessed', source_table: 'wb', page: 4, processed: 400, completed: true }
+            ],
+            ungm: []
+        });
+
+        await processAllUnprocessedTenders(supabase);
+
+        expect(supabase.tables.processing_checkpoints.map(row => row.source_table)).toEqual(['ungm']);
+    });
+});
@@ -0,0 +1,110 @@
+const { mergeChunkResults, splitIntoChunks, normalizeInChunks } = require('../src/services/chunkedNormalizer');
+
+describe('mergeChunkResults', () => {
+    const merge = (chunkData, tender = {}) => mergeChunkResults(chunkData.map((data, index) => ({ index: index + 1, data })), tender);
+
+    test('takes the first non-empty scalar', () => {
+        const { data, conflicts } = merge([
+            { title: null, reference_number: '' },
+            { title: 'Supply of medical equipment', reference_number: 'MOH/2025/14' },
+            { title: 'Medical equipment', reference_number: 'MOH/2025/15' }
+        ]);
+
+        expect(data.title).toBe('Supply of medical equipment');
+        expect(data.reference_number).toBe('MOH/2025/14');
+        expect(conflicts).toEqual(['title', 'reference_number']);
+    });
+
+    test('sets fields no chunk reported to null', () => {
+        expect(merge([{ city: null }, { city: '' }]).data.city).toBeNull();
+    });
+
+    test('unions document links by URL', () => {
+        const { data, conflicts } = merge([
+            { document_links: [{ title: 'Bidding document', url: 'https://example.org/bd.pdf' }] },
+            { document_links: null },
+            { document_links: [{ title: 'Bidding documents', url: 'https://example.org/bd.pdf' }, { title: 'Drawings', url: 'https://example.org/drawings.zip' }] }
+        ]);
+
+        expect(data.document_links).toEqual([
+            { title: 'Bidding document', url: 'https://example.org/bd.pdf' },
+            { title: 'Drawings', url: 'https://example.org/drawings.zip' }
+        ]);
+        expect(conflicts).toEqual([]);
+    });
+
+    test('keeps the full source description over the shorter chunk summaries', () => {
+        const source = 'Construction of a district hospital. '.repeat(500);
+        const { data } = merge([
+            { description: 'Part one covers the site.', description_english: 'Part one covers the site.' },
+            { description: 'Part two covers the wards.', description_english: 'Part two covers the wards.' }
+        ], { description: source });
+
+        expect(data.description).toBe(source);
+        expect(data.description_english).toBe('Part one covers the site.\n\nPart two covers the wards.');
+    });
+
+    test('joins the chunk descriptions of a tender without one', () => {
+        const { data } = merge([{ description: 'Part one.' }, { description: 'Part two.' }, { description: 'Part one.' }]);
+
+        expect(data.description).toBe('Part one.\n\nPart two.');
+    });
+
+    test('resolves dates, votes and the value with its currency', () => {
+        const { data, conflicts } = merge([
+            { publication_date: '2025-03-02', deadline_date: '2025-04-01', status: 'Open', estimated_value: 100000, currency: 'EUR' },
+            { publication_date: '2025-03-01', deadline_date: '2025-04-15', status: 'Closed', estimated_value: 2500000, currency: 'USD' },
+            { publication_date: null, deadline_date: '2025-04-10', status: 'Open', estimated_value: null, currency: null }
+        ]);
+
+        expect(data).toMatchObject({
+            publication_date: '2025-03-01',
+            deadline_date: '2025-04-15',
+            status: 'Open',
+            estimated_value: 2500000,
+            currency: 'USD'
+        });
+        expect(conflicts).toEqual(expect.arrayContaining(['publication_date', 'deadline_date', 'status', 'estimated_value']));
+    });
+});
+
+describe('splitIntoChunks', () => {
+    test('keeps chunks within the budget and splits on paragraphs', () => {
+        const paragraphs = Array.from({ length: 6 }, (_, index) => `Paragraph ${index} ${'word '.repeat(40).trim()}.`);
+        const chunks = splitIntoChunks(paragraphs.join('\n\n'), 120, 0);
+
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(480));
+        expect(chunks[0].startsWith('Paragraph 0')).toBe(true);
+    });
+});
+
+describe('normalizeInChunks', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('merges the chunks that could be normalized', async () => {
+        const tender = { id: 7, title: 'Hospital', description: Array.from({ length: 3 }, (_, index) => `Section ${index}. ${'text '.repeat(2000)}`).join('\n\n') };
+        let call = 0;
+        const queryLLMWithValidation = async () => {
+            call++;
+            const usage = { requests: 1, promptTokens: 10, completionTokens: 5, costUsd: 0.01, model: 'stub' };
+            return call === 2
+                ? { data: null, valid: false, errors: ['$.title: is required'], repairAttempts: 2, usage }
+                : { data: { title: 'Hospital', sector: `Health ${call}` }, valid: true, errors: [], repairAttempts: 0, usage };
+        };
+
+        const result = await normalizeInChunks(tender, 'test', { buildPrompt: chunk => JSON.stringify(chunk), queryLLMWithValidation });
+
+        expect(result).toMatchObject({ valid: true, chunkCount: 3, failedChunks: 1, repairAttempts: 2 });
+        expect(result.data.sector).toBe('Health 1');
+        expect(result.errors).toEqual(['chunk 2: $.title: is required']);
+        expect(result.usage.requests).toBe(3);
+    });
+});
@@ -0,0 +1,37 @@
+const { stableStringify, computeContentHash } = require('../src/services/contentHash');
+
+describe('stableStringify', () => {
+    test('does not depend on the order of object keys, at any depth', () => {
+        expect(stableStringify({ b: 1, a: { d: [1, { y: 2, x: 1 }], c: 'text' } }))
+            .toBe('{"a":{"c":"text","d":[1,{"x":1,"y":2}]},"b":1}');
+        expect(stableStringify({ a: 1, b: 2 })).toBe(stableStringify({ b: 2, a: 1 }));
+    });
+
+    test('serializes undefined like JSON.stringify does', () => {
+        expect(stableStringify({ a: undefined, b: null })).toBe('{"b":null}');
+        expect(stableStringify([1, undefined])).toBe('[1,null]');
+    });
+
+    test('serializes scalars and dates as JSON', () => {
+        expect(stableStringify('text')).toBe('"text"');
+        expect(stableStringify(null)).toBe('null');
+        expect(stableStringify(new Date('2025-03-15T00:00:00Z'))).toBe('"2025-03-15T00:00:00.000Z"');
+        expect(stableStringify([])).toBe('[]');
+        expect(stableStringify({})).toBe('{}');
+    });
+});
+
+describe('computeContentHash', () => {
+    const tender = { id: 1, title: 'Road works', budget: { amount: 100, currency: 'USD' }, updated_at: '2025-01-01' };
+
+    test('ignores key order and volatile columns', () => {
+        const reordered = { budget: { currency: 'USD', amount: 100 }, title: 'Road works', id: 2, updated_at: '2025-02-01' };
+        expect(computeContentHash(reordered)).toBe(computeContentHash(tender));
+        expect(computeContentHash(tender)).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('changes with the content and honors source-specific volatile columns', () => {
+        expect(computeContentHash({ ...tender, title: 'Bridge works' })).not.toBe(computeContentHash(tender));
+        expect(computeContentHash({ ...tender, views: 5 }, ['views'])).toBe(computeContentHash(tender));
+    });
+});
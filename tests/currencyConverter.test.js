@@ -0,0 +1,115 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+/**
+ * Load the converter with an empty rate cache
+ * @returns {Object} The currencyConverter module
+ */
+function loadConverter() {
+    jest.resetModules();
+    return require('../src/services/currencyConverter');
+}
+
+/**
+ * Create a rate table
+ * @returns {Object[]} USD and GBP rates per euro
+ */
+function fxRates() {
+    return [
+        { currency: 'USD', rate_date: '2025-03-03', rate_per_eur: 1.05 },
+        { currency: 'USD', rate_date: '2025-03-07', rate_per_eur: 1.1 },
+        { currency: 'GBP', rate_date: '2025-03-07', rate_per_eur: 0.8 }
+    ];
+}
+
+describe('parseEcbCsv', () => {
+    const { parseEcbCsv } = loadConverter();
+
+    test('reads reference rate files, skipping currencies no longer quoted', () => {
+        const csv = 'Date,USD,JPY,CYP,\n2025-03-07,1.0807,160.25,N/A,\n2025-03-06,1.0785,159.88,N/A,\n';
+        expect(parseEcbCsv(csv)).toEqual([
+            { currency: 'USD', rate_date: '2025-03-07', rate_per_eur: 1.0807 },
+            { currency: 'JPY', rate_date: '2025-03-07', rate_per_eur: 160.25 },
+            { currency: 'USD', rate_date: '2025-03-06', rate_per_eur: 1.0785 },
+            { currency: 'JPY', rate_date: '2025-03-06', rate_per_eur: 159.88 }
+        ]);
+    });
+
+    test('reads Data Portal exports', () => {
+        const csv = 'KEY,FREQ,CURRENCY,TIME_PERIOD,OBS_VALUE\n"EXR.D.GBP.EUR.SP00.A",D,GBP,2025-03-07,0.8372\n';
+        expect(parseEcbCsv(csv)).toEqual([{ currency: 'GBP', rate_date: '2025-03-07', rate_per_eur: 0.8372 }]);
+    });
+
+    test('rejects other files', () => {
+        expect(parseEcbCsv('')).toEqual([]);
+        expect(() => parseEcbCsv('currency;rate\nUSD;1.1')).toThrow('Unrecognized ECB CSV format');
+    });
+});
+
+describe('getRate and convertAmount', () => {
+    test('use the latest rate on or before the date, up to a week old', async () => {
+        const { getRate } = loadConverter();
+        const supabase = createFakeSupabase({ fx_rates: fxRates() });
+
+        expect(await getRate(supabase, 'USD', '2025-03-07')).toEqual({ rate_date: '2025-03-07', rate_per_eur: 1.1 });
+        expect(await getRate(supabase, 'USD', '2025-03-09')).toEqual({ rate_date: '2025-03-07', rate_per_eur: 1.1 });
+        expect(await getRate(supabase, 'USD', '2025-03-20')).toBeNull();
+        expect(await getRate(supabase, 'USD', '2025-03-01')).toBeNull();
+        expect(await getRate(supabase, 'XOF', '2025-03-20')).toEqual({ rate_date: '2025-03-20', rate_per_eur: 655.957 });
+    });
+
+    test('convert through the euro', async () => {
+        const { convertAmount } = loadConverter();
+        const supabase = createFakeSupabase({ fx_rates: fxRates() });
+
+        expect(await convertAmount(supabase, 800, 'GBP', '2025-03-08')).toEqual({ usd: 1100, eur: 1000, rate_date: '2025-03-07' });
+        expect(await convertAmount(supabase, 800, 'GBP', '2025-03-01')).toBeNull();
+        expect(await convertAmount(supabase, 800, 'pounds', '2025-03-08')).toBeNull();
+    });
+
+    test('read the rates again once the loaded ones are an hour old', async () => {
+        const { getRate } = loadConverter();
+        const supabase = createFakeSupabase({ fx_rates: fxRates() });
+        const now = jest.spyOn(Date, 'now').mockReturnValue(new Date('2025-03-10T08:00:00Z').getTime());
+
+        expect(await getRate(supabase, 'USD', '2025-03-10')).toEqual({ rate_date: '2025-03-07', rate_per_eur: 1.1 });
+        supabase.tables.fx_rates.push({ currency: 'USD', rate_date: '2025-03-10', rate_per_eur: 1.08 });
+        expect(await getRate(supabase, 'USD', '2025-03-10')).toEqual({ rate_date: '2025-03-07', rate_per_eur: 1.1 });
+
+        now.mockReturnValue(new Date('2025-03-10T09:01:00Z').getTime());
+        expect(await getRate(supabase, 'USD', '2025-03-10')).toEqual({ rate_date: '2025-03-10', rate_per_eur: 1.08 });
+        now.mockRestore();
+    });
+});
+
+describe('convertStoredTenders', () => {
+    test('converts tenders, awards and lots past values that cannot be converted', async () => {
+        const { convertStoredTenders } = loadConverter();
+        const supabase = createFakeSupabase({
+            fx_rates: fxRates(),
+            unified_tenders: [
+                { source_table: 'wb', source_id: '1', estimated_value: 100, currency: 'XYZ', publication_date: '2025-03-07', estimated_value_usd: null },
+                { source_table: 'wb', source_id: '2', estimated_value: 800, currency: 'GBP', publication_date: '2025-03-07', estimated_value_usd: null }
+            ],
+            unified_tenders_history: [],
+            tender_awards: [
+                { id: 1, source_table: 'wb', source_id: '2', award_value: 1000, currency: 'EUR', award_date: '2025-03-04', award_value_usd: null }
+            ],
+            tender_lots: [
+                { id: 1, source_table: 'wb', source_id: '2', estimated_value: 400, currency: 'GBP', estimated_value_usd: null }
+            ]
+        });
+
+        expect(await convertStoredTenders(supabase)).toEqual({
+            checked: 2,
+            converted: 1,
+            awards: { checked: 1, converted: 1 },
+            lots: { checked: 1, converted: 1 }
+        });
+        expect(supabase.tables.unified_tenders[1]).toMatchObject({ estimated_value_usd: 1100, estimated_value_eur: 1000, fx_rate_date: '2025-03-07' });
+        expect(supabase.tables.tender_awards[0]).toMatchObject({ award_value_usd: 1050, award_value_eur: 1000 });
+        expect(supabase.tables.tender_lots[0]).toMatchObject({ estimated_value_usd: 550, estimated_value_eur: 500 });
+
+        const again = await convertStoredTenders(supabase, { limit: 10 });
+        expect(again).toMatchObject({ checked: 1, converted: 0 });
+    });
+});
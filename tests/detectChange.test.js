@@ -0,0 +1,58 @@
+const { detectChange, buildWriteEntry } = require('../src/services/processingService');
+
+describe('detectChange', () => {
+    const adapter = { getContentHash: tender => `hash-${tender.title}` };
+    const tender = { title: 'Road works', updated_at: '2025-01-02T00:00:00Z' };
+
+    test('compares the content hash of normalized tenders', () => {
+        expect(detectChange(adapter, tender, null)).toBe('new');
+        expect(detectChange(adapter, tender, { raw_content_hash: 'hash-Road works', normalized_method: 'llm-gpt' })).toBe('unchanged');
+        expect(detectChange(adapter, tender, { raw_content_hash: 'hash-Bridge works', normalized_method: 'llm-gpt' })).toBe('changed');
+        expect(detectChange(adapter, tender, { raw_content_hash: 'hash-Road works', normalized_method: 'rule-based-fast' })).toBe('unchanged');
+    });
+
+    test.each(['rule-based-fallback', 'api-credit-issue', 'empty-llm-response'])('retries tenders that fell back from the LLM with %s', method => {
+        expect(detectChange(adapter, tender, { raw_content_hash: 'hash-Road works', normalized_method: method })).toBe('changed');
+        expect(detectChange(adapter, tender, { raw_content_hash: 'hash-Road works', normalized_method: method, llm_fallback_count: 2 })).toBe('changed');
+    });
+
+    test('stops retrying a tender that fell back too often', () => {
+        expect(detectChange(adapter, tender, { raw_content_hash: 'hash-Road works', normalized_method: 'rule-based-fallback', llm_fallback_count: 3 })).toBe('unchanged');
+        expect(detectChange(adapter, tender, { raw_content_hash: 'hash-Bridge works', normalized_method: 'rule-based-fallback', llm_fallback_count: 3 })).toBe('changed');
+    });
+
+    test.each(['fallback', 'schema-validation-failure', 'error: Unexpected token'])('does not retry unchanged tenders normalized with %s', method => {
+        expect(detectChange(adapter, tender, { raw_content_hash: 'hash-Road works', normalized_method: method })).toBe('unchanged');
+    });
+
+    test('compares updated_at of tenders normalized before content hashes were stored', () => {
+        expect(detectChange(adapter, tender, { updated_at: '2025-01-01T00:00:00Z' })).toBe('changed');
+        expect(detectChange(adapter, tender, { updated_at: '2025-01-03T00:00:00Z' })).toBe('unchanged');
+    });
+});
+
+describe('buildWriteEntry', () => {
+    const context = existing => ({
+        existingTenderMap: new Map(existing ? [['T-1', existing]] : []),
+        timestampFields: ['last_processed_at']
+    });
+    const build = (method, existing) => buildWriteEntry({ id: 7 }, {
+        sourceId: 'T-1',
+        normalizedTender: { source_id: 'T-1', normalized_method: method }
+    }, context(existing));
+
+    test('counts transient fallbacks in a row', () => {
+        expect(build('rule-based-fallback', null).tender.llm_fallback_count).toBe(1);
+        expect(build('api-credit-issue', { normalized_method: 'rule-based-fallback', llm_fallback_count: 1 }).tender.llm_fallback_count).toBe(2);
+        expect(build('rule-based-fallback', { normalized_method: 'llm-gpt', llm_fallback_count: 2 }).tender.llm_fallback_count).toBe(1);
+    });
+
+    test('resets the count on any other normalization', () => {
+        expect(build('llm-gpt', { normalized_method: 'rule-based-fallback', llm_fallback_count: 2 }).tender.llm_fallback_count).toBe(0);
+        expect(build('fallback', { normalized_method: 'rule-based-fallback', llm_fallback_count: 2 }).tender.llm_fallback_count).toBe(0);
+    });
+
+    test('describes the write', () => {
+        expect(build('llm-gpt', { normalized_method: 'llm-gpt' })).toMatchObject({ sourceRecordId: 7, markProcessed: true, existing: true });
+    });
+});
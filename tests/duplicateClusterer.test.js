@@ -0,0 +1,92 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { clusterDuplicates, clusterUnclusteredTenders } = require('../src/services/duplicateClusterer');
+
+/**
+ * Create a unified tender
+ * @param {string} sourceTable - The source
+ * @param {string} sourceId - The source ID
+ * @param {Object} [columns] - Other columns
+ * @returns {Object} The tender
+ */
+function tender(sourceTable, sourceId, columns = {}) {
+    return {
+        source_table: sourceTable,
+        source_id: sourceId,
+        title: 'Rehabilitation of the Accra water treatment plant',
+        country: 'Ghana',
+        deadline_date: '2025-03-10',
+        cluster_id: null,
+        ...columns
+    };
+}
+
+describe('clusterDuplicates', () => {
+    test('clusters a batch with one candidate lookup per reference set and country', async () => {
+        const supabase = createFakeSupabase({
+            unified_tenders: [
+                tender('wb', 'w1', { reference_number: 'GH-WTR-001' }),
+                tender('wb', 'w2', { title: 'Supply of school furniture', deadline_date: '2025-04-01' }),
+                tender('ungm', 'u1', { reference_number: 'GH-WTR-001', deadline_date: '2025-06-01' }),
+                tender('ungm', 'u2', { title: 'Supply of school furniture', deadline_date: '2025-04-02' }),
+                tender('ungm', 'u3', { title: 'Consulting services for the port authority' })
+            ],
+            unified_tenders_history: []
+        });
+        const written = supabase.tables.unified_tenders.filter(row => row.source_table === 'ungm').map(row => ({ ...row }));
+
+        expect(await clusterDuplicates(supabase, written)).toBe(2);
+
+        const rows = Object.fromEntries(supabase.tables.unified_tenders.map(row => [row.source_id, row]));
+        expect(rows.u1.cluster_id).toBe(rows.w1.cluster_id);
+        expect(rows.u1.cluster_members.find(member => member.source_id === 'u1').match_method).toBe('reference_number');
+        expect(rows.u2.cluster_id).toBe(rows.w2.cluster_id);
+        expect(rows.u2.cluster_id).not.toBe(rows.u1.cluster_id);
+        expect(rows.u3.cluster_id).toBeNull();
+
+        // References, Ghana and the stored clusters of the batch; clusters are only read when they exist
+        const reads = supabase.calls.filter(call => call.table === 'unified_tenders' && call.operation === 'select');
+        expect(reads).toHaveLength(3);
+    });
+
+    test('joins tenders of one batch that share a duplicate into one cluster', async () => {
+        const supabase = createFakeSupabase({
+            unified_tenders: [
+                tender('wb', 'w1', { reference_number: 'GH-WTR-001' }),
+                tender('ungm', 'u1', { reference_number: 'GH-WTR-001' }),
+                tender('afdb', 'a1', { reference_number: 'GH-WTR-001' })
+            ],
+            unified_tenders_history: []
+        });
+        const written = supabase.tables.unified_tenders.filter(row => row.source_table !== 'wb').map(row => ({ ...row }));
+
+        expect(await clusterDuplicates(supabase, written)).toBe(2);
+
+        const clusterIds = new Set(supabase.tables.unified_tenders.map(row => row.cluster_id));
+        expect(clusterIds.size).toBe(1);
+        supabase.tables.unified_tenders.forEach(row => expect(row.cluster_members).toHaveLength(3));
+    });
+});
+
+describe('clusterUnclusteredTenders', () => {
+    test('puts tenders without duplicates in their own cluster so they are not read again', async () => {
+        const supabase = createFakeSupabase({
+            unified_tenders: [
+                tender('wb', 'w1'),
+                tender('ungm', 'u1'),
+                tender('ungm', 'u2', { title: 'Consulting services for the port authority' }),
+                tender('ungm', 'u3', { title: 'Corrigendum', is_amendment: true })
+            ],
+            unified_tenders_history: []
+        });
+
+        expect(await clusterUnclusteredTenders(supabase)).toEqual({ checked: 3, clustered: 2, singletons: 1 });
+
+        const rows = Object.fromEntries(supabase.tables.unified_tenders.map(row => [row.source_id, row]));
+        expect(rows.w1.cluster_id).toBe(rows.u1.cluster_id);
+        expect(rows.u2).toMatchObject({ is_canonical: true, cluster_members: [expect.objectContaining({ source_id: 'u2' })] });
+        expect(rows.u2.cluster_id).toEqual(expect.any(String));
+        expect(rows.u3.cluster_id).toBeNull();
+
+        expect(await clusterUnclusteredTenders(supabase)).toEqual({ checked: 0, clustered: 0, singletons: 0 });
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * fakeSupabase.js
+ * In-memory stand-in for the Supabase client, covering the query builder calls the services make
+ *
+ * Tables are plain arrays of row objects. Filters compare values the way PostgREST compares
+ * their text form, which is enough for the string and number keys the services use.
+ */
+
+/**
+ * Compare two column values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+/**
+ * Build a row predicate for a PostgREST operator
+ * @param {string} column - The column
+ * @param {string} operator - eq, neq, gt, gte, lt, lte or is
+ * @param {*} value - The value to compare with
+ * @returns {Function} row => boolean
+ */
+function predicate(column, operator, value) {
+    return row => {
+        const actual = row[column] === undefined ? null : row[column];
+        if (operator === 'is') return actual === value;
+        if (actual === null) return false;
+        const order = compareValues(actual, typeof actual === 'number' ? Number(value) : value);
+        switch (operator) {
+            case 'eq': return String(actual) === String(value);
+            case 'neq': return String(actual) !== String(value);
+            case 'gt': return order > 0;
+            case 'gte': return order >= 0;
+            case 'lt': return order < 0;
+            case 'lte': return order <= 0;
+            default: throw new Error(`Unsupported operator ${operator}`);
+        }
+    };
+}
+
+/**
+ * Split a PostgREST logical expression at its top-level commas
+ * @param {string} expression - e.g. 'a.gt.1,and(a.eq.1,b.gt.2)'
+ * @returns {string[]} The conditions
+ */
+function splitConditions(expression) {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+    for (const char of expression) {
+        if (char === '"') quoted = !quoted;
+        if (!quoted && char === '(') depth++;
+        if (!quoted && char === ')') depth--;
+        if (!quoted && depth === 0 && char === ',') {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Parse one condition of an or() filter
+ * @param {string} condition - e.g. 'id.gt.5' or 'and(a.eq.1,b.gt.2)'
+ * @returns {Function} row => boolean
+ */
+function parseCondition(condition) {
+    if (condition.startsWith('and(')) {
+        const all = splitConditions(condition.slice(4, -1)).map(parseCondition);
+        return row => all.every(test => test(row));
+    }
+    const [column, operator, ...rest] = condition.split('.');
+    let value = rest.join('.');
+    if (value.startsWith('"')) value = JSON.parse(value);
+    if (operator === 'is') value = value === 'null' ? null : value === 'true';
+    return predicate(column, operator, value);
+}
+
+/**
+ * Create a fake Supabase client
+ * @param {Object} [tables={}] - Initial rows by table name
+ * @returns {Object} Client with from(), rpc(), the tables, and rpcs to register functions in
+ */
+function createFakeSupabase(tables = {}) {
+    const rpcs = {};
+    const calls = [];
+
+    function from(name) {
+        const rows = () => (tables[name] = tables[name] || []);
+        const filters = [];
+        const ordering = [];
+        let operation = 'select';
+        let payload = null;
+        let options = {};
+        let returning = false;
+        let countOptions = null;
+        let offset = 0;
+        let limit = null;
+        let single = false;
+
+        const execute = () => {
+            const matching = rows().filter(row => filters.every(test => test(row)));
+            calls.push({ table: name, operation });
+
+            if (operation === 'insert' || operation === 'upsert') {
+                const written = [];
+                [].concat(payload).forEach(values => {
+                    const keys = (options.onConflict || 'id').split(',');
+                    const existing = operation === 'upsert'
+                        ? rows().find(row => keys.every(key => String(row[key]) === String(values[key])))
+                        : null;
+                    if (existing) {
+                        if (!options.ignoreDuplicates) {
+                            Object.assign(existing, values);
+                            written.push(existing);
+                        }
+                    } else {
+                        const nextId = rows().reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+                        const row = { id: nextId, ...values };
+                        rows().push(row);
+                        written.push(row);
+                    }
+                });
+                return { data: returning ? written : null, error: null };
+            }
+            if (operation === 'update') {
+                matching.forEach(row => Object.assign(row, payload));
+                return { data: returning ? matching : null, error: null };
+            }
+            if (operation === 'delete') {
+                tables[name] = rows().filter(row => !matching.includes(row));
+                return { data: returning ? matching : null, error: null };
+            }
+
+            if (countOptions && countOptions.head) {
+                return { data: null, count: matching.length, error: null };
+            }
+            const sorted = matching.slice().sort((a, b) => {
+                for (const [column, ascending, nullsFirst] of ordering) {
+                    const x = a[column] === undefined ? null : a[column];
+                    const y = b[column] === undefined ? null : b[column];
+                    if (x === y) continue;
+                    if (x === null) return nullsFirst ? -1 : 1;
+                    if (y === null) return nullsFirst ? 1 : -1;
+                    return compareValues(x, y) * (ascending ? 1 : -1);
+                }
+                return 0;
+            });
+            const page = sorted.slice(offset, limit === null ? undefined : offset + limit);
+            return { data: single ? page[0] || null : page, count: countOptions ? matching.length : undefined, error: null };
+        };
+
+        const builder = {
+            select(columns, selectOptions) {
+                if (operation === 'select') {
+                    countOptions = selectOptions && selectOptions.count ? selectOptions : null;
+                } else {
+                    returning = true;
+                }
+                return builder;
+            },
+            insert(values) { operation = 'insert'; payload = values; return builder; },
+            upsert(values, upsertOptions = {}) { operation = 'upsert'; payload = values; options = upsertOptions; return builder; },
+            update(values) { operation = 'update'; payload = values; return builder; },
+            delete() { operation = 'delete'; return builder; },
+            eq(column, value) { filters.push(predicate(column, 'eq', value)); return builder; },
+            neq(column, value) { filters.push(predicate(column, 'neq', value)); return builder; },
+            gt(column, value) { filters.push(predicate(column, 'gt', value)); return builder; },
+            gte(column, value) { filters.push(predicate(column, 'gte', value)); return builder; },
+            lt(column, value) { filters.push(predicate(column, 'lt', value)); return builder; },
+            lte(column, value) { filters.push(predicate(column, 'lte', value)); return builder; },
+            is(column, value) { filters.push(predicate(column, 'is', value)); return builder; },
+            filter(column, operator, value) { filters.push(predicate(column, operator, value)); return builder; },
+            in(column, values) {
+                const allowed = values.map(String);
+                filters.push(row => allowed.includes(String(row[column])));
+                return builder;
+            },
+            not(column, operator, value) {
+                const test = operator === 'in'
+                    ? row => String(value).replace(/[()]/g, '').split(',').includes(String(row[column]))
+                    : predicate(column, operator, value);
+                filters.push(row => !test(row));
+                return builder;
+            },
+            or(expression) {
+                const any = splitConditions(expression).map(parseCondition);
+                filters.push(row => any.some(test => test(row)));
+                return builder;
+            },
+            order(column, orderOptions = {}) {
+                const ascending = orderOptions.ascending !== false;
+                // Nulls last in ascending and first in descending order unless told otherwise, as in Postgres
+                ordering.push([column, ascending, orderOptions.nullsFirst !== undefined ? orderOptions.nullsFirst : !ascending]);
+                return builder;
+            },
+            limit(count) { limit = count; return builder; },
+            range(from, to) { offset = from; limit = to - from + 1; return builder; },
+            maybeSingle() { single = true; return builder; },
+            single() { single = true; return builder; },
+            then(resolve, reject) {
+                try {
+                    return Promise.resolve(execute()).then(resolve, reject);
+                } catch (error) {
+                    return Promise.reject(error).then(resolve, reject);
+                }
+            }
+        };
+        return builder;
+    }
+
+    return {
+        tables,
+        rpcs,
+        calls,
+        from,
+        rpc(name, args) {
+            calls.push({ rpc: name, args });
+            return Promise.resolve(rpcs[name] ? rpcs[name](args) : { data: null, error: { message: `Unknown function ${name}` } });
+        }
+    };
+}
+
+module.exports = { createFakeSupabase };
@@ -0,0 +1,88 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { enqueueJobs, completeJob, failJob } = require('../src/services/jobQueue');
+
+/**
+ * Create a queue with one job claimed by a worker
+ * @param {Object} [job] - Columns overriding the claimed job
+ * @returns {Object} { supabase, job }
+ */
+function claimedJob(job = {}) {
+    const supabase = createFakeSupabase({
+        tender_jobs: [{
+            id: 1,
+            source_table: 'sam_gov',
+            source_record_id: '42',
+            status: 'running',
+            attempts: 1,
+            max_attempts: 3,
+            errors: [],
+            locked_by: 'worker-a',
+            ...job
+        }],
+        tender_job_dead_letters: []
+    });
+    return { supabase, job: { ...supabase.tables.tender_jobs[0] } };
+}
+
+describe('enqueueJobs', () => {
+    test('leaves existing jobs alone unless forced', async () => {
+        const { supabase } = claimedJob();
+
+        expect(await enqueueJobs(supabase, 'sam_gov', ['42', '43'])).toBe(1);
+        expect(supabase.tables.tender_jobs[0].status).toBe('running');
+
+        await enqueueJobs(supabase, 'sam_gov', ['42'], { force: true });
+        expect(supabase.tables.tender_jobs[0].status).toBe('pending');
+    });
+});
+
+describe('completeJob', () => {
+    test('marks a job done while the worker holds its lock', async () => {
+        const { supabase, job } = claimedJob();
+
+        expect(await completeJob(supabase, job)).toBe(true);
+        expect(supabase.tables.tender_jobs[0]).toMatchObject({ status: 'done', locked_by: null });
+    });
+
+    test('leaves a job reclaimed by another worker alone', async () => {
+        const { supabase, job } = claimedJob();
+        supabase.tables.tender_jobs[0].locked_by = 'worker-b';
+
+        expect(await completeJob(supabase, job)).toBe(false);
+        expect(supabase.tables.tender_jobs[0]).toMatchObject({ status: 'running', locked_by: 'worker-b' });
+    });
+});
+
+describe('failJob', () => {
+    test('schedules a retry with backoff while attempts remain', async () => {
+        const { supabase, job } = claimedJob();
+
+        expect(await failJob(supabase, job, 'Timeout')).toBe('retry');
+        const stored = supabase.tables.tender_jobs[0];
+        expect(stored).toMatchObject({ status: 'pending', last_error: 'Timeout', locked_by: null });
+        expect(stored.errors).toHaveLength(1);
+        expect(new Date(stored.run_after).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('dead-letters a job on its last attempt', async () => {
+        const { supabase, job } = claimedJob({ attempts: 3 });
+
+        expect(await failJob(supabase, job, 'Timeout')).toBe('dead');
+        expect(supabase.tables.tender_jobs).toHaveLength(0);
+        expect(supabase.tables.tender_job_dead_letters[0]).toMatchObject({ source_record_id: '42', last_error: 'Timeout' });
+    });
+
+    test('does not touch a job reclaimed by another worker', async () => {
+        const { supabase, job } = claimedJob({ attempts: 3 });
+        supabase.tables.tender_jobs[0].locked_by = 'worker-b';
+
+        expect(await failJob(supabase, job, 'Timeout')).toBe('lost');
+        expect(supabase.tables.tender_jobs[0]).toMatchObject({ status: 'running', locked_by: 'worker-b' });
+        expect(supabase.tables.tender_job_dead_letters).toHaveLength(0);
+
+        const retrying = claimedJob();
+        retrying.supabase.tables.tender_jobs[0].locked_by = 'worker-b';
+        expect(await failJob(retrying.supabase, retrying.job, 'Timeout')).toBe('lost');
+        expect(retrying.supabase.tables.tender_jobs[0].status).toBe('running');
+    });
+});
@@ -0,0 +1,72 @@
+const { detectLanguage, isReliable, isLanguage, detectTenderLanguage, tagLanguages } = require('../src/services/languageDetector');
+
+describe('detectLanguage', () => {
+    test.each([
+        ['The government invites sealed bids for the construction of the rural road and the supply of equipment', 'en'],
+        ["Avis d'appel d'offres pour la fourniture de matériel informatique au ministère de la santé", 'fr'],
+        ['Rehabilitación de caminos rurales y suministro de equipos para el ministerio de salud', 'es'],
+        ['Lieferung von Fahrzeugen für die Vergabestelle des Ministeriums', 'de'],
+        ['Ministerie van Volksgezondheid', 'nl']
+    ])('identifies %s as %s', (text, language) => {
+        const detection = detectLanguage(text);
+        expect(detection.language).toBe(language);
+        expect(isReliable(detection)).toBe(true);
+    });
+
+    test.each([
+        'Road rehabilitation',
+        'Ministry of Health',
+        'Consulting services',
+        'Medical equipment',
+        'Office furniture',
+        'Construction of school buildings'
+    ])('identifies the short English title "%s" reliably', text => {
+        expect(isLanguage(text, 'en')).toBe(true);
+    });
+
+    test('identifies scripts used by a single language', () => {
+        expect(detectLanguage('Поставка медицинского оборудования').language).toBe('ru');
+        expect(detectLanguage('Постачання обладнання для їдальні').language).toBe('uk');
+        expect(detectLanguage('医療機器の調達について').language).toBe('ja');
+    });
+
+    test('does not identify text that is too short', () => {
+        expect(detectLanguage('Lot 2')).toBeNull();
+        expect(detectLanguage('')).toBeNull();
+        expect(detectLanguage(null)).toBeNull();
+    });
+
+    test('does not take half-translated French for English', () => {
+        expect(isLanguage('Supply de matériel informatique pour le ministry de la santé', 'en')).toBe(false);
+    });
+});
+
+describe('isLanguage', () => {
+    test('requires the strong confidence when asked to', () => {
+        const text = 'Consulting services for the design and supervision of the water supply project';
+        expect(isLanguage(text, 'en', { strong: true })).toBe(true);
+        expect(isLanguage('Office furniture', 'en', { strong: true })).toBe(false);
+    });
+});
+
+describe('detectTenderLanguage and tagLanguages', () => {
+    test('identify the main language from the tagged fields', () => {
+        const tender = {
+            title: 'Construction de routes rurales',
+            description: "Le gouvernement invite les soumissionnaires à présenter des offres pour la construction de la route",
+            organization_name: 'Ministère des Travaux Publics'
+        };
+        expect(detectTenderLanguage(tender).language).toBe('fr');
+
+        expect(tagLanguages(tender)).toBe(true);
+        expect(tender.language).toBe('fr');
+        expect(tender.language_tags.description.language).toBe('fr');
+    });
+
+    test('keep a language column that is already set', () => {
+        const tender = { title: 'Road rehabilitation and maintenance works', language: 'es' };
+        expect(tagLanguages(tender)).toBe(false);
+        expect(tender.language).toBe('es');
+        expect(tender.language_tags.title.language).toBe('en');
+    });
+});
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('llmCache', () => {
+    let directory;
+
+    // Loads the cache with the file backend in a fresh directory
+    const loadCache = (ttlHours = '1') => {
+        process.env.LLM_CACHE_BACKEND = 'file';
+        process.env.LLM_CACHE_DIR = directory;
+        process.env.LLM_CACHE_TTL_HOURS = ttlHours;
+        jest.resetModules();
+        return require('../src/services/llmCache');
+    };
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        delete process.env.LLM_CACHE_BACKEND;
+        delete process.env.LLM_CACHE_DIR;
+        delete process.env.LLM_CACHE_TTL_HOURS;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('buildCacheKey', () => {
+        test('is stable for the same prompt, model and prompt version', () => {
+            const { buildCacheKey } = loadCache();
+
+            expect(buildCacheKey('Normalize this tender', 'gpt-4o-mini', 'v2')).toBe(buildCacheKey('Normalize this tender', 'gpt-4o-mini', 'v2'));
+            expect(buildCacheKey('Normalize this tender', 'gpt-4o-mini', 'v2')).toMatch(/^[0-9a-f]{64}$/);
+        });
+
+        test.each([
+            ['prompt', ['Normalize that tender', 'gpt-4o-mini', 'v2']],
+            ['model', ['Normalize this tender', 'gpt-4o', 'v2']],
+            ['prompt version', ['Normalize this tender', 'gpt-4o-mini', 'v3']]
+        ])('changes with the %s', (name, args) => {
+            const { buildCacheKey } = loadCache();
+
+            expect(buildCacheKey(...args)).not.toBe(buildCacheKey('Normalize this tender', 'gpt-4o-mini', 'v2'));
+        });
+    });
+
+    describe('expiry', () => {
+        const response = { choices: [{ message: { content: '{}' } }] };
+
+        test('returns entries until their time to live has passed', async () => {
+            jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+            const { getCachedResponse, setCachedResponse, getCacheStats } = loadCache('1');
+
+            await setCachedResponse('abc123', response, { model: 'gpt-4o-mini', promptVersion: 'v2' });
+            jest.setSystemTime(new Date('2025-01-01T00:59:00Z'));
+            expect(await getCachedResponse('abc123')).toEqual(response);
+
+            jest.setSystemTime(new Date('2025-01-01T01:00:00Z'));
+            expect(await getCachedResponse('abc123')).toBeNull();
+            expect(fs.existsSync(path.join(directory, 'ab', 'abc123.json'))).toBe(false);
+            expect(getCacheStats()).toMatchObject({ hits: 1, misses: 1, expired: 1, writes: 1 });
+        });
+
+        test('keeps entries forever with a time to live of 0', async () => {
+            jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+            const { getCachedResponse, setCachedResponse } = loadCache('0');
+
+            await setCachedResponse('abc123', response);
+            jest.setSystemTime(new Date('2030-01-01T00:00:00Z'));
+            expect(await getCachedResponse('abc123')).toEqual(response);
+        });
+
+        test('purges only expired entries when asked to', async () => {
+            jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+            const { setCachedResponse, purgeCache, describeCache } = loadCache('1');
+
+            await setCachedResponse('aa0001', response);
+            jest.setSystemTime(new Date('2025-01-01T02:00:00Z'));
+            await setCachedResponse('bb0002', response);
+
+            expect(await describeCache()).toMatchObject({ total: 2, expired: 1 });
+            expect(await purgeCache({ expiredOnly: true })).toBe(1);
+            expect(await describeCache()).toMatchObject({ total: 1, expired: 0 });
+        });
+    });
+
+    describe('LLM responses', () => {
+        const tender = { id: 1, title: 'Road rehabilitation', description: 'Rehabilitation of 12 km of rural roads' };
+        const answer = data => ({
+            model: 'stub',
+            choices: [{ index: 0, message: { role: 'assistant', content: JSON.stringify(data) }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 100, completion_tokens: 50 }
+        });
+        const invalid = answer({ title: tender.title, description: tender.description, status: 'Pending' });
+        const valid = answer({ title: tender.title, description: tender.description, status: 'Open' });
+
+        let normalizeFromLLMResponse;
+        let complete;
+
+        beforeEach(() => {
+            loadCache('720');
+            process.env.LLM_PROVIDER = 'stub';
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            ({ normalizeFromLLMResponse } = require('../src/services/tenderNormalizer'));
+            complete = jest.spyOn(require('../src/services/llmProviderRegistry').getProvider('stub'), 'complete');
+        });
+
+        afterEach(() => {
+            delete process.env.LLM_PROVIDER;
+        });
+
+        test('reuses a cached valid answer', async () => {
+            complete.mockResolvedValue(valid);
+
+            await normalizeFromLLMResponse(tender, 'test', invalid, '', 'llm');
+            const result = await normalizeFromLLMResponse(tender, 'test', invalid, '', 'llm');
+
+            expect(complete).toHaveBeenCalledTimes(1);
+            expect(result).toMatchObject({ status: 'Open', normalized_method: 'llm' });
+        });
+
+        test('asks again for answers that failed validation', async () => {
+            complete.mockResolvedValue(invalid);
+
+            await normalizeFromLLMResponse(tender, 'test', invalid, '', 'llm');
+            const result = await normalizeFromLLMResponse(tender, 'test', invalid, '', 'llm');
+
+            expect(complete).toHaveBeenCalledTimes(4);
+            expect(result.normalized_method).toBe('schema-validation-failure');
+            expect(require('../src/services/llmCache').getCacheStats().writes).toBe(0);
+        });
+
+        test('asks again for empty answers', async () => {
+            complete.mockResolvedValue({ model: 'stub', choices: [], usage: {} });
+
+            await normalizeFromLLMResponse(tender, 'test', invalid, '', 'llm');
+            const result = await normalizeFromLLMResponse(tender, 'test', invalid, '', 'llm');
+
+            expect(complete).toHaveBeenCalledTimes(2);
+            expect(result.normalized_method).toBe('empty-llm-response');
+        });
+
+        test('ignores a cached answer that fails validation', async () => {
+            const { buildCacheKey, setCachedResponse } = require('../src/services/llmCache');
+            const { getPromptVersion } = require('../src/services/promptTemplates');
+            complete.mockResolvedValue(valid);
+
+            await normalizeFromLLMResponse(tender, 'test', invalid, '', 'llm');
+            // An invalid answer stored for the repair prompt, as earlier versions did
+            await setCachedResponse(buildCacheKey(complete.mock.calls[0][0], 'stub', getPromptVersion()), invalid);
+            const result = await normalizeFromLLMResponse(tender, 'test', invalid, '', 'llm');
+
+            expect(complete).toHaveBeenCalledTimes(2);
+            expect(result.status).toBe('Open');
+        });
+    });
+});
@@ -0,0 +1,72 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+describe('llmUsageTracker ledger', () => {
+    let tracker;
+    let supabase;
+
+    beforeEach(() => {
+        jest.resetModules();
+        tracker = require('../src/services/llmUsageTracker');
+        supabase = createFakeSupabase({ llm_usage: [] });
+        supabase.rpcs.llm_spend_by_model = ({ p_since }) => {
+            const rows = supabase.tables.llm_usage.filter(row => row.recorded_at >= p_since);
+            return { data: [{ llm_model: 'gpt-4o-mini', cost_usd: rows.reduce((sum, row) => sum + row.cost_usd, 0) }], error: null };
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const usage = costUsd => ({ requests: 1, promptTokens: 1000, completionTokens: 200, costUsd, model: 'gpt-4o-mini' });
+
+    test('appends every recorded usage to the ledger', async () => {
+        await tracker.loadDailyUsage(supabase);
+        tracker.recordUsage('wb', usage(0.25));
+        tracker.recordUsage('wb', usage(0.5), { countTender: false });
+        await tracker.flushUsageLedger();
+
+        expect(supabase.tables.llm_usage).toHaveLength(2);
+        expect(supabase.tables.llm_usage[0]).toMatchObject({
+            source_table: 'wb',
+            llm_model: 'gpt-4o-mini',
+            requests: 1,
+            prompt_tokens: 1000,
+            completion_tokens: 200,
+            cost_usd: 0.25
+        });
+    });
+
+    test('keeps the spend of a tender normalized twice on the same day', async () => {
+        await tracker.loadDailyUsage(supabase);
+        tracker.recordUsage('wb', usage(0.25));
+        tracker.recordUsage('wb', usage(0.25));
+        await tracker.flushUsageLedger();
+
+        // A new process starts from the ledger
+        jest.resetModules();
+        const restarted = require('../src/services/llmUsageTracker');
+        expect(await restarted.loadDailyUsage(supabase)).toBeCloseTo(0.5);
+        expect(restarted.getUsageSummary().todayCostUsd).toBeCloseTo(0.5);
+    });
+
+    test('keeps counting usage when the ledger cannot be written', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        await tracker.loadDailyUsage(supabase);
+        supabase.from = () => ({ insert: async () => ({ error: { message: 'relation "llm_usage" does not exist' } }) });
+
+        tracker.recordUsage('wb', usage(0.25));
+        await tracker.flushUsageLedger();
+
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Failed to record 1 LLM usage rows'));
+        expect(tracker.getUsageSummary().todayCostUsd).toBeCloseTo(0.25);
+    });
+
+    test('does not write usage before a client is known', async () => {
+        tracker.recordUsage('wb', usage(0.25));
+        await tracker.flushUsageLedger();
+
+        expect(supabase.tables.llm_usage).toHaveLength(0);
+        expect(tracker.getUsageSummary().costUsd).toBeCloseTo(0.25);
+    });
+});
@@ -0,0 +1,76 @@
+const { parseMoney, extractNumericValue } = require('../src/utils/moneyParser');
+
+describe('parseMoney', () => {
+    test.each([
+        ['USD 1,234,567.89', 1234567.89, 'USD'],
+        ['1.234.567,89 €', 1234567.89, 'EUR'],
+        ['1 234 567,89 EUR', 1234567.89, 'EUR'],
+        ["CHF 1'234'567.89", 1234567.89, 'CHF'],
+        ['US$ 2.5 million', 2500000, 'USD'],
+        ['1,2 Mio. EUR', 1200000, 'EUR'],
+        ['4 millones de dólares', 4000000, null],
+        ['2 milliards FCFA', 2000000000, 'XOF'],
+        ['£ 750', 750, 'GBP'],
+        ['0,750 euros', 0.75, 'EUR']
+    ])('parses "%s"', (text, amount, currency) => {
+        expect(parseMoney(text)).toMatchObject({ amount, currency, isRange: false });
+    });
+
+    test('parses ranges, taking the upper end as the amount', () => {
+        expect(parseMoney('USD 10,000 - 20,000')).toMatchObject({ amount: 20000, min: 10000, max: 20000, isRange: true, currency: 'USD' });
+        expect(parseMoney('between 1 and 2 million')).toMatchObject({ amount: 2000000, min: 1000000, isRange: true });
+        expect(parseMoney('EUR 5 to 10 million')).toMatchObject({ min: 5000000, max: 10000000, isRange: true });
+    });
+
+    test('recognizes estimates', () => {
+        expect(parseMoney('approx. EUR 50,000')).toMatchObject({ amount: 50000, isEstimate: true });
+        expect(parseMoney('EUR 50,000')).toMatchObject({ isEstimate: false });
+    });
+
+    test('does not take lot numbers and years for amounts', () => {
+        expect(parseMoney('Lot 3 - 50 000 EUR')).toMatchObject({ amount: 50000, min: 50000, isRange: false, currency: 'EUR' });
+        expect(parseMoney('Lot 1 EUR 100 000')).toMatchObject({ amount: 100000, currency: 'EUR' });
+        expect(parseMoney('Item No. 4: USD 12,500')).toMatchObject({ amount: 12500, currency: 'USD' });
+        expect(parseMoney('Budget 2024: 1,000,000')).toMatchObject({ amount: 1000000, currency: null });
+        expect(parseMoney('Budget 2024-2025: EUR 3 million')).toMatchObject({ amount: 3000000, isRange: false });
+    });
+
+    test.each([
+        ['Lot 2 15000 EUR', 15000, 'EUR'],
+        ['Item 5 1500 USD', 1500, 'USD'],
+        ['Contract 12 10000 EUR', 10000, 'EUR'],
+        ['Total 3 1500000 EUR', 1500000, 'EUR'],
+        ['A1 2000 EUR', 2000, 'EUR'],
+        ['TOP 10 USD 5000', 5000, 'USD'],
+        ['NOK 12,5 mill.', 12500000, 'NOK']
+    ])('does not group a number with the amount after it in "%s"', (text, amount, currency) => {
+        expect(parseMoney(text)).toMatchObject({ amount, currency, isRange: false });
+    });
+
+    test('keeps years next to a currency and bare numbers', () => {
+        expect(parseMoney('EUR 2000')).toMatchObject({ amount: 2000, currency: 'EUR' });
+        expect(parseMoney('2024')).toMatchObject({ amount: 2024 });
+        expect(parseMoney('Lot 3')).toMatchObject({ amount: 3 });
+    });
+
+    test('does not form a range of a stray number and an amount with the currency at one end', () => {
+        expect(parseMoney('3 - 50 000 EUR')).toMatchObject({ amount: 50000, isRange: false });
+        expect(parseMoney('USD 1 - USD 2000')).toMatchObject({ min: 1, max: 2000, isRange: true });
+    });
+
+    test('parses numbers and objects', () => {
+        expect(parseMoney(1500)).toMatchObject({ amount: 1500, currency: null });
+        expect(parseMoney({ amount: '2,500', currency: 'eur' })).toMatchObject({ amount: 2500, currency: 'EUR' });
+        expect(parseMoney(NaN)).toBeNull();
+        expect(parseMoney('not disclosed')).toBeNull();
+        expect(parseMoney('')).toBeNull();
+    });
+});
+
+describe('extractNumericValue', () => {
+    test('returns the amount or null', () => {
+        expect(extractNumericValue('$1,500,000')).toBe(1500000);
+        expect(extractNumericValue('N/A')).toBeNull();
+        expect(extractNumericValue(null)).toBeNull();
+    });
+});
@@ -0,0 +1,38 @@
+const { getLifecycleStage } = require('../src/services/procurementLifecycle');
+
+describe('getLifecycleStage', () => {
+    test.each([
+        ['Prior Information Notice', 'planning'],
+        ['Request for Information', 'planning'],
+        ['Tender', 'tender'],
+        ['Request for Proposal', 'tender'],
+        ['Request for Quotation', 'tender'],
+        ['Request for Qualification', 'tender'],
+        ['Invitation to Bid', 'tender'],
+        ['Expression of Interest', 'tender'],
+        ['Request for EOI', 'tender'],
+        ['Pre-Qualification', 'tender'],
+        ['Design Contest', 'tender'],
+        ['Contract Award', 'award'],
+        ['Intent to Award', 'award'],
+        ['Results of Contest', 'award'],
+        ['Direct Contract', 'award'],
+        ['contract award', 'award'],
+        ['INVITATION TO BID', 'tender'],
+        ['Modification Notice', null],
+        ['Corrigendum', null],
+        ['Voluntary Ex Ante Notice', null],
+        ['Framework Agreement', null],
+        ['Special Notice', null],
+        ['Sale', null],
+        ['Buyer Profile', null],
+        ['Qualification System', null],
+        ['Grant', null],
+        ['', null],
+        [null, null],
+        [undefined, null],
+        [42, null]
+    ])('maps %p to %p', (tenderType, stage) => {
+        expect(getLifecycleStage(tenderType)).toBe(stage);
+    });
+});
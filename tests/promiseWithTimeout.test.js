@@ -0,0 +1,31 @@
+const { promiseWithTimeout } = require('../src/services/processingService');
+
+describe('promiseWithTimeout', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('settles with the promise when it finishes in time', async () => {
+        const result = promiseWithTimeout(new Promise(resolve => setTimeout(() => resolve('done'), 500)), 1000, 'Timed out');
+        await jest.advanceTimersByTimeAsync(500);
+        await expect(result).resolves.toBe('done');
+    });
+
+    test('rejects once the timeout expires', async () => {
+        const result = promiseWithTimeout(new Promise(() => {}), 1000, 'Timed out');
+        const assertion = expect(result).rejects.toThrow('Timed out');
+        await jest.advanceTimersByTimeAsync(1000);
+        await assertion;
+    });
+
+    test('extends the timeout while asked to, at most maxExtensions times', async () => {
+        const extendWhile = jest.fn(() => true);
+        let rejected = false;
+        promiseWithTimeout(new Promise(() => {}), 1000, 'Timed out', extendWhile, 3).catch(() => { rejected = true; });
+
+        await jest.advanceTimersByTimeAsync(3999);
+        expect(rejected).toBe(false);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(rejected).toBe(true);
+        expect(extendWhile).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,64 @@
+const { RateLimiter } = require('../src/utils/rateLimiter');
+
+describe('RateLimiter', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('lets requests through while the bucket has capacity', async () => {
+        const limiter = new RateLimiter('test', { requestsPerMinute: 2 });
+
+        expect(await limiter.acquire()).toBe(0);
+        expect(await limiter.acquire()).toBe(0);
+        expect(limiter.isThrottled()).toBe(false);
+    });
+
+    test('makes a request wait for the bucket to refill', async () => {
+        const limiter = new RateLimiter('test', { requestsPerMinute: 60 });
+        for (let i = 0; i < 60; i++) {
+            await limiter.acquire();
+        }
+
+        let waited = null;
+        limiter.acquire().then(ms => { waited = ms; });
+        await Promise.resolve();
+        expect(limiter.isThrottled()).toBe(true);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(waited).toBe(1000);
+        expect(limiter.isThrottled()).toBe(false);
+    });
+
+    test('reserves estimated tokens and corrects them when the usage is known', async () => {
+        const limiter = new RateLimiter('test', { tokensPerMinute: 1000 });
+
+        await limiter.acquire(600);
+        limiter.settle(600, 900);
+        expect(limiter.tokens.available).toBe(100);
+    });
+
+    test('pauses requests and lowers the rate after a rate-limit response', async () => {
+        const limiter = new RateLimiter('test', { requestsPerMinute: 60, backoffBaseMs: 2000 });
+
+        expect(limiter.backOff()).toBe(2000);
+        expect(limiter.backOff()).toBe(4000);
+        expect(limiter.rateFactor).toBe(0.25);
+        expect(limiter.isThrottled()).toBe(true);
+        expect(limiter.backOff(500)).toBe(500);
+
+        let waited = null;
+        limiter.acquire().then(ms => { waited = ms; });
+        await jest.advanceTimersByTimeAsync(4000);
+        expect(waited).toBe(4000);
+
+        limiter.recordSuccess();
+        expect(limiter.consecutiveBackoffs).toBe(0);
+        expect(limiter.rateFactor).toBeCloseTo(0.1375);
+    });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('routingPolicy', () => {
+    let directory;
+
+    const writePolicy = (name, policy) => {
+        const policyPath = path.join(directory, name);
+        fs.writeFileSync(policyPath, typeof policy === 'string' ? policy : JSON.stringify(policy));
+        return policyPath;
+    };
+
+    // Loads the module with ROUTING_POLICY_PATH set to a policy, or to the default config
+    const loadRouting = policy => {
+        jest.resetModules();
+        if (policy) {
+            process.env.ROUTING_POLICY_PATH = writePolicy('policy.json', policy);
+        }
+        return require('../src/services/routingPolicy');
+    };
+
+    beforeAll(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-policy-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete process.env.ROUTING_POLICY_PATH;
+        jest.restoreAllMocks();
+    });
+
+    describe('route selection', () => {
+        const policy = {
+            defaultRoute: 'llm',
+            rules: [
+                { id: 'empty', when: { missingAny: ['title', 'description'] }, route: 'fallback', reason: 'Nothing to normalize' },
+                { id: 'structured', when: { sources: ['sam_gov'] }, route: 'fast' },
+                { id: 'night', when: { hoursUtc: [22, 6], anyOf: [{ language: ['en'] }, { hasAll: ['title_english'] }] }, route: 'fast' }
+            ]
+        };
+        const tender = { title: 'Construction de routes rurales', description: 'Travaux de réhabilitation des routes rurales' };
+        const noon = new Date('2025-01-01T12:00:00Z');
+
+        test.each([
+            ['the first matching rule', { ...tender }, 'sam_gov', noon, 'fast', 'structured'],
+            ['a fallback rule', { title: 'Roads', description: '' }, 'sam_gov', noon, 'fallback', 'empty'],
+            ['the default route', { ...tender }, 'ted_eu', noon, 'llm', 'default'],
+            ['an hour window wrapping past midnight', { ...tender, language: 'EN' }, 'ted_eu', new Date('2025-01-01T23:00:00Z'), 'fast', 'night'],
+            ['any of alternative conditions', { ...tender, title_english: 'Rural roads' }, 'ted_eu', new Date('2025-01-01T03:00:00Z'), 'fast', 'night']
+        ])('uses %s', (name, input, sourceTable, now, route, rule) => {
+            const decision = loadRouting(policy).routeTender(input, sourceTable, { now });
+
+            expect(decision).toMatchObject({ route, rule, needsLLM: route === 'llm' });
+        });
+
+        test('explains the rules evaluated up to the deciding one', () => {
+            const decision = loadRouting(policy).routeTender(tender, 'sam_gov', { explain: true, now: noon });
+
+            expect(decision.reason).toBe('Routing rule structured');
+            expect(decision.trace).toEqual([
+                { rule: 'empty', route: 'fallback', matched: false, failedCondition: 'missingAny' },
+                { rule: 'structured', route: 'fast', matched: true, failedCondition: null }
+            ]);
+        });
+
+        test('normalizes long LLM-routed tenders in chunks', () => {
+            const long = { ...tender, description: 'Travaux de réhabilitation. '.repeat(1000) };
+            const decision = loadRouting(policy).routeTender(long, 'ted_eu', { now: noon });
+
+            expect(decision).toMatchObject({ route: 'llm', needsLLM: true, chunked: true });
+            expect(decision.chunkCount).toBeGreaterThan(1);
+        });
+    });
+
+    describe('policy loading', () => {
+        test('loads the default policy from config/routing-policy.json', () => {
+            const { loadPolicy, routeTender } = loadRouting();
+            const policy = loadPolicy();
+
+            expect(policy.defaultRoute).toBe('llm');
+            expect(policy.rules.length).toBeGreaterThan(0);
+            expect(routeTender({ title: 'Janitorial services', description: 'Janitorial services for the federal building', country: 'USA' }, 'sam_gov'))
+                .toMatchObject({ route: 'fast', rule: 'sam-gov-structured' });
+            expect(routeTender({ title: 'Janitorial services' }, 'sam_gov')).toMatchObject({ route: 'llm', rule: 'missing-critical-fields' });
+        });
+
+        test.each([
+            ['an invalid default route', { defaultRoute: 'skip', rules: [] }, 'has an invalid defaultRoute "skip"'],
+            ['no rules list', { defaultRoute: 'llm' }, 'has no rules list'],
+            ['a rule without an id', { defaultRoute: 'llm', rules: [{ route: 'fast' }] }, 'Routing rule #1 needs a unique id'],
+            ['duplicate rule ids', { defaultRoute: 'llm', rules: [{ id: 'a', route: 'fast' }, { id: 'a', route: 'llm' }] }, 'Routing rule #2 needs a unique id'],
+            ['an invalid route', { defaultRoute: 'llm', rules: [{ id: 'a', route: 'manual' }] }, 'Routing rule a has an invalid route "manual"'],
+            ['an unknown condition', { defaultRoute: 'llm', rules: [{ id: 'a', route: 'fast', when: { region: ['EU'] } }] }, 'Routing rule a uses unknown condition "region"'],
+            ['an unknown nested condition', { defaultRoute: 'llm', rules: [{ id: 'a', route: 'fast', when: { anyOf: [{ region: ['EU'] }] } }] }, 'Routing rule a uses unknown condition "region"'],
+            ['anyOf that is not a list', { defaultRoute: 'llm', rules: [{ id: 'a', route: 'fast', when: { anyOf: { language: ['en'] } } }] }, 'anyOf must be a list of conditions']
+        ])('rejects a policy with %s', (name, policy, message) => {
+            const { loadPolicy } = loadRouting();
+
+            expect(() => loadPolicy(writePolicy('invalid.json', policy))).toThrow(message);
+        });
+
+        test('rejects a policy file that is not JSON', () => {
+            const { loadPolicy } = loadRouting();
+
+            expect(() => loadPolicy(writePolicy('broken.json', '{ "defaultRoute": "llm", '))).toThrow(SyntaxError);
+        });
+
+        test('fails routing when the configured policy is invalid', () => {
+            const { routeTender } = loadRouting({ defaultRoute: 'llm', rules: [{ id: 'a', route: 'manual' }] });
+
+            expect(() => routeTender({ title: 'Roads' }, 'wb')).toThrow('Routing rule a has an invalid route "manual"');
+        });
+    });
+});
@@ -0,0 +1,74 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { readSourceTable } = require('../src/services/sourceTableReader');
+
+/**
+ * Read all batches of a walk
+ * @param {AsyncGenerator} batches - The walk
+ * @returns {Promise<Object[]>} The batches
+ */
+async function collect(batches) {
+    const result = [];
+    for await (const batch of batches) {
+        result.push(batch);
+    }
+    return result;
+}
+
+/**
+ * Create raw tenders, two of them sharing a created_at and one without
+ * @returns {Object[]} Rows
+ */
+function rawTenders() {
+    return [
+        { id: 1, created_at: '2025-01-01T00:00:00Z', last_processed_at: null },
+        { id: 2, created_at: '2025-01-02T00:00:00Z', last_processed_at: '2025-02-01T00:00:00Z' },
+        { id: 3, created_at: '2025-01-02T00:00:00Z', last_processed_at: null },
+        { id: 4, created_at: '2025-01-03T00:00:00Z', last_processed_at: null },
+        { id: 5, created_at: null, last_processed_at: null }
+    ];
+}
+
+const timestampFields = ['created_at', 'last_processed_at'];
+
+describe('readSourceTable', () => {
+    test('walks every row once, newest first, across rows sharing a timestamp', async () => {
+        const supabase = createFakeSupabase({ raw: rawTenders() });
+
+        const batches = await collect(readSourceTable(supabase, 'raw', { batchSize: 2, timestampFields }));
+        expect(batches.map(({ rows }) => rows.map(row => row.id))).toEqual([[4, 3], [2, 1], [5]]);
+        expect(batches[0].lastKey).toEqual({ id: 3, created_at: '2025-01-02T00:00:00Z' });
+    });
+
+    test('walks oldest first and continues after a key', async () => {
+        const supabase = createFakeSupabase({ raw: rawTenders() });
+
+        const batches = await collect(readSourceTable(supabase, 'raw', {
+            batchSize: 10,
+            ascending: true,
+            startAfter: { id: 2, created_at: '2025-01-02T00:00:00Z' },
+            timestampFields
+        }));
+        expect(batches.map(({ rows }) => rows.map(row => row.id))).toEqual([[3, 4, 5]]);
+    });
+
+    test('is not shifted by rows marked as processed during the walk', async () => {
+        const supabase = createFakeSupabase({ raw: rawTenders() });
+        const seen = [];
+
+        for await (const { rows } of readSourceTable(supabase, 'raw', { batchSize: 1, unprocessedOnly: true, timestampFields })) {
+            rows.forEach(row => {
+                seen.push(row.id);
+                supabase.tables.raw.find(stored => stored.id === row.id).last_processed_at = '2025-03-01T00:00:00Z';
+            });
+        }
+        expect(seen).toEqual([4, 3, 1, 5]);
+    });
+
+    test('stops at the limit and walks by id without a timestamp column', async () => {
+        const supabase = createFakeSupabase({ raw: rawTenders() });
+
+        const batches = await collect(readSourceTable(supabase, 'raw', { batchSize: 2, limit: 3, ascending: true, timestampFields: [] }));
+        expect(batches.map(({ rows }) => rows.map(row => row.id))).toEqual([[1, 2], [3]]);
+        expect(batches[1].lastKey).toEqual({ id: 3 });
+    });
+});
@@ -0,0 +1,50 @@
+const { normalizeAwards } = require('../src/services/tenderAwards');
+const SamGovAdapter = require('../src/sources/samGov/SamGovAdapter');
+const TedEuAdapter = require('../src/sources/ted_eu/TedEuAdapter');
+
+describe('normalizeAwards', () => {
+    test('brings awards into the stored shape', () => {
+        expect(normalizeAwards([{
+            supplier_name: ' Acme Ltd ',
+            supplier_country: 'Ghana',
+            award_date: '2025-03-15T10:00:00Z',
+            value: 125000,
+            currency: 'usd',
+            lots: [1, 2]
+        }])).toEqual([{
+            supplier_name: 'Acme Ltd',
+            supplier_country: 'Ghana',
+            award_date: '2025-03-15',
+            value: 125000,
+            currency: 'USD',
+            lots: ['1', '2'],
+            value_usd: null,
+            value_eur: null
+        }]);
+    });
+
+    test('drops awards without a supplier and a value, and invalid dates and currencies', () => {
+        const awards = normalizeAwards([
+            { supplier_name: ' ', value: null },
+            { supplier_name: 'Acme Ltd', award_date: 'N/A', currency: 'US dollars', value: 'unknown' },
+            null
+        ]);
+        expect(awards).toEqual([expect.objectContaining({ supplier_name: 'Acme Ltd', award_date: null, currency: null, value: null })]);
+        expect(normalizeAwards('not awards')).toEqual([]);
+    });
+});
+
+describe('extractAwards', () => {
+    test('passes dates that are not dates on for normalizeAwards to drop', () => {
+        const samGov = new SamGovAdapter();
+        const tedEu = new TedEuAdapter();
+
+        const samAwards = samGov.extractAwards({ award: { date: 'N/A', amount: '$1,500,000', awardee: { name: 'Acme Corp' } } });
+        expect(normalizeAwards(samAwards)).toEqual([expect.objectContaining({ supplier_name: 'Acme Corp', value: 1500000, award_date: null })]);
+
+        const tedAwards = tedEu.extractAwards({ lots: [{ winner_name: 'Bau GmbH', award_date: '15/03/2025', awarded_value: '50 000', lot_number: 1 }], currency: 'EUR' });
+        expect(normalizeAwards(tedAwards)).toEqual([expect.objectContaining({ supplier_name: 'Bau GmbH', value: 50000, award_date: null, lots: ['1'] })]);
+
+        expect(normalizeAwards(samGov.extractAwards({ award_date: 'N/A', awardee_name: 'Acme Corp' }))[0].award_date).toBeNull();
+    });
+});
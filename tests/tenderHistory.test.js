@@ -0,0 +1,105 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { recordSnapshots, getTenderVersions, diffSnapshots } = require('../src/services/tenderHistory');
+
+describe('recordSnapshots', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('appends a snapshot of every written tender', async () => {
+        const supabase = createFakeSupabase({ unified_tenders_history: [] });
+        const tender = {
+            source_table: 'wb',
+            source_id: 42,
+            title: 'Road works',
+            normalized_method: 'llm',
+            prompt_version: 'v2',
+            raw_content_hash: 'abc',
+            original_data: { id: 42, title: 'Road works' }
+        };
+
+        expect(await recordSnapshots(supabase, [tender, { ...tender, source_id: 43 }])).toBe(2);
+
+        const [row] = supabase.tables.unified_tenders_history;
+        expect(row).toMatchObject({ source_table: 'wb', source_id: '42', normalized_method: 'llm', prompt_version: 'v2', raw_content_hash: 'abc' });
+        expect(row.snapshot).toEqual({ source_table: 'wb', source_id: 42, title: 'Road works', normalized_method: 'llm', prompt_version: 'v2', raw_content_hash: 'abc' });
+        expect(row.recorded_at).toEqual(expect.any(String));
+    });
+
+    test('does not fail the write when the history cannot be recorded', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const supabase = createFakeSupabase({});
+        supabase.from = () => ({ insert: async () => ({ error: { message: 'relation does not exist' } }) });
+
+        expect(await recordSnapshots(supabase, [{ source_table: 'wb', source_id: '1' }])).toBe(0);
+        expect(console.warn).toHaveBeenCalledWith('Failed to record history of 1 unified tenders: relation does not exist');
+    });
+
+    test('records nothing for an empty batch', async () => {
+        const supabase = createFakeSupabase({ unified_tenders_history: [] });
+
+        expect(await recordSnapshots(supabase, [])).toBe(0);
+        expect(supabase.calls).toEqual([]);
+    });
+});
+
+describe('getTenderVersions', () => {
+    test('numbers the versions of a tender oldest first', async () => {
+        const supabase = createFakeSupabase({
+            unified_tenders_history: [
+                { id: 3, source_table: 'wb', source_id: '1', snapshot: { title: 'C' }, recorded_at: '2025-03-01T00:00:00Z' },
+                { id: 1, source_table: 'wb', source_id: '1', snapshot: { title: 'A' }, recorded_at: '2025-01-01T00:00:00Z' },
+                { id: 2, source_table: 'wb', source_id: '1', snapshot: { title: 'B' }, recorded_at: '2025-01-01T00:00:00Z' },
+                { id: 4, source_table: 'wb', source_id: '2', snapshot: { title: 'Other' }, recorded_at: '2025-02-01T00:00:00Z' }
+            ]
+        });
+
+        const versions = await getTenderVersions(supabase, 'wb', 1);
+        expect(versions.map(version => [version.version, version.snapshot.title])).toEqual([[1, 'A'], [2, 'B'], [3, 'C']]);
+    });
+});
+
+describe('diffSnapshots', () => {
+    const before = {
+        title: 'Road works',
+        deadline_date: '2025-04-01',
+        document_links: [{ url: 'https://example.org/a.pdf' }],
+        city: 'Accra',
+        normalized_at: '2025-03-01T10:00:00Z',
+        processing_time_ms: 1200
+    };
+
+    test('lists changed, added and removed fields', () => {
+        const after = {
+            title: 'Road works',
+            deadline_date: '2025-04-15',
+            document_links: [{ url: 'https://example.org/a.pdf' }, { url: 'https://example.org/b.pdf' }],
+            sector: 'Transport',
+            normalized_at: '2025-03-02T10:00:00Z',
+            processing_time_ms: 900
+        };
+
+        expect(diffSnapshots(before, after)).toEqual([
+            { field: 'city', from: 'Accra', to: null },
+            { field: 'deadline_date', from: '2025-04-01', to: '2025-04-15' },
+            { field: 'document_links', from: [{ url: 'https://example.org/a.pdf' }], to: [{ url: 'https://example.org/a.pdf' }, { url: 'https://example.org/b.pdf' }] },
+            { field: 'sector', from: null, to: 'Transport' }
+        ]);
+    });
+
+    test('ignores the key order of nested values', () => {
+        expect(diffSnapshots({ lots: [{ lot_number: '1', title: 'Lot' }] }, { lots: [{ title: 'Lot', lot_number: '1' }] })).toEqual([]);
+    });
+
+    test('reports no changes when only volatile fields change', () => {
+        const after = { ...before, normalized_at: '2025-03-02T10:00:00Z', processing_time_ms: 900, llm_cost_usd: 0.002 };
+
+        expect(diffSnapshots(before, after)).toEqual([]);
+        expect(diffSnapshots(before, after, { includeVolatile: true }).map(change => change.field))
+            .toEqual(['llm_cost_usd', 'normalized_at', 'processing_time_ms']);
+    });
+
+    test('shows every field of the first version as added', () => {
+        expect(diffSnapshots({}, { title: 'Road works' })).toEqual([{ field: 'title', from: null, to: 'Road works' }]);
+    });
+});
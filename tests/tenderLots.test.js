@@ -0,0 +1,76 @@
+const { normalizeLots, deriveFromLots } = require('../src/services/tenderLots');
+const BaseSourceAdapter = require('../src/sources/BaseSourceAdapter');
+
+class TestAdapter extends BaseSourceAdapter {
+    constructor() {
+        super('test');
+    }
+
+    getSourceId(tender) {
+        return String(tender.id);
+    }
+
+    mapFields(tender) {
+        return { title: tender.title };
+    }
+
+    generateUrl() {
+        return null;
+    }
+}
+
+describe('normalizeLots', () => {
+    test('brings lots into the stored shape', () => {
+        expect(normalizeLots([
+            { lot_number: 2, title: ' Vehicles ', estimated_value: 1000, currency: 'eur', classification_codes: ['34100000', '34100000'], deadline_date: '2025-03-15T12:00:00Z' },
+            { title: 'Spare parts', deadline_date: '15/03/2025', estimated_value: 'a lot' },
+            { description: 'Neither a title nor a number' },
+            null
+        ])).toEqual([
+            expect.objectContaining({ lot_number: '2', title: 'Vehicles', estimated_value: 1000, currency: 'EUR', classification_codes: ['34100000'], deadline_date: '2025-03-15' }),
+            expect.objectContaining({ lot_number: '2', title: 'Spare parts', estimated_value: null, deadline_date: null })
+        ]);
+    });
+});
+
+describe('deriveFromLots', () => {
+    test('adds up lot values that share a currency', () => {
+        const lots = normalizeLots([{ title: 'A', estimated_value: 1000, currency: 'EUR' }, { title: 'B', estimated_value: 500 }]);
+        expect(deriveFromLots({ lots, currency: 'EUR' })).toEqual({ lot_count: 2, estimated_value: 1500, currency: 'EUR' });
+    });
+
+    test('does not add up lots without a value or in different currencies', () => {
+        const missing = normalizeLots([{ title: 'A', estimated_value: 1000 }, { title: 'B' }]);
+        expect(deriveFromLots({ lots: missing })).toEqual({ lot_count: 2 });
+
+        const mixed = normalizeLots([{ title: 'A', estimated_value: 1000, currency: 'EUR' }, { title: 'B', estimated_value: 500, currency: 'USD' }]);
+        expect(deriveFromLots({ lots: mixed })).toEqual({ lot_count: 2 });
+    });
+});
+
+describe('lot extraction', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('keeps lots whose deadline is not a date', () => {
+        const lots = new TestAdapter().extractLots({ lots: [{ title: 'Vehicles', deadline_date: '15/03/2025', estimated_value: '50 000 EUR' }] });
+        expect(normalizeLots(lots)).toEqual([expect.objectContaining({ title: 'Vehicles', deadline_date: null, estimated_value: 50000 })]);
+    });
+
+    test('does not fail the tender when the lots cannot be extracted', async () => {
+        const adapter = new TestAdapter();
+        adapter.extractLots = () => {
+            throw new Error('Unreadable lots');
+        };
+
+        const normalized = await adapter.processTender({ id: 7, title: 'Supply of vehicles' }, async () => ({ title: 'Supply of vehicles' }));
+        expect(normalized).toMatchObject({ source_id: '7', title: 'Supply of vehicles' });
+        expect(normalized.lots).toBeUndefined();
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Could not extract the lots of test tender 7'));
+    });
+});
@@ -0,0 +1,75 @@
+const { validateUnifiedTender } = require('../src/services/tenderSchema');
+
+describe('validateUnifiedTender', () => {
+    const valid = { title: 'Road rehabilitation', description: 'Rehabilitation of 12 km of rural roads', status: 'Open', estimated_value: 5000 };
+
+    test('accepts a tender matching the schema', () => {
+        expect(validateUnifiedTender(valid)).toEqual({ valid: true, errors: [] });
+    });
+
+    test.each([
+        ['a missing required field', { description: valid.description }, '$.title: is required'],
+        ['a wrong type', { ...valid, estimated_value: '5 000' }, '$.estimated_value: must be of type number or null (got string "5 000")'],
+        ['an invalid enum value', { ...valid, status: 'Pending' }, '$.status: must be one of Open, Closed, Awarded, Canceled (got "Pending")'],
+        ['an invalid date', { ...valid, deadline_date: '31/12/2025' }, '$.deadline_date: must be an ISO date (YYYY-MM-DD) (got "31/12/2025")'],
+        ['an unknown property', { ...valid, budget: 5000 }, '$.budget: is not an allowed property'],
+        ['an invalid nested item', { ...valid, lots: [{ title: 'Lot without number' }] }, '$.lots[0].lot_number: is required']
+    ])('reports %s', (name, data, error) => {
+        const result = validateUnifiedTender(data);
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([error]);
+    });
+});
+
+describe('schema repair loop', () => {
+    const tender = { id: 1, title: 'Road rehabilitation', description: 'Rehabilitation of 12 km of rural roads' };
+    const response = data => ({
+        model: 'stub',
+        choices: [{ index: 0, message: { role: 'assistant', content: JSON.stringify(data) }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 100, completion_tokens: 50 }
+    });
+    const invalid = { title: tender.title, description: tender.description, status: 'Pending' };
+    const repaired = { title: tender.title, description: tender.description, status: 'Open' };
+
+    let normalizeFromLLMResponse;
+    let complete;
+
+    beforeEach(() => {
+        process.env.LLM_PROVIDER = 'stub';
+        process.env.LLM_CACHE_BACKEND = 'none';
+        jest.resetModules();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        ({ normalizeFromLLMResponse } = require('../src/services/tenderNormalizer'));
+        complete = jest.spyOn(require('../src/services/llmProviderRegistry').getProvider('stub'), 'complete');
+    });
+
+    afterEach(() => {
+        delete process.env.LLM_PROVIDER;
+        delete process.env.LLM_CACHE_BACKEND;
+        jest.restoreAllMocks();
+    });
+
+    test('sends the validation errors back and keeps the repaired output', async () => {
+        complete.mockResolvedValue(response(repaired));
+
+        const result = await normalizeFromLLMResponse(tender, 'test', response(invalid), '', 'llm');
+
+        expect(complete).toHaveBeenCalledTimes(1);
+        expect(complete.mock.calls[0][0]).toContain('$.status: must be one of Open, Closed, Awarded, Canceled (got "Pending")');
+        expect(result).toMatchObject({ status: 'Open', normalized_method: 'llm', schema_repair_attempts: 1 });
+        expect(result.schema_validation_errors).toEqual([expect.stringContaining('attempt 1: $.status')]);
+    });
+
+    test('falls back with schema-validation-failure when the repairs stay invalid', async () => {
+        complete.mockResolvedValue(response(invalid));
+
+        const result = await normalizeFromLLMResponse(tender, 'test', response(invalid), '', 'llm');
+
+        expect(complete).toHaveBeenCalledTimes(2);
+        expect(result.normalized_method).toBe('schema-validation-failure');
+        expect(result.schema_repair_attempts).toBe(2);
+        expect(result.schema_validation_errors).toHaveLength(3);
+    });
+});
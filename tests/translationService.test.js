@@ -0,0 +1,30 @@
+describe('translateTender', () => {
+    const frenchTags = fields => Object.fromEntries(fields.map(field => [field, { language: 'fr', confidence: 0.95 }]));
+
+    afterEach(() => {
+        delete process.env.TRANSLATION_BACKEND;
+        jest.resetModules();
+    });
+
+    test('does not translate unless a translator is configured', async () => {
+        const { translateTender } = require('../src/services/translationService');
+        const record = { title: 'Avis général de passation des marchés', language_tags: frenchTags(['title']) };
+
+        expect(await translateTender(record, 'test')).toEqual([]);
+        expect(record.title_english).toBeUndefined();
+    });
+
+    test('keeps glossary translations only when they read as English', async () => {
+        process.env.TRANSLATION_BACKEND = 'glossary';
+        const { translateTender } = require('../src/services/translationService');
+        const record = {
+            title: 'Avis général de passation des marchés',
+            description: 'Fourniture de matériel informatique pour le ministère de la santé',
+            language_tags: frenchTags(['title', 'description'])
+        };
+
+        expect(await translateTender(record, 'test')).toEqual(['title_english']);
+        expect(record.title_english).toBe('General procurement notice');
+        expect(record.description_english).toBeUndefined();
+    });
+});
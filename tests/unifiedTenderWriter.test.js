@@ -0,0 +1,62 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { upsertUnifiedTenders } = require('../src/services/unifiedTenderWriter');
+
+describe('upsertUnifiedTenders', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('writes tenders with the same columns in one upsert request', async () => {
+        const supabase = createFakeSupabase({
+            unified_tenders: [{ id: 1, source_table: 'wb', source_id: '1', title: 'Old title', city: 'Accra', cluster_id: 'c-1' }],
+            wb: [{ id: 1 }, { id: 2 }]
+        });
+
+        const results = await upsertUnifiedTenders(supabase, [
+            { tender: { source_table: 'wb', source_id: '1', title: 'Road works', city: null, cluster_id: null }, sourceRecordId: 1, markProcessed: true, existing: true },
+            { tender: { source_table: 'wb', source_id: '2', title: 'School', city: 'Kumasi', awards: [] }, sourceRecordId: 2, markProcessed: true }
+        ]);
+
+        expect(results).toEqual([{ success: true, outcome: 'updated' }, { success: true, outcome: 'inserted' }]);
+        expect(supabase.calls.filter(call => call.table === 'unified_tenders' && call.operation === 'upsert')).toHaveLength(1);
+
+        const [first, second] = supabase.tables.unified_tenders;
+        // Columns of later stages are left to them
+        expect(first).toMatchObject({ title: 'Road works', city: null, cluster_id: 'c-1' });
+        expect(second).toMatchObject({ title: 'School', city: 'Kumasi' });
+        expect(second).not.toHaveProperty('awards');
+        expect(supabase.tables.wb.every(row => row.last_processed_at)).toBe(true);
+    });
+
+    test('keeps stored values of columns a tender in a mixed batch has no value for', async () => {
+        const supabase = createFakeSupabase({
+            unified_tenders: [{ id: 1, source_table: 'wb', source_id: '1', title: 'Old title', estimated_value: 5000, lot_count: 3 }]
+        });
+
+        const results = await upsertUnifiedTenders(supabase, [
+            { tender: { source_table: 'wb', source_id: '1', title: 'Road works' }, existing: true },
+            { tender: { source_table: 'wb', source_id: '2', title: 'School', estimated_value: 800, lot_count: 1 } }
+        ]);
+
+        expect(results.every(result => result.success)).toBe(true);
+        expect(supabase.calls.filter(call => call.table === 'unified_tenders' && call.operation === 'upsert')).toHaveLength(2);
+        expect(supabase.tables.unified_tenders[0]).toMatchObject({ title: 'Road works', estimated_value: 5000, lot_count: 3 });
+        expect(supabase.tables.unified_tenders[1]).toMatchObject({ title: 'School', estimated_value: 800, lot_count: 1 });
+    });
+
+    test('writes only the last version of a tender queued twice', async () => {
+        const supabase = createFakeSupabase({ unified_tenders: [] });
+
+        await upsertUnifiedTenders(supabase, [
+            { tender: { source_table: 'wb', source_id: '1', title: 'First' } },
+            { tender: { source_table: 'wb', source_id: '1', title: 'Second' } }
+        ]);
+
+        expect(supabase.tables.unified_tenders).toHaveLength(1);
+        expect(supabase.tables.unified_tenders[0].title).toBe('Second');
+    });
+});
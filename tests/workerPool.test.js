@@ -0,0 +1,73 @@
+const { createWorkerPool, mapWithConcurrency } = require('../src/utils/workerPool');
+
+/**
+ * Create a promise with its resolve function exposed
+ * @returns {Object} { promise, resolve }
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+}
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise<void>}
+ */
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('createWorkerPool', () => {
+    test('runs at most `concurrency` tasks at a time, in FIFO order', async () => {
+        const pool = createWorkerPool(2);
+        const gates = [deferred(), deferred(), deferred()];
+        const started = [];
+
+        const results = gates.map((gate, index) => pool.run(async () => {
+            started.push(index);
+            await gate.promise;
+            return index;
+        }));
+        await flushPromises();
+
+        expect(started).toEqual([0, 1]);
+        expect(pool.active).toBe(2);
+        expect(pool.pending).toBe(1);
+
+        gates[1].resolve();
+        await results[1];
+        await flushPromises();
+        expect(started).toEqual([0, 1, 2]);
+
+        gates[0].resolve();
+        gates[2].resolve();
+        expect(await Promise.all(results)).toEqual([0, 1, 2]);
+        expect(pool.active).toBe(0);
+    });
+
+    test('frees the worker of a failed task', async () => {
+        const pool = createWorkerPool(1);
+
+        await expect(pool.run(() => { throw new Error('boom'); })).rejects.toThrow('boom');
+        expect(await pool.run(() => 'next')).toBe('next');
+    });
+});
+
+describe('mapWithConcurrency', () => {
+    test('keeps the item order and the concurrency bound', async () => {
+        let running = 0;
+        let maxRunning = 0;
+
+        const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            running--;
+            return index;
+        });
+
+        expect(results).toEqual([0, 1, 2, 3]);
+        expect(maxRunning).toBe(2);
+    });
+});